@@ -1,14 +1,41 @@
-from flask import Flask, jsonify, request, send_from_directory, Response
+from flask import Flask, jsonify, request, send_from_directory, Response, g
 from flask_cors import CORS
+from werkzeug.security import generate_password_hash, check_password_hash
+import atexit
+import base64
+import bisect
+import csv
+import hashlib
+import io
+import itertools
 import json
+import math
 import os
 from pathlib import Path
-from datetime import datetime
+from datetime import datetime, timedelta, timezone
+from email.message import EmailMessage
+from email.utils import formatdate
+from fnmatch import fnmatch
+from functools import wraps
+import ipaddress
+import re
+import secrets
+import signal
+import socket
 import subprocess
+import threading
+import time
+import uuid
+from urllib.parse import unquote, urlparse
+import maxminddb
 import requests
 
 app = Flask(__name__, static_folder='build', static_url_path='')
-CORS(app)
+# The dashboard sends a bearer token rather than cookies; origins can be
+# narrowed further with HONEYPOT_CORS_ORIGINS (comma-separated)
+CORS(app, origins=os.environ.get(
+  'HONEYPOT_CORS_ORIGINS', 'http://localhost:3000,http://localhost:5000'
+).split(','))
 
 # ---------- PATHS / CONSTANTS ----------
 
@@ -16,79 +43,122 @@ BASE_DIR = Path(__file__).resolve().parent
 LOGS_DIR = BASE_DIR / 'logs'
 CONFIGS_DIR = BASE_DIR / 'configs'
 HONEYPOTS_DIR = BASE_DIR / 'honeypots'
+TENANTS_DIR = BASE_DIR / 'tenants'  # per-customer configs/ and logs/ (see TENANTS)
+DATA_DIR = BASE_DIR / 'data'  # dashboard-owned state (saved views, ...)
+VIEWS_FILE = DATA_DIR / 'views.json'
+PERSONAS_FILE = DATA_DIR / 'personas.json'
+USERS_FILE = DATA_DIR / 'users.json'
+AUDIT_FILE = DATA_DIR / 'audit.log'
+TENANTS_FILE = DATA_DIR / 'tenants.json'
+SENSOR_CHECKINS_FILE = DATA_DIR / 'sensor_checkins.json'  # written by config_server.py
+SENSORS_FILE = DATA_DIR / 'sensors.json'  # sensor names / port maps, read by config_server.py
 
 PROTOCOLS = ['telnet', 'ssh', 'http', 'mqtt', 'dnp3', 'coap', 'modbus']
+DEFAULT_TENANT = 'default'  # the original configs/ + logs/ workspace
 SCRIPT_NAME_MAP = {
   "http": "httph"
 }
 
-# Simple in-memory tracking of running honeypots
+# Honeypot processes started from the dashboard (see PROCESS SUPERVISION),
+# keyed by (tenant, protocol): running_honeypots holds each one's JSON-safe
+# status record and honeypot_processes its Popen handle while it is alive
 running_honeypots = {}
+honeypot_processes = {}
+honeypots_lock = threading.RLock()
+supervisor_thread = None
 
-# IP Geolocation cache
+# Supervision timing, in seconds; a honeypot that crashes more than
+# HONEYPOT_RESTART_LIMIT times within HONEYPOT_RESTART_WINDOW is left down
+HONEYPOT_SUPERVISE_INTERVAL = 2.0
+HONEYPOT_STOP_TIMEOUT = 5.0
+HONEYPOT_RESTART_LIMIT = 5
+HONEYPOT_RESTART_WINDOW = 300.0
+PROCESS_LOG_LINES_DEFAULT = 200
+PROCESS_LOG_LINES_MAX = 5000
+
+# GeoIP lookups per IP (see GEOIP)
 ip_location_cache = {}
 
+# Live event stream (/api/stream) timing, in seconds
+STREAM_POLL_INTERVAL = 1.0
+STREAM_HEARTBEAT_INTERVAL = 15.0
 
-# ---------- UTILITIES ----------
+# Networks listed in the dashboard's per-ASN breakdown
+STATS_TOP_ASNS = 10
 
-def get_ip_location(ip):
-  """Get location data for an IP address using a simple cache."""
-  if ip in ip_location_cache:
-    return ip_location_cache[ip]
+# /api/logs page sizes
+LOG_PAGE_DEFAULT = 100
+LOG_PAGE_MAX = 1000
+
+# Parsed logs per tenant, kept in memory and topped up with whatever was
+# appended to the log files since the last request (see get_cached_logs)
+logs_cache = {}
+logs_cache_lock = threading.Lock()
+
+
+# ---------- UTILITIES ----------
 
+def load_json_file(path, default):
+  """Read a JSON file, falling back to `default` if missing or invalid."""
   try:
-    # Using ip-api.com (free tier)
-    response = requests.get(
-      f'http://ip-api.com/json/{ip}?fields=status,lat,lon,country,city',
-      timeout=2
-    )
-    if response.status_code == 200:
-      data = response.json()
-      if data.get('status') == 'success':
-        location = {
-          'lat': data.get('lat', 0),
-          'lon': data.get('lon', 0),
-          'country': data.get('country', 'Unknown'),
-          'city': data.get('city', 'Unknown')
-        }
-        ip_location_cache[ip] = location
-        return location
+    with open(path, 'r') as f:
+      return json.load(f)
   except Exception:
-    pass
+    return default
 
-  return {'lat': 0, 'lon': 0, 'country': 'Unknown', 'city': 'Unknown'}
 
+# path -> a number that changes on every save_json_file of it, so what
+# is built from a file can tell it was rewritten without re-reading it
+file_versions = {}
+file_write_counter = itertools.count(1)
 
-def parse_log_file(log_file):
+
+def save_json_file(path, data):
+  """Write JSON atomically so a crash never leaves a half-written file."""
+  path.parent.mkdir(exist_ok=True, parents=True)
+  tmp_path = path.with_name(path.name + '.tmp')
+  with open(tmp_path, 'w') as f:
+    json.dump(data, f, indent=2)
+  os.replace(tmp_path, path)
+  file_versions[path] = next(file_write_counter)
+
+
+def parse_log_line(line):
   """
-  Parse a .logs file and return entries.
+  Parse one .logs line into an event dict, or None.
 
   We expect typical Python logging format:
     "time - LEVEL - <json or text>"
 
   If the trailing part is JSON, we parse it; otherwise we skip.
   """
+  line = line.strip()
+  if not line:
+    return None
+
+  entry = None
+  # Try full line as JSON
+  try:
+    entry = json.loads(line)
+  except Exception:
+    # Try to parse part after the last ' - '
+    if ' - ' in line:
+      try:
+        entry = json.loads(line.split(' - ', maxsplit=2)[-1])
+      except Exception:
+        entry = None
+
+  return entry if isinstance(entry, dict) else None
+
+
+def parse_log_file(log_file):
+  """Parse a .logs file and return entries."""
   entries = []
   try:
     with open(log_file, 'r') as f:
       for line in f:
-        line = line.strip()
-        if not line:
-          continue
-
-        entry = None
-        # Try full line as JSON
-        try:
-          entry = json.loads(line)
-        except Exception:
-          # Try to parse part after the last ' - '
-          if ' - ' in line:
-            try:
-              entry = json.loads(line.split(' - ', maxsplit=2)[-1])
-            except Exception:
-              entry = None
-
-        if isinstance(entry, dict):
+        entry = parse_log_line(line)
+        if entry:
           entries.append(entry)
   except Exception:
     pass
@@ -140,9 +210,53 @@ def parse_session_file(session_file):
     # Fallback: treat as a list of dict events
     entries = [e for e in data if isinstance(e, dict)]
 
+    # telnet.py writes the bare activity list, so rebuild the
+    # session_info block from the events to keep sessions replayable
+    if entries:
+      session_info = {
+        'ip': entries[0].get('ip'),
+        'port': entries[0].get('port'),
+        'start': entries[0].get('timestamp'),
+        'end': entries[-1].get('timestamp'),
+        'protocol': entries[0].get('protocol')
+      }
+      for entry in entries:
+        entry.setdefault('session', session_info)
+
   return entries
 
 
+def annotate_log_entry(entry, protocol):
+  """Tag an entry from logs/<protocol>.logs with its protocol and location."""
+  entry['protocol'] = protocol
+  if 'ip' in entry:
+    entry['location'] = get_ip_location(entry['ip'])
+  return entry
+
+
+def annotate_session_entry(entry):
+  """
+  Tag an entry from logs/session_*.json with its protocol and location.
+
+  If the honeypot scripts themselves include a 'protocol' field,
+  we use it; otherwise we set 'protocol' to 'unknown'.
+  """
+  # Derive protocol if present in entry/session; else mark unknown
+  protocol = entry.get('protocol')
+  if not protocol:
+    session_info = entry.get('session', {})
+    protocol = session_info.get('protocol', 'unknown')
+  entry['protocol'] = protocol
+
+  # Attach location if we have an IP
+  ip = entry.get('ip') or entry.get('session', {}).get('ip')
+  if ip:
+    entry['ip'] = ip
+    entry['location'] = get_ip_location(ip)
+
+  return entry
+
+
 def get_all_logs():
   """
   Get all honeypot logs.
@@ -162,33 +276,15 @@ def get_all_logs():
       entries = parse_log_file(log_path)
       for entry in entries:
         if isinstance(entry, dict):
-          entry['protocol'] = protocol
-          if 'ip' in entry:
-            entry['location'] = get_ip_location(entry['ip'])
-          all_logs.append(entry)
+          all_logs.append(annotate_log_entry(entry, protocol))
 
   # 2) Session files: logs/session_*.json (protocol-agnostic in filename)
-  #    If the honeypot scripts themselves include a 'protocol' field,
-  #    we use it; otherwise we set 'protocol' to 'unknown'.
   for session_file in LOGS_DIR.glob('session_*.json'):
     session_data = parse_session_file(session_file)
     if session_data:
       for entry in session_data:
         if isinstance(entry, dict):
-          # Derive protocol if present in entry/session; else mark unknown
-          protocol = entry.get('protocol')
-          if not protocol:
-            session_info = entry.get('session', {})
-            protocol = session_info.get('protocol', 'unknown')
-          entry['protocol'] = protocol
-
-          # Attach location if we have an IP
-          ip = entry.get('ip') or entry.get('session', {}).get('ip')
-          if ip:
-            entry['ip'] = ip
-            entry['location'] = get_ip_location(ip)
-
-          all_logs.append(entry)
+          all_logs.append(annotate_session_entry(entry))
 
   # Sort by timestamp (ISO8601 string) descending
   def ts_key(x):
@@ -198,15 +294,304 @@ def get_all_logs():
   return all_logs
 
 
-def calculate_stats(logs):
+def snapshot_log_positions(logs_dir=LOGS_DIR):
+  """
+  Record where every log source currently ends.
+
+  Used by the live stream so it only pushes events written after the
+  client connected: byte offsets for <logs_dir>/<protocol>.logs and the
+  set of session_*.json files already on disk.
+  """
+  positions = {'logs': {}, 'sessions': set()}
+
+  for protocol in PROTOCOLS:
+    log_path = logs_dir / f'{protocol}.logs'
+    if log_path.exists():
+      positions['logs'][protocol] = log_path.stat().st_size
+
+  if logs_dir.exists():
+    positions['sessions'] = {f.name for f in logs_dir.glob('session_*.json')}
+
+  return positions
+
+
+def read_new_events(positions, logs_dir=LOGS_DIR):
+  """Return events written since `positions`, advancing it in place."""
+  events = []
+
+  for protocol in PROTOCOLS:
+    log_path = logs_dir / f'{protocol}.logs'
+    if not log_path.exists():
+      continue
+
+    offset = positions['logs'].get(protocol, 0)
+    size = log_path.stat().st_size
+    if size < offset:
+      # File was truncated or rotated; start over from the beginning
+      positions['truncated'] = True
+      offset = 0
+    if size == offset:
+      continue
+
+    try:
+      with open(log_path, 'rb') as f:
+        f.seek(offset)
+        chunk = f.read(size - offset)
+    except Exception:
+      continue
+
+    # Only consume complete lines; a half-written line is picked up next poll
+    end = chunk.rfind(b'\n')
+    if end == -1:
+      continue
+    positions['logs'][protocol] = offset + end + 1
+
+    for line in chunk[:end].decode(errors='ignore').splitlines():
+      entry = parse_log_line(line)
+      if entry:
+        events.append(annotate_log_entry(entry, protocol))
+
+  for session_file in logs_dir.glob('session_*.json'):
+    if session_file.name in positions['sessions']:
+      continue
+    # A session file that is still being written fails to parse;
+    # leave it unseen so the next poll tries again
+    session_data = parse_session_file(session_file)
+    if not session_data:
+      continue
+    positions['sessions'].add(session_file.name)
+    for entry in session_data:
+      events.append(annotate_session_entry(entry))
+
+  events.sort(key=lambda x: x.get('timestamp', ''), reverse=True)
+  return events
+
+
+def collect_fields(entry, field_protocols):
+  """Record every leaf field path of an event and the protocol it came from."""
+  protocol = (entry.get('protocol') or 'unknown').upper()
+
+  def walk(obj, prefix):
+    for key, value in obj.items():
+      if value is None:
+        continue
+      full_key = f'{prefix}.{key}' if prefix else key
+      if isinstance(value, dict):
+        walk(value, full_key)
+      else:
+        field_protocols.setdefault(full_key, set()).add(protocol)
+
+  walk(entry, '')
+
+
+def get_tenant_cache(tenant):
+  """A tenant's entry in logs_cache. Caller holds logs_cache_lock."""
+  return logs_cache.setdefault(
+    tenant, {'positions': None, 'logs': [], 'fields': {}, 'sensors': {}, 'toolkits': {}, 'cases': None}
+  )
+
+
+def get_cached_logs(tenant=DEFAULT_TENANT):
+  """
+  Return all of a tenant's honeypot logs, newest first.
+
+  The first call parses everything; later calls only parse what was
+  appended since (same offsets as the live stream), so large log
+  directories are not re-read on every request.
+  """
+  logs_dir = get_tenant_dirs(tenant)[1]
+  sensors = get_sensor_addresses(tenant)
+  cases = get_case_index(tenant)
+  with logs_cache_lock:
+    cache = get_tenant_cache(tenant)
+    positions = cache['positions']
+    if positions is None:
+      positions = {'logs': {}, 'sessions': set()}
+      cache.update({'positions': positions, 'logs': [], 'fields': {}, 'toolkits': {}})
+
+    new_events = read_new_events(positions, logs_dir)
+
+    if positions.pop('truncated', False):
+      # A log file was rotated: rebuild from scratch rather than
+      # mixing old and new contents
+      positions = {'logs': {}, 'sessions': set()}
+      new_events = read_new_events(positions, logs_dir)
+      cache.update({'positions': positions, 'logs': [], 'fields': {}, 'toolkits': {}})
+
+    if sensors is not cache['sensors'] or cases is not cache['cases']:
+      # Requests may still be reading the cached events: tag copies
+      cache['logs'] = [dict(entry) for entry in cache['logs']]
+
+    if sensors is not cache['sensors']:
+      # A sensor appeared, moved or was forgotten: re-attribute everything
+      tag_sensor_events(cache['logs'], sensors)
+      for entry in cache['logs']:
+        if 'sensor' in entry:
+          collect_fields({'protocol': entry.get('protocol'), 'sensor': entry['sensor']}, cache['fields'])
+      cache['sensors'] = sensors
+
+    if cases is not cache['cases']:
+      # Tags or incidents were edited: re-tag everything
+      tag_case_events(cache['logs'], cases)
+      for entry in cache['logs']:
+        collect_fields({
+          'protocol': entry.get('protocol'), 'tags': entry.get('tags'), 'incidents': entry.get('incidents')
+        }, cache['fields'])
+      cache['cases'] = cases
+
+    if new_events:
+      tag_sensor_events(new_events, sensors)
+      tag_case_events(new_events, cases)
+      logs = new_events + cache['logs']
+      logs.sort(key=lambda x: x.get('timestamp', ''), reverse=True)
+      # New events can change what their IPs' earlier events are labelled
+      logs, labelled = label_toolkit_events(logs, new_events, cache['toolkits'])
+      cache['logs'] = logs
+      for entry in labelled:
+        if 'toolkit' in entry:
+          collect_fields({'protocol': entry.get('protocol'), 'toolkit': entry['toolkit']}, cache['fields'])
+      for entry in new_events:
+        collect_fields(entry, cache['fields'])
+
+    return cache['logs']
+
+
+def get_nested_value(obj, path):
+  """Resolve a dotted field path such as 'data.function_code'."""
+  current = obj
+  for key in path.split('.'):
+    if not isinstance(current, dict):
+      return None
+    current = current.get(key)
+  return current
+
+
+def normalize_timestamp(value):
+  """
+  Turn a time-range bound into the ISO format the honeypots log in.
+
+  Honeypot timestamps are naive local `datetime.isoformat()` strings, so
+  once the bound uses the same format a plain string compare orders them.
+  """
+  if not value:
+    return None
+  try:
+    parsed = datetime.fromisoformat(value.replace('Z', '+00:00'))
+  except ValueError:
+    return None
+  if parsed.tzinfo is not None:
+    parsed = parsed.astimezone().replace(tzinfo=None)
+  return parsed.isoformat()
+
+
+def filter_logs(logs, args):
+  """
+  Apply /api/logs query parameters to a newest-first list of events.
+
+  - since / until: ISO timestamps (inclusive)
+  - protocol: comma-separated protocol names
+  - type: comma-separated event types, '*' wildcards allowed
+  - q: case-insensitive text search over the whole event
+  - query: query language expression (see QUERY LANGUAGE below)
+  - filter.<field>: case-insensitive substring match on a dotted field
+
+  Raises QueryError for a malformed `query`.
+  """
+  since = normalize_timestamp(args.get('since'))
+  until = normalize_timestamp(args.get('until'))
+  protocols = {p.strip().lower() for p in args.get('protocol', '').split(',') if p.strip()}
+  types = [t.strip() for t in args.get('type', '').split(',') if t.strip()]
+  search = args.get('q', '').strip().lower()
+  query = parse_query(args.get('query', ''))
+  field_filters = {
+    key[len('filter.'):]: value.lower()
+    for key, value in args.items()
+    if key.startswith('filter.') and value.strip()
+  }
+
+  results = []
+  for log in logs:
+    timestamp = log.get('timestamp', '')
+    if until and timestamp > until:
+      continue
+    if since and timestamp < since:
+      # Newest first: everything after this is older still
+      break
+    if protocols and (log.get('protocol') or '').lower() not in protocols:
+      continue
+    if types and not any(fnmatch(log.get('type') or '', t) for t in types):
+      continue
+    if search and search not in json.dumps(log, default=str).lower():
+      continue
+    if query and not evaluate_query(query, log):
+      continue
+
+    matched = True
+    for field, needle in field_filters.items():
+      value = get_nested_value(log, field)
+      if value is None:
+        matched = False
+        break
+      value_str = json.dumps(value) if isinstance(value, (dict, list)) else str(value)
+      if needle not in value_str.lower():
+        matched = False
+        break
+    if matched:
+      results.append(log)
+
+  return results
+
+
+def paginate_logs(logs, cursor, limit):
+  """
+  Return (page, next_cursor) from a newest-first list of events.
+
+  The cursor is "<timestamp>|<n>": continue after the first n events that
+  carry that timestamp. Unlike a numeric offset it stays put while new
+  events are prepended by the honeypots.
+  """
+  start = 0
+  cursor_ts, seen = None, 0
+  if cursor and '|' in cursor:
+    cursor_ts, _, seen_str = cursor.rpartition('|')
+    seen = int(seen_str) if seen_str.isdigit() else 0
+
+    while start < len(logs) and logs[start].get('timestamp', '') > cursor_ts:
+      start += 1
+    skipped = 0
+    while (start < len(logs) and skipped < seen
+           and logs[start].get('timestamp', '') == cursor_ts):
+      start += 1
+      skipped += 1
+
+  page = logs[start:start + limit]
+  if start + limit >= len(logs) or not page:
+    return page, None
+
+  last_ts = page[-1].get('timestamp', '')
+  same_ts = sum(1 for log in page if log.get('timestamp', '') == last_ts)
+  if last_ts == cursor_ts and same_ts == len(page):
+    same_ts += seen
+  return page, f'{last_ts}|{same_ts}'
+
+
+def calculate_stats(logs, tenant=DEFAULT_TENANT):
   """Calculate statistics from logs."""
   unique_ips = set()
   protocol_counts = {}
   command_count = 0
+  networks = {}
 
   for log in logs:
     if 'ip' in log:
       unique_ips.add(log['ip'])
+      location = log.get('location') or {}
+      if location.get('asn'):
+        network = networks.setdefault(location['asn'], {
+          'asn': location['asn'], 'org': location.get('org'), 'events': 0, 'ips': set()
+        })
+        network['events'] += 1
+        network['ips'].add(log['ip'])
 
     protocol = log.get('protocol', 'unknown')
     protocol_counts[protocol] = protocol_counts.get(protocol, 0) + 1
@@ -214,13 +599,47 @@ def calculate_stats(logs):
     if log.get('type') == 'command':
       command_count += 1
 
-  active_honeypots = len(running_honeypots)
+  with honeypots_lock:
+    active_honeypots = sum(
+      1 for (owner, _), record in running_honeypots.items()
+      if owner == tenant and record.get('state') == 'running'
+    )
 
   return {
     'totalAttacks': len(logs),
     'uniqueIPs': len(unique_ips),
     'activeHoneypots': active_honeypots,
     'commandsLogged': command_count,
+    'protocolCounts': protocol_counts,
+    'asnCounts': [
+      {**network, 'ips': len(network['ips'])}
+      for network in sorted(networks.values(), key=lambda n: n['events'], reverse=True)[:STATS_TOP_ASNS]
+    ]
+  }
+
+
+def summarize_logs(logs):
+  """
+  Map and protocol chart data for a filtered list of events, newest first:
+  one marker per placed source IP (its latest location) and event counts
+  per protocol.
+  """
+  counts = {}
+  locations = {}
+  protocol_counts = {}
+  for log in logs:
+    protocol = log.get('protocol', 'unknown')
+    protocol_counts[protocol] = protocol_counts.get(protocol, 0) + 1
+    ip = log.get('ip')
+    if not ip:
+      continue
+    counts[ip] = counts.get(ip, 0) + 1
+    location = log.get('location') or {}
+    if ip not in locations and isinstance(location.get('lat'), (int, float)) and isinstance(location.get('lon'), (int, float)):
+      locations[ip] = location
+  return {
+    'markers': [{**location, 'ip': ip, 'count': counts[ip]} for ip, location in locations.items()],
+    'unplaced': len(counts) - len(locations),
     'protocolCounts': protocol_counts
   }
 
@@ -281,171 +700,5604 @@ def get_default_config(protocol):
   return base_config
 
 
-# ---------- API ROUTES ----------
+# ---------- QUERY LANGUAGE ----------
+#
+# Timeline query expressions, e.g.
+#   protocol:modbus AND type:write_* AND NOT ip:10.0.0.0/8
+#   data.function_code>=5 OR (path~"^/admin" -user_agent:curl)
+#
+# - field:value   substring match; '*' / '?' make it a glob and a CIDR
+#                 range matches IP fields
+# - field~regex   case-insensitive regex search
+# - field=value, field!=value   exact (case-insensitive) match
+# - field>n, field>=n, field<n, field<=n   numeric compare (string compare
+#                 when either side is not a number, e.g. timestamps)
+# - bare words search the whole event
+# - AND (or juxtaposition), OR, NOT / leading '-', parentheses
+#
+# The dashboard has a JavaScript twin of this parser (App.js, QUERY
+# LANGUAGE) for validation, autocomplete and streamed events. Both run
+# the shared cases in tests/query_cases.json; add a case there for any
+# change to either side. Regexes are the one gap: `~` patterns run on
+# each side's own engine, so only the syntax both share is portable.
 
-@app.route('/api/logs')
-def api_get_logs():
-  """Get all honeypot logs."""
-  logs = get_all_logs()
-  return jsonify(logs)
+class QueryError(ValueError):
+  """Raised for a malformed timeline query expression."""
 
 
-@app.route('/api/stats')
-def api_get_stats():
-  """Get dashboard statistics."""
-  logs = get_all_logs()
-  stats = calculate_stats(logs)
-  return jsonify(stats)
+QUERY_TERM_RE = re.compile(r'([A-Za-z_][\w.\-]*)(:>=|:<=|:>|:<|!=|>=|<=|:|=|>|<|~)')
+QUERY_KEYWORDS = {'AND', 'OR', 'NOT'}
+CIDR_RE = re.compile(r'^[0-9a-fA-F:.]+/[0-9]{1,3}\Z')
+# Decimal numbers only: no 'nan', 'inf', '1_000' or surrounding spaces
+QUERY_NUMBER_RE = re.compile(r'[+-]?([0-9]+\.?[0-9]*|\.[0-9]+)([eE][+-]?[0-9]+)?')
 
 
-@app.route('/api/configs')
-def api_get_configs():
-  """Get all honeypot configurations."""
-  configs = {}
+def _read_query_value(text, pos):
+  """Read a quoted or bare value starting at `pos` -> (value, quoted, end)."""
+  if pos < len(text) and text[pos] == '"':
+    pos += 1
+    value = ''
+    while pos < len(text) and text[pos] != '"':
+      # Only \" and \\ are unescaped so regex escapes such as \d survive
+      if text[pos] == '\\' and text[pos + 1:pos + 2] in ('"', '\\'):
+        pos += 1
+      value += text[pos]
+      pos += 1
+    if pos >= len(text):
+      raise QueryError('Unterminated " in query')
+    return value, True, pos + 1
 
-  for protocol in PROTOCOLS:
-    config_file = CONFIGS_DIR / f'{protocol}.json'
-    if config_file.exists():
-      try:
-        with open(config_file, 'r') as f:
-          configs[protocol] = json.load(f)
-      except Exception:
-        configs[protocol] = {}
+  start = pos
+  while pos < len(text) and not text[pos].isspace() and text[pos] not in '()':
+    pos += 1
+  return text[start:pos], False, pos
+
+
+def tokenize_query(text):
+  """Split a query expression into (kind, payload) tokens."""
+  tokens = []
+  pos = 0
+  while pos < len(text):
+    char = text[pos]
+    if char.isspace():
+      pos += 1
+      continue
+    if char in '()':
+      tokens.append((char, None))
+      pos += 1
+      continue
+
+    negate = False
+    if char == '-' and pos + 1 < len(text) and not text[pos + 1].isspace():
+      negate = True
+      pos += 1
+
+    match = QUERY_TERM_RE.match(text, pos)
+    if match:
+      # ':>=' and friends are accepted as spellings of '>=' etc.
+      field, op = match.group(1), match.group(2).lstrip(':') or ':'
+      value, quoted, pos = _read_query_value(text, match.end())
+      if value == '' and not quoted:
+        raise QueryError(f'Missing value for {field}{match.group(2)}')
+      term = {'type': 'term', 'field': field, 'op': op, 'value': value}
     else:
-      configs[protocol] = get_default_config(protocol)
+      value, quoted, pos = _read_query_value(text, pos)
+      if not quoted and value.upper() in QUERY_KEYWORDS and not negate:
+        tokens.append((value.upper(), None))
+        continue
+      term = {'type': 'text', 'value': value}
 
-  return jsonify(configs)
+    tokens.append(('TERM', {'type': 'not', 'child': term} if negate else term))
+  return tokens
 
 
-@app.route('/api/configs/<protocol>', methods=['GET', 'PUT'])
-def api_handle_config(protocol):
-  """Get or update a specific protocol configuration."""
-  protocol = protocol.lower()
-  config_file = CONFIGS_DIR / f'{protocol}.json'
+def parse_query(text):
+  """Parse a query expression into a nested dict AST (None when empty)."""
+  tokens = tokenize_query(text or '')
+  if not tokens:
+    return None
+  pos = 0
 
-  if request.method == 'GET':
-    if config_file.exists():
-      with open(config_file, 'r') as f:
-        return jsonify(json.load(f))
-    return jsonify(get_default_config(protocol))
+  def peek():
+    return tokens[pos][0] if pos < len(tokens) else None
 
-  elif request.method == 'PUT':
-    config_data = request.json
-    CONFIGS_DIR.mkdir(exist_ok=True)
-    with open(config_file, 'w') as f:
-      json.dump(config_data, f, indent=2)
-    return jsonify({'success': True})
+  def parse_or():
+    nonlocal pos
+    children = [parse_and()]
+    while peek() == 'OR':
+      pos += 1
+      children.append(parse_and())
+    return children[0] if len(children) == 1 else {'type': 'or', 'children': children}
 
+  def parse_and():
+    nonlocal pos
+    children = [parse_not()]
+    while peek() not in (None, 'OR', ')'):
+      if peek() == 'AND':
+        pos += 1
+      children.append(parse_not())
+    return children[0] if len(children) == 1 else {'type': 'and', 'children': children}
 
-@app.route('/api/status')
-def api_get_status():
-  """Get status of all honeypots."""
-  return jsonify(running_honeypots)
+  def parse_not():
+    nonlocal pos
+    if peek() == 'NOT':
+      pos += 1
+      return {'type': 'not', 'child': parse_not()}
+    return parse_primary()
 
+  def parse_primary():
+    nonlocal pos
+    kind = peek()
+    if kind == '(':
+      pos += 1
+      node = parse_or()
+      if peek() != ')':
+        raise QueryError('Missing closing parenthesis')
+      pos += 1
+      return node
+    if kind == 'TERM':
+      node = tokens[pos][1]
+      pos += 1
+      return node
+    if kind is None:
+      raise QueryError('Query ends unexpectedly')
+    raise QueryError(f'Unexpected {kind} in query')
 
-@app.route('/api/honeypot/<protocol>/start', methods=['POST'])
-def api_start_honeypot(protocol):
-    """Start a honeypot process for the given protocol."""
-    protocol = protocol.lower()
+  ast = parse_or()
+  if pos < len(tokens):
+    raise QueryError(f'Unexpected {tokens[pos][0]} in query')
+
+  # Compile regexes up front so a bad pattern is reported, not skipped
+  def compile_regexes(node):
+    if node['type'] == 'term' and node['op'] == '~':
+      try:
+        node['pattern'] = re.compile(node['value'], re.IGNORECASE)
+      except re.error as e:
+        raise QueryError(f'Invalid regex "{node["value"]}": {e}')
+    for child in node.get('children', []) + ([node['child']] if 'child' in node else []):
+      compile_regexes(child)
 
-    if protocol in running_honeypots:
-        return jsonify({'error': 'Honeypot already running'}), 400
+  compile_regexes(ast)
+  return ast
 
-    script_name = SCRIPT_NAME_MAP.get(protocol, protocol)
-    honeypot_script = HONEYPOTS_DIR / f'{script_name}.py'
 
-    if not honeypot_script.exists():
-        return jsonify({'error': 'Honeypot script not found'}), 404
+def _to_number(value):
+  """A finite number for numeric compares, or None."""
+  if isinstance(value, bool):
+    return None
+  if isinstance(value, str) and QUERY_NUMBER_RE.fullmatch(value):
+    value = float(value)
+  if isinstance(value, (int, float)) and math.isfinite(value):
+    return value
+  return None
+
+
+def _to_query_text(value):
+  """A field value as the dashboard's JavaScript would stringify it."""
+  if isinstance(value, bool):
+    return 'true' if value else 'false'
+  if isinstance(value, float) and value.is_integer():
+    return str(int(value))
+  if isinstance(value, (dict, list)):
+    return json.dumps(value, separators=(',', ':'), ensure_ascii=False)
+  return str(value)
+
+
+def _glob_to_regex(glob):
+  """'*' and '?' wildcards only; unlike fnmatch, '[' is literal."""
+  pattern = re.escape(glob).replace(r'\*', '.*').replace(r'\?', '.')
+  return re.compile(pattern, re.IGNORECASE)
+
+
+def _match_term_value(value, node):
+  """Match one scalar field value against a term node."""
+  op = node['op']
+  needle = node['value']
+  value_str = _to_query_text(value)
+
+  if op in ('>', '>=', '<', '<='):
+    left, right = _to_number(value), _to_number(needle)
+    if left is None or right is None:
+      left, right = value_str, needle
+    return {
+      '>': left > right, '>=': left >= right,
+      '<': left < right, '<=': left <= right
+    }[op]
+
+  if op in ('=', '!='):
+    left, right = _to_number(value), _to_number(needle)
+    equal = (left == right) if left is not None and right is not None \
+      else value_str.lower() == needle.lower()
+    return equal if op == '=' else not equal
 
+  if op == '~':
+    return bool(node['pattern'].search(value_str))
+  if CIDR_RE.match(needle):
     try:
-        # Ensure logs dir exists (for HTTP process logs)
-        LOGS_DIR.mkdir(exist_ok=True, parents=True)
-
-        if protocol == 'http':
-            # --- Special-case: start HTTP honeypot safely to avoid FD inheritance ---
-            # Prepare child environment (strip reloader markers)
-            child_env = os.environ.copy()
-            child_env.pop('WERKZEUG_RUN_MAIN', None)
-            child_env.pop('FLASK_RUN_FROM_CLI', None)
-            child_env.pop('PYTHONUNBUFFERED', None)
-
-            # Log files for child's stdout/stderr
-            stdout_path = LOGS_DIR / f'{protocol}_process.stdout.log'
-            stderr_path = LOGS_DIR / f'{protocol}_process.stderr.log'
-            stdout_f = open(stdout_path, 'a')
-            stderr_f = open(stderr_path, 'a')
-
-            # Start detached child that does NOT inherit parent's open FDs.
-            # close_fds=True prevents inheriting the dashboard's listening sockets
-            # start_new_session=True isolates the process (like setsid)
-            process = subprocess.Popen(
-                ['python3', str(honeypot_script)],
-                stdout=stdout_f,
-                stderr=stderr_f,
-                cwd=HONEYPOTS_DIR,
-                env=child_env,
-                close_fds=True,
-                start_new_session=True
-            )
-
-            # Bookkeeping: store PID and log paths so you can stop/inspect later
-            running_honeypots[protocol] = {
-                'pid': process.pid,
-                'stdout_log': str(stdout_path),
-                'stderr_log': str(stderr_path),
-                'script': str(honeypot_script)
-            }
-
-            return jsonify({'success': True, 'message': f'{protocol} honeypot started', 'pid': process.pid})
+      return ipaddress.ip_address(value_str) in ipaddress.ip_network(needle, strict=False)
+    except ValueError:
+      return False
+  if '*' in needle or '?' in needle:
+    return bool(_glob_to_regex(needle).fullmatch(value_str))
+  return needle.lower() in value_str.lower()
 
-        else:
-            # --- Default behavior for other protocols (unchanged) ---
-            process = subprocess.Popen(
-                ['python3', str(honeypot_script)],
-                stdout=subprocess.PIPE,
-                stderr=subprocess.PIPE,
-                cwd=HONEYPOTS_DIR
-            )
-            # For compatibility with existing UI/logic keep the same "running" flag shape
-            running_honeypots[protocol] = True
-
-            return jsonify({'success': True, 'message': f'{protocol} honeypot started'})
 
-    except Exception as e:
-        return jsonify({'error': str(e)}), 500
+def evaluate_query(node, log):
+  """Evaluate a parsed query AST against one event."""
+  kind = node['type']
+  if kind == 'and':
+    return all(evaluate_query(child, log) for child in node['children'])
+  if kind == 'or':
+    return any(evaluate_query(child, log) for child in node['children'])
+  if kind == 'not':
+    return not evaluate_query(node['child'], log)
+  if kind == 'text':
+    text = json.dumps(log, default=str, separators=(',', ':'), ensure_ascii=False)
+    return node['value'].lower() in text.lower()
 
+  value = get_nested_value(log, node['field'])
+  if value is None:
+    return node['op'] == '!='
+  if isinstance(value, list):
+    if node['op'] == '!=':
+      return all(_match_term_value(v, node) for v in value)
+    return any(_match_term_value(v, node) for v in value)
+  return _match_term_value(value, node)
 
 
-@app.route('/api/honeypot/<protocol>/stop', methods=['POST'])
-def api_stop_honeypot(protocol):
-  """Stop a honeypot (status only; no PID kill logic here)."""
-  protocol = protocol.lower()
+# ---------- ATTACKER PROFILES ----------
 
-  if protocol not in running_honeypots:
-    return jsonify({'error': 'Honeypot not running'}), 400
+# Shell commands whose arguments are files being read
+FILE_READ_COMMANDS = {'cat', 'head', 'tail', 'less', 'more', 'strings', 'xxd'}
+PROFILE_ACTIVITY_DAYS = 90
 
-  try:
-    # In real deployment, track & kill the process by PID.
-    del running_honeypots[protocol]
-    return jsonify({'success': True, 'message': f'{protocol} honeypot stopped'})
-  except Exception as e:
-    return jsonify({'error': str(e)}), 500
+
+def get_event_type(log):
+  """Event type, falling back to the endpoint name httph.py logs instead."""
+  return log.get('type') or log.get('endpoint') or 'event'
+
+
+def get_event_command(log):
+  """The shell command an event carries, if any."""
+  data = log.get('data')
+  event_type = get_event_type(log)
+  if event_type == 'command' and isinstance(data, str):
+    return data
+  if isinstance(data, dict) and event_type in ('shell_command', 'admin_command'):
+    return data.get('command')
+  if event_type in ('shell_command', 'api_exec'):
+    return log.get('command')
+  return None
+
+
+def dedupe_events(logs):
+  """
+  Drop events logged twice.
+
+  Most honeypots write each event both to logs/<protocol>.logs and to
+  their session file, so the merged log carries two copies. The session
+  copy is kept since it links back to the session.
+  """
+  seen = {}
+  unique = []
+  for log in logs:
+    key = (
+      log.get('timestamp'), log.get('ip'), log.get('protocol'),
+      get_event_type(log), json.dumps(log.get('data'), sort_keys=True, default=str)
+    )
+    if key in seen:
+      index = seen[key]
+      if 'session' in log and 'session' not in unique[index]:
+        unique[index] = log
+      continue
+    seen[key] = len(unique)
+    unique.append(log)
+  return unique
+
+
+def extract_credentials(logs):
+  """
+  Yield (log, protocol, username, password) for every login attempt.
+
+  telnet.py logs the username and password as separate events, so they
+  are paired back up per connection. `logs` must be oldest first.
+  """
+  telnet_usernames = {}
+  for log in logs:
+    protocol = log.get('protocol')
+    event_type = get_event_type(log)
+    data = log.get('data')
+
+    if protocol == 'telnet' and event_type in ('username_attempt', 'password_attempt'):
+      connection = (log.get('ip'), log.get('port'))
+      if event_type == 'username_attempt':
+        telnet_usernames[connection] = data
+      else:
+        yield log, protocol, telnet_usernames.pop(connection, None), data
+    elif event_type == 'auth':
+      secret = log.get('password')
+      if secret is None and log.get('key_fingerprint'):
+        secret = f"pubkey:{log['key_fingerprint']}"
+      yield log, protocol, log.get('username'), secret
+    elif event_type == 'connect' and isinstance(data, dict):
+      if data.get('username') or data.get('password'):
+        yield log, protocol, data.get('username'), data.get('password')
+    elif protocol == 'http' and 'password' in log:
+      yield log, protocol, log.get('username'), log.get('password')
+
+
+def get_event_files(log):
+  """Paths an event tried to read or upload."""
+  event_type = get_event_type(log)
+  if event_type == 'file_read' and log.get('path'):
+    return [log['path']]
+  if event_type == 'file_upload' and log.get('filename'):
+    return [log['filename']]
+  if event_type in ('env_file_access', 'config_access') and log.get('path'):
+    return [log['path']]
+
+  command = get_event_command(log)
+  if command:
+    parts = command.split()
+    if parts and parts[0] in FILE_READ_COMMANDS:
+      return [arg for arg in parts[1:] if not arg.startswith('-')]
+  return []
+
+
+def build_attacker_profile(ip, logs):
+  """Aggregate everything seen from one source IP. `logs` is newest first."""
+  events = dedupe_events([log for log in logs if log.get('ip') == ip])
+  events.reverse()
+
+  protocols = {}
+  credentials = {}
+  commands = {}
+  files = {}
+  downloads = []
+  ics_writes = []
+  sessions = {}
+  per_day = {}
+
+  for log in events:
+    protocol = log.get('protocol', 'unknown')
+    protocols[protocol] = protocols.get(protocol, 0) + 1
+    timestamp = log.get('timestamp', '')
+    day = timestamp[:10]
+    if day:
+      per_day[day] = per_day.get(day, 0) + 1
+
+    session = log.get('session')
+    if isinstance(session, dict) and session.get('start'):
+      key = (session.get('start'), session.get('end'))
+      sessions.setdefault(key, {
+        'protocol': protocol,
+        'start': session.get('start'),
+        'end': session.get('end'),
+        'events': 0
+      })
+      sessions[key]['events'] += 1
+
+    command = get_event_command(log)
+    if command:
+      entry = commands.setdefault((protocol, command), {
+        'protocol': protocol,
+        'command': command,
+        'count': 0,
+        'firstSeen': timestamp
+      })
+      entry['count'] += 1
+
+    for path in get_event_files(log):
+      entry = files.setdefault((protocol, path), {'protocol': protocol, 'path': path, 'count': 0})
+      entry['count'] += 1
+
+    event_type = get_event_type(log)
+    data = log.get('data')
+    if event_type == 'download_attempt' and isinstance(data, dict):
+      downloads.append({
+        'timestamp': timestamp,
+        'protocol': protocol,
+        'tool': data.get('tool'),
+        'url': data.get('url')
+      })
+    ics = classify_ics_event(log)
+    if ics and ics['kind'] in ICS_STATE_CHANGING_KINDS:
+      ics_writes.append({
+        'timestamp': timestamp,
+        'protocol': protocol,
+        'type': event_type,
+        'severity': ics['severity'],
+        'data': data
+      })
+
+  for log, protocol, username, password in extract_credentials(events):
+    entry = credentials.setdefault((protocol, username, password), {
+      'protocol': protocol,
+      'username': username,
+      'password': password,
+      'count': 0
+    })
+    entry['count'] += 1
+
+  # One bucket per day, zero-filled, for the sparkline
+  activity = []
+  if per_day:
+    try:
+      first_day = datetime.fromisoformat(min(per_day)).date()
+      last_day = datetime.fromisoformat(max(per_day)).date()
+      span = min((last_day - first_day).days, PROFILE_ACTIVITY_DAYS - 1)
+      for offset in range(span, -1, -1):
+        day = (last_day - timedelta(days=offset)).isoformat()
+        activity.append({'date': day, 'count': per_day.get(day, 0)})
+    except ValueError:
+      activity = [{'date': day, 'count': count} for day, count in sorted(per_day.items())]
+
+  return {
+    'ip': ip,
+    'location': get_ip_location(ip) if events else None,
+    'firstSeen': events[0].get('timestamp') if events else None,
+    'lastSeen': events[-1].get('timestamp') if events else None,
+    'totalEvents': len(events),
+    'protocols': protocols,
+    'credentials': sorted(credentials.values(), key=lambda c: -c['count']),
+    'commands': list(commands.values()),
+    'files': sorted(files.values(), key=lambda f: -f['count']),
+    'downloads': downloads,
+    'icsWrites': ics_writes,
+    'sessions': sorted(sessions.values(), key=lambda s: s['start'], reverse=True),
+    'activity': activity
+  }
+
+
+# ---------- CREDENTIAL ANALYTICS ----------
+
+CREDENTIAL_TOP_DEFAULT = 20
+WORDLIST_KINDS = ('usernames', 'passwords', 'pairs')
+
+
+def load_protocol_config(protocol, tenant=DEFAULT_TENANT):
+  """A tenant's saved config for a protocol, or its defaults if none is saved."""
+  config_file = get_tenant_config_path(tenant, protocol)
+  if config_file.exists():
+    return load_json_file(config_file, get_tenant_default_config(tenant, protocol))
+  return get_tenant_default_config(tenant, protocol)
+
+
+def get_valid_credentials(tenant=DEFAULT_TENANT):
+  """{protocol: {username: password}} from each honeypot's valid_credentials."""
+  valid = {}
+  for protocol in PROTOCOLS:
+    creds = load_protocol_config(protocol, tenant).get('valid_credentials')
+    if isinstance(creds, dict) and creds:
+      valid[protocol] = creds
+  return valid
+
+
+def count_credentials(logs):
+  """
+  Tally login attempts in a newest-first list of events.
+
+  Returns (usernames, passwords, pairs, per_day) where the first three map
+  a value to {'count', 'protocols'} and per_day maps 'YYYY-MM-DD' to
+  {protocol: count}.
+  """
+  events = dedupe_events(logs)
+  events.reverse()
+
+  usernames, passwords, pairs, per_day = {}, {}, {}, {}
+
+  def tally(table, key, protocol):
+    entry = table.setdefault(key, {'count': 0, 'protocols': set()})
+    entry['count'] += 1
+    entry['protocols'].add(protocol)
+
+  for log, protocol, username, password in extract_credentials(events):
+    if username is None and password is None:
+      continue
+    protocol = protocol or 'unknown'
+    if username is not None:
+      tally(usernames, str(username), protocol)
+    if password is not None:
+      tally(passwords, str(password), protocol)
+    tally(pairs, (username, password), protocol)
+
+    day = log.get('timestamp', '')[:10]
+    if day:
+      bucket = per_day.setdefault(day, {})
+      bucket[protocol] = bucket.get(protocol, 0) + 1
+
+  return usernames, passwords, pairs, per_day
+
+
+def rank_counts(table):
+  """Table entries sorted by descending count, then key."""
+  return sorted(table.items(), key=lambda item: (-item[1]['count'], str(item[0])))
+
+
+def build_credential_stats(logs, top=CREDENTIAL_TOP_DEFAULT, tenant=DEFAULT_TENANT):
+  """Top usernames/passwords/pairs and attempts per day for the panel."""
+  usernames, passwords, pairs, per_day = count_credentials(logs)
+  valid = get_valid_credentials(tenant)
+
+  def valid_for(username, password):
+    return sorted(
+      protocol for protocol, creds in valid.items()
+      if username in creds and creds[username] == password
+    )
+
+  return {
+    'totalAttempts': sum(entry['count'] for entry in pairs.values()),
+    'uniqueUsernames': len(usernames),
+    'uniquePasswords': len(passwords),
+    'uniquePairs': len(pairs),
+    'usernames': [
+      {'value': value, 'count': entry['count'], 'protocols': sorted(entry['protocols'])}
+      for value, entry in rank_counts(usernames)[:top]
+    ],
+    'passwords': [
+      {'value': value, 'count': entry['count'], 'protocols': sorted(entry['protocols'])}
+      for value, entry in rank_counts(passwords)[:top]
+    ],
+    'pairs': [
+      {
+        'username': username,
+        'password': password,
+        'count': entry['count'],
+        'protocols': sorted(entry['protocols']),
+        'validFor': valid_for(username, password)
+      }
+      for (username, password), entry in rank_counts(pairs)[:top]
+    ],
+    'timeline': [
+      {'date': day, 'count': sum(counts.values()), 'protocols': counts}
+      for day, counts in sorted(per_day.items())
+    ]
+  }
+
+
+def build_wordlist(logs, kind):
+  """Newline-separated wordlist, most tried first. Pairs are user:pass."""
+  usernames, passwords, pairs, _ = count_credentials(logs)
+  if kind == 'usernames':
+    words = [value for value, _ in rank_counts(usernames)]
+  elif kind == 'passwords':
+    words = [value for value, _ in rank_counts(passwords)]
+  else:
+    words = [
+      f"{username or ''}:{password or ''}"
+      for (username, password), _ in rank_counts(pairs)
+    ]
+  return '\n'.join(words) + ('\n' if words else '')
+
+
+# ---------- ICS ANALYSIS ----------
+#
+# Modbus and DNP3 events are classified by function so the ICS view can
+# separate reconnaissance (reads, device id) from manipulation (writes,
+# operate, restarts).
+
+SEVERITY_ORDER = ['info', 'low', 'medium', 'high', 'critical']
+
+# event type -> (function code, label, kind, address table)
+ICS_FUNCTIONS = {
+  'modbus': {
+    'read_coils': (1, 'Read Coils', 'read', 'coils'),
+    'read_discrete_inputs': (2, 'Read Discrete Inputs', 'read', 'discrete_inputs'),
+    'read_holding_registers': (3, 'Read Holding Registers', 'read', 'holding_registers'),
+    'read_input_registers': (4, 'Read Input Registers', 'read', 'input_registers'),
+    'write_single_coil': (5, 'Write Single Coil', 'write', 'coils'),
+    'write_single_register': (6, 'Write Single Register', 'write', 'holding_registers'),
+    'diagnostic': (8, 'Diagnostics', 'diagnostic', None),
+    'write_multiple_coils': (15, 'Write Multiple Coils', 'write', 'coils'),
+    'write_multiple_registers': (16, 'Write Multiple Registers', 'write', 'holding_registers'),
+    'read_device_id': (43, 'Read Device Identification', 'read', None)
+  },
+  'dnp3': {
+    'read': (1, 'Read', 'read', None),
+    'write': (2, 'Write', 'write', 'analog_outputs'),
+    'operate': (4, 'Operate', 'operate', 'binary_outputs'),
+    'direct_operate': (5, 'Direct Operate', 'operate', 'binary_outputs'),
+    'cold_restart': (13, 'Cold Restart', 'restart', None),
+    'warm_restart': (14, 'Warm Restart', 'restart', None),
+    'enable_unsolicited': (20, 'Enable Unsolicited', 'control', None),
+    'disable_unsolicited': (21, 'Disable Unsolicited', 'control', None)
+  }
+}
+
+# Kinds that change the state of the emulated device
+ICS_STATE_CHANGING_KINDS = {'write', 'operate', 'restart'}
+
+ICS_KIND_SEVERITY = {
+  'read': 'info',
+  'diagnostic': 'low',
+  'control': 'low',
+  'write': 'medium',
+  'operate': 'high',
+  'restart': 'critical'
+}
+
+# Modbus diagnostic sub-functions that take the device off the bus
+MODBUS_DISRUPTIVE_DIAGNOSTICS = {1, 4}
+DNP3_POINT_TABLES = {
+  1: 'binary_inputs',
+  10: 'binary_outputs',
+  20: 'counters',
+  30: 'analog_inputs',
+  40: 'analog_outputs'
+}
+ICS_ADDRESS_BUCKET = 16
+
+
+def classify_ics_event(log):
+  """
+  Return {'code', 'label', 'kind', 'table', 'severity'} for a Modbus/DNP3
+  event, or None for events that are not protocol operations.
+  """
+  protocol = log.get('protocol')
+  event_type = get_event_type(log)
+  data = log.get('data') if isinstance(log.get('data'), dict) else {}
+
+  if event_type == 'unsupported_function' and protocol in ICS_FUNCTIONS:
+    code = data.get('function_code')
+    return {
+      'code': code,
+      'label': f'Unsupported (0x{code:02X})' if isinstance(code, int) else 'Unsupported',
+      'kind': 'unsupported',
+      'table': None,
+      'severity': 'low'
+    }
+
+  function = ICS_FUNCTIONS.get(protocol, {}).get(event_type)
+  if not function:
+    return None
+  code, label, kind, table = function
+  severity = ICS_KIND_SEVERITY[kind]
+  if kind == 'diagnostic' and data.get('sub_function') in MODBUS_DISRUPTIVE_DIAGNOSTICS:
+    severity = 'high'
+  if kind == 'control' and event_type == 'disable_unsolicited':
+    # Silences the outstation's reports to the real master
+    severity = 'medium'
+  return {'code': code, 'label': label, 'kind': kind, 'table': table, 'severity': severity}
+
+
+def get_ics_address_ranges(log, classification):
+  """Yield (table, first, last) point ranges an ICS event touched."""
+  data = log.get('data') if isinstance(log.get('data'), dict) else {}
+  table = classification['table']
+
+  if log.get('protocol') == 'modbus' and table:
+    address = data.get('address')
+    if isinstance(address, int):
+      count = data.get('count') if isinstance(data.get('count'), int) else 1
+      yield table, address, address + max(count, 1) - 1
+  elif log.get('protocol') == 'dnp3':
+    if classification['kind'] == 'read':
+      for obj in data.get('objects') or []:
+        point_table = DNP3_POINT_TABLES.get(obj.get('group')) if isinstance(obj, dict) else None
+        if point_table:
+          yield point_table, obj.get('start', 0), obj.get('stop', 0)
+    else:
+      for point in (data.get('writes') or data.get('operations') or []):
+        if isinstance(point, dict) and isinstance(point.get('index'), int):
+          yield table, point['index'], point['index']
+
+
+def build_ics_analysis(logs):
+  """Function-code histogram, address heatmap and state-changing operations."""
+  events = dedupe_events([log for log in logs if log.get('protocol') in ICS_FUNCTIONS])
+
+  functions = {}
+  heatmap = {}
+  operations = []
+  severity_counts = {severity: 0 for severity in SEVERITY_ORDER}
+
+  for log in events:
+    classification = classify_ics_event(log)
+    if not classification:
+      continue
+    protocol = log['protocol']
+    severity_counts[classification['severity']] += 1
+
+    key = (protocol, classification['code'], classification['label'])
+    entry = functions.setdefault(key, {
+      'protocol': protocol,
+      'code': classification['code'],
+      'label': classification['label'],
+      'kind': classification['kind'],
+      'severity': classification['severity'],
+      'count': 0
+    })
+    entry['count'] += 1
+
+    access = 'reads' if classification['kind'] == 'read' else 'writes'
+    for table, first, last in get_ics_address_ranges(log, classification):
+      if last < first:
+        continue
+      for bucket in range(first // ICS_ADDRESS_BUCKET, last // ICS_ADDRESS_BUCKET + 1):
+        cell = heatmap.setdefault((protocol, table, bucket), {
+          'protocol': protocol,
+          'table': table,
+          'start': bucket * ICS_ADDRESS_BUCKET,
+          'reads': 0,
+          'writes': 0
+        })
+        cell[access] += 1
+
+    if classification['kind'] in ICS_STATE_CHANGING_KINDS or classification['severity'] == 'high':
+      operations.append({
+        'timestamp': log.get('timestamp'),
+        'ip': log.get('ip'),
+        'protocol': protocol,
+        'type': get_event_type(log),
+        'label': classification['label'],
+        'severity': classification['severity'],
+        'data': log.get('data')
+      })
+
+  return {
+    'totalEvents': sum(entry['count'] for entry in functions.values()),
+    'severityCounts': severity_counts,
+    'functions': sorted(
+      functions.values(),
+      key=lambda f: (f['protocol'], f['code'] if isinstance(f['code'], int) else 999)
+    ),
+    'bucketSize': ICS_ADDRESS_BUCKET,
+    'heatmap': sorted(heatmap.values(), key=lambda c: (c['protocol'], c['table'], c['start'])),
+    'operations': operations
+  }
+
+
+# ---------- ATT&CK MAPPING ----------
+#
+# Events are mapped to MITRE ATT&CK (Enterprise) and ATT&CK for ICS
+# techniques by rules on their event type, protocol and shell command.
+# Every condition a rule sets must hold; a rule needs a type or a command
+# pattern. Tenants start from BUILTIN_ATTACK_RULES and operators can
+# replace the list (data/attack_rules.json, keyed by tenant). Command
+# patterns are regexes run over every event and a backtracking one
+# stalls the dashboard, so tenant admins can't edit rules.
+
+ATTACK_RULES_FILE = DATA_DIR / 'attack_rules.json'
+# Tactics per matrix, in kill-chain order
+ATTACK_TACTICS = {
+  'enterprise': [
+    'reconnaissance', 'resource-development', 'initial-access', 'execution',
+    'persistence', 'privilege-escalation', 'defense-evasion',
+    'credential-access', 'discovery', 'lateral-movement', 'collection',
+    'command-and-control', 'exfiltration', 'impact'
+  ],
+  'ics': [
+    'initial-access', 'execution', 'persistence', 'privilege-escalation',
+    'evasion', 'discovery', 'lateral-movement', 'collection',
+    'command-and-control', 'inhibit-response-function',
+    'impair-process-control', 'impact'
+  ]
+}
+ATTACK_TECHNIQUE_RE = re.compile(r'^T\d{4}(\.\d{3})?$')
+ATTACK_SHELL_TYPES = ['command', 'shell_command', 'admin_command', 'api_exec']
+
+BUILTIN_ATTACK_RULES = [
+  # Enterprise
+  {'id': 'web-scanning', 'technique': 'T1595.003', 'name': 'Wordlist Scanning', 'tactic': 'reconnaissance',
+   'matrix': 'enterprise', 'types': ['unknown_path', 'phpmyadmin_access', 'wordpress_access', 'login_page']},
+  {'id': 'password-guessing', 'technique': 'T1110.001', 'name': 'Password Guessing', 'tactic': 'credential-access',
+   'matrix': 'enterprise',
+   'types': ['auth', 'auth_attempt', 'auth_failed', 'password_attempt', 'login_attempt', 'phpmyadmin_login']},
+  {'id': 'valid-accounts', 'technique': 'T1078', 'name': 'Valid Accounts', 'tactic': 'initial-access',
+   'matrix': 'enterprise', 'types': ['auth_success', 'admin_access', 'shell_access', 'file_manager']},
+  {'id': 'unix-shell', 'technique': 'T1059.004', 'name': 'Unix Shell', 'tactic': 'execution',
+   'matrix': 'enterprise', 'types': ATTACK_SHELL_TYPES},
+  {'id': 'sudo', 'technique': 'T1548.003', 'name': 'Sudo and Sudo Caching', 'tactic': 'privilege-escalation',
+   'matrix': 'enterprise', 'types': ['sudo_attempt']},
+  {'id': 'su', 'technique': 'T1548', 'name': 'Abuse Elevation Control Mechanism', 'tactic': 'privilege-escalation',
+   'matrix': 'enterprise', 'types': ['su_attempt']},
+  {'id': 'ingress-tool-transfer', 'technique': 'T1105', 'name': 'Ingress Tool Transfer',
+   'tactic': 'command-and-control', 'matrix': 'enterprise', 'types': ['download_attempt', 'file_upload']},
+  {'id': 'ingress-tool-transfer-command', 'technique': 'T1105', 'name': 'Ingress Tool Transfer',
+   'tactic': 'command-and-control', 'matrix': 'enterprise', 'types': ATTACK_SHELL_TYPES,
+   'command': r'\b(wget|curl|tftp|ftpget)\b'},
+  {'id': 'netcat', 'technique': 'T1095', 'name': 'Non-Application Layer Protocol',
+   'tactic': 'command-and-control', 'matrix': 'enterprise', 'types': ['netcat_attempt']},
+  {'id': 'system-info', 'technique': 'T1082', 'name': 'System Information Discovery', 'tactic': 'discovery',
+   'matrix': 'enterprise', 'types': ATTACK_SHELL_TYPES,
+   'command': r'\b(uname|lscpu|hostname|nproc|free)\b|/proc/(cpuinfo|meminfo|version)'},
+  {'id': 'file-discovery', 'technique': 'T1083', 'name': 'File and Directory Discovery', 'tactic': 'discovery',
+   'matrix': 'enterprise', 'types': ATTACK_SHELL_TYPES, 'command': r'(^|[;&|]\s*)(ls|find|pwd)\b'},
+  {'id': 'owner-discovery', 'technique': 'T1033', 'name': 'System Owner/User Discovery', 'tactic': 'discovery',
+   'matrix': 'enterprise', 'types': ATTACK_SHELL_TYPES, 'command': r'(^|[;&|]\s*)(whoami|id|who|w)(\s|$|;)'},
+  {'id': 'network-discovery', 'technique': 'T1016', 'name': 'System Network Configuration Discovery',
+   'tactic': 'discovery', 'matrix': 'enterprise', 'types': ATTACK_SHELL_TYPES,
+   'command': r'\b(ifconfig|ip (a|addr|route)|route|netstat|arp)\b'},
+  {'id': 'process-discovery', 'technique': 'T1057', 'name': 'Process Discovery', 'tactic': 'discovery',
+   'matrix': 'enterprise', 'types': ATTACK_SHELL_TYPES, 'command': r'\b(ps|top)\b'},
+  {'id': 'credentials-in-files', 'technique': 'T1552.001', 'name': 'Credentials In Files',
+   'tactic': 'credential-access', 'matrix': 'enterprise', 'types': ['env_file_access', 'config_access']},
+  {'id': 'credential-files-command', 'technique': 'T1003.008', 'name': '/etc/passwd and /etc/shadow',
+   'tactic': 'credential-access', 'matrix': 'enterprise', 'types': ATTACK_SHELL_TYPES + ['file_read'],
+   'command': r'/etc/(passwd|shadow)'},
+  {'id': 'file-permissions', 'technique': 'T1222.002', 'name': 'Linux and Mac File and Directory Permissions Modification',
+   'tactic': 'defense-evasion', 'matrix': 'enterprise', 'types': ATTACK_SHELL_TYPES, 'command': r'\bchmod\b'},
+  {'id': 'file-deletion', 'technique': 'T1070.004', 'name': 'File Deletion', 'tactic': 'defense-evasion',
+   'matrix': 'enterprise', 'types': ATTACK_SHELL_TYPES, 'command': r'\brm\s+-'},
+  {'id': 'history-clearing', 'technique': 'T1070.003', 'name': 'Clear Command History', 'tactic': 'defense-evasion',
+   'matrix': 'enterprise', 'types': ATTACK_SHELL_TYPES, 'command': r'history\s+-c|\.bash_history|HISTFILE'},
+  {'id': 'cron', 'technique': 'T1053.003', 'name': 'Cron', 'tactic': 'persistence',
+   'matrix': 'enterprise', 'types': ATTACK_SHELL_TYPES, 'command': r'\bcrontab\b|/etc/cron'},
+  {'id': 'ssh-keys', 'technique': 'T1098.004', 'name': 'SSH Authorized Keys', 'tactic': 'persistence',
+   'matrix': 'enterprise', 'types': ATTACK_SHELL_TYPES, 'command': r'authorized_keys'},
+  {'id': 'resource-hijacking', 'technique': 'T1496', 'name': 'Resource Hijacking', 'tactic': 'impact',
+   'matrix': 'enterprise', 'types': ATTACK_SHELL_TYPES, 'command': r'xmrig|minerd|stratum\+tcp|cpuminer'},
+  {'id': 'reboot', 'technique': 'T1529', 'name': 'System Shutdown/Reboot', 'tactic': 'impact',
+   'matrix': 'enterprise', 'types': ['reboot']},
+  {'id': 'reboot-command', 'technique': 'T1529', 'name': 'System Shutdown/Reboot', 'tactic': 'impact',
+   'matrix': 'enterprise', 'types': ATTACK_SHELL_TYPES, 'command': r'\b(reboot|shutdown|halt|poweroff)\b'},
+  # ICS
+  {'id': 'ics-internet-accessible', 'technique': 'T0883', 'name': 'Internet Accessible Device',
+   'tactic': 'initial-access', 'matrix': 'ics', 'types': ['connection'], 'protocols': ['modbus', 'dnp3']},
+  {'id': 'ics-device-info', 'technique': 'T0888', 'name': 'Remote System Information Discovery',
+   'tactic': 'discovery', 'matrix': 'ics', 'types': ['read_device_id'], 'protocols': ['modbus']},
+  {'id': 'ics-monitor-state', 'technique': 'T0801', 'name': 'Monitor Process State', 'tactic': 'collection',
+   'matrix': 'ics', 'types': ['read', 'read_coils', 'read_discrete_inputs', 'read_holding_registers',
+                               'read_input_registers'], 'protocols': ['modbus', 'dnp3']},
+  {'id': 'ics-mqtt-monitor', 'technique': 'T0801', 'name': 'Monitor Process State', 'tactic': 'collection',
+   'matrix': 'ics', 'types': ['subscribe'], 'protocols': ['mqtt']},
+  {'id': 'ics-command-message', 'technique': 'T0855', 'name': 'Unauthorized Command Message',
+   'tactic': 'impair-process-control', 'matrix': 'ics',
+   'types': ['write_single_coil', 'write_multiple_coils', 'operate', 'direct_operate'],
+   'protocols': ['modbus', 'dnp3']},
+  {'id': 'ics-mqtt-command', 'technique': 'T0855', 'name': 'Unauthorized Command Message',
+   'tactic': 'impair-process-control', 'matrix': 'ics', 'types': ['publish'], 'protocols': ['mqtt']},
+  {'id': 'ics-modify-parameter', 'technique': 'T0836', 'name': 'Modify Parameter', 'tactic': 'impair-process-control',
+   'matrix': 'ics', 'types': ['write', 'write_single_register', 'write_multiple_registers'],
+   'protocols': ['modbus', 'dnp3']},
+  {'id': 'ics-device-restart', 'technique': 'T0816', 'name': 'Device Restart/Shutdown',
+   'tactic': 'inhibit-response-function', 'matrix': 'ics', 'types': ['cold_restart', 'warm_restart'],
+   'protocols': ['dnp3']},
+  {'id': 'ics-alarm-suppression', 'technique': 'T0878', 'name': 'Alarm Suppression',
+   'tactic': 'inhibit-response-function', 'matrix': 'ics', 'types': ['disable_unsolicited'], 'protocols': ['dnp3']},
+  {'id': 'ics-iot-restart', 'technique': 'T0816', 'name': 'Device Restart/Shutdown',
+   'tactic': 'inhibit-response-function', 'matrix': 'ics', 'types': ['reboot'], 'protocols': ['coap']}
+]
+
+
+def load_attack_rules(tenant):
+  rules = load_json_file(ATTACK_RULES_FILE, {}).get(tenant)
+  return BUILTIN_ATTACK_RULES if rules is None else rules
+
+
+def validate_attack_rule(rule):
+  """Return a cleaned copy of a mapping rule, or raise ValueError."""
+  if not isinstance(rule, dict):
+    raise ValueError('Each rule must be an object')
+  technique = str(rule.get('technique', '')).strip().upper()
+  if not ATTACK_TECHNIQUE_RE.match(technique):
+    raise ValueError(f'Invalid technique id: {technique or "(empty)"}')
+  matrix = rule.get('matrix', 'enterprise')
+  if matrix not in ATTACK_TACTICS:
+    raise ValueError(f"{technique}: matrix must be one of {', '.join(ATTACK_TACTICS)}")
+  tactic = rule.get('tactic')
+  if tactic not in ATTACK_TACTICS[matrix]:
+    raise ValueError(f'{technique}: unknown {matrix} tactic {tactic}')
+  name = str(rule.get('name', '')).strip()
+  if not name:
+    raise ValueError(f'{technique}: name is required')
+
+  cleaned = {
+    'id': str(rule.get('id') or uuid.uuid4().hex[:12]),
+    'technique': technique,
+    'name': name,
+    'tactic': tactic,
+    'matrix': matrix
+  }
+  for key in ('types', 'protocols'):
+    values = rule.get(key) or []
+    if not isinstance(values, list) or not all(isinstance(v, str) and v.strip() for v in values):
+      raise ValueError(f'{technique}: {key} must be a list of names')
+    if values:
+      cleaned[key] = [v.strip() for v in values]
+  unknown = [p for p in cleaned.get('protocols', []) if p not in PROTOCOLS]
+  if unknown:
+    raise ValueError(f"{technique}: unknown protocol {', '.join(unknown)}")
+  command = str(rule.get('command') or '')
+  if command:
+    try:
+      re.compile(command)
+    except re.error as e:
+      raise ValueError(f'{technique}: invalid command pattern: {e}')
+    cleaned['command'] = command
+  if 'types' not in cleaned and 'command' not in cleaned:
+    raise ValueError(f'{technique}: a rule needs event types or a command pattern')
+  return cleaned
+
+
+def compile_attack_rules(rules):
+  return [
+    (rule, re.compile(rule['command'], re.IGNORECASE) if rule.get('command') else None)
+    for rule in rules
+  ]
+
+
+def match_attack_rules(log, compiled):
+  """The rules an event matches, one per technique, in kill-chain order."""
+  event_type = get_event_type(log)
+  protocol = (log.get('protocol') or '').lower()
+  command = None
+  matched = {}
+  for rule, pattern in compiled:
+    if rule.get('protocols') and protocol not in rule['protocols']:
+      continue
+    if rule.get('types') and not any(fnmatch(event_type, t) for t in rule['types']):
+      continue
+    if pattern:
+      if command is None:
+        command = get_event_command(log) or ''
+      if not pattern.search(command):
+        continue
+    matched.setdefault((rule['matrix'], rule['technique']), rule)
+  return sorted(
+    matched.values(),
+    key=lambda r: (r['matrix'] != 'enterprise', ATTACK_TACTICS[r['matrix']].index(r['tactic']))
+  )
+
+
+def build_attack_matrix(logs, rules):
+  """
+  Technique coverage for a list of events: every technique the rules can
+  detect, with how often (and by how many IPs) it was seen.
+  """
+  techniques = {}
+  for rule in rules:
+    techniques.setdefault((rule['matrix'], rule['technique']), {
+      'technique': rule['technique'],
+      'name': rule['name'],
+      'tactic': rule['tactic'],
+      'matrix': rule['matrix'],
+      'count': 0,
+      'ips': set(),
+      'firstSeen': None,
+      'lastSeen': None
+    })
+
+  compiled = compile_attack_rules(rules)
+  events = dedupe_events(logs)
+  mapped = 0
+  for log in events:
+    matches = match_attack_rules(log, compiled)
+    if matches:
+      mapped += 1
+    timestamp = log.get('timestamp')
+    for rule in matches:
+      entry = techniques[(rule['matrix'], rule['technique'])]
+      entry['count'] += 1
+      if log.get('ip'):
+        entry['ips'].add(log['ip'])
+      if timestamp:
+        entry['firstSeen'] = min(entry['firstSeen'] or timestamp, timestamp)
+        entry['lastSeen'] = max(entry['lastSeen'] or timestamp, timestamp)
+
+  return {
+    'tactics': ATTACK_TACTICS,
+    'techniques': [
+      {**entry, 'ips': len(entry['ips'])}
+      for entry in sorted(techniques.values(), key=lambda e: e['technique'])
+    ],
+    'events': len(events),
+    'mappedEvents': mapped
+  }
+
+
+def build_attack_flow(logs, rules):
+  """
+  The tactics a session or attacker went through, in the order each was
+  first seen, with the techniques behind them.
+  """
+  compiled = compile_attack_rules(rules)
+  phases = {}
+  for log in dedupe_events(logs)[::-1]:
+    timestamp = log.get('timestamp')
+    for rule in match_attack_rules(log, compiled):
+      phase = phases.setdefault((rule['matrix'], rule['tactic']), {
+        'matrix': rule['matrix'],
+        'tactic': rule['tactic'],
+        'firstSeen': timestamp,
+        'lastSeen': timestamp,
+        'count': 0,
+        'techniques': {}
+      })
+      phase['lastSeen'] = timestamp or phase['lastSeen']
+      phase['count'] += 1
+      technique = phase['techniques'].setdefault(rule['technique'], {
+        'technique': rule['technique'], 'name': rule['name'], 'count': 0
+      })
+      technique['count'] += 1
+
+  return [
+    {**phase, 'techniques': sorted(phase['techniques'].values(), key=lambda t: -t['count'])}
+    for phase in phases.values()
+  ]
+
+
+# ---------- COMMAND INTELLIGENCE ----------
+#
+# Shell commands from the SSH and Telnet honeypots are normalised (IPs,
+# random-looking names, temp paths, CPU architectures, escaped bytes and
+# blobs become placeholders), near-duplicates are clustered into families, and each
+# family is tagged with the intents its commands show. A family is "new"
+# when its first command falls within the last `new` hours.
+
+COMMAND_PROTOCOLS = {'ssh', 'telnet'}
+COMMAND_NORMALIZERS = [
+  (re.compile(r'(?<![\w.])(?:\d{1,3}\.){3}\d{1,3}(?::\d+)?(?![\w.])'), '<ip>'),
+  (re.compile(r'(?:\\x[0-9a-fA-F]{2})+'), '<bytes>'),
+  (re.compile(r'[A-Za-z0-9+/]{24,}={0,2}'), '<b64>'),
+  (re.compile(r'(/tmp|/var/tmp|/dev/shm|/var/run|/run|/data/local/tmp)/[^\s;|&\'"<>]+'), r'\1/<file>'),
+  # Mixed letters and digits, 8+ long: hashes, random file and dir names
+  (re.compile(r'\b(?=[A-Za-z]*\d)(?=\d*[A-Za-z])[A-Za-z0-9]{8,}\b'), '<rand>'),
+  (re.compile(r'\b\d{3,}\b'), '<n>'),
+  # Droppers fetch the same bot once per CPU architecture
+  (re.compile(r'\b(x86(_64)?|i[3-6]86|mips(el)?|mpsl|arm(v?\d+l?)?|aarch64|ppc|powerpc|m68k|sh4|spc|sparc)\b'), '<arch>'),
+  (re.compile(r'\s+'), ' ')
+]
+COMMAND_TOKEN_RE = re.compile(r'[\s;|&]+')
+COMMAND_FAMILY_SIMILARITY = 0.6  # token Jaccard index to join a family
+COMMAND_FAMILY_VARIANTS = 10
+COMMAND_FAMILY_IPS = 10
+COMMAND_NEW_HOURS_DEFAULT = 24
+COMMAND_NEW_HOURS_MAX = 24 * 365
+COMMAND_INTENTS = {
+  'recon': re.compile(
+    r'\b(uname|whoami|id|lscpu|nproc|free|ifconfig|netstat|ps|w|hostname)\b'
+    r'|/proc/(cpuinfo|meminfo|mounts|version)|cat /etc/(passwd|issue|os-release)'
+    r'|\becho -e [\'"]?\\x'
+  ),
+  'persistence': re.compile(
+    r'\bcrontab\b|/etc/cron|/etc/rc\.local|/etc/init\.d|systemctl enable|authorized_keys'
+    r'|\.bashrc|\.profile|\buseradd\b|\bchpasswd\b|\bpasswd\b'
+  ),
+  'download-and-execute': re.compile(
+    r'\b(wget|curl|tftp|ftpget)\b.*(\|\s*(ba)?sh\b|;\s*(sh|bash|chmod|\./)|&&\s*(sh|bash|chmod|\./))'
+    r'|\b(wget|curl)\b[^|;]*\|\s*(ba)?sh\b'
+  ),
+  'miner': re.compile(r'xmrig|minerd|cpuminer|stratum\+tcp|cryptonight|nicehash|--donate-level|monero|c3pool'),
+  'wiper': re.compile(
+    r'\brm\s+-[a-z]*r[a-z]*\s+(/|/\*|~|\*|/(var|home|etc|usr|bin|boot|root)\b)(\s|$|;)'
+    r'|\bdd\s+if=/dev/(zero|urandom)\s+of=/dev/|\bmkfs\b|\bshred\b|>\s*/dev/(sd|mmcblk|mtd)'
+  )
+}
+
+
+def normalize_command(command):
+  normalized = command.strip()
+  for pattern, replacement in COMMAND_NORMALIZERS:
+    normalized = pattern.sub(replacement, normalized)
+  return normalized.strip()
+
+
+def get_command_intents(command):
+  lowered = command.lower()
+  return [intent for intent, pattern in COMMAND_INTENTS.items() if pattern.search(lowered)]
+
+
+def command_tokens(normalized):
+  return frozenset(token for token in COMMAND_TOKEN_RE.split(normalized) if token)
+
+
+def build_command_families(logs, new_since):
+  """
+  Command families from newest-first events, most frequent first.
+  `new_since` is the ISO timestamp after which a first sighting is new.
+  """
+  variants = {}
+  for log in dedupe_events(logs):
+    if (log.get('protocol') or '').lower() not in COMMAND_PROTOCOLS:
+      continue
+    command = get_event_command(log)
+    if not command or not command.strip():
+      continue
+    timestamp = log.get('timestamp') or ''
+    normalized = normalize_command(command)
+    variant = variants.setdefault(normalized, {
+      'normalized': normalized,
+      'example': command,
+      'count': 0,
+      'ips': {},
+      'sessions': set(),
+      'protocols': set(),
+      'firstSeen': timestamp,
+      'lastSeen': timestamp
+    })
+    variant['count'] += 1
+    variant['firstSeen'] = min(variant['firstSeen'], timestamp)
+    variant['lastSeen'] = max(variant['lastSeen'], timestamp)
+    variant['protocols'].add(log.get('protocol'))
+    if log.get('ip'):
+      variant['ips'][log['ip']] = variant['ips'].get(log['ip'], 0) + 1
+    session = log.get('session')
+    if isinstance(session, dict):
+      variant['sessions'].add((session.get('ip'), session.get('start')))
+
+  # Greedy clustering, most frequent variant first so it represents its
+  # family; only variants starting with the same word are compared
+  families = []
+  by_first_word = {}
+  for variant in sorted(variants.values(), key=lambda v: -v['count']):
+    tokens = command_tokens(variant['normalized'])
+    first_word = variant['normalized'].split(' ', 1)[0]
+    family = None
+    for candidate in by_first_word.get(first_word, []):
+      union = len(tokens | candidate['tokens'])
+      if union and len(tokens & candidate['tokens']) / union >= COMMAND_FAMILY_SIMILARITY:
+        family = candidate
+        break
+    if family is None:
+      family = {'tokens': tokens, 'variants': []}
+      families.append(family)
+      by_first_word.setdefault(first_word, []).append(family)
+    family['variants'].append(variant)
+
+  result = []
+  for family in families:
+    members = family['variants']
+    representative = members[0]['normalized']
+    ips = {}
+    for variant in members:
+      for ip, count in variant['ips'].items():
+        ips[ip] = ips.get(ip, 0) + count
+    first_seen = min(v['firstSeen'] for v in members)
+    latest = max(members, key=lambda v: v['lastSeen'])
+    result.append({
+      'id': hashlib.sha1(representative.encode('utf-8')).hexdigest()[:12],
+      'representative': representative,
+      'example': latest['example'],
+      'count': sum(v['count'] for v in members),
+      'ipCount': len(ips),
+      'topIps': sorted(ips, key=lambda ip: -ips[ip])[:COMMAND_FAMILY_IPS],
+      'sessions': len(set().union(*(v['sessions'] for v in members))),
+      'protocols': sorted(set().union(*(v['protocols'] for v in members))),
+      'intents': sorted(set().union(*(get_command_intents(v['example']) for v in members))),
+      'firstSeen': first_seen,
+      'lastSeen': latest['lastSeen'],
+      'new': first_seen >= new_since,
+      'variantCount': len(members),
+      'variants': [
+        {'normalized': v['normalized'], 'example': v['example'], 'count': v['count']}
+        for v in members[:COMMAND_FAMILY_VARIANTS]
+      ]
+    })
+  result.sort(key=lambda f: -f['count'])
+  return result
+
+
+# ---------- TOOLKIT FINGERPRINTS ----------
+#
+# Labels events and attackers with the scanner, bot or client that sent
+# them. Each library entry has one or more signatures, all of whose
+# conditions must hold:
+#
+# - userAgent, clientVersion (SSH banner), path: regexes on the event
+# - headerOrder: regex on the event's HTTP header names, lowercased and
+#   comma-joined in the order the client sent them
+# - org (regex) / asn (list): the source network, from GeoIP
+# - commands: regexes the attacker's shell commands match, in order
+# - timing: {window, minProtocols} - that many protocols hit within
+#   `window` seconds (a port sweep); {maxGap, minCommands} - at least
+#   that many commands, typically under `maxGap` seconds apart (scripted)
+# - protocols: only count events of these protocols
+#
+# Signatures with only event conditions are checked per event, the others
+# against everything an IP has sent: each IP keeps what its events told
+# those signatures so far, and new events only update that. An IP is
+# labelled with the first library entry it matches either way, and all
+# of its events carry that label (`toolkit`), so a Mirai bot's SSH logins
+# are labelled Mirai rather than by the SSH library it uses. Labels live
+# on the cached events and can be filtered on like any other field.
+
+TOOLKIT_KINDS = {
+  'research': 'Internet-wide research scanners',
+  'scanner': 'Scanning and audit tools',
+  'botnet': 'Self-propagating malware',
+  'tool': 'Generic clients and libraries'
+}
+TOOLKIT_EVENT_CONDITIONS = ('userAgent', 'clientVersion', 'path', 'headerOrder', 'org', 'asn')
+# First match wins: research crawlers before bots, bots before the
+# scanners and libraries they are built on
+TOOLKIT_LIBRARY = [
+  {'id': 'shodan', 'name': 'Shodan', 'kind': 'research', 'signatures': [
+    {'org': r'shodan'}, {'userAgent': r'shodan'}
+  ]},
+  {'id': 'censys', 'name': 'Censys', 'kind': 'research', 'signatures': [
+    {'userAgent': r'censysinspect|censys\.io'}, {'org': r'censys'}, {'asn': [398324, 398705, 398722]}
+  ]},
+  {'id': 'shadowserver', 'name': 'Shadowserver', 'kind': 'research', 'signatures': [
+    {'org': r'shadowserver'}, {'userAgent': r'shadowserver'}
+  ]},
+  {'id': 'expanse', 'name': 'Palo Alto Expanse', 'kind': 'research', 'signatures': [
+    {'userAgent': r'expanse, a palo alto networks company'}, {'org': r'palo alto networks'}
+  ]},
+  {'id': 'internet-measurement', 'name': 'internet-measurement.com', 'kind': 'research', 'signatures': [
+    {'userAgent': r'internet-measurement\.com'}, {'org': r'driftnet'}
+  ]},
+  {'id': 'onyphe', 'name': 'ONYPHE', 'kind': 'research', 'signatures': [
+    {'userAgent': r'onyphe'}, {'org': r'onyphe'}
+  ]},
+  {'id': 'leakix', 'name': 'LeakIX', 'kind': 'research', 'signatures': [
+    {'userAgent': r'l9explore|l9tcpid|leakix'}
+  ]},
+  {'id': 'stretchoid', 'name': 'Stretchoid', 'kind': 'research', 'signatures': [
+    {'userAgent': r'stretchoid'}
+  ]},
+  {'id': 'mirai', 'name': 'Mirai', 'kind': 'botnet', 'signatures': [
+    # The loader checks for a shell with "/bin/busybox <MAGIC WORD>"
+    {'commands': [r'/bin/busybox [A-Z0-9]{4,}\b'], 'protocols': ['telnet', 'ssh']},
+    {'commands': [r'^(enable|system|shell|linuxshell)$', r'^sh$'], 'protocols': ['telnet', 'ssh']},
+    {'userAgent': r'^hello,? ?world$'}
+  ]},
+  {'id': 'mozi', 'name': 'Mozi', 'kind': 'botnet', 'signatures': [
+    {'commands': [r'\bMozi\.[am]\b']}, {'path': r'Mozi\.[am]\b'}
+  ]},
+  {'id': 'gafgyt', 'name': 'Gafgyt (Bashlite)', 'kind': 'botnet', 'signatures': [
+    {'commands': [r'\b(wget|curl|tftp|ftpget)\b.*\bbins\.sh\b']},
+    {'commands': [r'cd /tmp \|\| cd /var/run', r'\b(wget|curl|tftp)\b']}
+  ]},
+  {'id': 'outlaw', 'name': 'Outlaw (Dota)', 'kind': 'botnet', 'signatures': [
+    {'commands': [r'mdrfckr']}
+  ]},
+  {'id': 'kinsing', 'name': 'Kinsing', 'kind': 'botnet', 'signatures': [
+    {'commands': [r'\b(kinsing|kdevtmpfsi)\b']}
+  ]},
+  {'id': 'scripted-bot', 'name': 'Unidentified shell bot', 'kind': 'botnet', 'signatures': [
+    {'timing': {'maxGap': 1, 'minCommands': 5}}
+  ]},
+  {'id': 'masscan', 'name': 'masscan', 'kind': 'scanner', 'signatures': [
+    {'userAgent': r'masscan'},
+    # masscan's HTTP/1.0 banner grab sends no Host header
+    {'headerOrder': r'^user-agent,accept$'}
+  ]},
+  {'id': 'zgrab', 'name': 'ZGrab', 'kind': 'scanner', 'signatures': [
+    {'userAgent': r'zgrab'}, {'clientVersion': r'zgrab'}
+  ]},
+  {'id': 'nmap', 'name': 'Nmap NSE', 'kind': 'scanner', 'signatures': [
+    {'userAgent': r'nmap scripting engine'},
+    {'path': r'^/(nmaplowercheck\d+|nmapuppercheck\d+|nmap/folder/check\d+)$'},
+    {'clientVersion': r'nmap'}
+  ]},
+  {'id': 'nikto', 'name': 'Nikto', 'kind': 'scanner', 'signatures': [
+    {'userAgent': r'nikto'}
+  ]},
+  {'id': 'sqlmap', 'name': 'sqlmap', 'kind': 'scanner', 'signatures': [
+    {'userAgent': r'sqlmap'}
+  ]},
+  {'id': 'port-sweep', 'name': 'Unidentified port sweep', 'kind': 'scanner', 'signatures': [
+    {'timing': {'window': 10, 'minProtocols': 3}}
+  ]},
+  {'id': 'curl', 'name': 'curl', 'kind': 'tool', 'signatures': [
+    {'userAgent': r'^curl/'}, {'headerOrder': r'^host,user-agent,accept$'}
+  ]},
+  {'id': 'wget', 'name': 'Wget', 'kind': 'tool', 'signatures': [
+    {'userAgent': r'^wget/'}
+  ]},
+  {'id': 'python', 'name': 'Python HTTP client', 'kind': 'tool', 'signatures': [
+    {'userAgent': r'python-requests|python-urllib|aiohttp|python-httpx'},
+    {'headerOrder': r'^host,user-agent,accept-encoding,accept,connection$'}
+  ]},
+  {'id': 'go', 'name': 'Go client', 'kind': 'tool', 'signatures': [
+    {'userAgent': r'^go-http-client'}, {'clientVersion': r'^ssh-2\.0-go$'}
+  ]},
+  {'id': 'libssh', 'name': 'libssh', 'kind': 'tool', 'signatures': [
+    {'clientVersion': r'libssh'}
+  ]},
+  {'id': 'paramiko', 'name': 'Paramiko', 'kind': 'tool', 'signatures': [
+    {'clientVersion': r'paramiko'}
+  ]},
+  {'id': 'putty', 'name': 'PuTTY', 'kind': 'tool', 'signatures': [
+    {'clientVersion': r'putty'}
+  ]},
+  {'id': 'openssh', 'name': 'OpenSSH client', 'kind': 'tool', 'signatures': [
+    {'clientVersion': r'openssh'}
+  ]}
+]
+
+
+def compile_toolkit_signature(signature):
+  compiled = dict(signature)
+  for key in TOOLKIT_EVENT_CONDITIONS:
+    if key in signature and key != 'asn':
+      compiled[key] = re.compile(signature[key], re.IGNORECASE)
+  if 'commands' in signature:
+    compiled['commands'] = [re.compile(pattern) for pattern in signature['commands']]
+  return compiled
+
+
+# (rank in TOOLKIT_LIBRARY, compiled signature), split by what they look at
+TOOLKIT_SIGNATURES = [
+  (rank, compile_toolkit_signature(signature))
+  for rank, tool in enumerate(TOOLKIT_LIBRARY)
+  for signature in tool['signatures']
+]
+TOOLKIT_ATTACKER_SIGNATURES = [
+  (rank, signature) for rank, signature in TOOLKIT_SIGNATURES
+  if 'commands' in signature or 'timing' in signature
+]
+TOOLKIT_EVENT_SIGNATURES = [
+  (rank, signature) for rank, signature in TOOLKIT_SIGNATURES
+  if 'commands' not in signature and 'timing' not in signature
+]
+
+
+def get_toolkit_signals(log):
+  """What an event says about the client that sent it."""
+  headers = log.get('headers') if isinstance(log.get('headers'), dict) else {}
+  session = log.get('session') if isinstance(log.get('session'), dict) else {}
+  location = log.get('location') or {}
+  return {
+    'userAgent': log.get('user_agent') or headers.get('User-Agent'),
+    'clientVersion': log.get('client_version') or session.get('client_version'),
+    'path': log.get('path') if isinstance(log.get('path'), str) else None,
+    'headerOrder': ','.join(name.lower() for name in headers) if headers else None,
+    'org': location.get('org'),
+    'asn': location.get('asn')
+  }
+
+
+def match_event_conditions(signature, log, signals):
+  if 'protocols' in signature and log.get('protocol') not in signature['protocols']:
+    return False
+  for key in TOOLKIT_EVENT_CONDITIONS:
+    if key not in signature:
+      continue
+    value = signals[key]
+    if value is None:
+      return False
+    if key == 'asn':
+      if value not in signature['asn']:
+        return False
+    elif not signature[key].search(str(value)):
+      return False
+  return True
+
+
+def match_event_toolkit(log, signals):
+  """Rank of the first library entry an event matches on its own, or None."""
+  for rank, signature in TOOLKIT_EVENT_SIGNATURES:
+    if match_event_conditions(signature, log, signals):
+      return rank
+  return None
+
+
+def parse_event_time(log):
+  try:
+    return datetime.fromisoformat(log.get('timestamp', '')).timestamp()
+  except (TypeError, ValueError):
+    return None
+
+
+def new_signature_state(signature):
+  """What an IP's events have told one attacker-wide signature so far."""
+  state = {}
+  if 'commands' in signature:
+    state['position'] = 0  # the next pattern to match
+  timing = signature.get('timing')
+  if timing and 'minProtocols' in timing:
+    # (moment, protocol) within `window` seconds of the latest event,
+    # sorted by moment, and events per protocol there
+    state.update({'window': [], 'protocols': {}, 'swept': False})
+  elif timing:
+    # Distinct (moment, command) pairs and the gaps between them, sorted
+    state.update({'moments': [], 'gaps': []})
+  return state
+
+
+def add_command_moment(state, point):
+  moments, gaps = state['moments'], state['gaps']
+  index = bisect.bisect(moments, point)
+  # Each command is usually logged twice (.logs and session file)
+  if index and moments[index - 1] == point:
+    return
+  before = moments[index - 1][0] if index else None
+  after = moments[index][0] if index < len(moments) else None
+  if before is not None and after is not None:
+    del gaps[bisect.bisect_left(gaps, after - before)]
+  if before is not None:
+    bisect.insort(gaps, point[0] - before)
+  if after is not None:
+    bisect.insort(gaps, after - point[0])
+  moments.insert(index, point)
+
+
+def update_signature_state(signature, state, log):
+  """Feed one of the IP's events (within the signature's scope) into its state."""
+  command = get_event_command(log)
+  if 'commands' in signature and command:
+    # A command can satisfy several patterns in a row
+    patterns = signature['commands']
+    while state['position'] < len(patterns) and patterns[state['position']].search(command):
+      state['position'] += 1
+
+  timing = signature.get('timing')
+  moment = parse_event_time(log) if timing else None
+  if moment is None:
+    return
+  if 'minProtocols' in timing:
+    if state['swept']:
+      return
+    window, protocols = state['window'], state['protocols']
+    # The honeypots write separate logs, so an IP's events can arrive out
+    # of order: keep the window sorted and drop what falls out of it
+    if window and moment < window[-1][0] - timing['window']:
+      return
+    protocol = log.get('protocol')
+    bisect.insort(window, (moment, protocol), key=lambda item: item[0])
+    protocols[protocol] = protocols.get(protocol, 0) + 1
+    expired = bisect.bisect_left(window, window[-1][0] - timing['window'], key=lambda item: item[0])
+    for _, old in window[:expired]:
+      protocols[old] -= 1
+      if not protocols[old]:
+        del protocols[old]
+    del window[:expired]
+    if len(protocols) >= timing['minProtocols']:
+      state.update({'window': [], 'protocols': {}, 'swept': True})
+  elif command:
+    add_command_moment(state, (moment, command))
+
+
+def signature_state_matches(signature, state):
+  if 'commands' in signature and state['position'] < len(signature['commands']):
+    return False
+  timing = signature.get('timing')
+  if not timing:
+    return True
+  if 'minProtocols' in timing:
+    return state['swept']
+  gaps = state['gaps']
+  return len(state['moments']) >= timing['minCommands'] and gaps[len(gaps) // 2] <= timing['maxGap']
+
+
+def toolkit_label(rank):
+  tool = TOOLKIT_LIBRARY[rank]
+  return {'id': tool['id'], 'name': tool['name'], 'kind': tool['kind']}
+
+
+def label_toolkit_events(logs, new_events, attackers):
+  """
+  Feed `new_events` into the state of the IPs they came from and relabel
+  those IPs. `attackers` is the cache's ip -> {'matches': ranks its
+  events matched on their own, 'signatures': index in
+  TOOLKIT_ATTACKER_SIGNATURES -> signature state, 'label'}.
+
+  New events are labelled in place. Earlier events of an IP whose label
+  changed are replaced in `logs` (newest first) by relabelled copies, as
+  requests may still be reading the cached ones. Returns (logs, the
+  events whose label was set or changed).
+  """
+  ips = set()
+  for log in sorted(new_events, key=lambda x: x.get('timestamp', '')):
+    if not log.get('ip'):
+      continue
+    entry = attackers.setdefault(log['ip'], {'matches': set(), 'signatures': {}, 'label': None})
+    ips.add(log['ip'])
+    signals = get_toolkit_signals(log)
+    rank = match_event_toolkit(log, signals)
+    if rank is not None:
+      entry['matches'].add(rank)
+    for index, (_, signature) in enumerate(TOOLKIT_ATTACKER_SIGNATURES):
+      if match_event_conditions(signature, log, signals):
+        state = entry['signatures'].get(index)
+        if state is None:
+          state = entry['signatures'][index] = new_signature_state(signature)
+        update_signature_state(signature, state, log)
+
+  relabelled = {}
+  for ip in ips:
+    entry = attackers[ip]
+    best = min(entry['matches'], default=len(TOOLKIT_LIBRARY))
+    for index, (rank, signature) in enumerate(TOOLKIT_ATTACKER_SIGNATURES):
+      if rank >= best:
+        break
+      state = entry['signatures'].get(index)
+      if state is not None and signature_state_matches(signature, state):
+        best = rank
+        break
+    label = toolkit_label(best) if best < len(TOOLKIT_LIBRARY) else None
+    if label != entry['label']:
+      relabelled[ip] = label
+    entry['label'] = label
+
+  changed = []
+  for log in new_events:
+    label = attackers.get(log.get('ip'), {}).get('label')
+    if label:
+      log['toolkit'] = label
+      changed.append(log)
+
+  if relabelled:
+    def relabel(log):
+      label = relabelled[log['ip']]
+      copy = {k: v for k, v in log.items() if k != 'toolkit'}
+      if label:
+        copy['toolkit'] = label
+      changed.append(copy)
+      return copy
+
+    logs = [
+      relabel(log) if log.get('ip') in relabelled and log.get('toolkit') != relabelled[log['ip']] else log
+      for log in logs
+    ]
+  return logs, changed
+
+
+def tag_toolkit_events(events, labels):
+  """Set each streamed event's 'toolkit' from its IP's label."""
+  for log in events:
+    label = labels.get(log.get('ip'))
+    if label:
+      log['toolkit'] = label
+
+
+def get_attacker_toolkits(tenant):
+  """ip -> toolkit label for every labelled IP in a tenant's events."""
+  get_cached_logs(tenant)
+  with logs_cache_lock:
+    return {
+      ip: entry['label']
+      for ip, entry in get_tenant_cache(tenant)['toolkits'].items()
+      if entry['label']
+    }
+
+
+def build_toolkit_breakdown(logs):
+  """Events and attackers per toolkit kind and label."""
+  kinds = {kind: {'events': 0, 'attackers': 0} for kind in [*TOOLKIT_KINDS, 'unlabeled']}
+  tools = {}
+  ips = {}
+  for log in dedupe_events(logs):
+    label = log.get('toolkit')
+    kind = label['kind'] if label else 'unlabeled'
+    kinds[kind]['events'] += 1
+    if log.get('ip') and log['ip'] not in ips:
+      ips[log['ip']] = label
+      kinds[kind]['attackers'] += 1
+    if not label:
+      continue
+    timestamp = log.get('timestamp', '')
+    entry = tools.setdefault(label['id'], {
+      **label,
+      'events': 0,
+      'attackers': set(),
+      'protocols': set(),
+      'firstSeen': timestamp,
+      'lastSeen': timestamp
+    })
+    entry['events'] += 1
+    if log.get('ip'):
+      entry['attackers'].add(log['ip'])
+    entry['protocols'].add(log.get('protocol', 'unknown'))
+    entry['firstSeen'] = min(entry['firstSeen'], timestamp)
+    entry['lastSeen'] = max(entry['lastSeen'], timestamp)
+
+  for entry in tools.values():
+    entry['attackers'] = len(entry['attackers'])
+    entry['protocols'] = sorted(entry['protocols'])
+  return {
+    'kinds': kinds,
+    'tools': sorted(tools.values(), key=lambda t: t['events'], reverse=True),
+    'attackers': len(ips)
+  }
+
+
+# ---------- TOPIC / RESOURCE EXPLORER ----------
+
+TOPIC_PAYLOAD_LIMIT = 20
+MQTT_READ_TYPES = {'subscribe', 'unsubscribe'}
+COAP_WRITE_METHODS = {'POST', 'PUT', 'DELETE'}
+
+
+def new_topic_node(name, path):
+  """An empty tree node; `children` stays a name -> node map until finished."""
+  return {
+    'name': name,
+    'path': path,
+    'reads': 0,
+    'writes': 0,
+    'wildcards': {},
+    'payloads': [],
+    'children': {}
+  }
+
+
+def get_topic_node(root, path, separator):
+  """Walk (creating as needed) to the node for `path`."""
+  node = root
+  parts = [part for part in path.split(separator) if part != '']
+  for i, part in enumerate(parts):
+    child_path = separator.join(parts[:i + 1])
+    if separator == '/' and path.startswith('/'):
+      child_path = '/' + child_path
+    node = node['children'].setdefault(part, new_topic_node(part, child_path))
+  return node
+
+
+def record_topic_payload(node, log, payload):
+  """Keep the most recent payloads pushed to a node."""
+  node['payloads'].append({
+    'timestamp': log.get('timestamp'),
+    'ip': log.get('ip'),
+    'payload': payload
+  })
+  if len(node['payloads']) > TOPIC_PAYLOAD_LIMIT:
+    node['payloads'].pop(0)
+
+
+def finish_topic_tree(node):
+  """Turn child maps into sorted lists and add subtree totals."""
+  children = [finish_topic_tree(child) for child in node['children'].values()]
+  children.sort(key=lambda child: child['name'])
+  node['children'] = children
+  node['wildcards'] = [
+    {'filter': topic_filter, 'count': count}
+    for topic_filter, count in sorted(node['wildcards'].items())
+  ]
+  node['totalReads'] = node['reads'] + sum(child['totalReads'] for child in children)
+  node['totalWrites'] = node['writes'] + sum(child['totalWrites'] for child in children)
+  return node
+
+
+def build_topic_trees(logs):
+  """
+  MQTT topic tree and CoAP resource tree with read vs write counts.
+
+  MQTT subscribes count as reads and publishes as writes; a wildcard
+  subscription is recorded on the node above its first wildcard level.
+  CoAP GETs count as reads and POST / PUT / DELETE as writes.
+  """
+  events = dedupe_events(logs)
+  events.reverse()
+  mqtt_root = new_topic_node('', '')
+  coap_root = new_topic_node('', '/')
+
+  for log in events:
+    protocol = log.get('protocol')
+    event_type = get_event_type(log)
+    data = log.get('data')
+    if not isinstance(data, dict):
+      continue
+
+    if protocol == 'mqtt' and event_type in MQTT_READ_TYPES:
+      for topic in data.get('topics') or []:
+        if not isinstance(topic, str):
+          continue
+        levels = topic.split('/')
+        wildcard_at = next(
+          (i for i, level in enumerate(levels) if level in ('+', '#')), None
+        )
+        if wildcard_at is None:
+          get_topic_node(mqtt_root, topic, '/')['reads'] += 1
+        else:
+          node = get_topic_node(mqtt_root, '/'.join(levels[:wildcard_at]), '/')
+          node['wildcards'][topic] = node['wildcards'].get(topic, 0) + 1
+          node['reads'] += 1
+    elif protocol == 'mqtt' and event_type == 'publish' and isinstance(data.get('topic'), str):
+      node = get_topic_node(mqtt_root, data['topic'], '/')
+      node['writes'] += 1
+      record_topic_payload(node, log, data.get('message'))
+    elif protocol == 'coap' and isinstance(data.get('path'), str):
+      if event_type == 'GET':
+        get_topic_node(coap_root, data['path'], '/')['reads'] += 1
+      elif event_type in COAP_WRITE_METHODS:
+        node = get_topic_node(coap_root, data['path'], '/')
+        node['writes'] += 1
+        if data.get('payload') is not None:
+          record_topic_payload(node, log, data['payload'])
+
+  return {
+    'mqtt': finish_topic_tree(mqtt_root),
+    'coap': finish_topic_tree(coap_root)
+  }
+
+
+# ---------- TIME SERIES ----------
+#
+# Bucketed event counts for the Dashboard's charts, so the browser never
+# counts raw events: event rate stacked by protocol and by event type, new
+# vs returning source IPs, and an hour-of-day x day-of-week heatmap. Buckets
+# are aligned to multiples of their size, in the honeypots' local time.
+
+# range -> (span, bucket size), in seconds
+TIMESERIES_RANGES = {
+  '1h': (3600, 60),
+  '24h': (86400, 1800),
+  '7d': (7 * 86400, 3 * 3600),
+  '30d': (30 * 86400, 12 * 3600)
+}
+TIMESERIES_TOP_SERIES = 8  # per chart; the rest are summed into 'other'
+
+
+def top_series(counts, bucket_count):
+  """{name: [per-bucket counts]} -> the biggest series, largest first, plus 'other'."""
+  ranked = sorted(counts.items(), key=lambda item: sum(item[1]), reverse=True)
+  series = [{'name': name, 'counts': values} for name, values in ranked[:TIMESERIES_TOP_SERIES]]
+  rest = ranked[TIMESERIES_TOP_SERIES:]
+  if rest:
+    series.append({
+      'name': 'other',
+      'counts': [sum(values[i] for _, values in rest) for i in range(bucket_count)]
+    })
+  return series
+
+
+def build_timeseries(history, logs, range_id, now=None):
+  """
+  Chart data for the `range_id` window ending now. `logs` are the
+  (filtered) events to count; `history` is every event of the tenant,
+  which decides whether a source IP was already seen before.
+  """
+  span, step = TIMESERIES_RANGES[range_id]
+  end = (int((now or datetime.now()).timestamp()) // step + 1) * step
+  start = end - span
+  bucket_count = span // step
+  since = datetime.fromtimestamp(start).isoformat()
+
+  first_seen = {}
+  for log in history:
+    ip = log.get('ip')
+    timestamp = log.get('timestamp') or ''
+    if ip and timestamp and (ip not in first_seen or timestamp < first_seen[ip]):
+      first_seen[ip] = timestamp
+
+  protocols = {}
+  types = {}
+  bucket_ips = [set() for _ in range(bucket_count)]
+  heatmap = [[0] * 24 for _ in range(7)]  # Monday first
+  total = 0
+  for log in dedupe_events(logs):
+    timestamp = log.get('timestamp') or ''
+    if timestamp < since:
+      continue
+    try:
+      moment = datetime.fromisoformat(timestamp)
+    except ValueError:
+      continue
+    if moment.tzinfo is not None:
+      moment = moment.astimezone().replace(tzinfo=None)
+    index = int((moment.timestamp() - start) // step)
+    if not 0 <= index < bucket_count:
+      continue
+
+    total += 1
+    protocol = log.get('protocol') or 'unknown'
+    protocols.setdefault(protocol, [0] * bucket_count)[index] += 1
+    types.setdefault(get_event_type(log), [0] * bucket_count)[index] += 1
+    heatmap[moment.weekday()][moment.hour] += 1
+    if log.get('ip'):
+      bucket_ips[index].add(log['ip'])
+
+  new_ips = []
+  returning_ips = []
+  for index, ips in enumerate(bucket_ips):
+    bucket_start = datetime.fromtimestamp(start + index * step).isoformat()
+    new = sum(1 for ip in ips if first_seen.get(ip, '') >= bucket_start)
+    new_ips.append(new)
+    returning_ips.append(len(ips) - new)
+
+  return {
+    'range': range_id,
+    'bucketSeconds': step,
+    'buckets': [datetime.fromtimestamp(start + i * step).isoformat() for i in range(bucket_count)],
+    'total': total,
+    'protocols': top_series(protocols, bucket_count),
+    'types': top_series(types, bucket_count),
+    'ips': {'new': new_ips, 'returning': returning_ips},
+    'heatmap': heatmap
+  }
+
+
+# ---------- EXPORT ----------
+#
+# /api/export writes the events matching the /api/logs filters (optionally
+# narrowed to one session or attacker) as CSV, NDJSON, a STIX 2.1 bundle
+# or a MISP event. STIX and MISP carry indicators rather than raw events:
+# source IPs, tried credentials, download URLs and shell commands.
+
+EXPORT_FORMATS = {
+  'csv': ('text/csv', 'csv'),
+  'ndjson': ('application/x-ndjson', 'ndjson'),
+  'stix': ('application/json', 'stix.json'),
+  'misp': ('application/json', 'misp.json')
+}
+EXPORT_CSV_COLUMNS = [
+  'timestamp', 'protocol', 'type', 'ip', 'port', 'username', 'password',
+  'command', 'url', 'country', 'country_code', 'city', 'asn', 'org', 'toolkit',
+  'toolkit_kind', 'sensor', 'session_start', 'data'
+]
+EXPORT_PRODUCER = 'IoT Honeypot Service'
+# Namespace STIX 2.1 uses for deterministic cyber-observable ids
+STIX_SCO_NAMESPACE = uuid.UUID('00abedb4-aa42-466c-9c01-fed23315a9b7')
+URL_RE = re.compile(r'https?://[^\s\'"<>|;`]+')
+
+
+def scope_export_events(logs, args):
+  """Narrow events to `session` (ip|start|end, as the dashboard keys it) or `ip`."""
+  session_key = args.get('session')
+  ip = args.get('ip')
+  if session_key:
+    logs = [log for log in logs if get_session_key(log) == session_key]
+  if ip:
+    logs = [log for log in logs if log.get('ip') == ip]
+  return logs
+
+
+def get_event_urls(log):
+  """Download URLs an event carries: download attempts and URLs in commands."""
+  urls = []
+  data = log.get('data')
+  if get_event_type(log) == 'download_attempt' and isinstance(data, dict) and data.get('url'):
+    urls.append(data['url'])
+  command = get_event_command(log)
+  if command:
+    urls.extend(URL_RE.findall(command))
+  return urls
+
+
+def collect_indicators(logs):
+  """
+  Group a list of events by source IP, oldest first:
+  ip -> {'first', 'last', 'count', 'credentials', 'urls', 'commands'}.
+  """
+  events = dedupe_events(logs)[::-1]
+  by_ip = {}
+  for log in events:
+    ip = log.get('ip')
+    if not ip:
+      continue
+    entry = by_ip.setdefault(ip, {
+      'first': log.get('timestamp'),
+      'last': log.get('timestamp'),
+      'count': 0,
+      'credentials': set(),
+      'urls': set(),
+      'commands': set()
+    })
+    entry['first'] = entry['first'] or log.get('timestamp')
+    entry['last'] = log.get('timestamp') or entry['last']
+    entry['count'] += 1
+    entry['urls'].update(get_event_urls(log))
+    command = get_event_command(log)
+    if command:
+      entry['commands'].add(command)
+
+  for log, _, username, password in extract_credentials(events):
+    if log.get('ip') in by_ip and (username or password):
+      by_ip[log['ip']]['credentials'].add((username or '', password or ''))
+  return by_ip
+
+
+def csv_cell(value):
+  """
+  Attackers choose usernames, commands and paths; keep spreadsheets from
+  evaluating the ones that look like formulas.
+  """
+  if isinstance(value, str) and value[:1] in ('=', '+', '-', '@', '\t', '\r'):
+    return "'" + value
+  return value
+
+
+def export_csv(logs):
+  output = io.StringIO()
+  writer = csv.writer(output)
+  writer.writerow(EXPORT_CSV_COLUMNS)
+  for log in logs:
+    location = log.get('location') or {}
+    session = log.get('session') if isinstance(log.get('session'), dict) else {}
+    urls = get_event_urls(log)
+    writer.writerow([csv_cell(value) for value in [
+      log.get('timestamp'),
+      log.get('protocol'),
+      get_event_type(log),
+      log.get('ip'),
+      log.get('port'),
+      log.get('username'),
+      log.get('password'),
+      get_event_command(log),
+      urls[0] if urls else None,
+      location.get('country'),
+      location.get('countryCode'),
+      location.get('city'),
+      location.get('asn'),
+      location.get('org'),
+      (log.get('toolkit') or {}).get('name'),
+      (log.get('toolkit') or {}).get('kind'),
+      log.get('sensor'),
+      session.get('start'),
+      json.dumps(log.get('data'), default=str) if log.get('data') is not None else None
+    ]])
+  return output.getvalue()
+
+
+def export_ndjson(logs):
+  return ''.join(json.dumps(log, default=str) + '\n' for log in logs)
+
+
+def stix_timestamp(value):
+  """A logged (naive, local) timestamp as a STIX UTC timestamp."""
+  try:
+    parsed = datetime.fromisoformat(str(value).replace('Z', '+00:00'))
+  except ValueError:
+    parsed = datetime.now()
+  return parsed.astimezone(timezone.utc).strftime('%Y-%m-%dT%H:%M:%S.%f')[:-3] + 'Z'
+
+
+def stix_sco_id(sco_type, properties):
+  """Deterministic SCO id: UUIDv5 over the id-contributing properties."""
+  canonical = json.dumps(properties, sort_keys=True, separators=(',', ':'))
+  return f'{sco_type}--{uuid.uuid5(STIX_SCO_NAMESPACE, canonical)}'
+
+
+def stix_quote(value):
+  return value.replace('\\', '\\\\').replace("'", "\\'")
+
+
+def export_stix(logs):
+  """
+  A STIX 2.1 bundle: one observed-data per source IP referencing its
+  ipv4-addr/ipv6-addr, user-account (tried credentials), url (downloads)
+  and process (commands) objects, plus indicators for IPs and URLs.
+  """
+  now = stix_timestamp(datetime.now().isoformat())
+  identity_id = f'identity--{uuid.uuid5(STIX_SCO_NAMESPACE, EXPORT_PRODUCER)}'
+  objects = [{
+    'type': 'identity',
+    'spec_version': '2.1',
+    'id': identity_id,
+    'created': now,
+    'modified': now,
+    'name': EXPORT_PRODUCER,
+    'identity_class': 'system'
+  }]
+  seen = set()
+
+  def add(obj):
+    if obj['id'] not in seen:
+      seen.add(obj['id'])
+      objects.append(obj)
+    return obj['id']
+
+  def add_indicator(name, pattern, valid_from):
+    add({
+      'type': 'indicator',
+      'spec_version': '2.1',
+      'id': f'indicator--{uuid.uuid5(STIX_SCO_NAMESPACE, pattern)}',
+      'created_by_ref': identity_id,
+      'created': now,
+      'modified': now,
+      'name': name,
+      'indicator_types': ['malicious-activity'],
+      'pattern': pattern,
+      'pattern_type': 'stix',
+      'valid_from': valid_from
+    })
+
+  for ip, entry in collect_indicators(logs).items():
+    try:
+      ip_type = 'ipv6-addr' if ipaddress.ip_address(ip).version == 6 else 'ipv4-addr'
+    except ValueError:
+      continue
+    first_seen = stix_timestamp(entry['first'])
+    refs = [add({
+      'type': ip_type,
+      'spec_version': '2.1',
+      'id': stix_sco_id(ip_type, {'value': ip}),
+      'value': ip
+    })]
+    add_indicator(f'Honeypot attacker {ip}', f"[{ip_type}:value = '{ip}']", first_seen)
+
+    for username, password in sorted(entry['credentials']):
+      refs.append(add({
+        'type': 'user-account',
+        'spec_version': '2.1',
+        # credential isn't id-contributing in STIX, so a deterministic id
+        # would merge every password tried for a login: use a random one
+        'id': f'user-account--{uuid.uuid4()}',
+        'account_login': username,
+        'credential': password
+      }))
+
+    for url in sorted(entry['urls']):
+      refs.append(add({
+        'type': 'url',
+        'spec_version': '2.1',
+        'id': stix_sco_id('url', {'value': url}),
+        'value': url
+      }))
+      add_indicator(f'Honeypot download URL {url}', f"[url:value = '{stix_quote(url)}']", first_seen)
+
+    for command in sorted(entry['commands']):
+      refs.append(add({
+        'type': 'process',
+        'spec_version': '2.1',
+        'id': f'process--{uuid.uuid5(STIX_SCO_NAMESPACE, f"{ip}|{command}")}',
+        'command_line': command
+      }))
+
+    add({
+      'type': 'observed-data',
+      'spec_version': '2.1',
+      'id': 'observed-data--' + str(uuid.uuid5(STIX_SCO_NAMESPACE, f'{ip}|{entry["first"]}')),
+      'created_by_ref': identity_id,
+      'created': now,
+      'modified': now,
+      'first_observed': first_seen,
+      'last_observed': stix_timestamp(entry['last']),
+      'number_observed': entry['count'],
+      'object_refs': refs
+    })
+
+  return json.dumps({
+    'type': 'bundle',
+    'id': f'bundle--{uuid.uuid4()}',
+    'objects': objects
+  }, indent=2)
+
+
+def export_misp(logs):
+  """
+  A MISP event: ip-src and url attributes (flagged for IDS), plus
+  credential and process objects for tried logins and commands.
+  """
+  attributes = []
+  misp_objects = []
+  first_seen = None
+  for ip, entry in collect_indicators(logs).items():
+    # An IP whose events carry no timestamp has no first/last seen
+    if entry['first'] and (first_seen is None or entry['first'] < first_seen):
+      first_seen = entry['first']
+    comment = f'{entry["count"]} honeypot events'
+    attributes.append({
+      'uuid': str(uuid.uuid4()),
+      'type': 'ip-src',
+      'category': 'Network activity',
+      'value': ip,
+      'to_ids': True,
+      'comment': comment,
+      **({'first_seen': stix_timestamp(entry['first'])} if entry['first'] else {}),
+      **({'last_seen': stix_timestamp(entry['last'])} if entry['last'] else {})
+    })
+    for url in sorted(entry['urls']):
+      attributes.append({
+        'uuid': str(uuid.uuid4()),
+        'type': 'url',
+        'category': 'Payload delivery',
+        'value': url,
+        'to_ids': True,
+        'comment': f'Download attempted from {ip}'
+      })
+    for username, password in sorted(entry['credentials']):
+      misp_objects.append({
+        'uuid': str(uuid.uuid4()),
+        'name': 'credential',
+        'meta-category': 'misc',
+        'comment': f'Tried by {ip}',
+        'Attribute': [
+          {'object_relation': 'username', 'type': 'text', 'value': username, 'to_ids': False},
+          {'object_relation': 'password', 'type': 'text', 'value': password, 'to_ids': False}
+        ]
+      })
+    for command in sorted(entry['commands']):
+      misp_objects.append({
+        'uuid': str(uuid.uuid4()),
+        'name': 'process',
+        'meta-category': 'misc',
+        'comment': f'Run by {ip}',
+        'Attribute': [
+          {'object_relation': 'command-line', 'type': 'text', 'value': command, 'to_ids': False}
+        ]
+      })
+
+  return json.dumps({
+    'Event': {
+      'uuid': str(uuid.uuid4()),
+      'info': f'{EXPORT_PRODUCER} export',
+      'date': (first_seen or datetime.now().isoformat())[:10],
+      'threat_level_id': '3',
+      'analysis': '2',
+      'distribution': '0',
+      'published': False,
+      'Attribute': attributes,
+      'Object': misp_objects
+    }
+  }, indent=2)
+
+
+EXPORT_WRITERS = {'csv': export_csv, 'ndjson': export_ndjson, 'stix': export_stix, 'misp': export_misp}
+
+
+# ---------- INDICATORS ----------
+#
+# Indicators of compromise pulled out of event payloads: commands,
+# download attempts, MQTT/CoAP payloads, HTTP bodies and so on. Every
+# string in an event (except its own metadata) is scanned as written and
+# again after undoing common obfuscation: defanged URLs, shell quoting
+# tricks, ${IFS}, %-escapes, \x escapes and base64 blobs. IOCs found only
+# in a decoded form are flagged as such.
+
+IOC_TYPES = ['url', 'domain', 'ipv4', 'md5', 'sha1', 'sha256', 'btc', 'eth', 'xmr']
+# Event fields that describe the event rather than what the attacker
+# sent, including what analysts wrote on it (see CASES)
+IOC_SKIP_FIELDS = {
+  'timestamp', 'ip', 'port', 'protocol', 'type', 'location', 'session', 'sensor', 'toolkit',
+  'tags', 'incidents'
+}
+IOC_SKIP_KEYS = {'Host', 'host'}  # our own address, echoed back by HTTP clients
+IOC_TEXT_MAX = 10000  # characters scanned per string
+IOC_DECODE_DEPTH = 2
+IOC_EVENT_REFS = 20  # related event keys kept per IOC
+IOC_LIST_DEFAULT = 500
+# Only these TLDs count as domains, so file names (x.sh, a.py) don't
+IOC_TLDS = {
+  'com', 'net', 'org', 'info', 'biz', 'io', 'co', 'xyz', 'top', 'ru', 'cn',
+  'su', 'tk', 'ml', 'ga', 'cf', 'gq', 'pw', 'cc', 'me', 'us', 'uk', 'de',
+  'fr', 'nl', 'br', 'in', 'online', 'site', 'club', 'live', 'shop', 'store',
+  'app', 'dev', 'cloud', 'icu', 'vip', 'work', 'link', 'click', 'ir', 'kr',
+  'jp', 'vn', 'ua', 'tw', 'hk', 'id'
+}
+IOC_PATTERNS = [
+  ('url', re.compile(r'\b(?:https?|ftp|tftp)://[^\s\'"<>|;`(){}\\]+', re.IGNORECASE)),
+  ('ipv4', re.compile(r'(?<![\d.])(?:\d{1,3}\.){3}\d{1,3}(?![\d.])')),
+  ('sha256', re.compile(r'\b[a-fA-F0-9]{64}\b')),
+  ('sha1', re.compile(r'\b[a-fA-F0-9]{40}\b')),
+  ('md5', re.compile(r'\b[a-fA-F0-9]{32}\b')),
+  ('eth', re.compile(r'\b0x[a-fA-F0-9]{40}\b')),
+  ('btc', re.compile(r'\b(?:bc1[ac-hj-np-z02-9]{11,71}|[13][a-km-zA-HJ-NP-Z1-9]{25,34})\b')),
+  ('xmr', re.compile(r'\b4[0-9AB][1-9A-HJ-NP-Za-km-z]{93}\b')),
+  # Not right after a %-escape: "%2Fexample.com" is not 2fexample.com
+  ('domain', re.compile(r'(?<!%)\b(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,24}\b', re.IGNORECASE))
+]
+BASE64_TOKEN_RE = re.compile(r'[A-Za-z0-9+/]{16,}={0,2}')
+HEX_ESCAPE_RE = re.compile(r'\\x([0-9a-fA-F]{2})')
+BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+
+
+def get_event_key(log):
+  """The dashboard's key for an event (getEventKey in App.js)."""
+  return '|'.join([
+    str(log.get('timestamp') or ''), str(log.get('ip') or ''),
+    str(log.get('protocol') or ''), str(log.get('type') or ''),
+    'session' if log.get('session') else 'log'
+  ])
+
+
+def is_base58check(value):
+  """Legacy Bitcoin addresses end in a 4-byte double-SHA256 checksum."""
+  number = 0
+  for char in value:
+    number = number * 58 + BASE58_ALPHABET.index(char)
+  raw = number.to_bytes((number.bit_length() + 7) // 8, 'big')
+  raw = b'\0' * (len(value) - len(value.lstrip('1'))) + raw
+  if len(raw) != 25:
+    return False
+  return hashlib.sha256(hashlib.sha256(raw[:-4]).digest()).digest()[:4] == raw[-4:]
+
+
+def refang(text):
+  """Undo defanging and shell tricks that split up commands and URLs."""
+  text = re.sub(r'hxxp', 'http', text, flags=re.IGNORECASE)
+  text = re.sub(r'\[\.\]|\(\.\)|\[dot\]|\(dot\)', '.', text, flags=re.IGNORECASE)
+  text = text.replace('[:]', ':').replace('${IFS}', ' ').replace('$IFS', ' ')
+  # w'g'et "ht""tp://..." -> wget http://...
+  return text.replace("'", '').replace('"', '').replace('\\\n', '')
+
+
+def decode_base64_token(token):
+  """Decoded text of a base64 token, or None unless it is mostly printable."""
+  try:
+    decoded = base64.b64decode(token + '=' * (-len(token) % 4), validate=True)
+    text = decoded.decode('utf-8')
+  except (ValueError, UnicodeDecodeError):
+    return None
+  printable = sum(1 for char in text if char.isprintable() or char in '\r\n\t')
+  if not text or printable / len(text) < 0.9:
+    return None
+  return text
+
+
+def deobfuscate(text, depth=IOC_DECODE_DEPTH):
+  """Decoded variants of a string (not including the string itself)."""
+  variants = []
+  for candidate in (
+    refang(text),
+    unquote(text) if '%' in text else text,
+    HEX_ESCAPE_RE.sub(lambda m: chr(int(m.group(1), 16)), text) if '\\x' in text else text
+  ):
+    if candidate != text and candidate not in variants:
+      variants.append(candidate)
+
+  for token in BASE64_TOKEN_RE.findall(text):
+    decoded = decode_base64_token(token)
+    if decoded and decoded not in variants:
+      variants.append(decoded)
+
+  if depth > 1:
+    for variant in list(variants):
+      for nested in deobfuscate(variant, depth - 1):
+        if nested not in variants and nested != text:
+          variants.append(nested)
+  return variants
+
+
+def scan_iocs(text, found, decoded):
+  """Add (type, value) -> decoded flag for every IOC in text to `found`."""
+  urls = []
+  for ioc_type, pattern in IOC_PATTERNS:
+    for match in pattern.findall(text):
+      value = match
+      if ioc_type == 'url':
+        value = match.rstrip('.,')
+        urls.append(value)
+      elif ioc_type == 'ipv4':
+        try:
+          if not ipaddress.ip_address(value).is_global:
+            continue
+        except ValueError:
+          continue
+      elif ioc_type == 'btc' and not value.startswith('bc1') and not is_base58check(value):
+        continue
+      elif ioc_type == 'domain':
+        value = value.lower()
+        if value.rsplit('.', 1)[-1] not in IOC_TLDS:
+          continue
+      elif ioc_type in ('md5', 'sha1', 'sha256', 'eth'):
+        value = value.lower()
+      key = (ioc_type, value)
+      found[key] = found.get(key, True) and decoded
+
+  # The host of every URL is a dropper host worth tracking on its own
+  for url in urls:
+    host = urlparse(url).hostname
+    if not host:
+      continue
+    try:
+      ipaddress.ip_address(host)
+      host_type = 'ipv4'
+    except ValueError:
+      host_type = 'domain'
+    key = (host_type, host.lower())
+    found[key] = found.get(key, True) and decoded
+
+
+def iter_event_strings(obj, top=True):
+  if isinstance(obj, dict):
+    for key, value in obj.items():
+      if (top and key in IOC_SKIP_FIELDS) or key in IOC_SKIP_KEYS:
+        continue
+      yield from iter_event_strings(value, False)
+  elif isinstance(obj, list):
+    for value in obj:
+      yield from iter_event_strings(value, False)
+  elif isinstance(obj, str):
+    yield obj[:IOC_TEXT_MAX]
+
+
+def extract_event_iocs(log):
+  """{(type, value): only_found_decoded} for one event."""
+  found = {}
+  for text in iter_event_strings(log):
+    scan_iocs(text, found, False)
+    for variant in deobfuscate(text):
+      scan_iocs(variant, found, True)
+  return found
+
+
+def build_ioc_table(logs):
+  """Every IOC in `logs` (newest first) with its sightings, newest first."""
+  table = {}
+  for log in dedupe_events(logs):
+    iocs = extract_event_iocs(log)
+    if not iocs:
+      continue
+    timestamp = log.get('timestamp', '')
+    for (ioc_type, value), decoded in iocs.items():
+      entry = table.setdefault((ioc_type, value), {
+        'type': ioc_type,
+        'value': value,
+        'firstSeen': timestamp,
+        'lastSeen': timestamp,
+        'count': 0,
+        'decoded': True,
+        'protocols': set(),
+        'sources': set(),
+        'events': []
+      })
+      entry['firstSeen'] = min(entry['firstSeen'], timestamp)
+      entry['lastSeen'] = max(entry['lastSeen'], timestamp)
+      entry['count'] += 1
+      entry['decoded'] = entry['decoded'] and decoded
+      entry['protocols'].add(log.get('protocol', 'unknown'))
+      if log.get('ip'):
+        entry['sources'].add(log['ip'])
+      if len(entry['events']) < IOC_EVENT_REFS:
+        entry['events'].append(get_event_key(log))
+
+  result = []
+  for entry in table.values():
+    entry['protocols'] = sorted(entry['protocols'])
+    entry['sources'] = sorted(entry['sources'])
+    result.append(entry)
+  result.sort(key=lambda e: e['lastSeen'], reverse=True)
+  return result
+
+
+# ---------- PROCESS SUPERVISION ----------
+#
+# Each honeypot runs as a child process in its own session, given its
+# tenant's config file, with stdout and stderr appended to
+# <logs>/<protocol>_process.{stdout,stderr}.log. A background thread polls
+# the children, records how they exited and restarts the ones that crash.
+
+def get_process_log_paths(protocol, tenant=DEFAULT_TENANT):
+  """(stdout, stderr) log paths for a honeypot process."""
+  logs_dir = get_tenant_dirs(tenant)[1]
+  return (
+    logs_dir / f'{protocol}_process.stdout.log',
+    logs_dir / f'{protocol}_process.stderr.log'
+  )
+
+
+def get_honeypot_script(protocol):
+  script_name = SCRIPT_NAME_MAP.get(protocol, protocol)
+  return HONEYPOTS_DIR / f'{script_name}.py'
+
+
+def launch_honeypot(tenant, protocol, script):
+  """Start the honeypot script and record it as running. Caller holds the lock."""
+  get_tenant_dirs(tenant)[1].mkdir(exist_ok=True, parents=True)
+  config_path = get_tenant_config_path(tenant, protocol)
+  if tenant != DEFAULT_TENANT and not config_path.exists():
+    # The script falls back to its built-in defaults, which would log
+    # into the default tenant's directory
+    save_protocol_config(tenant, protocol, load_protocol_config(protocol, tenant))
+
+  # Strip reloader markers so a Flask-based honeypot doesn't act as a
+  # reloader child of the dashboard
+  child_env = os.environ.copy()
+  child_env.pop('WERKZEUG_RUN_MAIN', None)
+  child_env.pop('FLASK_RUN_FROM_CLI', None)
+  child_env.pop('PYTHONUNBUFFERED', None)
+
+  stdout_path, stderr_path = get_process_log_paths(protocol, tenant)
+  with open(stdout_path, 'a') as stdout_f, open(stderr_path, 'a') as stderr_f:
+    # close_fds keeps the child off the dashboard's listening socket;
+    # start_new_session lets stop signal the whole process group
+    process = subprocess.Popen(
+      ['python3', str(script), str(config_path)],
+      stdout=stdout_f,
+      stderr=stderr_f,
+      cwd=HONEYPOTS_DIR,
+      env=child_env,
+      close_fds=True,
+      start_new_session=True
+    )
+
+  key = (tenant, protocol)
+  previous = running_honeypots.get(key, {})
+  honeypot_processes[key] = process
+  running_honeypots[key] = {
+    'state': 'running',
+    'pid': process.pid,
+    'startedAt': time.time(),
+    'exitCode': None,
+    'exitedAt': None,
+    'restarts': previous.get('restarts', 0),
+    'restartTimes': previous.get('restartTimes', []),
+    'autoRestart': previous.get('autoRestart', True),
+    'stdout_log': str(stdout_path),
+    'stderr_log': str(stderr_path),
+    'script': str(script)
+  }
+  ensure_supervisor()
+  return process
+
+
+def terminate_honeypots(keys):
+  """
+  Stop (tenant, protocol) honeypots' process groups: SIGTERM, then SIGKILL
+  after HONEYPOT_STOP_TIMEOUT. The lock is only held to signal them and to
+  record their exits, so status calls aren't blocked during the grace
+  period. Caller must not hold the lock.
+  """
+  stopping = []
+  with honeypots_lock:
+    for key in keys:
+      process = honeypot_processes.pop(key, None)
+      record = running_honeypots.get(key)
+      if record:
+        record['state'] = 'stopped' if process is None else 'stopping'
+      if process is None:
+        continue
+      if process.poll() is None:
+        try:
+          os.killpg(process.pid, signal.SIGTERM)
+        except (ProcessLookupError, PermissionError):
+          process.terminate()
+      stopping.append((key, process))
+
+  for _, process in stopping:
+    try:
+      process.wait(timeout=HONEYPOT_STOP_TIMEOUT)
+    except subprocess.TimeoutExpired:
+      try:
+        os.killpg(process.pid, signal.SIGKILL)
+      except (ProcessLookupError, PermissionError):
+        process.kill()
+      process.wait()
+
+  with honeypots_lock:
+    for key, process in stopping:
+      record = running_honeypots.get(key)
+      # Unless it was started again meanwhile
+      if record and record['pid'] == process.pid:
+        record.update({'state': 'stopped', 'exitCode': process.returncode, 'exitedAt': time.time()})
+
+
+def check_honeypots():
+  """
+  Record exits of honeypots that ended on their own and restart the ones
+  that crashed: a non-zero exit code or a signal. A clean exit (0) just
+  leaves the honeypot stopped.
+  """
+  with honeypots_lock:
+    for key, process in list(honeypot_processes.items()):
+      if process.poll() is None:
+        continue
+
+      record = running_honeypots[key]
+      del honeypot_processes[key]
+      now = time.time()
+      if process.returncode == 0:
+        record.update({'state': 'stopped', 'exitCode': 0, 'exitedAt': now})
+        continue
+      record.update({'state': 'crashed', 'exitCode': process.returncode, 'exitedAt': now})
+
+      recent = [t for t in record['restartTimes'] if now - t < HONEYPOT_RESTART_WINDOW]
+      if not record['autoRestart'] or len(recent) >= HONEYPOT_RESTART_LIMIT:
+        record['restartTimes'] = recent
+        continue
+      try:
+        record['restartTimes'] = recent + [now]
+        record['restarts'] += 1
+        launch_honeypot(*key, Path(record['script']))
+        running_honeypots[key]['lastExit'] = {
+          'exitCode': process.returncode,
+          'exitedAt': now
+        }
+      except OSError as e:
+        record['state'] = 'crashed'
+        record['error'] = str(e)
+
+
+def supervise_honeypots():
+  """Supervisor thread body."""
+  while True:
+    time.sleep(HONEYPOT_SUPERVISE_INTERVAL)
+    check_honeypots()
+
+
+def ensure_supervisor():
+  """Start the supervisor thread the first time a honeypot is launched."""
+  global supervisor_thread
+  if supervisor_thread is None:
+    supervisor_thread = threading.Thread(target=supervise_honeypots, daemon=True)
+    supervisor_thread.start()
+
+
+def get_honeypot_status(tenant=DEFAULT_TENANT):
+  """JSON-safe status for every tenant honeypot started since the dashboard came up."""
+  check_honeypots()
+  now = time.time()
+  status = {}
+  with honeypots_lock:
+    for (owner, protocol), record in running_honeypots.items():
+      if owner != tenant:
+        continue
+      entry = {k: v for k, v in record.items() if k != 'restartTimes'}
+      entry['running'] = record['state'] == 'running'
+      entry['uptime'] = now - record['startedAt'] if entry['running'] else None
+      status[protocol] = entry
+  return status
+
+
+@atexit.register
+def stop_all_honeypots():
+  """Don't leave honeypots holding their ports after the dashboard exits."""
+  with honeypots_lock:
+    keys = list(honeypot_processes)
+  terminate_honeypots(keys)
+
+
+def tail_file(path, lines):
+  """Last `lines` lines of a text file ('' if it doesn't exist)."""
+  try:
+    with open(path, 'rb') as f:
+      f.seek(0, os.SEEK_END)
+      size = f.tell()
+      f.seek(max(0, size - lines * 512))
+      data = f.read().decode('utf-8', errors='replace')
+  except OSError:
+    return ''
+  return '\n'.join(data.splitlines()[-lines:])
+
+
+# ---------- CONFIG SCHEMA ----------
+#
+# Per-protocol description of the keys each honeypot script reads from
+# configs/<protocol>.json. The Settings editor renders its form from this
+# and PUT /api/configs/<protocol> validates against it, so a bad value is
+# rejected here instead of crashing the honeypot on its next start.
+#
+# Field types:
+#   string, text (multi-line), integer (min/max), boolean, host,
+#   string_map   {string: string}, e.g. valid_credentials
+#   filesystem   {directory: [entry, ...]}
+#   register_map {address: 0-65535}   coil_map {address: bool}
+#   point_map    {index: {"value": ..., "name": ...}}
+#   object       any JSON object
+
+HOSTNAME_RE = re.compile(r'^[A-Za-z0-9]([A-Za-z0-9\-]{0,61}[A-Za-z0-9])?(\.[A-Za-z0-9]([A-Za-z0-9\-]{0,61}[A-Za-z0-9])?)*$')
+WILDCARD_HOSTS = {'0.0.0.0', '::', ''}
+
+COMMON_CONFIG_FIELDS = [
+  {'key': 'host', 'label': 'Host', 'type': 'host', 'required': True, 'section': 'basic'},
+  {'key': 'port', 'label': 'Port', 'type': 'integer', 'min': 1, 'max': 65535,
+   'required': True, 'section': 'basic'},
+  {'key': 'log_directory', 'label': 'Log Directory', 'type': 'string', 'required': True,
+   'section': 'advanced', 'help': 'Relative to the honeypots/ directory'},
+  {'key': 'log_file', 'label': 'Log File', 'type': 'string', 'required': True,
+   'section': 'advanced'}
+]
+
+
+def _field(key, label, type_, section='basic', **extra):
+  """Shorthand for one schema field."""
+  return dict({'key': key, 'label': label, 'type': type_, 'section': section}, **extra)
+
+
+SHELL_CONFIG_FIELDS = [
+  _field('hostname', 'Hostname', 'string'),
+  _field('allow_all_logins', 'Allow All Logins', 'boolean'),
+  _field('valid_credentials', 'Valid Credentials', 'string_map', 'advanced',
+         keyLabel='Username', valueLabel='Password'),
+  _field('uname_output', 'uname Output', 'text', 'advanced'),
+  _field('ifconfig_output', 'ifconfig Output', 'text', 'advanced'),
+  _field('ps_output', 'ps Output', 'text', 'advanced'),
+  _field('filesystem', 'Filesystem Structure', 'filesystem', 'advanced'),
+  _field('files', 'Custom Files', 'string_map', 'advanced',
+         keyLabel='Path', valueLabel='Content')
+]
+
+CONFIG_SCHEMAS = {
+  'telnet': [
+    _field('banner', 'Banner', 'text'),
+    *SHELL_CONFIG_FIELDS
+  ],
+  'ssh': [
+    _field('allow_pubkey_auth', 'Allow Public Key Auth', 'boolean'),
+    _field('host_key_file', 'Host Key File', 'string', 'advanced'),
+    *SHELL_CONFIG_FIELDS
+  ],
+  'http': [
+    _field('hostname', 'Hostname', 'string'),
+    _field('server_header', 'Server Header', 'string'),
+    _field('allow_all_logins', 'Allow All Logins', 'boolean'),
+    _field('emulate_vulnerabilities', 'Emulate Vulnerabilities', 'boolean'),
+    _field('ssl_enabled', 'SSL Enabled', 'boolean'),
+    _field('ssl_cert', 'SSL Certificate', 'string'),
+    _field('ssl_key', 'SSL Key', 'string'),
+    _field('valid_credentials', 'Valid Credentials', 'string_map', 'advanced',
+           keyLabel='Username', valueLabel='Password'),
+    _field('fake_pages', 'Fake Pages', 'string_map', 'advanced',
+           keyLabel='Path', valueLabel='Title'),
+    _field('filesystem', 'Filesystem Structure', 'filesystem', 'advanced'),
+    _field('files', 'Custom Files', 'string_map', 'advanced',
+           keyLabel='Path', valueLabel='Content')
+  ],
+  'mqtt': [
+    _field('broker_name', 'Broker Name', 'string'),
+    _field('allow_all_logins', 'Allow All Logins', 'boolean'),
+    _field('allow_anonymous', 'Allow Anonymous', 'boolean'),
+    _field('valid_credentials', 'Valid Credentials', 'string_map', 'advanced',
+           keyLabel='Username', valueLabel='Password'),
+    _field('devices', 'Device Topics', 'object', 'advanced',
+           help='Topic -> {"type": "sensor" | "actuator" | "admin", "value": ...}'),
+    _field('device_config', 'Device Config', 'object', 'advanced')
+  ],
+  'coap': [
+    _field('device_name', 'Device Name', 'string'),
+    _field('resources', 'Resources', 'object', 'advanced',
+           help='Path -> {"value": ..., "type": ..., "writable": bool}'),
+    _field('device_info', 'Device Info', 'object', 'advanced')
+  ],
+  'modbus': [
+    _field('device_name', 'Device Name', 'string'),
+    _field('holding_registers', 'Holding Registers', 'register_map', 'advanced'),
+    _field('input_registers', 'Input Registers', 'register_map', 'advanced'),
+    _field('coils', 'Coils', 'coil_map', 'advanced'),
+    _field('discrete_inputs', 'Discrete Inputs', 'coil_map', 'advanced'),
+    _field('device_info', 'Device Info', 'object', 'advanced')
+  ],
+  'dnp3': [
+    _field('device_name', 'Device Name', 'string'),
+    _field('binary_inputs', 'Binary Inputs', 'point_map', 'advanced'),
+    _field('binary_outputs', 'Binary Outputs', 'point_map', 'advanced'),
+    _field('analog_inputs', 'Analog Inputs', 'point_map', 'advanced'),
+    _field('analog_outputs', 'Analog Outputs', 'point_map', 'advanced'),
+    _field('counters', 'Counters', 'point_map', 'advanced')
+  ]
+}
+
+
+def get_config_schema(protocol):
+  """Fields for a protocol's config, common ones first."""
+  return COMMON_CONFIG_FIELDS + CONFIG_SCHEMAS.get(protocol, [])
+
+
+def _is_index(key):
+  """Whether a map key is a Modbus / DNP3 address (0-65535)."""
+  return key.isdigit() and int(key) <= 65535
+
+
+def validate_config_value(field, value):
+  """Error message for one field value, or None if it is valid."""
+  kind = field['type']
+  if kind in ('string', 'text'):
+    return None if isinstance(value, str) else 'Must be a string'
+  if kind == 'boolean':
+    return None if isinstance(value, bool) else 'Must be true or false'
+  if kind == 'integer':
+    if not isinstance(value, int) or isinstance(value, bool):
+      return 'Must be a whole number'
+    if 'min' in field and value < field['min'] or 'max' in field and value > field['max']:
+      return f"Must be between {field['min']} and {field['max']}"
+    return None
+  if kind == 'host':
+    if not isinstance(value, str):
+      return 'Must be a string'
+    try:
+      ipaddress.ip_address(value)
+      return None
+    except ValueError:
+      return None if HOSTNAME_RE.match(value) else 'Must be an IP address or hostname'
+
+  if not isinstance(value, dict):
+    return 'Must be a JSON object'
+  if kind == 'string_map':
+    bad = next((k for k, v in value.items() if not isinstance(v, str)), None)
+    return f'"{bad}" must map to a string' if bad is not None else None
+  if kind == 'filesystem':
+    for directory, entries in value.items():
+      if not directory.startswith('/'):
+        return f'"{directory}" must be an absolute path'
+      if not isinstance(entries, list) or not all(isinstance(e, str) for e in entries):
+        return f'"{directory}" must map to a list of names'
+    return None
+  if kind in ('register_map', 'coil_map', 'point_map'):
+    for key, entry in value.items():
+      if not _is_index(str(key)):
+        return f'"{key}" is not an address between 0 and 65535'
+      if kind == 'register_map' and not (
+          isinstance(entry, int) and not isinstance(entry, bool) and 0 <= entry <= 65535):
+        return f'Register {key} must hold 0-65535'
+      if kind == 'coil_map' and not isinstance(entry, bool):
+        return f'Coil {key} must be true or false'
+      if kind == 'point_map' and not (isinstance(entry, dict) and 'value' in entry):
+        return f'Point {key} must be an object with a "value"'
+  return None
+
+
+def validate_config(protocol, config, tenant=DEFAULT_TENANT, operator=False):
+  """
+  Check a tenant's config against the protocol's schema and the ports of
+  every other honeypot on this host, whichever tenant it belongs to.
+  File paths are confined to other tenants' own directories; the default
+  tenant's are left as they are unless `operator` (see is_operator) is set.
+  Returns {field: error message}; empty when the config is valid.
+  """
+  if not isinstance(config, dict):
+    return {'': 'Config must be a JSON object'}
+
+  errors = {}
+  for field in get_config_schema(protocol):
+    if field['key'] not in config:
+      if field.get('required'):
+        errors[field['key']] = 'Required'
+      continue
+    error = validate_config_value(field, config[field['key']])
+    if error:
+      errors[field['key']] = error
+
+  if tenant != DEFAULT_TENANT:
+    for key in TENANT_FILE_FIELDS.get(protocol, {}):
+      path = config.get(key)
+      if key not in errors and path and not is_tenant_file_path(tenant, path):
+        errors[key] = f'Must be a file under {get_tenant_file_path(tenant, "")}'
+  elif not operator:
+    # The default tenant's honeypots may write anywhere the dashboard can
+    current = load_protocol_config(protocol, tenant)
+    for key in ['log_directory', 'log_file', *TENANT_FILE_FIELDS.get(protocol, {})]:
+      if key not in errors and key in config and (config[key] or None) != (current.get(key) or None):
+        errors[key] = 'Only operators can change file paths'
+
+  if 'port' not in errors and 'host' not in errors:
+    owner = find_port_owner(config['host'], config['port'], exclude=(tenant, protocol))
+    if owner:
+      # Don't name another customer's workspace
+      errors['port'] = (
+        f"Port {config['port']} is already used by the {owner[1]} honeypot"
+        if owner[0] == tenant else
+        f"Port {config['port']} is already used by another workspace"
+      )
+
+  return errors
+
+
+# ---------- PERSONAS ----------
+#
+# A persona is a named set of per-protocol config overrides that makes
+# every honeypot present the same device. Applying one merges its
+# overrides into each protocol's config; deployment keys (host, port,
+# log paths) are never part of a persona.
+
+PERSONA_EXCLUDED_KEYS = {'host', 'port', 'log_directory', 'log_file'}
+
+BUILTIN_PERSONAS = [
+  {
+    'id': 'hikvision-camera',
+    'name': 'Hikvision IP camera',
+    'description': 'DS-2CD2042WD network camera with the stock admin account and web UI.',
+    'configs': {
+      'telnet': {
+        'hostname': 'DS-2CD2042WD',
+        'banner': '\nDS-2CD2042WD login: ',
+        'valid_credentials': {'admin': '12345', 'root': '12345'},
+        'uname_output': 'Linux DS-2CD2042WD 3.0.8 #1 PREEMPT Mon Oct 12 10:41:05 CST 2015 armv7l GNU/Linux\n',
+        'filesystem': {
+          '/': ['bin', 'dav', 'etc', 'home', 'mnt', 'tmp', 'var'],
+          '/dav': ['davinci.tar.gz', 'hikwsd'],
+          '/etc': ['passwd', 'hosts', 'inittab'],
+          '/home': ['process'],
+          '/mnt': ['mtd'],
+          '/mnt/mtd': ['ipcfg.bin'],
+          '/tmp': [],
+          '/var': ['run']
+        },
+        'files': {
+          '/etc/passwd': 'root:ToCOv8qxP13qs:0:0:root:/root/:/bin/psh',
+          '/etc/hosts': '127.0.0.1 localhost\n192.168.1.64 DS-2CD2042WD',
+          '/etc/inittab': '::sysinit:/etc/init.d/rcS\n::respawn:/sbin/getty -L ttyS0 115200 vt100',
+          '/dav/hikwsd': '',
+          '/dav/davinci.tar.gz': '',
+          '/home/process': '',
+          '/mnt/mtd/ipcfg.bin': ''
+        }
+      },
+      'ssh': {
+        'hostname': 'DS-2CD2042WD',
+        'valid_credentials': {'admin': '12345', 'root': '12345'},
+        'uname_output': 'Linux DS-2CD2042WD 3.0.8 #1 PREEMPT Mon Oct 12 10:41:05 CST 2015 armv7l GNU/Linux\n'
+      },
+      'http': {
+        'hostname': 'DS-2CD2042WD',
+        'server_header': 'App-webs/',
+        'valid_credentials': {'admin': '12345'},
+        'fake_pages': {
+          '/doc/page/login.asp': 'Login',
+          '/ISAPI/System/deviceInfo': 'Device Info',
+          '/ISAPI/Security/userCheck': 'User Check',
+          '/onvif/device_service': 'ONVIF Device Service'
+        }
+      }
+    }
+  },
+  {
+    'id': 'siemens-plc',
+    'name': 'Siemens PLC',
+    'description': 'SIMATIC S7-1200 CPU with its web server and a Modbus/DNP3 gateway.',
+    'configs': {
+      'telnet': {
+        'hostname': 'plc-s7-1200',
+        'banner': 'SIMATIC S7-1200 Maintenance Console\n\n',
+        'valid_credentials': {'admin': 'admin', 'siemens': 'siemens'},
+        'uname_output': 'Linux plc-s7-1200 2.6.32 #1 PREEMPT armv5tejl GNU/Linux\n'
+      },
+      'http': {
+        'hostname': 'plc-s7-1200',
+        'server_header': 'Siemens S7-1200 Web Server',
+        'valid_credentials': {'admin': 'admin'},
+        'fake_pages': {
+          '/Portal/Portal.mwsl': 'SIMATIC S7-1200 Portal',
+          '/Portal/Intro.mwsl': 'Introduction',
+          '/Portal/Diagnostics.mwsl': 'Diagnostic Buffer'
+        }
+      },
+      'modbus': {
+        'device_name': 'SIMATIC S7-1200',
+        'device_info': {
+          'vendor': 'Siemens AG',
+          'product_code': '6ES7 214-1AG40-0XB0',
+          'major_minor_revision': 'V4.4',
+          'vendor_url': 'www.siemens.com',
+          'product_name': 'SIMATIC S7-1200',
+          'model_name': 'CPU 1214C DC/DC/DC'
+        }
+      },
+      'dnp3': {
+        'device_name': 'SIMATIC S7-1200 DNP3 Outstation'
+      }
+    }
+  },
+  {
+    'id': 'home-router',
+    'name': 'Home router',
+    'description': 'TP-Link Archer consumer router with factory credentials.',
+    'configs': {
+      'telnet': {
+        'hostname': 'Archer_C7',
+        'banner': '\nArcher_C7 login: ',
+        'valid_credentials': {'admin': 'admin', 'root': 'root'},
+        'uname_output': 'Linux Archer_C7 2.6.31 #1 Thu Mar 3 10:20:36 CST 2016 mips GNU/Linux\n',
+        'filesystem': {
+          '/': ['bin', 'etc', 'lib', 'sbin', 'tmp', 'usr', 'var', 'web'],
+          '/etc': ['passwd', 'hosts', 'config'],
+          '/etc/config': ['wireless', 'network'],
+          '/web': ['index.htm', 'userRpm'],
+          '/web/userRpm': ['LoginRpm.htm'],
+          '/tmp': [],
+          '/var': []
+        },
+        'files': {
+          '/etc/passwd': 'root:x:0:0:root:/root:/bin/sh\nadmin:x:1000:0:admin:/tmp:/bin/sh',
+          '/etc/hosts': '127.0.0.1 localhost\n192.168.0.1 tplinkwifi.net',
+          '/etc/config/wireless': "config wifi-iface\n\toption ssid 'TP-Link_5G_3F2A'\n\toption key 'archer12345'",
+          '/etc/config/network': "config interface 'lan'\n\toption ipaddr '192.168.0.1'",
+          '/web/index.htm': '<html><head><title>TP-LINK</title></head></html>',
+          '/web/userRpm/LoginRpm.htm': ''
+        }
+      },
+      'ssh': {
+        'hostname': 'Archer_C7',
+        'valid_credentials': {'admin': 'admin', 'root': 'root'},
+        'uname_output': 'Linux Archer_C7 2.6.31 #1 Thu Mar 3 10:20:36 CST 2016 mips GNU/Linux\n'
+      },
+      'http': {
+        'hostname': 'Archer_C7',
+        'server_header': 'TP-LINK HTTPD/1.0',
+        'valid_credentials': {'admin': 'admin'},
+        'fake_pages': {
+          '/userRpm/LoginRpm.htm': 'TP-LINK Login',
+          '/userRpm/StatusRpm.htm': 'Status',
+          '/cgi-bin/luci': 'LuCI'
+        }
+      }
+    }
+  },
+  {
+    'id': 'thermostat-hub',
+    'name': 'Smart thermostat hub',
+    'description': 'Home climate hub speaking MQTT and CoAP to its sensors.',
+    'configs': {
+      'telnet': {
+        'hostname': 'thermohub',
+        'banner': 'ThermoHub TH-300 (firmware 3.2.7)\n\n',
+        'valid_credentials': {'admin': 'thermo', 'root': 'th300'},
+        'uname_output': 'Linux thermohub 4.14.98 #1 SMP armv7l GNU/Linux\n'
+      },
+      'http': {
+        'hostname': 'thermohub',
+        'server_header': 'lighttpd/1.4.53',
+        'valid_credentials': {'admin': 'thermo'},
+        'fake_pages': {
+          '/setup': 'ThermoHub Setup',
+          '/schedule': 'Heating Schedule',
+          '/api/v1/status': 'Status'
+        }
+      },
+      'mqtt': {
+        'broker_name': 'ThermoHub TH-300',
+        'valid_credentials': {'thermohub': 'th300', 'admin': 'thermo'},
+        'devices': {
+          'home/thermostat/temperature': {'type': 'sensor', 'value': 21.4, 'unit': 'celsius'},
+          'home/thermostat/humidity': {'type': 'sensor', 'value': 42.0, 'unit': 'percent'},
+          'home/thermostat/setpoint': {'type': 'actuator', 'value': 21.0, 'unit': 'celsius'},
+          'home/thermostat/mode': {'type': 'actuator', 'state': 'heat'},
+          'home/boiler/state': {'type': 'actuator', 'state': 'off'},
+          'admin/command': {'type': 'admin'},
+          'admin/config': {'type': 'admin'},
+          'admin/firmware': {'type': 'admin'}
+        },
+        'device_config': {
+          'device_type': 'thermostat_hub',
+          'firmware_version': '3.2.7',
+          'model': 'TH-300',
+          'manufacturer': 'ThermoHome'
+        }
+      },
+      'coap': {
+        'device_name': 'ThermoHub TH-300',
+        'resources': {
+          '/sensor/temp': {'value': '21.4', 'type': 'sensor', 'unit': 'celsius', 'observable': True},
+          '/sensor/humidity': {'value': '42.0', 'type': 'sensor', 'unit': 'percent', 'observable': True},
+          '/actuator/thermostat': {'value': '21.0', 'type': 'actuator', 'writable': True},
+          '/actuator/boiler': {'value': 'off', 'type': 'actuator', 'writable': True},
+          '/info/device': {'value': 'ThermoHub TH-300', 'type': 'info'},
+          '/info/firmware': {'value': '3.2.7', 'type': 'info'},
+          '/admin/shell': {'type': 'shell', 'writable': True},
+          '/admin/reboot': {'type': 'command', 'writable': True},
+          '/.well-known/core': {'type': 'discovery'}
+        },
+        'device_info': {
+          'type': 'thermostat_hub',
+          'firmware': '3.2.7',
+          'model': 'TH-300',
+          'manufacturer': 'ThermoHome'
+        }
+      }
+    }
+  }
+]
+
+
+def load_custom_personas():
+  """Personas saved from the dashboard (data/personas.json), all tenants."""
+  personas = load_json_file(PERSONAS_FILE, [])
+  return personas if isinstance(personas, list) else []
+
+
+def get_tenant_personas(tenant):
+  """Built-in personas plus the ones saved in `tenant`."""
+  builtin = [dict(persona, builtin=True) for persona in BUILTIN_PERSONAS]
+  return builtin + [
+    persona for persona in load_custom_personas()
+    if persona.get('tenant', DEFAULT_TENANT) == tenant
+  ]
+
+
+def get_persona(persona_id, tenant=DEFAULT_TENANT):
+  """A built-in or `tenant`'s saved persona by id, or None."""
+  for persona in get_tenant_personas(tenant):
+    if persona['id'] == persona_id:
+      return persona
+  return None
+
+
+def clean_persona_configs(configs):
+  """
+  Validate the overrides of a persona being saved -> (configs, errors).
+
+  Deployment keys are dropped; each remaining key the schema knows must
+  hold a valid value.
+  """
+  cleaned, errors = {}, {}
+  if not isinstance(configs, dict):
+    return {}, {'': 'configs must map protocols to config overrides'}
+
+  for protocol, overrides in configs.items():
+    if protocol not in PROTOCOLS:
+      errors[protocol] = 'Unknown protocol'
+      continue
+    if not isinstance(overrides, dict):
+      errors[protocol] = 'Overrides must be a JSON object'
+      continue
+    fields = {field['key']: field for field in get_config_schema(protocol)}
+    overrides = {k: v for k, v in overrides.items() if k not in PERSONA_EXCLUDED_KEYS}
+    for key, value in overrides.items():
+      error = validate_config_value(fields[key], value) if key in fields else None
+      if error:
+        errors[f'{protocol}.{key}'] = error
+    if overrides:
+      cleaned[protocol] = overrides
+  return cleaned, errors
+
+
+# ---------- TENANTS ----------
+#
+# Each customer gets a workspace (tenant) with its own honeypot configs,
+# processes, logs and sensor secret. The default tenant is the original
+# single-tenant layout (configs/ and logs/). Every other tenant lives
+# under tenants/<id>/, and its honeypots are pointed at tenants/<id>/logs,
+# so no tenant's event stream includes another's events. Requests choose
+# a tenant with the X-Tenant header, or ?tenant= where headers can't be
+# set (see authenticate_request).
+
+def load_tenants():
+  """tenant id -> {'name', 'secret', 'created'}; the default tenant always exists."""
+  tenants = load_json_file(TENANTS_FILE, {})
+  if not isinstance(tenants, dict):
+    tenants = {}
+  # The default tenant's sensors keep using config_server.py's shared secret
+  tenants.setdefault(DEFAULT_TENANT, {'name': 'Default', 'secret': None, 'created': None})
+  return tenants
+
+
+def get_tenant_dirs(tenant):
+  """(configs dir, logs dir) of a tenant."""
+  if tenant == DEFAULT_TENANT:
+    return CONFIGS_DIR, LOGS_DIR
+  return TENANTS_DIR / tenant / 'configs', TENANTS_DIR / tenant / 'logs'
+
+
+def get_tenant_config_path(tenant, protocol):
+  return get_tenant_dirs(tenant)[0] / f'{protocol}.json'
+
+
+def get_tenant_log_directory(tenant):
+  """The log_directory a tenant's honeypots must use (relative to honeypots/)."""
+  return os.path.relpath(get_tenant_dirs(tenant)[1], HONEYPOTS_DIR)
+
+
+# Files a honeypot reads or writes outside its log directory, with the
+# name the script falls back to
+TENANT_FILE_FIELDS = {
+  'ssh': {'host_key_file': 'ssh_host_key'},
+  'http': {'ssl_cert': 'cert.pem', 'ssl_key': 'key.pem'}
+}
+
+
+def get_tenant_file_path(tenant, name):
+  """Where a tenant's honeypots keep a key or certificate (relative to honeypots/)."""
+  return os.path.relpath(TENANTS_DIR / tenant / name, HONEYPOTS_DIR)
+
+
+def is_tenant_file_path(tenant, path):
+  """Whether a path, taken relative to honeypots/, resolves inside tenants/<id>/."""
+  resolved = (HONEYPOTS_DIR / path).resolve()
+  return resolved.is_relative_to((TENANTS_DIR / tenant).resolve())
+
+
+def get_tenant_default_config(tenant, protocol):
+  config = get_default_config(protocol)
+  if tenant != DEFAULT_TENANT:
+    config['log_directory'] = get_tenant_log_directory(tenant)
+    for key, name in TENANT_FILE_FIELDS.get(protocol, {}).items():
+      config[key] = get_tenant_file_path(tenant, name)
+  return config
+
+
+def save_protocol_config(tenant, protocol, config):
+  """
+  Write a tenant's config. Other tenants' honeypots always log into their
+  own directory under the protocol's log file name, and read keys and
+  certificates only from inside tenants/<id>/.
+  """
+  if tenant != DEFAULT_TENANT:
+    config = dict(
+      config,
+      log_directory=get_tenant_log_directory(tenant),
+      log_file=f'{protocol}.logs'
+    )
+    for key, name in TENANT_FILE_FIELDS.get(protocol, {}).items():
+      path = config.get(key)
+      if not isinstance(path, str) or not path or not is_tenant_file_path(tenant, path):
+        config[key] = get_tenant_file_path(tenant, name)
+  config_file = get_tenant_config_path(tenant, protocol)
+  config_file.parent.mkdir(exist_ok=True, parents=True)
+  with open(config_file, 'w') as f:
+    json.dump(config, f, indent=2)
+
+
+def find_port_owner(host, port, exclude=None):
+  """The (tenant, protocol) whose honeypot is configured on host:port, or None."""
+  for tenant in load_tenants():
+    for protocol in PROTOCOLS:
+      if (tenant, protocol) == exclude:
+        continue
+      config = load_protocol_config(protocol, tenant)
+      if config.get('port') != port:
+        continue
+      hosts = {host, config.get('host', '0.0.0.0')}
+      if len(hosts) == 1 or hosts & WILDCARD_HOSTS:
+        return tenant, protocol
+  return None
+
+
+def get_tenant_port_map(tenant):
+  """{protocol: port} a tenant's sensors forward to."""
+  return {
+    protocol: load_protocol_config(protocol, tenant).get('port')
+    for protocol in PROTOCOLS
+  }
+
+
+def create_tenant(name):
+  """
+  Register a tenant and write a default config for each protocol, moving
+  every port up to the next one no other honeypot on this host uses.
+  """
+  tenant_id = uuid.uuid4().hex[:12]
+  tenants = load_tenants()
+  tenants[tenant_id] = {
+    'name': name,
+    'secret': secrets.token_urlsafe(24),
+    'created': datetime.now().isoformat()
+  }
+  save_json_file(TENANTS_FILE, tenants)
+
+  for protocol in PROTOCOLS:
+    config = get_tenant_default_config(tenant_id, protocol)
+    while find_port_owner(config['host'], config['port'], exclude=(tenant_id, protocol)):
+      config['port'] += 1
+    save_protocol_config(tenant_id, protocol, config)
+  return tenant_id
+
+
+def delete_tenant(tenant_id):
+  """
+  Stop a tenant's honeypots and remove it from the registry and from
+  every user. Its files under tenants/<id>/ are left for archiving.
+  """
+  with honeypots_lock:
+    keys = [k for k in running_honeypots if k[0] == tenant_id]
+  terminate_honeypots(keys)
+  with honeypots_lock:
+    for key in keys:
+      running_honeypots.pop(key, None)
+
+  tenants = load_tenants()
+  tenants.pop(tenant_id, None)
+  save_json_file(TENANTS_FILE, tenants)
+
+  users = load_users()
+  for record in users.values():
+    if tenant_id in record.get('tenants', []):
+      record['tenants'].remove(tenant_id)
+  save_json_file(USERS_FILE, users)
+
+  with logs_cache_lock:
+    logs_cache.pop(tenant_id, None)
+
+
+def get_user_tenants(user):
+  """Tenant ids a user can open, in registry order ('*' grants all)."""
+  tenants = load_tenants()
+  if '*' in user['tenants']:
+    return list(tenants)
+  return [tenant for tenant in tenants if tenant in user['tenants']]
+
+
+def is_operator(user):
+  """Admins of every tenant run the service: tenants and users are theirs."""
+  return has_role(user, 'admin') and '*' in user['tenants']
+
+
+# ---------- GEOIP ----------
+#
+# Events are enriched offline from databases an operator uploads under
+# Settings: a MaxMind-format City/Country MMDB (GeoLite2, DB-IP Lite), an
+# ASN MMDB, and/or a CSV of ranges. Nothing is looked up over the network,
+# so an air-gapped lab gets the same data as a connected one; addresses no
+# database covers keep a null lat/lon rather than a fake 0,0.
+#
+# CSV ranges need a header row with either a `network` (CIDR) column or
+# `start`/`end` addresses, plus any of country_code, country, city,
+# latitude, longitude, asn and org. Overlapping ranges resolve to the one
+# starting closest below the address.
+
+GEOIP_DIR = DATA_DIR / 'geoip'
+GEOIP_INDEX_FILE = GEOIP_DIR / 'databases.json'  # kind -> upload details
+GEOIP_KINDS = {'city': 'city.mmdb', 'asn': 'asn.mmdb', 'csv': 'ranges.csv'}
+GEOIP_CSV_COLUMNS = {
+  'country_code': 'countryCode', 'country': 'country', 'city': 'city',
+  'latitude': 'lat', 'lat': 'lat', 'longitude': 'lon', 'lon': 'lon',
+  'asn': 'asn', 'org': 'org'
+}
+
+geoip_databases = None  # kind -> open reader / CSV table, loaded lazily
+geoip_lock = threading.Lock()
+
+
+def load_geoip_csv(path):
+  """
+  Parse a CSV of ranges into {version: (starts, rows)}, sorted by start,
+  where rows are (start, end, fields). Raises ValueError on a bad file.
+  """
+  ranges = {4: [], 6: []}
+  with open(path, newline='', encoding='utf-8-sig') as f:
+    reader = csv.DictReader(f)
+    columns = {name.strip().lower(): name for name in reader.fieldnames or []}
+    if 'network' not in columns and not ('start' in columns and 'end' in columns):
+      raise ValueError('CSV needs a network column or start and end columns')
+    for line, row in enumerate(reader, start=2):
+      try:
+        if 'network' in columns:
+          network = ipaddress.ip_network(row[columns['network']].strip(), strict=False)
+          first, last = network[0], network[-1]
+        else:
+          first = ipaddress.ip_address(row[columns['start']].strip())
+          last = ipaddress.ip_address(row[columns['end']].strip())
+        if first.version != last.version or int(last) < int(first):
+          raise ValueError('bad range')
+        fields = {}
+        for column, key in GEOIP_CSV_COLUMNS.items():
+          value = (row.get(columns.get(column, ''), '') or '').strip()
+          if not value or key in fields:
+            continue
+          if key in ('lat', 'lon'):
+            value = float(value)
+          elif key == 'asn':
+            value = int(value.upper().removeprefix('AS'))
+          fields[key] = value
+      except (ValueError, TypeError, AttributeError) as e:
+        raise ValueError(f'Line {line}: {e}')
+      ranges[first.version].append((int(first), int(last), fields))
+
+  table = {}
+  for version, rows in ranges.items():
+    rows.sort(key=lambda r: r[0])
+    table[version] = ([r[0] for r in rows], rows)
+  if not any(rows for _, rows in table.values()):
+    raise ValueError('CSV has no ranges')
+  return table
+
+
+def lookup_geoip_csv(table, address):
+  starts, rows = table[address.version]
+  index = bisect.bisect_right(starts, int(address)) - 1
+  if index >= 0 and int(address) <= rows[index][1]:
+    return rows[index][2]
+  return {}
+
+
+def open_geoip_database(kind, path):
+  if kind == 'csv':
+    return load_geoip_csv(path)
+  try:
+    return maxminddb.open_database(str(path))
+  except (maxminddb.InvalidDatabaseError, ValueError, OSError) as e:
+    raise ValueError(f'Not a valid MMDB file: {e}')
+
+
+def get_geoip_databases():
+  """The uploaded databases, opened on first use."""
+  global geoip_databases
+  with geoip_lock:
+    if geoip_databases is None:
+      geoip_databases = {}
+      for kind, filename in GEOIP_KINDS.items():
+        path = GEOIP_DIR / filename
+        if not path.exists():
+          continue
+        try:
+          geoip_databases[kind] = open_geoip_database(kind, path)
+        except ValueError as e:
+          print(f'[!] Skipping GeoIP database {path}: {e}')
+    return geoip_databases
+
+
+def reset_geoip():
+  """Reopen the databases and re-enrich every cached event."""
+  global geoip_databases
+  with geoip_lock:
+    for kind, database in (geoip_databases or {}).items():
+      if kind != 'csv':
+        database.close()
+    geoip_databases = None
+  ip_location_cache.clear()
+  with logs_cache_lock:
+    logs_cache.clear()
+
+
+def get_ip_location(ip):
+  """
+  Location and network of an IP: lat/lon (None when unknown), country,
+  countryCode, city, asn, org, and whether it is in a private or reserved
+  range (which no database places).
+  """
+  if ip in ip_location_cache:
+    return ip_location_cache[ip]
+
+  location = {
+    'lat': None, 'lon': None, 'country': 'Unknown', 'countryCode': None,
+    'city': 'Unknown', 'asn': None, 'org': None, 'private': False
+  }
+  try:
+    address = ipaddress.ip_address(ip)
+  except ValueError:
+    return location
+  if address.version == 6 and address.ipv4_mapped:
+    address = address.ipv4_mapped
+  location['private'] = not address.is_global
+
+  databases = get_geoip_databases()
+  if 'csv' in databases:
+    location.update(lookup_geoip_csv(databases['csv'], address))
+  try:
+    record = databases['city'].get(str(address)) if 'city' in databases else None
+    if record:
+      country = record.get('country') or record.get('registered_country') or {}
+      coordinates = record.get('location') or {}
+      location['country'] = country.get('names', {}).get('en') or location['country']
+      location['countryCode'] = country.get('iso_code') or location['countryCode']
+      location['city'] = (record.get('city') or {}).get('names', {}).get('en') or location['city']
+      if coordinates.get('latitude') is not None:
+        location['lat'] = coordinates['latitude']
+        location['lon'] = coordinates.get('longitude')
+    record = databases['asn'].get(str(address)) if 'asn' in databases else None
+    if record:
+      location['asn'] = record.get('autonomous_system_number') or location['asn']
+      location['org'] = record.get('autonomous_system_organization') or location['org']
+  except (ValueError, maxminddb.InvalidDatabaseError) as e:
+    print(f'[!] GeoIP lookup failed for {ip}: {e}')
+
+  ip_location_cache[ip] = location
+  return location
+
+
+def get_geoip_status():
+  index = load_json_file(GEOIP_INDEX_FILE, {})
+  databases = get_geoip_databases()
+  return [
+    {'kind': kind, 'loaded': kind in databases, **index[kind]}
+    for kind in GEOIP_KINDS if kind in index and (GEOIP_DIR / GEOIP_KINDS[kind]).exists()
+  ]
+
+
+def install_geoip_database(upload, username):
+  """
+  Store an uploaded database, replacing any of the same kind. CSV files
+  are told apart by extension, MMDBs by their metadata. Returns the kind;
+  raises ValueError if the file can't be read.
+  """
+  GEOIP_DIR.mkdir(exist_ok=True, parents=True)
+  tmp_path = GEOIP_DIR / f'upload-{uuid.uuid4().hex}.tmp'
+  upload.save(str(tmp_path))
+  try:
+    if (upload.filename or '').lower().endswith('.csv'):
+      kind = 'csv'
+      load_geoip_csv(tmp_path)
+    else:
+      reader = open_geoip_database('mmdb', tmp_path)
+      database_type = reader.metadata().database_type
+      reader.close()
+      kind = 'asn' if 'ASN' in database_type.upper() else 'city'
+  except (ValueError, UnicodeDecodeError, csv.Error) as e:
+    tmp_path.unlink()
+    raise ValueError(str(e))
+
+  os.replace(tmp_path, GEOIP_DIR / GEOIP_KINDS[kind])
+  index = load_json_file(GEOIP_INDEX_FILE, {})
+  index[kind] = {
+    'filename': upload.filename,
+    'size': (GEOIP_DIR / GEOIP_KINDS[kind]).stat().st_size,
+    'uploaded': datetime.now().isoformat(),
+    'uploadedBy': username
+  }
+  save_json_file(GEOIP_INDEX_FILE, index)
+  reset_geoip()
+  return kind
+
+
+# ---------- SENSORS ----------
+#
+# Sensors are client.py forwarders running in managed mode
+# (`python client.py <server> <secret>`). They check in with
+# config_server.py about once a minute; it records each check-in in
+# SENSOR_CHECKINS_FILE and answers with the sensor's port map, which is
+# edited here and kept in SENSORS_FILE. Forwarded connections reach the
+# honeypots from the sensor's own address, so events from that address
+# are tagged with the sensor's id.
+
+SENSOR_STALE_AFTER = 180  # seconds without a check-in before a sensor is offline
+SENSOR_NAME_MAX = 100
+# client.py forwards TCP only, so CoAP (UDP) can't be routed through a sensor
+FORWARDABLE_PROTOCOLS = [p for p in PROTOCOLS if p != 'coap']
+
+sensor_addresses = {}  # tenant -> (files' versions, get_sensor_addresses result)
+
+
+def get_tenant_checkins(tenant):
+  """
+  sensor id -> latest check-in of a tenant's sensors. Forgotten sensors
+  are left out until they check in again.
+  """
+  checkins = load_json_file(SENSOR_CHECKINS_FILE, {})
+  settings = load_json_file(SENSORS_FILE, {})
+  if not isinstance(checkins, dict):
+    return {}
+  return {
+    sensor_id: record for sensor_id, record in checkins.items()
+    if record.get('tenant') == tenant
+    and record.get('lastCheckin', '') > settings.get(sensor_id, {}).get('removed', '')
+  }
+
+
+def get_checkins_version():
+  """config_server.py replaces SENSOR_CHECKINS_FILE on every check-in."""
+  try:
+    stat = os.stat(SENSOR_CHECKINS_FILE)
+  except OSError:
+    return None
+  return stat.st_ino, stat.st_mtime_ns
+
+
+def get_sensor_addresses(tenant):
+  """
+  {address: sensor id} of a tenant's sensors. Rebuilt only when a sensor
+  checked in or was edited; the same object is returned until it changes.
+  """
+  version = (get_checkins_version(), file_versions.get(SENSORS_FILE))
+  cached = sensor_addresses.get(tenant)
+  if cached and cached[0] == version:
+    return cached[1]
+  addresses = {
+    record['address']: sensor_id
+    for sensor_id, record in get_tenant_checkins(tenant).items()
+    if record.get('address')
+  }
+  if cached and cached[1] == addresses:
+    addresses = cached[1]
+  sensor_addresses[tenant] = (version, addresses)
+  return addresses
+
+
+def tag_sensor_events(events, addresses):
+  """Set (or clear) each event's 'sensor' from its source address."""
+  for entry in events:
+    sensor_id = addresses.get(entry.get('ip'))
+    if sensor_id:
+      entry['sensor'] = sensor_id
+    else:
+      entry.pop('sensor', None)
+
+
+def get_tenant_sensors(tenant, logs):
+  """A tenant's sensors with their status, forwarding and event counts."""
+  settings = load_json_file(SENSORS_FILE, {})
+  honeypots = get_honeypot_status(tenant)
+  counts = {}
+  last_events = {}
+  for log in logs:
+    sensor_id = log.get('sensor')
+    if sensor_id:
+      counts[sensor_id] = counts.get(sensor_id, 0) + 1
+      # logs are newest first
+      last_events.setdefault(sensor_id, log.get('timestamp'))
+
+  now = datetime.now()
+  sensors = []
+  for sensor_id, record in get_tenant_checkins(tenant).items():
+    setting = settings.get(sensor_id, {})
+    try:
+      age = (now - datetime.fromisoformat(record['lastCheckin'])).total_seconds()
+    except (KeyError, TypeError, ValueError):
+      age = None
+    forwarding = record.get('forwarding') or {}
+    sensors.append({
+      'id': sensor_id,
+      'name': setting.get('name') or record.get('hostname') or sensor_id,
+      'hostname': record.get('hostname'),
+      'address': record.get('address'),
+      'firstSeen': record.get('firstSeen'),
+      'lastCheckin': record.get('lastCheckin'),
+      'online': age is not None and age <= SENSOR_STALE_AFTER,
+      'portMap': setting.get('portMap'),
+      'forwarding': forwarding,
+      'errors': record.get('errors') or {},
+      'honeypots': {
+        protocol: bool(honeypots.get(protocol, {}).get('running'))
+        for protocol in forwarding
+      },
+      'events': counts.get(sensor_id, 0),
+      'lastEvent': last_events.get(sensor_id)
+    })
+
+  sensors.sort(key=lambda s: s['name'].lower())
+  return sensors
+
+
+def validate_sensor_port_map(port_map):
+  """Return an error message for a {protocol: listen port} map, or None."""
+  if not isinstance(port_map, dict):
+    return 'portMap must be an object of protocol -> port'
+  seen = {}
+  for protocol, port in port_map.items():
+    if protocol not in FORWARDABLE_PROTOCOLS:
+      return f'{protocol} cannot be forwarded by a sensor'
+    if isinstance(port, bool) or not isinstance(port, int) or not 1 <= port <= 65535:
+      return f'{protocol}: port must be an integer from 1 to 65535'
+    if port in seen:
+      return f'{protocol}: port {port} is already used by {seen[port]}'
+    seen[port] = protocol
+  return None
+
+
+# ---------- ALERTS ----------
+#
+# Alert rules are evaluated by a background thread against each tenant's
+# newly written events (the same offsets as the live stream), so only
+# events logged while the dashboard runs can fire. A rule is a query
+# (see QUERY LANGUAGE) plus a condition:
+#   - threshold: `threshold` matching events logged within `window`
+#     seconds, counted per value of `groupBy` (e.g. 'ip') when set
+#   - new_ip: a matching event from an IP no earlier matching event had
+# Each rule/group fires at most once per `cooldown` seconds, also by the
+# events' timestamps. Fired alerts
+# land in the inbox (open -> acknowledged -> resolved) and are delivered
+# to the rule's channels: a webhook (JSON POST) or syslog (UDP) to a
+# public address, or an email file written to ALERT_SPOOL_DIR for a local
+# MTA to pick up.
+
+ALERT_RULES_FILE = DATA_DIR / 'alert_rules.json'
+ALERTS_FILE = DATA_DIR / 'alerts.json'
+ALERT_SPOOL_DIR = DATA_DIR / 'mail_spool'
+ALERT_EVALUATE_INTERVAL = 2.0  # seconds
+ALERT_DELIVERY_TIMEOUT = 5  # seconds, per webhook
+ALERTS_MAX = 2000  # oldest alerts are dropped beyond this
+ALERT_LIST_DEFAULT = 200
+ALERT_KINDS = ['threshold', 'new_ip']
+ALERT_STATUSES = ['open', 'acknowledged', 'resolved']
+ALERT_CHANNEL_TYPES = ['webhook', 'syslog', 'email']
+ALERT_WINDOW_MAX = 86400  # seconds, also the longest cooldown
+SYSLOG_DEFAULT_PORT = 514
+SYSLOG_FACILITY = 16  # local0
+SYSLOG_SEVERITIES = {'critical': 2, 'high': 3, 'medium': 4, 'low': 5, 'info': 6}
+EMAIL_RE = re.compile(r'^[^@\s]+@[^@\s]+$')
+
+# Per tenant log positions and per rule counters; in memory only
+alert_positions = {}
+alert_rule_state = {}
+alerts_lock = threading.Lock()
+alert_thread = None
+
+
+def load_alert_rules(tenant):
+  return [r for r in load_json_file(ALERT_RULES_FILE, []) if r.get('tenant') == tenant]
+
+
+def validate_alert_channel(channel):
+  """Return (cleaned channel, None) or (None, error message)."""
+  if not isinstance(channel, dict) or channel.get('type') not in ALERT_CHANNEL_TYPES:
+    return None, f'Channel type must be one of: {", ".join(ALERT_CHANNEL_TYPES)}'
+  kind = channel['type']
+  if kind == 'webhook':
+    url = str(channel.get('url', '')).strip()
+    if not re.match(r'^https?://\S+$', url):
+      return None, 'Webhook URL must start with http:// or https://'
+    return {'type': kind, 'url': url}, None
+  if kind == 'syslog':
+    host = str(channel.get('host', '')).strip()
+    port = channel.get('port') or SYSLOG_DEFAULT_PORT
+    if not host:
+      return None, 'Syslog host is required'
+    if isinstance(port, bool) or not isinstance(port, int) or not 1 <= port <= 65535:
+      return None, 'Syslog port must be an integer from 1 to 65535'
+    return {'type': kind, 'host': host, 'port': port}, None
+  to = str(channel.get('to', '')).strip()
+  if not EMAIL_RE.match(to):
+    return None, 'Email channel needs a recipient address'
+  return {'type': kind, 'to': to}, None
+
+
+def validate_alert_rule(data):
+  """Return (cleaned rule fields, None) or (None, error message)."""
+  name = str(data.get('name', '')).strip()
+  if not name:
+    return None, 'Rule name is required'
+  query = str(data.get('query', '')).strip()
+  try:
+    parse_query(query)
+  except QueryError as e:
+    return None, str(e)
+
+  kind = data.get('kind', 'threshold')
+  if kind not in ALERT_KINDS:
+    return None, f'kind must be one of: {", ".join(ALERT_KINDS)}'
+  severity = data.get('severity', 'medium')
+  if severity not in SEVERITY_ORDER:
+    return None, f'severity must be one of: {", ".join(SEVERITY_ORDER)}'
+
+  numbers = {}
+  for key, default, low in (('threshold', 1, 1), ('window', 60, 1), ('cooldown', 300, 0)):
+    value = data.get(key, default)
+    if isinstance(value, bool) or not isinstance(value, int):
+      return None, f'{key} must be an integer'
+    high = ALERT_WINDOW_MAX if key != 'threshold' else None
+    if value < low or (high is not None and value > high):
+      return None, f'{key} must be between {low} and {high}' if high else f'{key} must be at least {low}'
+    numbers[key] = value
+
+  group_by = str(data.get('groupBy') or '').strip()
+  channels = []
+  for channel in data.get('channels') or []:
+    cleaned, error = validate_alert_channel(channel)
+    if error:
+      return None, error
+    channels.append(cleaned)
+
+  return {
+    'name': name,
+    'query': query,
+    'kind': kind,
+    'severity': severity,
+    'groupBy': group_by,
+    'channels': channels,
+    'enabled': bool(data.get('enabled', True)),
+    **numbers
+  }, None
+
+
+def get_rule_state(rule, tenant, first_event):
+  """A rule's counters, reset whenever the rule is edited."""
+  state = alert_rule_state.get(rule['id'])
+  if state is None or state['version'] != rule.get('updated'):
+    state = {'version': rule.get('updated'), 'hits': {}, 'fired': {}, 'seen': None, 'latest': None}
+    alert_rule_state[rule['id']] = state
+
+  if rule['kind'] == 'new_ip' and state['seen'] is None:
+    # IPs already known from events logged before this batch
+    query = parse_query(rule['query'])
+    before = first_event.get('timestamp', '')
+    state['seen'] = {
+      log.get('ip') for log in get_cached_logs(tenant)
+      if log.get('timestamp', '') < before and (query is None or evaluate_query(query, log))
+    }
+  return state
+
+
+def evaluate_alert_rule(rule, events, tenant, now):
+  """
+  Return the alerts `events` (oldest first) fire for one rule. Windows
+  and cooldowns follow the events' own timestamps, so a backlog read in
+  one pass isn't counted as a burst; `now` stands in for a missing one.
+  """
+  state = get_rule_state(rule, tenant, events[0])
+  query = parse_query(rule['query'])
+  window = rule['window']
+
+  # Forget counters and cooldowns the newest event seen has left behind
+  latest = state['latest']
+  if latest is not None:
+    for key in [k for k, hits in state['hits'].items() if not hits or hits[-1] <= latest - window]:
+      del state['hits'][key]
+    for key in [k for k, fired in state['fired'].items() if fired <= latest - rule['cooldown']]:
+      del state['fired'][key]
+
+  fired_alerts = []
+  for event in events:
+    if query is not None and not evaluate_query(query, event):
+      continue
+    moment = parse_event_time(event)
+    if moment is None:
+      moment = now
+    state['latest'] = max(moment, state['latest'] or moment)
+
+    if rule['kind'] == 'new_ip':
+      key = event.get('ip')
+      if not key or key in state['seen']:
+        continue
+      state['seen'].add(key)
+      count = 1
+    else:
+      key = get_nested_value(event, rule['groupBy']) if rule['groupBy'] else None
+      key = '' if key is None else str(key)
+      # Sorted moments of the matching events; a late one is slotted in
+      hits = state['hits'].setdefault(key, [])
+      bisect.insort(hits, moment)
+      del hits[:bisect.bisect_right(hits, hits[-1] - window)]
+      count = bisect.bisect_right(hits, moment) - bisect.bisect_right(hits, moment - window)
+      if count < rule['threshold']:
+        continue
+
+    last_fired = state['fired'].get(key)
+    if last_fired is not None and abs(moment - last_fired) < rule['cooldown']:
+      continue
+    state['fired'][key] = max(moment, last_fired or moment)
+    fired_alerts.append(build_alert(rule, tenant, key, count, event))
+  return fired_alerts
+
+
+def build_alert(rule, tenant, key, count, event):
+  if rule['kind'] == 'new_ip':
+    message = f'{rule["name"]}: first matching event from {key}'
+  else:
+    scope = f' for {rule["groupBy"]}={key}' if rule['groupBy'] else ''
+    message = f'{rule["name"]}: {count} matching event(s) within {rule["window"]}s{scope}'
+  return {
+    'id': uuid.uuid4().hex[:12],
+    'tenant': tenant,
+    'ruleId': rule['id'],
+    'ruleName': rule['name'],
+    'severity': rule['severity'],
+    'status': 'open',
+    'created': datetime.now().isoformat(),
+    'key': key,
+    'count': count,
+    'message': message,
+    'event': event,
+    'deliveries': [],
+    'history': []
+  }
+
+
+class AlertDeliveryError(Exception):
+  """A delivery failure whose message is safe to show a tenant."""
+
+
+def resolve_public_address(host, label):
+  """
+  Refuse deliveries to this host or its network: every address `host`
+  resolves to must be a public one. Returns the address to connect to,
+  so a second lookup can't be answered differently (DNS rebinding).
+  """
+  try:
+    addresses = [info[4][0] for info in socket.getaddrinfo(host, None)] if host else []
+  except (OSError, UnicodeError):
+    addresses = []
+  if not addresses:
+    raise AlertDeliveryError(f'{label} host could not be resolved')
+  for address in addresses:
+    ip = ipaddress.ip_address(address.split('%')[0])
+    if not ip.is_global or ip.is_multicast:
+      raise AlertDeliveryError(f'{label} host is not a public address')
+  return addresses[0]
+
+
+class PinnedHostAdapter(requests.adapters.HTTPAdapter):
+  """HTTPS to a pinned address, with SNI and certificate checks for the URL's host."""
+
+  def __init__(self, hostname):
+    self.hostname = hostname
+    super().__init__()
+
+  def init_poolmanager(self, *args, **kwargs):
+    kwargs.update(server_hostname=self.hostname, assert_hostname=self.hostname)
+    super().init_poolmanager(*args, **kwargs)
+
+
+def deliver_webhook(channel, alert):
+  # Errors are summarised: the test endpoint shows them to tenant admins
+  url = urlparse(channel['url'])
+  address = resolve_public_address(url.hostname, 'Webhook')
+  host = f'[{address}]' if ':' in address else address
+  port = f':{url.port}' if url.port else ''
+  try:
+    with requests.Session() as session:
+      session.mount('https://', PinnedHostAdapter(url.hostname))
+      response = session.post(
+        url._replace(netloc=host + port).geturl(),
+        json=alert,
+        headers={'Host': url.netloc.rpartition('@')[2]},
+        timeout=ALERT_DELIVERY_TIMEOUT,
+        allow_redirects=False
+      )
+  except requests.Timeout:
+    raise AlertDeliveryError('Webhook timed out')
+  except requests.RequestException:
+    raise AlertDeliveryError('Webhook could not be reached')
+  # Redirects aren't followed, they could point anywhere
+  if response.status_code >= 300:
+    raise AlertDeliveryError(f'Webhook answered HTTP {response.status_code}')
+
+
+def deliver_syslog(channel, alert):
+  address = resolve_public_address(channel['host'], 'Syslog')
+  priority = SYSLOG_FACILITY * 8 + SYSLOG_SEVERITIES.get(alert['severity'], 6)
+  stamp = datetime.now().strftime('%b %d %H:%M:%S')
+  line = f'<{priority}>{stamp} {socket.gethostname()} honeypot[{os.getpid()}]: {alert["message"]}'
+  family = socket.AF_INET6 if ':' in address else socket.AF_INET
+  with socket.socket(family, socket.SOCK_DGRAM) as sock:
+    sock.sendto(line.encode(errors='replace'), (address, channel['port']))
+
+
+def deliver_email(channel, alert):
+  """Write an RFC 5322 message into the spool for a local MTA to send."""
+  message = EmailMessage()
+  message['From'] = 'honeypot@localhost'
+  message['To'] = channel['to']
+  message['Subject'] = f'[{alert["severity"]}] {alert["ruleName"]}'
+  message['Date'] = formatdate(localtime=True)
+  message.set_content(
+    f'{alert["message"]}\n\nTriggering event:\n{json.dumps(alert["event"], indent=2, default=str)}\n'
+  )
+  ALERT_SPOOL_DIR.mkdir(exist_ok=True, parents=True)
+  with open(ALERT_SPOOL_DIR / f'{alert["created"].replace(":", "")}-{alert["id"]}.eml', 'w') as f:
+    f.write(message.as_string())
+
+
+ALERT_DELIVERY = {'webhook': deliver_webhook, 'syslog': deliver_syslog, 'email': deliver_email}
+
+
+def deliver_alert(alert, channels):
+  """Send an alert to each channel, recording how each delivery went."""
+  for channel in channels:
+    try:
+      ALERT_DELIVERY[channel['type']](channel, alert)
+      alert['deliveries'].append({'type': channel['type'], 'ok': True, 'error': None})
+    except Exception as e:
+      alert['deliveries'].append({'type': channel['type'], 'ok': False, 'error': str(e)})
+
+
+def store_alerts(new_alerts):
+  with alerts_lock:
+    alerts = load_json_file(ALERTS_FILE, []) + new_alerts
+    save_json_file(ALERTS_FILE, alerts[-ALERTS_MAX:])
+
+
+def evaluate_alerts():
+  """Run every enabled rule over the events logged since the last pass."""
+  rules = load_json_file(ALERT_RULES_FILE, [])
+  now = time.time()
+  for tenant in load_tenants():
+    logs_dir = get_tenant_dirs(tenant)[1]
+    positions = alert_positions.get(tenant)
+    if positions is None:
+      # Start from the end: history never fires
+      alert_positions[tenant] = snapshot_log_positions(logs_dir)
+      continue
+    events = read_new_events(positions, logs_dir)
+    positions.pop('truncated', None)
+
+    tenant_rules = [r for r in rules if r.get('tenant') == tenant and r.get('enabled', True)]
+    if not events or not tenant_rules:
+      continue
+    tag_sensor_events(events, get_sensor_addresses(tenant))
+    # Oldest first; the honeypots' logs are read one after another
+    events.sort(key=lambda x: x.get('timestamp', ''))
+
+    fired = []
+    for rule in tenant_rules:
+      try:
+        for alert in evaluate_alert_rule(rule, events, tenant, now):
+          deliver_alert(alert, rule['channels'])
+          fired.append(alert)
+      except Exception as e:
+        print(f'[!] Alert rule {rule.get("id")} failed: {e}')
+    if fired:
+      store_alerts(fired)
+
+
+def run_alert_worker():
+  """Alert thread body."""
+  while True:
+    try:
+      evaluate_alerts()
+    except Exception as e:
+      print(f'[!] Alert evaluation failed: {e}')
+    time.sleep(ALERT_EVALUATE_INTERVAL)
+
+
+def ensure_alert_worker():
+  """Start the alert thread with the first request the app serves."""
+  global alert_thread
+  if alert_thread is None:
+    alert_thread = threading.Thread(target=run_alert_worker, daemon=True)
+    alert_thread.start()
+
+
+@app.before_request
+def start_alert_worker():
+  # The debug reloader's watcher process never serves requests, but
+  # don't evaluate alerts in it either way
+  if not app.debug or os.environ.get('WERKZEUG_RUN_MAIN') == 'true':
+    ensure_alert_worker()
+
+
+# ---------- CASES ----------
+#
+# What analysts learn during triage. Annotations put tags and notes on an
+# event, a session (ip|start|end, as the dashboard keys it) or a source
+# IP; incidents group events under a title with a status, a severity, an
+# assignee and a timeline of comments and changes. Cached events carry
+# the tags of the event, its session and its IP (`tags`) and references
+# to the incidents holding them (`incidents`, e.g. INC-3), so both can be
+# filtered on. Events are keyed by get_event_key without its log/session
+# suffix, so both copies of a double-logged event match.
+
+ANNOTATIONS_FILE = DATA_DIR / 'annotations.json'
+INCIDENTS_FILE = DATA_DIR / 'incidents.json'
+ANNOTATION_SCOPES = ['event', 'session', 'ip']
+INCIDENT_STATUSES = ['open', 'investigating', 'contained', 'closed']
+TAG_RE = re.compile(r'^[a-z0-9][a-z0-9._:/-]{0,39}$')
+TAGS_MAX = 20  # per event, session or IP
+NOTE_MAX = 5000  # characters, also for descriptions and comments
+INCIDENT_TITLE_MAX = 200
+INCIDENT_EVENTS_MAX = 5000
+
+cases_lock = threading.Lock()
+case_indexes = {}  # tenant -> (files' versions, get_case_index result)
+
+
+def get_case_event_key(key):
+  """An event key (see get_event_key) without its log/session suffix."""
+  prefix, _, suffix = key.rpartition('|')
+  return prefix if suffix in ('log', 'session') else key
+
+
+def get_session_key(log):
+  """The dashboard's key for an event's session, or None."""
+  session = log.get('session')
+  if not isinstance(session, dict):
+    return None
+  return '|'.join([session.get('ip') or 'unknown', session.get('start') or '', session.get('end') or ''])
+
+
+def get_incident_ref(incident):
+  return f"INC-{incident['number']}"
+
+
+def load_annotations(tenant):
+  return [a for a in load_json_file(ANNOTATIONS_FILE, []) if a.get('tenant') == tenant]
+
+
+def load_incidents(tenant):
+  return [i for i in load_json_file(INCIDENTS_FILE, []) if i.get('tenant') == tenant]
+
+
+def get_case_index(tenant):
+  """
+  Tags per scope and key, and incident references per event key. Rebuilt
+  only after annotations or incidents were saved; the same object is
+  returned until the tenant's cases change.
+  """
+  version = (file_versions.get(ANNOTATIONS_FILE), file_versions.get(INCIDENTS_FILE))
+  cached = case_indexes.get(tenant)
+  if cached and cached[0] == version:
+    return cached[1]
+  index = {'tags': {scope: {} for scope in ANNOTATION_SCOPES}, 'incidents': {}}
+  for annotation in load_annotations(tenant):
+    if annotation.get('tags'):
+      index['tags'][annotation['scope']][annotation['key']] = annotation['tags']
+  for incident in load_incidents(tenant):
+    for key in incident.get('events', []):
+      index['incidents'].setdefault(key, []).append(get_incident_ref(incident))
+  # Another tenant's cases were edited: keep the object, nothing to re-tag
+  if cached and cached[1] == index:
+    index = cached[1]
+  case_indexes[tenant] = (version, index)
+  return index
+
+
+def tag_case_events(events, index):
+  """Set (or clear) each event's 'tags' and 'incidents' from a case index."""
+  for entry in events:
+    event_key = get_case_event_key(get_event_key(entry))
+    tags = set(index['tags']['event'].get(event_key, []))
+    tags.update(index['tags']['session'].get(get_session_key(entry), []))
+    tags.update(index['tags']['ip'].get(entry.get('ip'), []))
+    for field, value in (('tags', sorted(tags)), ('incidents', index['incidents'].get(event_key))):
+      if value:
+        entry[field] = value
+      else:
+        entry.pop(field, None)
+
+
+def validate_annotation_target(data):
+  """Return ((scope, key), None) or (None, error message)."""
+  scope = data.get('scope')
+  if scope not in ANNOTATION_SCOPES:
+    return None, f'scope must be one of: {", ".join(ANNOTATION_SCOPES)}'
+  key = str(data.get('key') or '').strip()
+  if not key:
+    return None, 'key is required'
+  return (scope, get_case_event_key(key) if scope == 'event' else key), None
+
+
+def validate_tags(value):
+  """Return (cleaned tags, None) or (None, error message)."""
+  if not isinstance(value, list):
+    return None, 'tags must be a list'
+  tags = []
+  for tag in value:
+    tag = str(tag).strip().lower()
+    if not TAG_RE.match(tag):
+      return None, f'Invalid tag "{tag}": up to 40 letters, digits and . _ : / -'
+    if tag not in tags:
+      tags.append(tag)
+  if len(tags) > TAGS_MAX:
+    return None, f'At most {TAGS_MAX} tags'
+  return tags, None
+
+
+def validate_note(value, label='Note'):
+  """Return (text, None) or (None, error message)."""
+  text = str(value or '').strip()
+  if not text:
+    return None, f'{label} is empty'
+  if len(text) > NOTE_MAX:
+    return None, f'{label} is longer than {NOTE_MAX} characters'
+  return text, None
+
+
+def get_annotation(annotations, tenant, scope, key):
+  """The annotation of (scope, key) in `annotations`, added if missing."""
+  for annotation in annotations:
+    if annotation.get('tenant') == tenant and annotation['scope'] == scope and annotation['key'] == key:
+      return annotation
+  annotation = {'tenant': tenant, 'scope': scope, 'key': key, 'tags': [], 'notes': []}
+  annotations.append(annotation)
+  return annotation
+
+
+def save_annotations(annotations):
+  """Save, dropping annotations left with neither tags nor notes."""
+  save_json_file(ANNOTATIONS_FILE, [a for a in annotations if a.get('tags') or a.get('notes')])
+
+
+def get_assignees(tenant):
+  """Users an incident in `tenant` can be assigned to: its analysts and admins."""
+  assignees = []
+  for username, record in load_users().items():
+    user = public_user(username, record)
+    if has_role(user, 'analyst') and tenant in get_user_tenants(user):
+      assignees.append(username)
+  return sorted(assignees)
+
+
+def validate_incident(data, tenant, partial=False):
+  """
+  Return (cleaned incident fields, None) or (None, error message). With
+  `partial` only the fields present in `data` are checked and returned.
+  """
+  fields = {}
+  if 'title' in data or not partial:
+    title = str(data.get('title') or '').strip()
+    if not title:
+      return None, 'Incident title is required'
+    if len(title) > INCIDENT_TITLE_MAX:
+      return None, f'Title is longer than {INCIDENT_TITLE_MAX} characters'
+    fields['title'] = title
+  if 'description' in data or not partial:
+    description = str(data.get('description') or '').strip()
+    if len(description) > NOTE_MAX:
+      return None, f'Description is longer than {NOTE_MAX} characters'
+    fields['description'] = description
+  if 'status' in data or not partial:
+    status = data.get('status', 'open')
+    if status not in INCIDENT_STATUSES:
+      return None, f'status must be one of: {", ".join(INCIDENT_STATUSES)}'
+    fields['status'] = status
+  if 'severity' in data or not partial:
+    severity = data.get('severity', 'medium')
+    if severity not in SEVERITY_ORDER:
+      return None, f'severity must be one of: {", ".join(SEVERITY_ORDER)}'
+    fields['severity'] = severity
+  if 'assignee' in data or not partial:
+    assignee = data.get('assignee') or None
+    if assignee is not None and assignee not in get_assignees(tenant):
+      return None, f'{assignee} is not an analyst in this workspace'
+    fields['assignee'] = assignee
+  return fields, None
+
+
+def resolve_incident_events(logs, data):
+  """
+  Event keys an incident request points at: `events` (dashboard event
+  keys) plus every event of `session` or `ip`.
+  """
+  keys = [get_case_event_key(str(key)) for key in data.get('events') or [] if key]
+  if data.get('session') or data.get('ip'):
+    scoped = scope_export_events(dedupe_events(logs), {'session': data.get('session'), 'ip': data.get('ip')})
+    keys.extend(get_case_event_key(get_event_key(log)) for log in reversed(scoped))
+  return list(dict.fromkeys(keys))
+
+
+def add_incident_entry(incident, kind, **details):
+  """Append a `kind` entry ('comment', 'status', 'events', ...) to an incident's timeline."""
+  now = datetime.now().isoformat()
+  incident.setdefault('timeline', []).append({
+    'id': uuid.uuid4().hex[:12],
+    'type': kind,
+    'user': g.user['username'],
+    'timestamp': now,
+    **details
+  })
+  incident['updated'] = now
+
+
+def summarize_incident(incident):
+  """An incident for the list view: without its events and timeline."""
+  summary = {k: v for k, v in incident.items() if k not in ('events', 'timeline')}
+  summary['ref'] = get_incident_ref(incident)
+  summary['eventCount'] = len(incident.get('events', []))
+  summary['commentCount'] = sum(1 for e in incident.get('timeline', []) if e['type'] == 'comment')
+  return summary
+
+
+# ---------- AUTH ----------
+#
+# Every /api route needs a bearer token from /api/auth/login. Roles are
+# ordered: viewer (dashboard), analyst (+ exports and annotations) and
+# admin (+ Settings and honeypot processes). A role applies in each of
+# the user's tenants; admins of all tenants ('*') also manage tenants
+# and users.
+
+ROLES = ['viewer', 'analyst', 'admin']
+AUTH_TOKEN_TTL = 12 * 3600  # seconds
+AUTH_PUBLIC_PATHS = {'/api/auth/login'}
+AUDIT_LIMIT_DEFAULT = 200
+AUDIT_LIMIT_MAX = 5000
+# Failed logins from one IP: the first LOGIN_FREE_ATTEMPTS are free, then
+# each one locks the IP out for twice as long, up to LOGIN_BACKOFF_MAX.
+# Failures older than LOGIN_FAILURE_WINDOW are forgotten.
+LOGIN_FREE_ATTEMPTS = 5
+LOGIN_BACKOFF_BASE = 2  # seconds
+LOGIN_BACKOFF_MAX = 15 * 60
+LOGIN_FAILURE_WINDOW = 60 * 60
+
+# token -> {'username', 'expires'}; tokens don't survive a restart
+auth_tokens = {}
+auth_lock = threading.Lock()
+# ip -> {'count', 'last', 'until'}
+login_failures = {}
+audit_lock = threading.Lock()
+
+
+def load_users():
+  """username -> {'passwordHash', 'role', 'tenants', 'created'}"""
+  users = load_json_file(USERS_FILE, {})
+  return users if isinstance(users, dict) else {}
+
+
+def public_user(username, record):
+  # Accounts from before tenants existed could see everything there was
+  default_tenants = ['*'] if record['role'] == 'admin' else [DEFAULT_TENANT]
+  return {
+    'username': username,
+    'role': record['role'],
+    'tenants': record.get('tenants', default_tenants),
+    'created': record.get('created')
+  }
+
+
+def ensure_admin_user():
+  """
+  Create the first admin account when there are no users yet. The
+  password comes from HONEYPOT_ADMIN_PASSWORD or is generated and
+  printed once.
+  """
+  if load_users():
+    return
+  password = os.environ.get('HONEYPOT_ADMIN_PASSWORD') or secrets.token_urlsafe(12)
+  save_json_file(USERS_FILE, {
+    'admin': {
+      'passwordHash': generate_password_hash(password),
+      'role': 'admin',
+      'tenants': ['*'],
+      'created': datetime.now().isoformat()
+    }
+  })
+  if 'HONEYPOT_ADMIN_PASSWORD' not in os.environ:
+    print(f"Created dashboard user 'admin' with password: {password}")
+
+
+def issue_token(username):
+  token = secrets.token_urlsafe(32)
+  with auth_lock:
+    now = time.time()
+    for stale in [t for t, s in auth_tokens.items() if s['expires'] < now]:
+      del auth_tokens[stale]
+    auth_tokens[token] = {'username': username, 'expires': now + AUTH_TOKEN_TTL}
+  return token
+
+
+def get_login_lockout(ip):
+  """Seconds `ip` must still wait before trying to log in again (0 if none)."""
+  with auth_lock:
+    failures = login_failures.get(ip)
+    return max(0, int(failures['until'] - time.time() + 0.999)) if failures else 0
+
+
+def record_login_failure(ip):
+  with auth_lock:
+    now = time.time()
+    for stale in [k for k, f in login_failures.items() if now - f['last'] > LOGIN_FAILURE_WINDOW]:
+      del login_failures[stale]
+    failures = login_failures.setdefault(ip, {'count': 0, 'last': now, 'until': 0})
+    failures['count'] += 1
+    failures['last'] = now
+    excess = failures['count'] - LOGIN_FREE_ATTEMPTS
+    if excess > 0:
+      failures['until'] = now + min(LOGIN_BACKOFF_BASE * 2 ** (excess - 1), LOGIN_BACKOFF_MAX)
+
+
+def get_request_token():
+  """
+  The bearer token of the current request. EventSource and download
+  links can't send headers, so a `token` query parameter also works.
+  """
+  header = request.headers.get('Authorization', '')
+  if header.startswith('Bearer '):
+    return header[len('Bearer '):].strip()
+  return request.args.get('token')
+
+
+def get_token_user(token):
+  """The user a live token belongs to, or None."""
+  with auth_lock:
+    auth = auth_tokens.get(token) if token else None
+    if auth and auth['expires'] < time.time():
+      del auth_tokens[token]
+      auth = None
+  if not auth:
+    return None
+  record = load_users().get(auth['username'])
+  return public_user(auth['username'], record) if record else None
+
+
+def has_role(user, role):
+  return bool(user) and ROLES.index(user['role']) >= ROLES.index(role)
+
+
+def require_role(role, methods=None, all_tenants=False):
+  """
+  Route decorator: 403 unless the user has `role` (for `methods` only,
+  if given), in every tenant when `all_tenants` is set.
+  """
+  def decorator(view):
+    @wraps(view)
+    def wrapper(*args, **kwargs):
+      if methods is None or request.method in methods:
+        if not has_role(g.user, role):
+          return jsonify({'error': f'Requires the {role} role'}), 403
+        if all_tenants and not is_operator(g.user):
+          return jsonify({'error': 'Requires access to every workspace'}), 403
+      return view(*args, **kwargs)
+    return wrapper
+  return decorator
+
+
+@app.before_request
+def authenticate_request():
+  if request.method == 'OPTIONS' or not request.path.startswith('/api/'):
+    return None
+  g.user = None
+  g.tenant = None
+  if request.path in AUTH_PUBLIC_PATHS:
+    return None
+  g.user = get_token_user(get_request_token())
+  if g.user is None:
+    return jsonify({'error': 'Authentication required'}), 401
+  # Listing and managing tenants isn't scoped to one
+  if request.path.startswith(('/api/auth/', '/api/tenants')):
+    return None
+
+  allowed = get_user_tenants(g.user)
+  tenant = request.headers.get('X-Tenant') or request.args.get('tenant')
+  if tenant is None and allowed:
+    tenant = allowed[0]
+  if tenant not in allowed:
+    return jsonify({'error': 'No access to this workspace'}), 403
+  g.tenant = tenant
+  return None
+
+
+def audit(action, target=None, **details):
+  """Append an entry to the audit log (one JSON object per line)."""
+  user = getattr(g, 'user', None)
+  entry = {
+    'timestamp': datetime.now().isoformat(),
+    'user': user['username'] if user else None,
+    'tenant': getattr(g, 'tenant', None),
+    'ip': request.remote_addr,
+    'action': action,
+    'target': target,
+    'details': details
+  }
+  with audit_lock:
+    AUDIT_FILE.parent.mkdir(exist_ok=True, parents=True)
+    with open(AUDIT_FILE, 'a') as f:
+      f.write(json.dumps(entry) + '\n')
+
+
+def read_audit(limit, tenant=None):
+  """
+  The newest audit entries, newest first: the last `limit` lines, only
+  those about `tenant` if given.
+  """
+  entries = []
+  for line in tail_file(AUDIT_FILE, limit).splitlines():
+    try:
+      entry = json.loads(line)
+    except json.JSONDecodeError:
+      continue
+    if tenant is None or entry.get('tenant') == tenant:
+      entries.append(entry)
+  return entries[::-1]
+
+
+# ---------- API ROUTES ----------
+
+@app.route('/api/auth/login', methods=['POST'])
+def api_login():
+  """
+  Exchange {"username", "password"} for a bearer token. Repeated failures
+  from one IP are answered with 429 for a growing time (see AUTH).
+  """
+  wait = get_login_lockout(request.remote_addr)
+  if wait:
+    return jsonify({'error': f'Too many failed logins; try again in {wait} seconds'}), 429, \
+      {'Retry-After': str(wait)}
+
+  data = request.get_json(silent=True) or {}
+  username = str(data.get('username', '')).strip()
+  record = load_users().get(username)
+  if not record or not check_password_hash(record['passwordHash'], str(data.get('password', ''))):
+    record_login_failure(request.remote_addr)
+    audit('login_failed', username)
+    return jsonify({'error': 'Invalid username or password'}), 401
+
+  with auth_lock:
+    login_failures.pop(request.remote_addr, None)
+  g.user = public_user(username, record)
+  audit('login', username)
+  return jsonify({'token': issue_token(username), 'user': g.user})
+
+
+@app.route('/api/auth/logout', methods=['POST'])
+def api_logout():
+  with auth_lock:
+    auth_tokens.pop(get_request_token(), None)
+  return jsonify({'success': True})
+
+
+@app.route('/api/auth/me')
+def api_get_current_user():
+  return jsonify(g.user)
+
+
+@app.route('/api/users', methods=['GET', 'POST'])
+@require_role('admin', all_tenants=True)
+def api_handle_users():
+  """
+  List dashboard users, or create / update one:
+    {"username": "...", "password": "...", "role": "viewer|analyst|admin",
+     "tenants": ["<tenant id>", ...] or ["*"]}
+  The password may be left out when only changing an existing user's role
+  or tenants.
+  """
+  users = load_users()
+  if request.method == 'GET':
+    return jsonify([public_user(name, record) for name, record in sorted(users.items())])
+
+  data = request.get_json(silent=True) or {}
+  username = str(data.get('username', '')).strip()
+  password = str(data.get('password', ''))
+  role = data.get('role', 'viewer')
+  tenants = data.get('tenants', [DEFAULT_TENANT])
+  if not username:
+    return jsonify({'error': 'Username is required'}), 400
+  if role not in ROLES:
+    return jsonify({'error': f"role must be one of {', '.join(ROLES)}"}), 400
+  if not isinstance(tenants, list) or not tenants:
+    return jsonify({'error': 'tenants must be a non-empty list'}), 400
+  unknown = [t for t in tenants if t != '*' and t not in load_tenants()]
+  if unknown:
+    return jsonify({'error': f"Unknown tenant: {', '.join(map(str, unknown))}"}), 400
+  if username not in users and not password:
+    return jsonify({'error': 'Password is required for a new user'}), 400
+  if username == g.user['username'] and (role != 'admin' or '*' not in tenants):
+    return jsonify({'error': 'You cannot remove your own access to every workspace'}), 400
+
+  created = username not in users
+  record = users.get(username, {'created': datetime.now().isoformat()})
+  record['role'] = role
+  record['tenants'] = ['*'] if '*' in tenants else tenants
+  if password:
+    record['passwordHash'] = generate_password_hash(password)
+  users[username] = record
+  save_json_file(USERS_FILE, users)
+  audit('user_created' if created else 'user_updated', username,
+        role=role, tenants=record['tenants'], passwordChanged=bool(password))
+  return jsonify(public_user(username, record)), 201 if created else 200
+
+
+@app.route('/api/users/<username>', methods=['DELETE'])
+@require_role('admin', all_tenants=True)
+def api_delete_user(username):
+  users = load_users()
+  if username not in users:
+    return jsonify({'error': 'User not found'}), 404
+  if username == g.user['username']:
+    return jsonify({'error': 'You cannot delete your own account'}), 400
+  del users[username]
+  save_json_file(USERS_FILE, users)
+  with auth_lock:
+    for token in [t for t, s in auth_tokens.items() if s['username'] == username]:
+      del auth_tokens[token]
+  audit('user_deleted', username)
+  return jsonify({'success': True})
+
+
+@app.route('/api/audit')
+@require_role('admin')
+def api_get_audit():
+  """
+  Newest audit log entries first: ?limit=N. Admins of some tenants only
+  see entries about the current one.
+  """
+  try:
+    limit = int(request.args.get('limit', AUDIT_LIMIT_DEFAULT))
+  except ValueError:
+    return jsonify({'error': 'limit must be an integer'}), 400
+  tenant = None if is_operator(g.user) else g.tenant
+  return jsonify(read_audit(max(1, min(limit, AUDIT_LIMIT_MAX)), tenant))
+
+
+@app.route('/api/tenants', methods=['GET', 'POST'])
+@require_role('admin', methods=['POST'], all_tenants=True)
+def api_handle_tenants():
+  """
+  List the tenants the user can open, or create one: {"name": "..."}.
+
+  Admins also get each tenant's sensor secret and port map, which its
+  forwarders fetch from config_server.py.
+  """
+  tenants = load_tenants()
+  if request.method == 'GET':
+    result = []
+    for tenant_id in get_user_tenants(g.user):
+      entry = {'id': tenant_id, 'name': tenants[tenant_id]['name']}
+      if has_role(g.user, 'admin'):
+        entry.update({
+          'secret': tenants[tenant_id].get('secret'),
+          'portMap': get_tenant_port_map(tenant_id),
+          'created': tenants[tenant_id].get('created')
+        })
+      result.append(entry)
+    return jsonify(result)
+
+  data = request.get_json(silent=True) or {}
+  name = str(data.get('name', '')).strip()
+  if not name:
+    return jsonify({'error': 'Tenant name is required'}), 400
+  tenant_id = create_tenant(name)
+  audit('tenant_created', tenant_id, name=name)
+  return jsonify({'id': tenant_id, 'name': name, 'portMap': get_tenant_port_map(tenant_id)}), 201
+
+
+@app.route('/api/tenants/<tenant_id>', methods=['DELETE'])
+@require_role('admin', all_tenants=True)
+def api_delete_tenant(tenant_id):
+  """Remove a tenant, stopping its honeypots. Its files stay on disk."""
+  tenants = load_tenants()
+  if tenant_id not in tenants:
+    return jsonify({'error': 'Tenant not found'}), 404
+  if tenant_id == DEFAULT_TENANT:
+    return jsonify({'error': 'The default tenant cannot be deleted'}), 400
+  delete_tenant(tenant_id)
+  audit('tenant_deleted', tenant_id, name=tenants[tenant_id]['name'])
+  return jsonify({'success': True})
+
+
+@app.route('/api/logs')
+def api_get_logs():
+  """
+  Get honeypot logs, newest first.
+
+  Without query parameters this returns the full list, as before. With
+  `limit` or `cursor` it returns one page:
+    {"events": [...], "total": n, "nextCursor": "..." | null}
+  See filter_logs for the search / time-range parameters, which can be
+  combined with either form.
+  """
+  try:
+    logs = filter_logs(get_cached_logs(g.tenant), request.args)
+  except QueryError as e:
+    return jsonify({'error': str(e)}), 400
+
+  if 'limit' not in request.args and 'cursor' not in request.args:
+    return jsonify(logs)
+
+  try:
+    limit = int(request.args.get('limit', LOG_PAGE_DEFAULT))
+  except ValueError:
+    return jsonify({'error': 'limit must be an integer'}), 400
+  limit = max(1, min(limit, LOG_PAGE_MAX))
+
+  page, next_cursor = paginate_logs(logs, request.args.get('cursor'), limit)
+  return jsonify({
+    'events': page,
+    'total': len(logs),
+    'nextCursor': next_cursor
+  })
+
+
+@app.route('/api/logs/fields')
+def api_get_log_fields():
+  """List every field seen in the logs with the protocols it appears in."""
+  get_cached_logs(g.tenant)
+  with logs_cache_lock:
+    fields = {
+      field: sorted(protocols)
+      for field, protocols in get_tenant_cache(g.tenant)['fields'].items()
+    }
+  return jsonify(fields)
+
+
+@app.route('/api/logs/summary')
+def api_get_log_summary():
+  """Map markers and protocol counts (see summarize_logs) over the events matching the /api/logs filters."""
+  try:
+    logs = filter_logs(get_cached_logs(g.tenant), request.args)
+  except QueryError as e:
+    return jsonify({'error': str(e)}), 400
+  return jsonify(summarize_logs(logs))
+
+
+@app.route('/api/stats')
+def api_get_stats():
+  """Get dashboard statistics."""
+  logs = get_cached_logs(g.tenant)
+  stats = calculate_stats(logs, g.tenant)
+  return jsonify(stats)
+
+
+@app.route('/api/stream')
+def api_stream():
+  """
+  Push newly written honeypot events as Server-Sent Events.
+
+  Each 'logs' message carries {"events": [...], "stats": {...}}, events
+  newest first and stats as returned by /api/stats. A comment line is sent as a heartbeat when idle so
+  proxies and the browser keep the connection open.
+  """
+  # The generator outlives the request context, so resolve the tenant now
+  tenant = g.tenant
+  logs_dir = get_tenant_dirs(tenant)[1]
+
+  def generate():
+    positions = snapshot_log_positions(logs_dir)
+    last_sent = time.time()
+
+    while True:
+      events = read_new_events(positions, logs_dir)
+      if events:
+        tag_sensor_events(events, get_sensor_addresses(tenant))
+        tag_case_events(events, get_case_index(tenant))
+        stats = calculate_stats(get_cached_logs(tenant), tenant)
+        tag_toolkit_events(events, get_attacker_toolkits(tenant))
+        payload = json.dumps({'events': events, 'stats': stats})
+        yield f'event: logs\ndata: {payload}\n\n'
+        last_sent = time.time()
+      elif time.time() - last_sent >= STREAM_HEARTBEAT_INTERVAL:
+        yield ': keep-alive\n\n'
+        last_sent = time.time()
+
+      time.sleep(STREAM_POLL_INTERVAL)
+
+  return Response(
+    generate(),
+    mimetype='text/event-stream',
+    headers={'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no'}
+  )
+
+
+@app.route('/api/attackers/<ip>')
+def api_get_attacker(ip):
+  """Profile of one source IP across every protocol."""
+  profile = build_attacker_profile(ip, get_cached_logs(g.tenant))
+  if not profile['totalEvents']:
+    return jsonify({'error': f'No events from {ip}'}), 404
+  profile['toolkit'] = get_attacker_toolkits(g.tenant).get(ip)
+  return jsonify(profile)
+
+
+@app.route('/api/credentials')
+def api_get_credentials():
+  """
+  Credential analytics over the events matching the /api/logs filters.
+
+  `top` caps the username / password / pair lists (default 20).
+  """
+  try:
+    logs = filter_logs(get_cached_logs(g.tenant), request.args)
+  except QueryError as e:
+    return jsonify({'error': str(e)}), 400
+  try:
+    top = max(1, int(request.args.get('top', CREDENTIAL_TOP_DEFAULT)))
+  except ValueError:
+    return jsonify({'error': 'top must be an integer'}), 400
+  return jsonify(build_credential_stats(logs, top, g.tenant))
+
+
+@app.route('/api/credentials/wordlist')
+@require_role('analyst')
+def api_get_credential_wordlist():
+  """Download every tried username, password or user:pass pair as a wordlist."""
+  kind = request.args.get('kind', 'passwords')
+  if kind not in WORDLIST_KINDS:
+    return jsonify({'error': f"kind must be one of {', '.join(WORDLIST_KINDS)}"}), 400
+  try:
+    logs = filter_logs(get_cached_logs(g.tenant), request.args)
+  except QueryError as e:
+    return jsonify({'error': str(e)}), 400
+  return Response(
+    build_wordlist(logs, kind),
+    mimetype='text/plain',
+    headers={'Content-Disposition': f'attachment; filename={kind}.txt'}
+  )
+
+
+@app.route('/api/timeseries')
+def api_get_timeseries():
+  """
+  Dashboard chart data (see TIME SERIES) for `range` (1h, 24h, 7d or 30d)
+  over the events matching the /api/logs filters; since/until are ignored.
+  """
+  range_id = request.args.get('range', '24h')
+  if range_id not in TIMESERIES_RANGES:
+    return jsonify({'error': f"range must be one of {', '.join(TIMESERIES_RANGES)}"}), 400
+  history = get_cached_logs(g.tenant)
+  span, step = TIMESERIES_RANGES[range_id]
+  args = {key: value for key, value in request.args.items() if key not in ('since', 'until')}
+  # A bucket's worth of slack: the first bucket starts before now - span
+  args['since'] = (datetime.now() - timedelta(seconds=span + step)).isoformat()
+  try:
+    logs = filter_logs(history, args)
+  except QueryError as e:
+    return jsonify({'error': str(e)}), 400
+  return jsonify(build_timeseries(history, logs, range_id))
+
+
+@app.route('/api/export')
+@require_role('analyst')
+def api_export_events():
+  """
+  Download the events matching the /api/logs filters as `format`
+  (csv, ndjson, stix or misp), narrowed by `session` or `ip` if given.
+  """
+  export_format = request.args.get('format', 'csv')
+  if export_format not in EXPORT_FORMATS:
+    return jsonify({'error': f"format must be one of {', '.join(EXPORT_FORMATS)}"}), 400
+  try:
+    logs = filter_logs(get_cached_logs(g.tenant), request.args)
+  except QueryError as e:
+    return jsonify({'error': str(e)}), 400
+  logs = scope_export_events(logs, request.args)
+
+  audit('events_exported', export_format, events=len(logs))
+  mimetype, extension = EXPORT_FORMATS[export_format]
+  filename = f'honeypot-events-{datetime.now().strftime("%Y%m%d-%H%M%S")}.{extension}'
+  return Response(
+    EXPORT_WRITERS[export_format](logs),
+    mimetype=mimetype,
+    headers={'Content-Disposition': f'attachment; filename={filename}'}
+  )
+
+
+@app.route('/api/iocs')
+def api_get_iocs():
+  """
+  Indicators found in the events matching the /api/logs filters:
+    {"iocs": [...], "counts": {type: n}, "total": n}
+  `kind` (comma-separated IOC types) and `search` (part of the value)
+  narrow the list; `event` (a dashboard event key) keeps one event's.
+  """
+  try:
+    logs = filter_logs(get_cached_logs(g.tenant), request.args)
+  except QueryError as e:
+    return jsonify({'error': str(e)}), 400
+  try:
+    limit = max(0, int(request.args.get('limit', IOC_LIST_DEFAULT)))
+  except ValueError:
+    return jsonify({'error': 'limit must be an integer'}), 400
+
+  event_key = request.args.get('event')
+  if event_key:
+    logs = [log for log in logs if get_event_key(log) == event_key]
+
+  table = build_ioc_table(logs)
+  counts = {ioc_type: 0 for ioc_type in IOC_TYPES}
+  for entry in table:
+    counts[entry['type']] += 1
+
+  kinds = {k for k in request.args.get('kind', '').split(',') if k}
+  search = request.args.get('search', '').strip().lower()
+  iocs = [
+    entry for entry in table
+    if (not kinds or entry['type'] in kinds) and search in entry['value'].lower()
+  ]
+  return jsonify({'iocs': iocs[:limit], 'counts': counts, 'total': len(iocs)})
+
+
+@app.route('/api/ics')
+def api_get_ics():
+  """Modbus/DNP3 analysis over the events matching the /api/logs filters."""
+  try:
+    logs = filter_logs(get_cached_logs(g.tenant), request.args)
+  except QueryError as e:
+    return jsonify({'error': str(e)}), 400
+  return jsonify(build_ics_analysis(logs))
+
+
+@app.route('/api/attack')
+def api_get_attack_matrix():
+  """ATT&CK technique coverage over the events matching the /api/logs filters."""
+  try:
+    logs = filter_logs(get_cached_logs(g.tenant), request.args)
+  except QueryError as e:
+    return jsonify({'error': str(e)}), 400
+  return jsonify(build_attack_matrix(logs, load_attack_rules(g.tenant)))
+
+
+@app.route('/api/attack/flow')
+def api_get_attack_flow():
+  """The ATT&CK tactic flow of one `session` (ip|start|end) or source `ip`."""
+  if not request.args.get('session') and not request.args.get('ip'):
+    return jsonify({'error': 'session or ip is required'}), 400
+  logs = scope_export_events(get_cached_logs(g.tenant), request.args)
+  return jsonify(build_attack_flow(logs, load_attack_rules(g.tenant)))
+
+
+@app.route('/api/attack/rules', methods=['GET', 'PUT', 'DELETE'])
+@require_role('admin', methods=['PUT', 'DELETE'], all_tenants=True)
+def api_handle_attack_rules():
+  """
+  The tenant's ATT&CK mapping rules (see ATT&CK MAPPING). PUT replaces
+  the whole list: {"rules": [...]}; DELETE goes back to the built-in rules.
+  """
+  stored = load_json_file(ATTACK_RULES_FILE, {})
+  if request.method == 'PUT':
+    data = request.get_json(silent=True) or {}
+    if not isinstance(data.get('rules'), list):
+      return jsonify({'error': 'rules must be a list'}), 400
+    try:
+      stored[g.tenant] = [validate_attack_rule(rule) for rule in data['rules']]
+    except ValueError as e:
+      return jsonify({'error': str(e)}), 400
+    save_json_file(ATTACK_RULES_FILE, stored)
+    audit('attack_rules_updated', g.tenant, rules=len(stored[g.tenant]))
+  elif request.method == 'DELETE':
+    stored.pop(g.tenant, None)
+    save_json_file(ATTACK_RULES_FILE, stored)
+    audit('attack_rules_reset', g.tenant)
+
+  return jsonify({
+    'rules': load_attack_rules(g.tenant),
+    'builtin': g.tenant not in stored,
+    'tactics': ATTACK_TACTICS
+  })
+
+
+@app.route('/api/commands')
+def api_get_commands():
+  """
+  Command families (see COMMAND INTELLIGENCE) over the events matching the
+  /api/logs filters. `new` sets how many hours back a family counts as
+  new (default 24); `intent` keeps families with that intent.
+  """
+  try:
+    logs = filter_logs(get_cached_logs(g.tenant), request.args)
+  except QueryError as e:
+    return jsonify({'error': str(e)}), 400
+  try:
+    new_hours = float(request.args.get('new', COMMAND_NEW_HOURS_DEFAULT))
+  except ValueError:
+    new_hours = math.nan
+  if not math.isfinite(new_hours):
+    return jsonify({'error': 'new must be a number of hours'}), 400
+  new_hours = min(max(new_hours, 0), COMMAND_NEW_HOURS_MAX)
+  intent = request.args.get('intent')
+  if intent and intent not in COMMAND_INTENTS:
+    return jsonify({'error': f"intent must be one of {', '.join(COMMAND_INTENTS)}"}), 400
+
+  new_since = (datetime.now() - timedelta(hours=new_hours)).isoformat()
+  families = build_command_families(logs, new_since)
+  intent_counts = {name: 0 for name in COMMAND_INTENTS}
+  for family in families:
+    for name in family['intents']:
+      intent_counts[name] += family['count']
+  return jsonify({
+    'families': [f for f in families if not intent or intent in f['intents']],
+    'total': sum(f['count'] for f in families),
+    'newFamilies': sum(1 for f in families if f['new']),
+    'intents': intent_counts
+  })
+
+
+@app.route('/api/toolkits')
+def api_get_toolkits():
+  """
+  Toolkit breakdown (see TOOLKIT FINGERPRINTS) of the events matching the
+  /api/logs filters, plus the fingerprint library.
+  """
+  try:
+    logs = filter_logs(get_cached_logs(g.tenant), request.args)
+  except QueryError as e:
+    return jsonify({'error': str(e)}), 400
+  return jsonify({
+    **build_toolkit_breakdown(logs),
+    'library': [
+      {'id': tool['id'], 'name': tool['name'], 'kind': tool['kind']}
+      for tool in TOOLKIT_LIBRARY
+    ],
+    'kindLabels': TOOLKIT_KINDS
+  })
+
+
+@app.route('/api/topics')
+def api_get_topics():
+  """MQTT topic and CoAP resource trees over the events matching the /api/logs filters."""
+  try:
+    logs = filter_logs(get_cached_logs(g.tenant), request.args)
+  except QueryError as e:
+    return jsonify({'error': str(e)}), 400
+  return jsonify(build_topic_trees(logs))
+
+
+@app.route('/api/configs')
+@require_role('admin')
+def api_get_configs():
+  """Get all of the tenant's honeypot configurations."""
+  return jsonify({protocol: load_protocol_config(protocol, g.tenant) for protocol in PROTOCOLS})
+
+
+@app.route('/api/configs/schema')
+@require_role('admin')
+def api_get_config_schemas():
+  """Editor schema for every protocol (see CONFIG SCHEMA)."""
+  return jsonify({protocol: get_config_schema(protocol) for protocol in PROTOCOLS})
+
+
+@app.route('/api/configs/<protocol>', methods=['GET', 'PUT'])
+@require_role('admin')
+def api_handle_config(protocol):
+  """Get or update a specific protocol configuration of the tenant."""
+  protocol = protocol.lower()
+  if protocol not in PROTOCOLS:
+    return jsonify({'error': 'Unknown protocol'}), 404
+
+  if request.method == 'GET':
+    return jsonify(load_protocol_config(protocol, g.tenant))
+
+  elif request.method == 'PUT':
+    config_data = request.get_json(silent=True)
+    errors = validate_config(protocol, config_data, g.tenant, is_operator(g.user))
+    if errors:
+      return jsonify({'error': 'Invalid configuration', 'errors': errors}), 400
+    previous = load_protocol_config(protocol, g.tenant)
+    save_protocol_config(g.tenant, protocol, config_data)
+    # Field names only: values can hold the decoy credentials
+    changed = sorted(
+      key for key in set(previous) | set(config_data)
+      if previous.get(key) != config_data.get(key)
+    )
+    audit('config_updated', protocol, fields=changed)
+    return jsonify({'success': True})
+
+
+@app.route('/api/status')
+@require_role('admin')
+def api_get_status():
+  """
+  Get status of the tenant's honeypots.
+
+  Each started honeypot maps to its process record: state ('running',
+  'stopping', 'stopped' or 'crashed'), pid, uptime, exitCode, restarts,
+  autoRestart.
+  """
+  return jsonify(get_honeypot_status(g.tenant))
+
+
+@app.route('/api/honeypot/<protocol>/start', methods=['POST'])
+@require_role('admin')
+def api_start_honeypot(protocol):
+  """Start a honeypot process for the given protocol."""
+  protocol = protocol.lower()
+
+  with honeypots_lock:
+    if (g.tenant, protocol) in honeypot_processes:
+      return jsonify({'error': 'Honeypot already running'}), 400
+    if running_honeypots.get((g.tenant, protocol), {}).get('state') == 'stopping':
+      return jsonify({'error': 'Honeypot is still stopping'}), 409
+
+    honeypot_script = get_honeypot_script(protocol)
+    if not honeypot_script.exists():
+      return jsonify({'error': 'Honeypot script not found'}), 404
+
+    try:
+      process = launch_honeypot(g.tenant, protocol, honeypot_script)
+    except OSError as e:
+      return jsonify({'error': str(e)}), 500
+
+  audit('honeypot_started', protocol, pid=process.pid)
+  return jsonify({'success': True, 'message': f'{protocol} honeypot started', 'pid': process.pid})
+
+
+@app.route('/api/honeypot/<protocol>/stop', methods=['POST'])
+@require_role('admin')
+def api_stop_honeypot(protocol):
+  """Stop a honeypot, killing its process group."""
+  protocol = protocol.lower()
+
+  with honeypots_lock:
+    if (g.tenant, protocol) not in honeypot_processes:
+      return jsonify({'error': 'Honeypot not running'}), 400
+  terminate_honeypots([(g.tenant, protocol)])
+  with honeypots_lock:
+    exit_code = running_honeypots[(g.tenant, protocol)]['exitCode']
+
+  audit('honeypot_stopped', protocol, exitCode=exit_code)
+  return jsonify({
+    'success': True,
+    'message': f'{protocol} honeypot stopped',
+    'exitCode': exit_code
+  })
+
+
+@app.route('/api/honeypot/<protocol>/restart', methods=['POST'])
+@require_role('admin')
+def api_restart_honeypot(protocol):
+  """Stop the honeypot if it is running, then start it again."""
+  protocol = protocol.lower()
+  honeypot_script = get_honeypot_script(protocol)
+  if not honeypot_script.exists():
+    return jsonify({'error': 'Honeypot script not found'}), 404
+
+  terminate_honeypots([(g.tenant, protocol)])
+  with honeypots_lock:
+    if (g.tenant, protocol) in honeypot_processes:
+      return jsonify({'error': 'Honeypot was started again meanwhile'}), 409
+    try:
+      process = launch_honeypot(g.tenant, protocol, honeypot_script)
+    except OSError as e:
+      return jsonify({'error': str(e)}), 500
+
+  audit('honeypot_restarted', protocol, pid=process.pid)
+  return jsonify({'success': True, 'message': f'{protocol} honeypot restarted', 'pid': process.pid})
+
+
+@app.route('/api/honeypot/<protocol>/auto-restart', methods=['PUT'])
+@require_role('admin')
+def api_set_auto_restart(protocol):
+  """Turn crash auto-restart on or off: {"enabled": bool}."""
+  protocol = protocol.lower()
+  data = request.get_json(silent=True) or {}
+
+  with honeypots_lock:
+    if (g.tenant, protocol) not in running_honeypots:
+      return jsonify({'error': 'Honeypot has not been started'}), 404
+    running_honeypots[(g.tenant, protocol)]['autoRestart'] = bool(data.get('enabled'))
+
+  audit('auto_restart_updated', protocol, enabled=bool(data.get('enabled')))
+  return jsonify({'success': True})
+
+
+@app.route('/api/honeypot/<protocol>/logs')
+@require_role('admin')
+def api_get_process_logs(protocol):
+  """Tail of a honeypot's stdout / stderr: ?stream=stdout|stderr&lines=N."""
+  protocol = protocol.lower()
+  if protocol not in PROTOCOLS:
+    return jsonify({'error': 'Unknown protocol'}), 404
+
+  stream = request.args.get('stream', 'stderr')
+  if stream not in ('stdout', 'stderr'):
+    return jsonify({'error': 'stream must be stdout or stderr'}), 400
+  try:
+    lines = int(request.args.get('lines', PROCESS_LOG_LINES_DEFAULT))
+  except ValueError:
+    return jsonify({'error': 'lines must be an integer'}), 400
+  lines = max(1, min(lines, PROCESS_LOG_LINES_MAX))
+
+  stdout_path, stderr_path = get_process_log_paths(protocol, g.tenant)
+  path = stdout_path if stream == 'stdout' else stderr_path
+  return jsonify({'protocol': protocol, 'stream': stream, 'content': tail_file(path, lines)})
+
+
+@app.route('/api/views', methods=['GET', 'POST'])
+@require_role('analyst', methods=['POST'])
+def api_handle_views():
+  """
+  List or create saved dashboard views.
+
+  A view is a name plus the dashboard URL query string it restores
+  (filters, query, time range, ...), e.g. "?q=protocol:modbus&since=...".
+  Each tenant only sees its own views.
+  """
+  views = load_json_file(VIEWS_FILE, [])
+
+  if request.method == 'GET':
+    return jsonify([v for v in views if v.get('tenant', DEFAULT_TENANT) == g.tenant])
+
+  data = request.json or {}
+  name = str(data.get('name', '')).strip()
+  search = str(data.get('search', ''))
+  if not name:
+    return jsonify({'error': 'View name is required'}), 400
+
+  view = {
+    'id': uuid.uuid4().hex[:12],
+    'name': name,
+    'search': search if search.startswith('?') or not search else f'?{search}',
+    'tenant': g.tenant,
+    'created': datetime.now().isoformat()
+  }
+  views.append(view)
+  save_json_file(VIEWS_FILE, views)
+  return jsonify(view), 201
+
+
+@app.route('/api/views/<view_id>', methods=['DELETE'])
+@require_role('analyst')
+def api_delete_view(view_id):
+  """Delete a saved dashboard view."""
+  views = load_json_file(VIEWS_FILE, [])
+  remaining = [
+    v for v in views
+    if v.get('id') != view_id or v.get('tenant', DEFAULT_TENANT) != g.tenant
+  ]
+  if len(remaining) == len(views):
+    return jsonify({'error': 'View not found'}), 404
+  save_json_file(VIEWS_FILE, remaining)
+  return jsonify({'success': True})
+
+
+@app.route('/api/personas', methods=['GET', 'POST'])
+@require_role('admin')
+def api_handle_personas():
+  """
+  List built-in and saved personas, or save a new one:
+    {"name": "...", "description": "...", "configs": {protocol: {...}}}
+  The same JSON is what GET /api/personas/<id> exports, so a shared
+  persona is imported by POSTing it back.
+  """
+  if request.method == 'GET':
+    return jsonify(get_tenant_personas(g.tenant))
+
+  data = request.get_json(silent=True) or {}
+  name = str(data.get('name', '')).strip()
+  if not name:
+    return jsonify({'error': 'Persona name is required'}), 400
+  configs, errors = clean_persona_configs(data.get('configs'))
+  if errors:
+    return jsonify({'error': 'Invalid persona', 'errors': errors}), 400
+  if not configs:
+    return jsonify({'error': 'Persona has no config overrides'}), 400
+
+  persona = {
+    'id': uuid.uuid4().hex[:12],
+    'name': name,
+    'description': str(data.get('description', '')),
+    'configs': configs,
+    'tenant': g.tenant,
+    'created': datetime.now().isoformat()
+  }
+  personas = load_custom_personas()
+  personas.append(persona)
+  save_json_file(PERSONAS_FILE, personas)
+  audit('persona_created', persona['id'], name=name)
+  return jsonify(persona), 201
+
+
+@app.route('/api/personas/<persona_id>', methods=['GET', 'DELETE'])
+@require_role('admin')
+def api_handle_persona(persona_id):
+  """Export or delete a persona. Built-in personas can't be deleted."""
+  persona = get_persona(persona_id, g.tenant)
+  if persona is None:
+    return jsonify({'error': 'Persona not found'}), 404
+
+  if request.method == 'GET':
+    return jsonify({
+      'name': persona['name'],
+      'description': persona.get('description', ''),
+      'configs': persona['configs']
+    })
+
+  if persona.get('builtin'):
+    return jsonify({'error': 'Built-in personas cannot be deleted'}), 400
+  save_json_file(PERSONAS_FILE, [p for p in load_custom_personas() if p['id'] != persona_id])
+  audit('persona_deleted', persona_id, name=persona['name'])
+  return jsonify({'success': True})
+
+
+@app.route('/api/personas/<persona_id>/apply', methods=['POST'])
+@require_role('admin')
+def api_apply_persona(persona_id):
+  """
+  Merge a persona's overrides into every protocol config it covers.
+  Nothing is written unless all the merged configs validate.
+  """
+  persona = get_persona(persona_id, g.tenant)
+  if persona is None:
+    return jsonify({'error': 'Persona not found'}), 404
+
+  merged, errors = {}, {}
+  for protocol, overrides in persona['configs'].items():
+    config = dict(load_protocol_config(protocol, g.tenant), **overrides)
+    for field, error in validate_config(protocol, config, g.tenant, is_operator(g.user)).items():
+      errors[f'{protocol}.{field}'] = error
+    merged[protocol] = config
+  if errors:
+    return jsonify({'error': 'Persona does not fit the current configs', 'errors': errors}), 400
+
+  for protocol, config in merged.items():
+    save_protocol_config(g.tenant, protocol, config)
+  audit('persona_applied', persona_id, name=persona['name'], protocols=sorted(merged))
+  return jsonify({'success': True, 'applied': sorted(merged)})
+
+
+@app.route('/api/sensors')
+def api_get_sensors():
+  """
+  List the tenant's sensors, online when they checked in within
+  SENSOR_STALE_AFTER seconds. portMap is null while the sensor uses the
+  default port map.
+  """
+  return jsonify(get_tenant_sensors(g.tenant, get_cached_logs(g.tenant)))
+
+
+@app.route('/api/sensors/<sensor_id>', methods=['PUT', 'DELETE'])
+@require_role('admin')
+def api_handle_sensor(sensor_id):
+  """
+  PUT renames a sensor and/or sets its port map,
+  {"name": "...", "portMap": {protocol: listen port} | null}, which the
+  sensor picks up at its next check-in. DELETE forgets the sensor until
+  it checks in again.
+  """
+  if sensor_id not in get_tenant_checkins(g.tenant):
+    return jsonify({'error': 'Sensor not found'}), 404
+
+  sensors = load_json_file(SENSORS_FILE, {})
+  setting = sensors.get(sensor_id, {})
+
+  if request.method == 'DELETE':
+    sensors[sensor_id] = {'removed': datetime.now().isoformat()}
+    save_json_file(SENSORS_FILE, sensors)
+    audit('sensor_removed', sensor_id)
+    return jsonify({'success': True})
+
+  data = request.get_json(silent=True) or {}
+  if 'name' in data:
+    name = str(data['name'] or '').strip()
+    if len(name) > SENSOR_NAME_MAX:
+      return jsonify({'error': f'Name must be at most {SENSOR_NAME_MAX} characters'}), 400
+    setting['name'] = name
+  if 'portMap' in data:
+    port_map = data['portMap']
+    if port_map is not None:
+      error = validate_sensor_port_map(port_map)
+      if error:
+        return jsonify({'error': error}), 400
+    setting['portMap'] = port_map
+
+  sensors[sensor_id] = setting
+  save_json_file(SENSORS_FILE, sensors)
+  audit('sensor_updated', sensor_id, fields=sorted(k for k in ('name', 'portMap') if k in data))
+  return jsonify(setting)
+
+
+@app.route('/api/alert-rules', methods=['GET', 'POST'])
+@require_role('admin')
+def api_handle_alert_rules():
+  """
+  List or create the tenant's alert rules (see ALERTS):
+    {"name", "query", "kind": "threshold" | "new_ip", "threshold",
+     "window", "groupBy", "cooldown", "severity", "enabled",
+     "channels": [{"type": "webhook", "url"} | {"type": "syslog", "host",
+     "port"} | {"type": "email", "to"}]}
+  """
+  if request.method == 'GET':
+    return jsonify(load_alert_rules(g.tenant))
+
+  rule, error = validate_alert_rule(request.get_json(silent=True) or {})
+  if error:
+    return jsonify({'error': error}), 400
+  now = datetime.now().isoformat()
+  rule.update({'id': uuid.uuid4().hex[:12], 'tenant': g.tenant, 'created': now, 'updated': now})
+  with alerts_lock:
+    rules = load_json_file(ALERT_RULES_FILE, [])
+    rules.append(rule)
+    save_json_file(ALERT_RULES_FILE, rules)
+  audit('alert_rule_created', rule['id'], name=rule['name'])
+  return jsonify(rule), 201
+
+
+@app.route('/api/alert-rules/<rule_id>', methods=['PUT', 'DELETE'])
+@require_role('admin')
+def api_handle_alert_rule(rule_id):
+  """Replace or delete an alert rule. Editing a rule resets its counters."""
+  with alerts_lock:
+    rules = load_json_file(ALERT_RULES_FILE, [])
+    index = next(
+      (i for i, r in enumerate(rules) if r.get('id') == rule_id and r.get('tenant') == g.tenant),
+      None
+    )
+    if index is None:
+      return jsonify({'error': 'Rule not found'}), 404
+
+    if request.method == 'DELETE':
+      removed = rules.pop(index)
+      save_json_file(ALERT_RULES_FILE, rules)
+      audit('alert_rule_deleted', rule_id, name=removed.get('name'))
+      return jsonify({'success': True})
+
+    rule, error = validate_alert_rule(request.get_json(silent=True) or {})
+    if error:
+      return jsonify({'error': error}), 400
+    existing = rules[index]
+    rule.update({
+      'id': rule_id,
+      'tenant': g.tenant,
+      'created': existing.get('created'),
+      'updated': datetime.now().isoformat()
+    })
+    rules[index] = rule
+    save_json_file(ALERT_RULES_FILE, rules)
+  audit('alert_rule_updated', rule_id, name=rule['name'])
+  return jsonify(rule)
+
+
+@app.route('/api/alert-rules/<rule_id>/test', methods=['POST'])
+@require_role('admin')
+def api_test_alert_rule(rule_id):
+  """Deliver a sample alert to the rule's channels without storing it."""
+  rule = next((r for r in load_alert_rules(g.tenant) if r.get('id') == rule_id), None)
+  if rule is None:
+    return jsonify({'error': 'Rule not found'}), 404
+  alert = build_alert(rule, g.tenant, 'test', 0, {'type': 'test', 'timestamp': datetime.now().isoformat()})
+  alert['message'] = f'{rule["name"]}: test alert'
+  deliver_alert(alert, rule['channels'])
+  return jsonify(alert['deliveries'])
+
+
+@app.route('/api/alerts')
+def api_get_alerts():
+  """
+  The tenant's alert inbox, newest first:
+    {"alerts": [...], "counts": {"open": n, "acknowledged": n, "resolved": n}}
+  `status` takes a comma-separated list of states; `limit` caps the list.
+  """
+  statuses = {s for s in request.args.get('status', '').split(',') if s}
+  try:
+    limit = max(0, int(request.args.get('limit', ALERT_LIST_DEFAULT)))
+  except ValueError:
+    return jsonify({'error': 'limit must be an integer'}), 400
+
+  with alerts_lock:
+    alerts = [a for a in load_json_file(ALERTS_FILE, []) if a.get('tenant') == g.tenant]
+  counts = {status: 0 for status in ALERT_STATUSES}
+  for alert in alerts:
+    counts[alert.get('status', 'open')] = counts.get(alert.get('status', 'open'), 0) + 1
+
+  selected = [a for a in reversed(alerts) if not statuses or a.get('status') in statuses]
+  return jsonify({'alerts': selected[:limit], 'counts': counts})
+
+
+@app.route('/api/alerts/<alert_id>', methods=['PUT'])
+@require_role('analyst')
+def api_update_alert(alert_id):
+  """Move an alert to another state: {"status": "acknowledged" | "resolved" | "open"}."""
+  status = (request.get_json(silent=True) or {}).get('status')
+  if status not in ALERT_STATUSES:
+    return jsonify({'error': f'status must be one of: {", ".join(ALERT_STATUSES)}'}), 400
+
+  with alerts_lock:
+    alerts = load_json_file(ALERTS_FILE, [])
+    alert = next(
+      (a for a in alerts if a.get('id') == alert_id and a.get('tenant') == g.tenant),
+      None
+    )
+    if alert is None:
+      return jsonify({'error': 'Alert not found'}), 404
+    alert['status'] = status
+    alert.setdefault('history', []).append({
+      'status': status,
+      'user': g.user['username'],
+      'timestamp': datetime.now().isoformat()
+    })
+    save_json_file(ALERTS_FILE, alerts)
+  audit('alert_updated', alert_id, status=status)
+  return jsonify(alert)
+
+
+@app.route('/api/annotations', methods=['GET', 'PUT'])
+@require_role('analyst', methods=['PUT'])
+def api_handle_annotations():
+  """
+  Tags and notes on an event, session or IP (see CASES), chosen with
+  `scope` (event | session | ip) and `key` - query parameters for GET, in
+  the body for PUT, which replaces the tags: {"scope", "key", "tags": [...]}.
+  """
+  data = request.args if request.method == 'GET' else (request.get_json(silent=True) or {})
+  target, error = validate_annotation_target(data)
+  if error:
+    return jsonify({'error': error}), 400
+  scope, key = target
+
+  if request.method == 'GET':
+    annotation = next(
+      (a for a in load_annotations(g.tenant) if a['scope'] == scope and a['key'] == key),
+      {'tenant': g.tenant, 'scope': scope, 'key': key, 'tags': [], 'notes': []}
+    )
+    return jsonify(annotation)
+
+  tags, error = validate_tags(data.get('tags'))
+  if error:
+    return jsonify({'error': error}), 400
+  with cases_lock:
+    annotations = load_json_file(ANNOTATIONS_FILE, [])
+    annotation = get_annotation(annotations, g.tenant, scope, key)
+    annotation['tags'] = tags
+    save_annotations(annotations)
+  audit('annotation_tags_updated', f'{scope}:{key}', tags=tags)
+  return jsonify(annotation)
+
+
+@app.route('/api/annotations/notes', methods=['POST'])
+@require_role('analyst')
+def api_add_annotation_note():
+  """Add a note to an event, session or IP: {"scope", "key", "text"}."""
+  data = request.get_json(silent=True) or {}
+  target, error = validate_annotation_target(data)
+  if error:
+    return jsonify({'error': error}), 400
+  text, error = validate_note(data.get('text'))
+  if error:
+    return jsonify({'error': error}), 400
+
+  scope, key = target
+  note = {
+    'id': uuid.uuid4().hex[:12],
+    'user': g.user['username'],
+    'timestamp': datetime.now().isoformat(),
+    'text': text
+  }
+  with cases_lock:
+    annotations = load_json_file(ANNOTATIONS_FILE, [])
+    annotation = get_annotation(annotations, g.tenant, scope, key)
+    annotation['notes'].append(note)
+    save_annotations(annotations)
+  audit('annotation_note_added', f'{scope}:{key}', note=note['id'])
+  return jsonify(annotation), 201
+
+
+@app.route('/api/annotations/notes/<note_id>', methods=['DELETE'])
+@require_role('analyst')
+def api_delete_annotation_note(note_id):
+  """Delete a note. Analysts can delete their own notes, admins any."""
+  with cases_lock:
+    annotations = load_json_file(ANNOTATIONS_FILE, [])
+    for annotation in annotations:
+      if annotation.get('tenant') != g.tenant:
+        continue
+      note = next((n for n in annotation['notes'] if n['id'] == note_id), None)
+      if note is None:
+        continue
+      if note['user'] != g.user['username'] and not has_role(g.user, 'admin'):
+        return jsonify({'error': 'Only admins can delete other users\' notes'}), 403
+      annotation['notes'].remove(note)
+      save_annotations(annotations)
+      break
+    else:
+      return jsonify({'error': 'Note not found'}), 404
+  audit('annotation_note_deleted', f'{annotation["scope"]}:{annotation["key"]}', note=note_id)
+  return jsonify(annotation)
+
+
+@app.route('/api/annotations/tags')
+def api_get_tags():
+  """Every tag in use, with how many events, sessions and IPs carry it."""
+  tags = {}
+  for annotation in load_annotations(g.tenant):
+    for tag in annotation.get('tags', []):
+      counts = tags.setdefault(tag, {'tag': tag, **{scope: 0 for scope in ANNOTATION_SCOPES}})
+      counts[annotation['scope']] += 1
+  return jsonify(sorted(tags.values(), key=lambda t: t['tag']))
+
+
+@app.route('/api/incidents', methods=['GET', 'POST'])
+@require_role('analyst', methods=['POST'])
+def api_handle_incidents():
+  """
+  List the tenant's incidents, most recently updated first:
+    {"incidents": [...], "counts": {status: n}, "assignees": [...]}
+  `status` takes a comma-separated list of states. POST creates one:
+    {"title", "description", "severity", "assignee", "events": [event
+     keys], "session": session key, "ip": source IP}
+  """
+  if request.method == 'GET':
+    statuses = {s for s in request.args.get('status', '').split(',') if s}
+    incidents = load_incidents(g.tenant)
+    counts = {status: 0 for status in INCIDENT_STATUSES}
+    for incident in incidents:
+      counts[incident['status']] += 1
+    incidents.sort(key=lambda i: i['updated'], reverse=True)
+    return jsonify({
+      'incidents': [
+        summarize_incident(i) for i in incidents if not statuses or i['status'] in statuses
+      ],
+      'counts': counts,
+      'assignees': get_assignees(g.tenant)
+    })
+
+  data = request.get_json(silent=True) or {}
+  fields, error = validate_incident(data, g.tenant)
+  if error:
+    return jsonify({'error': error}), 400
+  events = resolve_incident_events(get_cached_logs(g.tenant), data)
+  if len(events) > INCIDENT_EVENTS_MAX:
+    return jsonify({'error': f'An incident holds at most {INCIDENT_EVENTS_MAX} events'}), 400
+
+  now = datetime.now().isoformat()
+  with cases_lock:
+    incidents = load_json_file(INCIDENTS_FILE, [])
+    incident = {
+      'id': uuid.uuid4().hex[:12],
+      'tenant': g.tenant,
+      'number': max((i['number'] for i in incidents if i.get('tenant') == g.tenant), default=0) + 1,
+      **fields,
+      'events': events,
+      'timeline': [],
+      'created': now,
+      'createdBy': g.user['username']
+    }
+    add_incident_entry(incident, 'created', events=len(events))
+    incidents.append(incident)
+    save_json_file(INCIDENTS_FILE, incidents)
+  audit('incident_created', incident['id'], title=incident['title'], events=len(events))
+  return jsonify({**incident, 'ref': get_incident_ref(incident)}), 201
+
+
+def find_incident(incidents, incident_id):
+  return next(
+    (i for i in incidents if i.get('id') == incident_id and i.get('tenant') == g.tenant),
+    None
+  )
+
+
+@app.route('/api/incidents/<incident_id>', methods=['GET', 'PUT', 'DELETE'])
+@require_role('analyst', methods=['PUT'])
+@require_role('admin', methods=['DELETE'])
+def api_handle_incident(incident_id):
+  """
+  One incident with its timeline and events (newest first). PUT changes
+  any of title, description, status, severity and assignee; status,
+  severity and assignee changes are recorded on the timeline.
+  """
+  if request.method == 'GET':
+    incident = find_incident(load_json_file(INCIDENTS_FILE, []), incident_id)
+    if incident is None:
+      return jsonify({'error': 'Incident not found'}), 404
+    ref = get_incident_ref(incident)
+    events = dedupe_events([
+      log for log in get_cached_logs(g.tenant) if ref in log.get('incidents', [])
+    ])
+    return jsonify({
+      **incident,
+      'ref': ref,
+      'eventDetails': events,
+      'assignees': get_assignees(g.tenant)
+    })
+
+  with cases_lock:
+    incidents = load_json_file(INCIDENTS_FILE, [])
+    incident = find_incident(incidents, incident_id)
+    if incident is None:
+      return jsonify({'error': 'Incident not found'}), 404
+
+    if request.method == 'DELETE':
+      incidents.remove(incident)
+      save_json_file(INCIDENTS_FILE, incidents)
+      audit('incident_deleted', incident_id, title=incident['title'])
+      return jsonify({'success': True})
+
+    fields, error = validate_incident(request.get_json(silent=True) or {}, g.tenant, partial=True)
+    if error:
+      return jsonify({'error': error}), 400
+    for field in ('status', 'severity', 'assignee'):
+      if field in fields and fields[field] != incident.get(field):
+        add_incident_entry(incident, field, **{field: fields[field], 'previous': incident.get(field)})
+    incident.update(fields)
+    incident['updated'] = datetime.now().isoformat()
+    save_json_file(INCIDENTS_FILE, incidents)
+  audit('incident_updated', incident_id, **fields)
+  return jsonify({**incident, 'ref': get_incident_ref(incident)})
+
+
+@app.route('/api/incidents/<incident_id>/comments', methods=['POST'])
+@require_role('analyst')
+def api_add_incident_comment(incident_id):
+  """Add an analyst comment to an incident's timeline: {"text"}."""
+  text, error = validate_note((request.get_json(silent=True) or {}).get('text'), 'Comment')
+  if error:
+    return jsonify({'error': error}), 400
+  with cases_lock:
+    incidents = load_json_file(INCIDENTS_FILE, [])
+    incident = find_incident(incidents, incident_id)
+    if incident is None:
+      return jsonify({'error': 'Incident not found'}), 404
+    add_incident_entry(incident, 'comment', text=text)
+    save_json_file(INCIDENTS_FILE, incidents)
+  audit('incident_commented', incident_id)
+  return jsonify({**incident, 'ref': get_incident_ref(incident)}), 201
+
+
+@app.route('/api/incidents/<incident_id>/events', methods=['POST', 'DELETE'])
+@require_role('analyst')
+def api_handle_incident_events(incident_id):
+  """
+  POST adds events: {"events": [event keys], "session": session key,
+  "ip": source IP}. DELETE ?key=<event key> takes one out.
+  """
+  if request.method == 'POST':
+    data = request.get_json(silent=True) or {}
+    keys = resolve_incident_events(get_cached_logs(g.tenant), data)
+    if not keys:
+      return jsonify({'error': 'No events to add'}), 400
+  else:
+    keys = [get_case_event_key(request.args.get('key', ''))]
+
+  with cases_lock:
+    incidents = load_json_file(INCIDENTS_FILE, [])
+    incident = find_incident(incidents, incident_id)
+    if incident is None:
+      return jsonify({'error': 'Incident not found'}), 404
+    if request.method == 'POST':
+      added = [key for key in keys if key not in incident['events']]
+      if len(incident['events']) + len(added) > INCIDENT_EVENTS_MAX:
+        return jsonify({'error': f'An incident holds at most {INCIDENT_EVENTS_MAX} events'}), 400
+      incident['events'].extend(added)
+      details = {'added': len(added)}
+    else:
+      if keys[0] not in incident['events']:
+        return jsonify({'error': 'Event is not in this incident'}), 404
+      incident['events'].remove(keys[0])
+      details = {'removed': 1}
+    add_incident_entry(incident, 'events', **details)
+    save_json_file(INCIDENTS_FILE, incidents)
+  audit('incident_events_updated', incident_id, **details)
+  return jsonify({**incident, 'ref': get_incident_ref(incident)})
+
+
+@app.route('/api/geoip', methods=['GET', 'POST'])
+@require_role('admin', all_tenants=True)
+def api_handle_geoip():
+  """
+  List the GeoIP databases, or upload one as multipart `file`: a City or
+  ASN .mmdb, or a .csv of ranges (see GEOIP). Replaces any database of
+  the same kind and re-enriches every event.
+  """
+  if request.method == 'GET':
+    return jsonify(get_geoip_status())
+
+  upload = request.files.get('file')
+  if upload is None or not upload.filename:
+    return jsonify({'error': 'Choose a database file to upload'}), 400
+  try:
+    kind = install_geoip_database(upload, g.user['username'])
+  except ValueError as e:
+    return jsonify({'error': str(e)}), 400
+  audit('geoip_uploaded', kind, filename=upload.filename)
+  return jsonify(get_geoip_status()), 201
+
+
+@app.route('/api/geoip/<kind>', methods=['DELETE'])
+@require_role('admin', all_tenants=True)
+def api_delete_geoip(kind):
+  index = load_json_file(GEOIP_INDEX_FILE, {})
+  if kind not in GEOIP_KINDS or kind not in index:
+    return jsonify({'error': 'Database not found'}), 404
+  (GEOIP_DIR / GEOIP_KINDS[kind]).unlink(missing_ok=True)
+  filename = index.pop(kind).get('filename')
+  save_json_file(GEOIP_INDEX_FILE, index)
+  reset_geoip()
+  audit('geoip_deleted', kind, filename=filename)
+  return jsonify({'success': True})
 
 
 @app.route('/api/raw-logs')
 def api_raw_logs():
   """
-  Return raw contents of the main honeypot log file for a protocol.
+  Return raw contents of the tenant's main honeypot log file for a protocol.
 
   Pattern (ssh.py-style for all):
     logs/<protocol>.logs   e.g. logs/ssh.logs
   """
   protocol = request.args.get('protocol', 'ssh').lower()
-  log_path = LOGS_DIR / f'{protocol}.logs'
+  if protocol not in PROTOCOLS:
+    return (f"Unknown protocol '{protocol}'", 404)
+  log_path = get_tenant_dirs(g.tenant)[1] / f'{protocol}.logs'
 
   if not log_path.exists():
     return (
-      f"No log file found for protocol '{protocol}' at {log_path}",
+      f"No log file found for protocol '{protocol}' at {log_path.relative_to(BASE_DIR)}",
       404
     )
 
@@ -477,6 +6329,9 @@ if __name__ == '__main__':
   # Ensure base dirs exist
   LOGS_DIR.mkdir(exist_ok=True)
   CONFIGS_DIR.mkdir(exist_ok=True)
+  DATA_DIR.mkdir(exist_ok=True)
+  TENANTS_DIR.mkdir(exist_ok=True)
+  ensure_admin_user()
 
   print("=" * 60)
   print("IoT Honeypot Management System")
@@ -485,5 +6340,7 @@ if __name__ == '__main__':
   print("API Base: http://localhost:5000/api")
   print("=" * 60)
 
-  app.run(host='0.0.0.0', port=5000, debug=True)
+  # The Werkzeug debugger runs arbitrary code for whoever reaches it, so
+  # it is only for local development: HONEYPOT_DEBUG=1
+  app.run(host='0.0.0.0', port=5000, debug=os.environ.get('HONEYPOT_DEBUG') == '1')
 
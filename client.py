@@ -1,8 +1,19 @@
 import socket
 import threading
+import json
+import os
+import sys
+import time
 
 BUFFER_SIZE = 65535
 
+# Managed sensor mode (see run_sensor)
+CONFIG_SERVER_PORT = 8443
+CHECKIN_INTERVAL = 60  # seconds
+SENSOR_ID_FILE = "./sensor_id"
+# CoAP runs over UDP, which these TCP forwarders can't carry
+UNSUPPORTED_PROTOCOLS = {"coap"}
+
 
 def log(msg):
     print(msg, flush=True)
@@ -25,17 +36,28 @@ def pipe(src, dst):
         except: pass
 
 
-def start_forwarder(local_ip, local_port, remote_ip, remote_port):
-    """Listen locally and forward traffic to remote server."""
+def open_listener(local_ip, local_port):
     listener = socket.socket(socket.AF_INET, socket.SOCK_STREAM)
     listener.setsockopt(socket.SOL_SOCKET, socket.SO_REUSEADDR, 1)
     listener.bind((local_ip, local_port))
     listener.listen(50)
+    return listener
 
+
+def start_forwarder(local_ip, local_port, remote_ip, remote_port):
+    """Listen locally and forward traffic to remote server."""
+    listener = open_listener(local_ip, local_port)
     log(f"[+] Forwarding {local_ip}:{local_port}  --->  {remote_ip}:{remote_port}")
+    serve_forwarder(listener, remote_ip, remote_port)
+
 
+def serve_forwarder(listener, remote_ip, remote_port):
+    """Forward every connection on listener until it is closed."""
     while True:
-        client_sock, addr = listener.accept()
+        try:
+            client_sock, addr = listener.accept()
+        except OSError:
+            break
         log(f"[+] Incoming connection from {addr}")
 
         try:
@@ -50,6 +72,113 @@ def start_forwarder(local_ip, local_port, remote_ip, remote_port):
         threading.Thread(target=pipe, args=(remote_sock, client_sock), daemon=True).start()
 
 
+def load_sensor_id():
+    try:
+        with open(SENSOR_ID_FILE, "r") as f:
+            return f.read().strip() or None
+    except OSError:
+        return None
+
+
+def check_in(server_ip, secret, sensor_id, forwarding, errors):
+    """Report this sensor to config_server.py and return its reply."""
+    hello = {
+        "secret": secret,
+        "sensor": sensor_id,
+        "hostname": socket.gethostname(),
+        "forwarding": forwarding,
+        "errors": errors
+    }
+    with socket.create_connection((server_ip, CONFIG_SERVER_PORT), timeout=10) as sock:
+        sock.sendall((json.dumps(hello) + "\n").encode())
+        chunks = []
+        while True:
+            data = sock.recv(BUFFER_SIZE)
+            if not data:
+                break
+            chunks.append(data)
+
+    reply = b"".join(chunks).decode()
+    if reply.startswith("ERROR"):
+        raise RuntimeError(reply.strip())
+    return json.loads(reply)
+
+
+def apply_port_map(server_ip, ports, active):
+    """
+    Start and stop forwarders so `active` ({protocol: (listen, target,
+    listener)}) matches `ports`. Returns {protocol: error}.
+    """
+    errors = {}
+
+    for protocol in list(active):
+        listen, target, listener = active[protocol]
+        wanted = ports.get(protocol)
+        if wanted and (wanted["listen"], wanted["target"]) == (listen, target):
+            continue
+        listener.close()
+        del active[protocol]
+        log(f"[-] Stopped forwarding {protocol} on port {listen}")
+
+    for protocol, wanted in ports.items():
+        if protocol in active:
+            continue
+        if protocol in UNSUPPORTED_PROTOCOLS:
+            errors[protocol] = "UDP forwarding is not supported"
+            continue
+        try:
+            listener = open_listener("0.0.0.0", wanted["listen"])
+        except OSError as e:
+            errors[protocol] = str(e)
+            log(f"[!] Cannot listen for {protocol} on port {wanted['listen']}: {e}")
+            continue
+
+        active[protocol] = (wanted["listen"], wanted["target"], listener)
+        threading.Thread(
+            target=serve_forwarder,
+            args=(listener, server_ip, wanted["target"]),
+            daemon=True
+        ).start()
+        log(f"[+] Forwarding {protocol}: 0.0.0.0:{wanted['listen']}  --->  {server_ip}:{wanted['target']}")
+
+    return errors
+
+
+def run_sensor(server_ip, secret):
+    """
+    Managed mode: check in with config_server.py every CHECKIN_INTERVAL
+    seconds and forward whatever port map the dashboard assigned.
+    """
+    sensor_id = load_sensor_id()
+    active = {}
+    errors = {}
+
+    while True:
+        forwarding = {
+            protocol: {"listen": listen, "target": target}
+            for protocol, (listen, target, _) in active.items()
+        }
+        try:
+            reply = check_in(server_ip, secret, sensor_id, forwarding, errors)
+        except (OSError, ValueError, RuntimeError) as e:
+            log(f"[!] Check-in failed: {e}")
+            time.sleep(CHECKIN_INTERVAL)
+            continue
+
+        if reply["sensor"] != sensor_id:
+            sensor_id = reply["sensor"]
+            with open(SENSOR_ID_FILE, "w") as f:
+                f.write(sensor_id)
+            log(f"[+] Registered as sensor {sensor_id}")
+
+        previous = (set(active), errors)
+        errors = apply_port_map(server_ip, reply["ports"], active)
+        # Report a changed port map straight away instead of next time
+        if previous != (set(active), errors):
+            continue
+        time.sleep(CHECKIN_INTERVAL)
+
+
 def main():
     print("=== SIMPLE TCP PORT MAPPER ===")
     print("Maps ports from THIS machine to a REMOTE (public/global) server.\n")
@@ -111,5 +240,14 @@ def main():
 
 
 if __name__ == "__main__":
-    main()
+    # python client.py <server_ip> [secret]: managed sensor; the secret
+    # may also come from HONEYPOT_SENSOR_SECRET. No arguments: interactive.
+    if len(sys.argv) > 1:
+        secret = sys.argv[2] if len(sys.argv) > 2 else os.environ.get("HONEYPOT_SENSOR_SECRET", "")
+        try:
+            run_sensor(sys.argv[1], secret)
+        except KeyboardInterrupt:
+            print("\n[+] Stopping.")
+    else:
+        main()
 
@@ -1,27 +1,206 @@
 import socket
 import threading
 import os
+import json
+import hmac
+import uuid
+from datetime import datetime
 
 # ------------ CONFIGURATION ------------
 HOST = "0.0.0.0"   # Listen on all network interfaces
 PORT = 8443
 SHARED_SECRET = "mysharedsecret123"     # <-- change this
 CONFIG_FILE = "./customer_config_settings.txt"
+# Customer workspaces created in the dashboard; each has its own secret
+TENANTS_FILE = "./data/tenants.json"
+TENANTS_DIR = "./tenants"
+PROTOCOLS = ["telnet", "ssh", "http", "mqtt", "dnp3", "coap", "modbus"]
+DEFAULT_TENANT = "default"
+# Honeypot ports when a protocol has no saved config (app.py defaults)
+DEFAULT_HONEYPOT_PORTS = {
+    "telnet": 2323, "ssh": 2222, "http": 12000, "mqtt": 1883,
+    "dnp3": 20000, "coap": 5683, "modbus": 1502
+}
+# Sensor registry shared with the dashboard: this server records each
+# client.py check-in, the dashboard stores sensor names and port maps
+SENSOR_CHECKINS_FILE = "./data/sensor_checkins.json"
+SENSORS_FILE = "./data/sensors.json"
+# A check-in is one JSON line; older sensors send it without the newline
+CHECKIN_MAX = 65536     # bytes
+READ_TIMEOUT = 5        # seconds to wait for the rest of a check-in
 # ---------------------------------------
 
+checkins_lock = threading.Lock()
+
+
+def load_json(path, default):
+    try:
+        with open(path, "r") as f:
+            return json.load(f)
+    except (OSError, ValueError):
+        return default
+
+
+def find_tenant(secret):
+    """Return the tenant id a sensor secret belongs to, or None."""
+    for tenant_id, tenant in load_json(TENANTS_FILE, {}).items():
+        tenant_secret = tenant.get("secret")
+        if tenant_secret and hmac.compare_digest(tenant_secret, secret):
+            return tenant_id
+    if hmac.compare_digest(SHARED_SECRET, secret):
+        return DEFAULT_TENANT
+    return None
+
+
+def get_honeypot_ports(tenant_id):
+    """Return {protocol: port} of the tenant's honeypots."""
+    if tenant_id == DEFAULT_TENANT:
+        configs_dir = "./configs"
+    else:
+        configs_dir = os.path.join(TENANTS_DIR, tenant_id, "configs")
+
+    ports = {}
+    for protocol in PROTOCOLS:
+        config = load_json(os.path.join(configs_dir, f"{protocol}.json"), {})
+        ports[protocol] = config.get("port", DEFAULT_HONEYPOT_PORTS[protocol])
+    return ports
+
+
+def get_sensor_ports(tenant_id, sensor_id):
+    """
+    Return {protocol: {"listen": port, "target": port}} for a sensor.
+
+    The port map set in the dashboard wins; otherwise the default
+    tenant's sensors use CONFIG_FILE and other tenants' sensors listen
+    on their honeypots' own ports.
+    """
+    targets = get_honeypot_ports(tenant_id)
+    port_map = load_json(SENSORS_FILE, {}).get(sensor_id, {}).get("portMap")
+    if port_map is None and tenant_id == DEFAULT_TENANT:
+        port_map = load_json(CONFIG_FILE, {})
+    if port_map is None:
+        port_map = targets
+
+    return {
+        protocol: {"listen": listen, "target": targets[protocol]}
+        for protocol, listen in port_map.items()
+        if protocol in targets
+    }
+
+
+def record_checkin(hello, tenant_id, addr):
+    """Store a sensor check-in and return the sensor's id."""
+    with checkins_lock:
+        checkins = load_json(SENSOR_CHECKINS_FILE, {})
+
+        # Unknown ids, or ids of another tenant's sensor, get a new one
+        sensor_id = str(hello.get("sensor") or "")
+        if checkins.get(sensor_id, {}).get("tenant") != tenant_id:
+            sensor_id = uuid.uuid4().hex[:12]
+
+        now = datetime.now().isoformat()
+        record = checkins.get(sensor_id, {"firstSeen": now})
+        record.update({
+            "tenant": tenant_id,
+            "address": addr[0],
+            "hostname": str(hello.get("hostname", "")),
+            "lastCheckin": now,
+            "forwarding": hello.get("forwarding", {}),
+            "errors": hello.get("errors", {})
+        })
+        checkins[sensor_id] = record
+
+        # Write atomically; the dashboard reads this file concurrently
+        os.makedirs(os.path.dirname(SENSOR_CHECKINS_FILE), exist_ok=True)
+        tmp_path = SENSOR_CHECKINS_FILE + ".tmp"
+        with open(tmp_path, "w") as f:
+            json.dump(checkins, f, indent=2)
+        os.replace(tmp_path, SENSOR_CHECKINS_FILE)
+
+    return sensor_id
+
+
+def read_message(conn):
+    """
+    Read a bare secret (one recv, as legacy sensors send it) or a JSON
+    check-in up to its newline, EOF or a pause of READ_TIMEOUT.
+    """
+    received = conn.recv(4096)
+    if not received.lstrip().startswith(b"{"):
+        return received.decode(errors="replace").strip()
+
+    conn.settimeout(READ_TIMEOUT)
+    while b"\n" not in received and len(received) < CHECKIN_MAX:
+        try:
+            chunk = conn.recv(4096)
+        except socket.timeout:
+            break
+        if not chunk:
+            break
+        received += chunk
+    return received.decode(errors="replace").strip()
+
+
+def parse_checkin(received):
+    """The check-in object of a JSON hello, or None if it isn't one."""
+    try:
+        hello = json.loads(received)
+    except ValueError:
+        return None
+    if not isinstance(hello, dict) or not isinstance(hello.get("secret"), str):
+        return None
+    if not all(isinstance(hello.get(key, {}), dict) for key in ("forwarding", "errors")):
+        return None
+    return hello
+
+
+def handle_checkin(conn, addr, hello):
+    """
+    Answer a client.py check-in, a JSON hello of the form
+    {"secret", "sensor", "hostname", "forwarding", "errors"}, with
+    {"sensor": id, "ports": {protocol: {"listen", "target"}}}.
+    """
+    tenant_id = find_tenant(hello["secret"])
+    if tenant_id is None:
+        conn.sendall(b"ERROR: Invalid shared secret\n")
+        print("[-] Invalid secret, closing connection.")
+        return
+
+    sensor_id = record_checkin(hello, tenant_id, addr)
+    reply = {"sensor": sensor_id, "ports": get_sensor_ports(tenant_id, sensor_id)}
+    conn.sendall(json.dumps(reply).encode())
+    print(f"[+] Sensor {sensor_id} checked in.")
+
+
 def handle_client(conn, addr):
     print(f"[+] Connection from {addr}")
 
     try:
-        # Receive the shared secret (limit to 1024 bytes)
-        received = conn.recv(1024).decode().strip()
-        print(f"[*] Received secret: {received}")
+        # Receive the shared secret or a sensor check-in
+        received = read_message(conn)
+        print("[*] Received secret")
 
-        if received != SHARED_SECRET:
+        if received.startswith("{"):
+            hello = parse_checkin(received)
+            if hello is None:
+                conn.sendall(b"ERROR: Malformed check-in\n")
+                print("[-] Malformed check-in, closing connection.")
+                return
+            handle_checkin(conn, addr, hello)
+            return
+
+        tenant_id = find_tenant(received)
+        if tenant_id is None:
             conn.sendall(b"ERROR: Invalid shared secret\n")
             print("[-] Invalid secret, closing connection.")
             return
 
+        # A tenant's sensors get that tenant's own port map
+        if tenant_id != DEFAULT_TENANT:
+            conn.sendall(json.dumps(get_honeypot_ports(tenant_id)).encode())
+            print("[+] Sent tenant port map successfully.")
+            return
+
         # If secret is correct, read the file
         if not os.path.exists(CONFIG_FILE):
             conn.sendall(b"ERROR: Config file not found\n")
@@ -15,13 +15,61 @@ import {
   RefreshCw,
   FileText,
   Filter,
-  X
+  X,
+  History,
+  Pause,
+  SkipBack,
+  Copy,
+  Radio,
+  Calendar,
+  Search,
+  Bookmark,
+  Trash2,
+  Link,
+  User,
+  Download,
+  Cpu,
+  FolderTree,
+  Upload,
+  Layers,
+  LogIn,
+  LogOut,
+  Users,
+  Building2,
+  Router,
+  Bell,
+  Send,
+  ScanSearch,
+  Database,
+  Network,
+  ChartColumn,
+  Crosshair,
+  ArrowRight,
+  Plus,
+  SquareTerminal,
+  FingerprintPattern,
+  Tag,
+  Briefcase,
+  MessageSquare
 } from 'lucide-react';
 
 const API_BASE = 'http://localhost:5000/api';
 
 const PROTOCOLS = ['telnet', 'ssh', 'http', 'mqtt', 'dnp3', 'coap', 'modbus'];
 
+const getProtocolColor = (protocol) => {
+  const colors = {
+    telnet: '#D4A574',
+    ssh: '#B8956A',
+    http: '#9C8560',
+    mqtt: '#807556',
+    dnp3: '#64654C',
+    coap: '#C4B5A0',
+    modbus: '#AFA090'
+  };
+  return colors[protocol?.toLowerCase()] || '#8B8B8B';
+};
+
 // Mapping for human-readable filter labels
 const FIELD_LABELS = {
   // Core Identity
@@ -29,6 +77,12 @@ const FIELD_LABELS = {
   'port': 'Target Port',
   'protocol': 'Protocol',
   'type': 'Event Type',
+  'sensor': 'Sensor',
+  'toolkit.id': 'Toolkit ID',
+  'toolkit.name': 'Toolkit',
+  'toolkit.kind': 'Toolkit Kind',
+  'tags': 'Tags',
+  'incidents': 'Incidents',
   'timestamp': 'Timestamp',
   'username': 'Username',
   'password': 'Password',
@@ -36,8 +90,12 @@ const FIELD_LABELS = {
   // Location
   'location.city': 'City',
   'location.country': 'Country',
+  'location.countryCode': 'Country Code',
   'location.lat': 'Latitude',
   'location.lon': 'Longitude',
+  'location.asn': 'ASN',
+  'location.org': 'Network Owner',
+  'location.private': 'Private / Reserved Range',
 
   // HTTP / Web
   'method': 'HTTP Method',
@@ -83,751 +141,8250 @@ const formatFilterLabel = (key) => {
     .join(' › ');
 };
 
-// ---------- DASHBOARD PAGE ----------
+// ---------- AUTH ----------
 
-const Dashboard = () => {
-  const [logs, setLogs] = useState([]);
-  const [stats, setStats] = useState({});
-  const [selectedAttack, setSelectedAttack] = useState(null);
-  const [loading, setLoading] = useState(true);
+// The API wants a bearer token from /api/auth/login on every request.
+// Any 401 drops the stored token and fires AUTH_EXPIRED_EVENT so the
+// app falls back to the login page.
+const AUTH_TOKEN_KEY = 'honeypotAuthToken';
+const AUTH_EXPIRED_EVENT = 'honeypot-auth-expired';
+// Workspace (tenant) every request is scoped to, sent as X-Tenant
+const TENANT_KEY = 'honeypotTenant';
 
-  // raw log viewer state
-  const [rawProtocol, setRawProtocol] = useState('ssh');
-  const [rawLogs, setRawLogs] = useState('');
-  const [rawLoading, setRawLoading] = useState(false);
-  const [rawError, setRawError] = useState(null);
+const ROLES = ['viewer', 'analyst', 'admin'];
 
-  // filter state
-  const [filters, setFilters] = useState({});
-  const [showFilters, setShowFilters] = useState(false);
-  const [availableFields, setAvailableFields] = useState([]);
-  const [fieldProtocols, setFieldProtocols] = useState({}); // New state to track protocols per field
+const getAuthToken = () => window.localStorage.getItem(AUTH_TOKEN_KEY);
 
-  // --- MAP STATE ---
-  const mapImgRef = useRef(null);
-  const [mapSize, setMapSize] = useState({ width: 800, height: 400 });
+const setAuthToken = (token) => {
+  if (token) {
+    window.localStorage.setItem(AUTH_TOKEN_KEY, token);
+  } else {
+    window.localStorage.removeItem(AUTH_TOKEN_KEY);
+  }
+};
 
-  useEffect(() => {
-    fetchDashboardData();
-    const interval = setInterval(fetchDashboardData, 10000);
-    return () => clearInterval(interval);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+const getTenant = () => window.localStorage.getItem(TENANT_KEY);
 
-  // --- MAP RESIZE LISTENER ---
-  useEffect(() => {
-    const updateSize = () => {
-      try {
-        const img = mapImgRef.current;
-        if (img) {
-          const rect = img.getBoundingClientRect();
-          if (rect.width && rect.height) {
-            setMapSize({ width: rect.width, height: rect.height });
-          }
-        }
-      } catch (e) {
-        // ignore errors if ref is not yet available
-      }
-    };
-    
-    window.addEventListener('resize', updateSize);
-    // Initial check
-    updateSize();
-    
-    return () => window.removeEventListener('resize', updateSize);
-  }, []);
+const setTenant = (tenant) => {
+  if (tenant) {
+    window.localStorage.setItem(TENANT_KEY, tenant);
+  } else {
+    window.localStorage.removeItem(TENANT_KEY);
+  }
+};
 
-  // Extract all available fields from logs AND track which protocol they belong to
-  useEffect(() => {
-    const fields = new Set();
-    const fieldProtoMap = {}; // Maps 'field.name' -> Set('SSH', 'HTTP')
-
-    logs.forEach((log) => {
-      const proto = log.protocol ? log.protocol.toUpperCase() : 'UNKNOWN';
-
-      const extractFields = (obj, prefix = '') => {
-        if (obj && typeof obj === 'object' && !Array.isArray(obj)) {
-          Object.keys(obj).forEach((key) => {
-            const fullKey = prefix ? `${prefix}.${key}` : key;
-            if (obj[key] !== null && obj[key] !== undefined) {
-              if (typeof obj[key] === 'object' && !Array.isArray(obj[key]) && obj[key] !== null) {
-                extractFields(obj[key], fullKey);
-              } else {
-                fields.add(fullKey);
-                
-                // Track which protocol this field was seen in
-                if (!fieldProtoMap[fullKey]) {
-                  fieldProtoMap[fullKey] = new Set();
-                }
-                fieldProtoMap[fullKey].add(proto);
-              }
-            }
-          });
-        }
-      };
-      extractFields(log);
-    });
+const hasRole = (user, role) =>
+  Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
 
-    setAvailableFields(Array.from(fields).sort());
-    setFieldProtocols(fieldProtoMap);
-  }, [logs]);
+// Admins of every workspace manage workspaces and users
+const isOperator = (user) => hasRole(user, 'admin') && user.tenants.includes('*');
 
-  const fetchDashboardData = async () => {
-    try {
-      const [logsRes, statsRes] = await Promise.all([
-        fetch(`${API_BASE}/logs`),
-        fetch(`${API_BASE}/stats`)
-      ]);
+const apiFetch = async (url, options = {}) => {
+  const token = getAuthToken();
+  const tenant = getTenant();
+  const headers = { ...(options.headers || {}) };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  if (tenant) {
+    headers['X-Tenant'] = tenant;
+  }
+  const res = await fetch(url, { ...options, headers });
+  if (res.status === 401 && token) {
+    setAuthToken(null);
+    window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+  }
+  return res;
+};
 
-      const logsData = await logsRes.json();
-      const statsData = await statsRes.json();
+// EventSource and plain download links can't send headers
+const withAuthParams = (url) => {
+  const params = new URLSearchParams();
+  if (getAuthToken()) params.set('token', getAuthToken());
+  if (getTenant()) params.set('tenant', getTenant());
+  const query = params.toString();
+  if (!query) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+};
 
-      setLogs(Array.isArray(logsData) ? logsData : []);
-      setStats(statsData || {});
-      setLoading(false);
-    } catch (error) {
-      console.error('Error fetching dashboard data:', error);
-      setLoading(false);
-    }
-  };
+const LoginPage = ({ onLogin }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
 
-  // ---- Raw log viewer ----
-  const fetchRawLogs = async (protocol = rawProtocol) => {
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
     try {
-      setRawLoading(true);
-      setRawError(null);
-      setRawLogs('');
-
-      const res = await fetch(
-        `${API_BASE}/raw-logs?protocol=${encodeURIComponent(protocol)}`
-      );
-      if (!res.ok) {
-        throw new Error(`HTTP ${res.status}`);
+      const res = await fetch(`${API_BASE}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setAuthToken(data.token);
+        onLogin(data.user);
+        return;
       }
-
-      const text = await res.text();
-      setRawLogs(text || '(No log data yet)');
+      setError(data.error || `HTTP ${res.status}`);
     } catch (err) {
-      console.error('Error fetching raw logs:', err);
-      setRawError('Failed to load raw logs');
-    } finally {
-      setRawLoading(false);
+      console.error('Error logging in:', err);
+      setError(err.message);
     }
+    setBusy(false);
   };
 
-  const getNestedValue = (obj, path) => {
-    return path.split('.').reduce((current, key) => {
-      return current && typeof current === 'object' ? current[key] : undefined;
-    }, obj);
-  };
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+      <form
+        onSubmit={submit}
+        className="bg-white p-8 rounded-lg border border-gray-200 w-full max-w-sm space-y-4"
+      >
+        <div className="flex items-center space-x-3 mb-2">
+          <Shield className="w-8 h-8 text-gray-700" />
+          <h1 className="text-xl font-bold text-gray-800">IoT Honeypot Service</h1>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Username</label>
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            autoFocus
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-gray-400 focus:border-transparent"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-gray-400 focus:border-transparent"
+          />
+        </div>
+        {error && <div className="text-sm text-red-500">{error}</div>}
+        <button
+          type="submit"
+          disabled={busy || !username || !password}
+          className="w-full flex items-center justify-center px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-800 disabled:opacity-50"
+        >
+          <LogIn className="w-4 h-4 mr-2" />
+          {busy ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+};
 
-  const getFilteredLogs = () => {
-    if (Object.keys(filters).length === 0) {
-      return logs;
-    }
+// ---------- LIVE STREAM HELPERS ----------
 
-    return logs.filter((log) => {
-      return Object.entries(filters).every(([field, filterValue]) => {
-        if (!filterValue || filterValue.trim() === '') {
-          return true;
-        }
+// Reconnect delays for /api/stream: 1s, 2s, 4s ... capped at 30s
+const STREAM_BACKOFF_BASE_MS = 1000;
+const STREAM_BACKOFF_MAX_MS = 30000;
 
-        const value = getNestedValue(log, field);
-        
-        if (value === undefined || value === null) {
-          return false;
-        }
+// Fallback poll interval for browsers without EventSource
+const POLL_INTERVAL_MS = 10000;
 
-        const valueStr = typeof value === 'object' 
-          ? JSON.stringify(value).toLowerCase()
-          : String(value).toLowerCase();
-        
-        const filterStr = filterValue.toLowerCase();
-        
-        return valueStr.includes(filterStr);
-      });
-    });
-  };
+const STREAM_STATUS_STYLES = {
+  connecting: { label: 'Connecting', dot: 'bg-gray-400' },
+  live: { label: 'Live', dot: 'bg-green-500' },
+  paused: { label: 'Paused', dot: 'bg-yellow-500' },
+  reconnecting: { label: 'Reconnecting', dot: 'bg-orange-500 animate-pulse' },
+  polling: { label: 'Polling', dot: 'bg-gray-400' }
+};
 
-  const handleFilterChange = (field, value) => {
-    setFilters((prev) => {
-      const newFilters = { ...prev };
-      if (value && value.trim() !== '') {
-        newFilters[field] = value;
-      } else {
-        delete newFilters[field];
-      }
-      return newFilters;
-    });
-  };
+// Identity of an event for de-duplicating stream pushes against a resync.
+// Session-file copies of an event are kept apart from the .logs copy.
+const getEventKey = (log) =>
+  [log.timestamp, log.ip, log.protocol, log.type, log.session ? 'session' : 'log'].join('|');
 
-  const clearFilters = () => {
-    setFilters({});
-  };
+// Merge newly streamed events (newest first) into the existing list,
+// dropping any the list already holds. Returns [merged, added].
+const mergeStreamEvents = (existing, incoming) => {
+  if (incoming.length === 0) {
+    return [existing, []];
+  }
 
-  const getLocationMarkers = () => {
-    const markers = {};
-    const filteredLogs = getFilteredLogs();
-    filteredLogs.forEach((log) => {
-      if (
-        log.ip &&
-        log.location &&
-        typeof log.location.lat === 'number' &&
-        typeof log.location.lon === 'number'
-      ) {
-        if (!markers[log.ip]) {
-          markers[log.ip] = { ...log.location, count: 0, ip: log.ip };
-        }
-        markers[log.ip].count += 1;
-      }
-    });
-    return Object.values(markers);
-  };
+  const oldest = incoming.reduce(
+    (min, log) => ((log.timestamp || '') < min ? log.timestamp || '' : min),
+    incoming[0].timestamp || ''
+  );
+  const recentKeys = new Set();
+  for (let i = 0; i < existing.length; i += 1) {
+    if ((existing[i].timestamp || '') < oldest) {
+      break;
+    }
+    recentKeys.add(getEventKey(existing[i]));
+  }
 
-  const getProtocolData = () => {
-    const protocols = stats.protocolCounts || {};
-    return Object.entries(protocols).map(([name, value]) => ({
-      name,
-      value,
-      color: getProtocolColor(name)
-    }));
-  };
+  const added = incoming.filter((log) => !recentKeys.has(getEventKey(log)));
+  if (added.length === 0) {
+    return [existing, []];
+  }
 
-  const getProtocolColor = (protocol) => {
-    const colors = {
-      telnet: '#D4A574',
-      ssh: '#B8956A',
-      http: '#9C8560',
-      mqtt: '#807556',
-      dnp3: '#64654C',
-      coap: '#C4B5A0',
-      modbus: '#AFA090'
-    };
-    return colors[protocol?.toLowerCase()] || '#8B8B8B';
-  };
+  // Both lists are sorted newest first, so a linear merge keeps the order
+  const sortedAdded = [...added].sort((a, b) =>
+    (b.timestamp || '').localeCompare(a.timestamp || '')
+  );
+  const merged = [];
+  let i = 0;
+  let j = 0;
+  while (i < existing.length || j < sortedAdded.length) {
+    if (
+      j >= sortedAdded.length ||
+      (i < existing.length &&
+        (existing[i].timestamp || '') >= (sortedAdded[j].timestamp || ''))
+    ) {
+      merged.push(existing[i]);
+      i += 1;
+    } else {
+      merged.push(sortedAdded[j]);
+      j += 1;
+    }
+  }
+  return [merged, added];
+};
 
-  // Helper to map Lat/Lon to X/Y on an Equirectangular map image
-  const latLonToXY = (lat, lon, width, height) => {
-    const x = ((lon + 180) / 360) * width;
-    const y = ((90 - lat) / 180) * height;
-    return { x, y };
-  };
+// ---------- QUERY LANGUAGE ----------
+//
+// JavaScript twin of the query parser in app.py (QUERY LANGUAGE). The
+// server does the filtering; this copy validates as the user types, drives
+// autocomplete and decides whether streamed events match. Both run the
+// cases in tests/query_cases.json (see App.test.js). Example:
+//   protocol:modbus AND type:write_* AND NOT ip:10.0.0.0/8
 
-  const renderWorldMap = () => {
-    const markers = getLocationMarkers();
-    const imgSrc = '/world-map.svg';
+const QUERY_TERM_RE = /^([A-Za-z_][\w.-]*)(:>=|:<=|:>|:<|!=|>=|<=|:|=|>|<|~)/;
+const QUERY_KEYWORDS = ['AND', 'OR', 'NOT'];
+const CIDR_RE = /^[0-9a-fA-F:.]+\/\d{1,3}$/;
+// Decimal numbers only: no 'Infinity', '0x10' or surrounding spaces
+const QUERY_NUMBER_RE = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const isQuerySpace = (char) => /\s/.test(char);
 
-    const containerStyle = {
-      position: 'relative',
-      width: '100%',
-      height: 'auto',
-      minHeight: '240px',
-      backgroundColor: '#f8f8f8',
-      display: 'flex',
-      alignItems: 'center',
-      justifyContent: 'center'
-    };
+// Read a quoted or bare value starting at `pos` -> [value, quoted, end]
+const readQueryValue = (text, start) => {
+  let pos = start;
+  if (text[pos] === '"') {
+    pos += 1;
+    let value = '';
+    while (pos < text.length && text[pos] !== '"') {
+      // Only \" and \\ are unescaped so regex escapes such as \d survive
+      if (text[pos] === '\\' && ['"', '\\'].includes(text[pos + 1])) {
+        pos += 1;
+      }
+      value += text[pos];
+      pos += 1;
+    }
+    if (pos >= text.length) {
+      throw new Error('Unterminated " in query');
+    }
+    return [value, true, pos + 1];
+  }
 
-    const imgStyle = {
-      display: 'block',
-      width: '100%',
-      height: 'auto',
-      userSelect: 'none',
-    };
+  while (pos < text.length && !isQuerySpace(text[pos]) && !'()'.includes(text[pos])) {
+    pos += 1;
+  }
+  return [text.slice(start, pos), false, pos];
+};
 
-    const overlayStyle = {
-      position: 'absolute',
-      top: 0,
-      left: 0,
-      width: '100%',
-      height: '100%',
-      pointerEvents: 'none'
-    };
+const tokenizeQuery = (text) => {
+  const tokens = [];
+  let pos = 0;
+  while (pos < text.length) {
+    const char = text[pos];
+    if (isQuerySpace(char)) {
+      pos += 1;
+      continue;
+    }
+    if (char === '(' || char === ')') {
+      tokens.push({ kind: char });
+      pos += 1;
+      continue;
+    }
 
-    const onImgLoad = (e) => {
-      try {
-        const img = e.target;
-        const rect = img.getBoundingClientRect();
-        if (rect.width && rect.height) {
-          setMapSize({ width: rect.width, height: rect.height });
-        }
-      } catch (err) {
-        // Fallback size if something goes wrong
-        setMapSize({ width: 800, height: 400 });
+    let negate = false;
+    if (char === '-' && pos + 1 < text.length && !isQuerySpace(text[pos + 1])) {
+      negate = true;
+      pos += 1;
+    }
+
+    let term;
+    const match = QUERY_TERM_RE.exec(text.slice(pos));
+    if (match) {
+      const [, field, rawOp] = match;
+      const [value, quoted, end] = readQueryValue(text, pos + match[0].length);
+      if (value === '' && !quoted) {
+        throw new Error(`Missing value for ${field}${rawOp}`);
       }
-    };
+      pos = end;
+      // ':>=' and friends are accepted as spellings of '>=' etc.
+      term = { type: 'term', field, op: rawOp.replace(/^:/, '') || ':', value };
+    } else {
+      const [value, quoted, end] = readQueryValue(text, pos);
+      pos = end;
+      if (!quoted && !negate && QUERY_KEYWORDS.includes(value.toUpperCase())) {
+        tokens.push({ kind: value.toUpperCase() });
+        continue;
+      }
+      term = { type: 'text', value };
+    }
 
-    return (
-      <div style={containerStyle} className="rounded-lg overflow-hidden border border-gray-200">
-        <img
-          ref={mapImgRef}
-          src={imgSrc}
-          alt="World Map"
-          style={imgStyle}
-          onLoad={onImgLoad}
-          onError={(e) => {
-            console.error("Failed to load map image");
-            e.target.style.display = 'none'; // Hide broken image icon
-          }}
-        />
-        
-        {/* SVG Overlay for attack dots */}
-        <svg style={overlayStyle} viewBox={`0 0 ${mapSize.width} ${mapSize.height}`} preserveAspectRatio="none">
-          {markers.map((marker, i) => {
-            const lat = Number(marker.lat) || 0;
-            const lon = Number(marker.lon) || 0;
-            const { x, y } = latLonToXY(lat, lon, mapSize.width, mapSize.height);
-            const r = Math.min(marker.count * 2 + 5, 18);
+    tokens.push({ kind: 'TERM', node: negate ? { type: 'not', child: term } : term });
+  }
+  return tokens;
+};
 
-            return (
-              <g key={marker.ip || i} transform={`translate(${x}, ${y})`}>
-                <circle r={r} fill="#D4A574" opacity="0.6" />
-                <circle r={Math.max(2, Math.floor(r / 3))} fill="#8B6F47" />
-                <title>{`${marker.ip}: ${marker.count} events`}</title>
-              </g>
-            );
-          })}
-        </svg>
-        
-        <div className="absolute bottom-2 left-2 text-xs text-gray-500 bg-white/80 px-2 py-1 rounded shadow-sm">
-          <Globe className="w-3 h-3 inline mr-1" />
-          Attack Origin Map
-        </div>
-      </div>
-    );
-  };
+// Parse a query expression into an AST; null when empty, throws on errors
+const parseQuery = (text) => {
+  const tokens = tokenizeQuery(text || '');
+  if (tokens.length === 0) {
+    return null;
+  }
+  let pos = 0;
+  const peek = () => (pos < tokens.length ? tokens[pos].kind : null);
 
-  const renderDonutChart = () => {
-    const data = getProtocolData();
-    const total = data.reduce((sum, d) => sum + d.value, 0);
-    if (total === 0) {
-      return <div className="text-sm text-gray-400">No attack data yet.</div>;
+  function parsePrimary() {
+    const kind = peek();
+    if (kind === '(') {
+      pos += 1;
+      const node = parseOr();
+      if (peek() !== ')') {
+        throw new Error('Missing closing parenthesis');
+      }
+      pos += 1;
+      return node;
+    }
+    if (kind === 'TERM') {
+      const { node } = tokens[pos];
+      pos += 1;
+      return node;
     }
+    if (kind === null) {
+      throw new Error('Query ends unexpectedly');
+    }
+    throw new Error(`Unexpected ${kind} in query`);
+  }
 
-    let currentAngle = 0;
+  function parseNot() {
+    if (peek() === 'NOT') {
+      pos += 1;
+      return { type: 'not', child: parseNot() };
+    }
+    return parsePrimary();
+  }
 
-    return (
-      <svg viewBox="0 0 200 200" className="w-full h-full">
-        <circle
-          cx="100"
-          cy="100"
-          r="80"
-          fill="none"
-          stroke="#F5F5F0"
-          strokeWidth="40"
+  function parseAnd() {
+    const children = [parseNot()];
+    while (![null, 'OR', ')'].includes(peek())) {
+      if (peek() === 'AND') {
+        pos += 1;
+      }
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek() === 'OR') {
+      pos += 1;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  const ast = parseOr();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected ${tokens[pos].kind} in query`);
+  }
+
+  // Compile regexes up front so a bad pattern is reported, not skipped
+  const compileRegexes = (node) => {
+    if (node.type === 'term' && node.op === '~') {
+      try {
+        node.pattern = new RegExp(node.value, 'i');
+      } catch (e) {
+        throw new Error(`Invalid regex "${node.value}": ${e.message}`);
+      }
+    }
+    (node.children || []).forEach(compileRegexes);
+    if (node.child) {
+      compileRegexes(node.child);
+    }
+  };
+  compileRegexes(ast);
+  return ast;
+};
+
+// A finite number for numeric compares, or null
+const toQueryNumber = (value) => {
+  if (typeof value === 'string' && QUERY_NUMBER_RE.test(value)) {
+    value = Number(value);
+  }
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+};
+
+const globToRegExp = (glob) =>
+  new RegExp(
+    `^${glob
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.')}$`,
+    'i'
+  );
+
+// An IPv4 address as 4 bytes, or null. Leading zeros are rejected, as
+// Python's ipaddress does.
+const parseIpv4 = (text) => {
+  const parts = String(text).split('.');
+  if (parts.length !== 4 || !parts.every((part) => /^(0|[1-9]\d{0,2})$/.test(part))) {
+    return null;
+  }
+  const bytes = parts.map(Number);
+  return bytes.every((b) => b <= 255) ? bytes : null;
+};
+
+// An IPv6 address (with '::' and an optional dotted IPv4 tail) as 16
+// bytes, or null
+const parseIpv6 = (text) => {
+  const halves = String(text).split('::');
+  if (halves.length > 2) {
+    return null;
+  }
+  const toGroups = (half) => (half === '' ? [] : half.split(':'));
+  const head = toGroups(halves[0]);
+  const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+  const last = halves.length === 2 ? tail : head;
+
+  const bytes = [];
+  const pushGroups = (groups) => {
+    for (const group of groups) {
+      if (!/^[0-9a-fA-F]{1,4}$/.test(group)) {
+        return false;
+      }
+      const n = parseInt(group, 16);
+      bytes.push(n >> 8, n & 0xff);
+    }
+    return true;
+  };
+
+  let ipv4 = [];
+  if (last.length > 0 && last[last.length - 1].includes('.')) {
+    ipv4 = parseIpv4(last.pop());
+    if (!ipv4) {
+      return null;
+    }
+  }
+  const explicit = head.length + tail.length + ipv4.length / 2;
+  if (halves.length === 2 ? explicit > 7 : explicit !== 8) {
+    return null;
+  }
+  if (!pushGroups(head)) {
+    return null;
+  }
+  for (let i = explicit; i < 8; i += 1) {
+    bytes.push(0, 0);
+  }
+  if (!pushGroups(tail)) {
+    return null;
+  }
+  return [...bytes, ...ipv4];
+};
+
+const parseIpAddress = (text) => parseIpv4(text) || parseIpv6(text);
+
+// IPv4 ranges match IPv4 addresses and IPv6 ranges IPv6 ones, like
+// ipaddress.ip_network on the server
+const ipInCidr = (ip, cidr) => {
+  const [base, bitsText] = cidr.split('/');
+  const bits = Number(bitsText);
+  const address = parseIpAddress(ip);
+  const network = parseIpAddress(base);
+  if (!address || !network || address.length !== network.length || bits > address.length * 8) {
+    return false;
+  }
+  for (let i = 0; i * 8 < bits; i += 1) {
+    const mask = (0xff << (8 - Math.min(8, bits - i * 8))) & 0xff;
+    if ((address[i] & mask) !== (network[i] & mask)) {
+      return false;
+    }
+  }
+  return true;
+};
+
+const matchQueryValue = (value, node) => {
+  const { op, value: needle } = node;
+  const valueStr = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (['>', '>=', '<', '<='].includes(op)) {
+    let left = toQueryNumber(value);
+    let right = toQueryNumber(needle);
+    if (left === null || right === null) {
+      left = valueStr;
+      right = needle;
+    }
+    return {
+      '>': left > right,
+      '>=': left >= right,
+      '<': left < right,
+      '<=': left <= right
+    }[op];
+  }
+
+  if (op === '=' || op === '!=') {
+    const left = toQueryNumber(value);
+    const right = toQueryNumber(needle);
+    const equal =
+      left !== null && right !== null
+        ? left === right
+        : valueStr.toLowerCase() === needle.toLowerCase();
+    return op === '=' ? equal : !equal;
+  }
+
+  if (op === '~') {
+    return node.pattern.test(valueStr);
+  }
+  if (CIDR_RE.test(needle)) {
+    return ipInCidr(valueStr, needle);
+  }
+  if (needle.includes('*') || needle.includes('?')) {
+    return globToRegExp(needle).test(valueStr);
+  }
+  return valueStr.toLowerCase().includes(needle.toLowerCase());
+};
+
+const getNestedValue = (obj, path) =>
+  path.split('.').reduce((current, key) => {
+    return current && typeof current === 'object' && !Array.isArray(current)
+      ? current[key]
+      : undefined;
+  }, obj);
+
+const evaluateQuery = (node, log) => {
+  switch (node.type) {
+    case 'and':
+      return node.children.every((child) => evaluateQuery(child, log));
+    case 'or':
+      return node.children.some((child) => evaluateQuery(child, log));
+    case 'not':
+      return !evaluateQuery(node.child, log);
+    case 'text':
+      return JSON.stringify(log).toLowerCase().includes(node.value.toLowerCase());
+    default: {
+      const value = getNestedValue(log, node.field);
+      if (value === undefined || value === null) {
+        return node.op === '!=';
+      }
+      if (Array.isArray(value)) {
+        return node.op === '!='
+          ? value.every((v) => matchQueryValue(v, node))
+          : value.some((v) => matchQueryValue(v, node));
+      }
+      return matchQueryValue(value, node);
+    }
+  }
+};
+
+// Autocomplete for the query bar: complete the word under the caret with
+// field names, keywords, or known values once a field and ':' are typed
+const getQuerySuggestions = (text, caret, fields, fieldValues) => {
+  const before = text.slice(0, caret);
+  const wordStart = Math.max(
+    before.lastIndexOf(' '),
+    before.lastIndexOf('('),
+    before.lastIndexOf('\t')
+  ) + 1;
+  let word = before.slice(wordStart);
+  let prefixLength = wordStart;
+  if (word.startsWith('-')) {
+    word = word.slice(1);
+    prefixLength += 1;
+  }
+  if (!word) {
+    return { suggestions: [], start: prefixLength };
+  }
+
+  const valueMatch = /^([A-Za-z_][\w.-]*)(:|=|!=)(.*)$/.exec(word);
+  if (valueMatch) {
+    const [, field, op, partial] = valueMatch;
+    const values = fieldValues[field] || [];
+    return {
+      start: prefixLength,
+      suggestions: values
+        .filter((v) => String(v).toLowerCase().startsWith(partial.toLowerCase()))
+        .filter((v) => String(v) !== partial)
+        .slice(0, 8)
+        .map((v) => ({ label: String(v), insert: `${field}${op}${v} ` }))
+    };
+  }
+
+  const lower = word.toLowerCase();
+  const keywords = QUERY_KEYWORDS.filter(
+    (k) => k.toLowerCase().startsWith(lower) && k.toLowerCase() !== lower
+  ).map((k) => ({ label: k, insert: `${k} ` }));
+  const fieldMatches = fields
+    .filter((f) => f.toLowerCase().includes(lower))
+    .sort((a, b) => {
+      const aStarts = a.toLowerCase().startsWith(lower) ? 0 : 1;
+      const bStarts = b.toLowerCase().startsWith(lower) ? 0 : 1;
+      return aStarts - bStarts || a.localeCompare(b);
+    })
+    .slice(0, 8)
+    .map((f) => ({ label: f, detail: formatFilterLabel(f), insert: `${f}:` }));
+  return { start: prefixLength, suggestions: [...keywords, ...fieldMatches] };
+};
+
+const QueryBar = ({ value, onChange, error, fields, fieldValues }) => {
+  const inputRef = useRef(null);
+  const [caret, setCaret] = useState(0);
+  const [focused, setFocused] = useState(false);
+  const [highlight, setHighlight] = useState(0);
+
+  const { suggestions, start } = focused
+    ? getQuerySuggestions(value, caret, fields, fieldValues)
+    : { suggestions: [], start: 0 };
+
+  const accept = (suggestion) => {
+    const next = value.slice(0, start) + suggestion.insert + value.slice(caret);
+    const nextCaret = start + suggestion.insert.length;
+    onChange(next);
+    setCaret(nextCaret);
+    setHighlight(0);
+    requestAnimationFrame(() => {
+      if (inputRef.current) {
+        inputRef.current.setSelectionRange(nextCaret, nextCaret);
+      }
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) {
+      return;
+    }
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlight((h) => (h + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlight((h) => (h - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      accept(suggestions[Math.min(highlight, suggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setFocused(false);
+    }
+  };
+
+  return (
+    <div className="relative mb-4">
+      <div className="flex items-center">
+        <Search className="w-4 h-4 text-gray-400 absolute left-2.5" />
+        <input
+          ref={inputRef}
+          type="text"
+          value={value}
+          onChange={(e) => {
+            onChange(e.target.value);
+            setCaret(e.target.selectionStart || 0);
+            setHighlight(0);
+          }}
+          onKeyDown={handleKeyDown}
+          onKeyUp={(e) => setCaret(e.target.selectionStart || 0)}
+          onClick={(e) => setCaret(e.target.selectionStart || 0)}
+          onFocus={() => setFocused(true)}
+          onBlur={() => setFocused(false)}
+          placeholder="protocol:modbus AND type:write_* AND NOT ip:10.0.0.0/8"
+          spellCheck={false}
+          className={`w-full pl-8 pr-3 py-1.5 text-sm font-mono border rounded focus:ring-2 focus:border-transparent ${
+            error
+              ? 'border-red-300 focus:ring-red-300'
+              : 'border-gray-300 focus:ring-gray-400'
+          }`}
         />
-        {data.map((item, i) => {
-          const percentage = item.value / total;
-          const angle = percentage * 360;
-          const startAngle = currentAngle;
-          currentAngle += angle;
+      </div>
+      {error && <div className="text-xs text-red-500 mt-1">{error}</div>}
+      {suggestions.length > 0 && (
+        <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded shadow-sm max-h-64 overflow-y-auto">
+          {suggestions.map((suggestion, i) => (
+            <div
+              key={suggestion.insert}
+              // mousedown fires before the input's blur
+              onMouseDown={(e) => {
+                e.preventDefault();
+                accept(suggestion);
+              }}
+              className={`flex items-baseline justify-between px-3 py-1.5 text-sm cursor-pointer ${
+                i === highlight ? 'bg-gray-100' : 'hover:bg-gray-50'
+              }`}
+            >
+              <span className="font-mono text-gray-700">{suggestion.label}</span>
+              {suggestion.detail && (
+                <span className="text-xs text-gray-400 ml-2">{suggestion.detail}</span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
 
-          const x1 = 100 + 60 * Math.cos(((startAngle - 90) * Math.PI) / 180);
-          const y1 = 100 + 60 * Math.sin(((startAngle - 90) * Math.PI) / 180);
-          const x2 = 100 + 60 * Math.cos(((currentAngle - 90) * Math.PI) / 180);
-          const y2 = 100 + 60 * Math.sin(((currentAngle - 90) * Math.PI) / 180);
-          const largeArc = angle > 180 ? 1 : 0;
+// ---------- TIMELINE QUERY HELPERS ----------
 
-          return (
-            <path
-              key={i}
-              d={`M 100 100 L ${x1} ${y1} A 60 60 0 ${largeArc} 1 ${x2} ${y2} Z`}
-              fill={item.color}
-              opacity="0.9"
+const LOG_PAGE_SIZE = 100;
+
+// Debounce before re-querying /api/logs while the user types a filter
+const FILTER_DEBOUNCE_MS = 300;
+
+// Streamed events refresh the map and protocol chart at most this often
+const SUMMARY_REFRESH_MS = 5000;
+
+const TIME_RANGE_PRESETS = [
+  { label: '1h', ms: 60 * 60 * 1000 },
+  { label: '24h', ms: 24 * 60 * 60 * 1000 },
+  { label: '7d', ms: 7 * 24 * 60 * 60 * 1000 },
+  { label: '30d', ms: 30 * 24 * 60 * 60 * 1000 }
+];
+
+const toMillis = (timestamp) => {
+  const ms = timestamp ? new Date(timestamp).getTime() : NaN;
+  return Number.isNaN(ms) ? null : ms;
+};
+
+// Format a Date as a local "YYYY-MM-DDTHH:MM" value for datetime-local inputs
+const toLocalInputValue = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Translate timeline filter state into /api/logs query parameters
+const buildLogQuery = (filters, timeRange, query) => {
+  const params = new URLSearchParams();
+  if (query) {
+    params.set('query', query);
+  }
+  if (timeRange.since) {
+    params.set('since', timeRange.since);
+  }
+  if (timeRange.until) {
+    params.set('until', timeRange.until);
+  }
+  Object.entries(filters).forEach(([field, value]) => {
+    if (value && value.trim() !== '') {
+      params.set(`filter.${field}`, value);
+    }
+  });
+  return params;
+};
+
+// ---------- URL STATE ----------
+//
+// Page and dashboard filter state live in the query string so a view or a
+// single event can be bookmarked and shared:
+//   ?page=dashboard&q=protocol:ssh&since=...&until=...&f.<field>=<value>
+//     &filters=1&raw=telnet&event=<event key>
+//   ?page=sessions&session=<session key>
+//   ?page=attacker&ip=<source ip>
+//   ?page=iocs&ioc=<indicator search>
+//   ?page=commands
+//   ?page=attack
+//   ?page=sensors
+//   ?page=alerts
+//   ?page=incidents&incident=<incident id>
+
+const PAGES = ['dashboard', 'sessions', 'attacker', 'ics', 'iocs', 'commands', 'attack', 'sensors', 'alerts', 'incidents', 'settings'];
+
+const readUrlState = () => {
+  const params = new URLSearchParams(window.location.search);
+  const filters = {};
+  params.forEach((value, key) => {
+    if (key.startsWith('f.') && value) {
+      filters[key.slice(2)] = value;
+    }
+  });
+  const page = params.get('page');
+  const raw = params.get('raw');
+
+  return {
+    page: PAGES.includes(page) ? page : 'dashboard',
+    query: params.get('q') || '',
+    timeRange: {
+      since: params.get('since') || '',
+      until: params.get('until') || ''
+    },
+    filters,
+    showFilters: params.get('filters') === '1',
+    rawProtocol: PROTOCOLS.includes(raw) ? raw : 'ssh',
+    event: params.get('event'),
+    session: params.get('session'),
+    ip: params.get('ip'),
+    ioc: params.get('ioc'),
+    incident: params.get('incident')
+  };
+};
+
+// Only non-default values are written, to keep shared links short
+const buildUrlSearch = (state) => {
+  const params = new URLSearchParams();
+  if (state.page && state.page !== 'dashboard') {
+    params.set('page', state.page);
+  }
+  if (state.query) {
+    params.set('q', state.query);
+  }
+  if (state.timeRange && state.timeRange.since) {
+    params.set('since', state.timeRange.since);
+  }
+  if (state.timeRange && state.timeRange.until) {
+    params.set('until', state.timeRange.until);
+  }
+  Object.entries(state.filters || {}).forEach(([field, value]) => {
+    params.set(`f.${field}`, value);
+  });
+  if (state.showFilters) {
+    params.set('filters', '1');
+  }
+  if (state.rawProtocol && state.rawProtocol !== 'ssh') {
+    params.set('raw', state.rawProtocol);
+  }
+  if (state.event) {
+    params.set('event', state.event);
+  }
+  if (state.session) {
+    params.set('session', state.session);
+  }
+  if (state.ip) {
+    params.set('ip', state.ip);
+  }
+  if (state.ioc) {
+    params.set('ioc', state.ioc);
+  }
+  if (state.incident) {
+    params.set('incident', state.incident);
+  }
+  const search = params.toString();
+  return search ? `?${search}` : '';
+};
+
+const writeUrlState = (state, push = false) => {
+  const search = buildUrlSearch(state);
+  if (search === window.location.search) {
+    return;
+  }
+  const url = `${window.location.pathname}${search}${window.location.hash}`;
+  if (push) {
+    window.history.pushState(null, '', url);
+  } else {
+    window.history.replaceState(null, '', url);
+  }
+};
+
+// ---------- CREDENTIAL ANALYTICS ----------
+
+const CREDENTIAL_TOP = 15;
+const CREDENTIAL_CHART_HEIGHT = 80;
+
+const RankedList = ({ title, items }) => {
+  const max = items.length > 0 ? items[0].count : 1;
+  return (
+    <div>
+      <div className="text-xs text-gray-500 mb-2">{title}</div>
+      {items.length === 0 && <div className="text-sm text-gray-400">None seen.</div>}
+      <div className="space-y-1 max-h-72 overflow-y-auto">
+        {items.map((item) => (
+          <div key={item.value} className="relative text-sm">
+            <div
+              className="absolute inset-y-0 left-0 bg-gray-100 rounded"
+              style={{ width: `${(item.count / max) * 100}%` }}
             />
+            <div className="relative flex justify-between px-2 py-0.5">
+              <span className="font-mono text-gray-800 truncate">
+                {item.value === '' ? '(empty)' : item.value}
+              </span>
+              <span className="text-gray-600 ml-2">{item.count}</span>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const CredentialsPanel = ({ queryString, canExport }) => {
+  const [creds, setCreds] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchCredentials = async () => {
+    try {
+      const res = await apiFetch(
+        `${API_BASE}/credentials?top=${CREDENTIAL_TOP}${queryString ? `&${queryString}` : ''}`
+      );
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      setCreds(data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching credentials:', err);
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    const timer = setTimeout(fetchCredentials, FILTER_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [queryString]);
+
+  const wordlistUrl = (kind) =>
+    withAuthParams(
+      `${API_BASE}/credentials/wordlist?kind=${kind}${queryString ? `&${queryString}` : ''}`
+    );
+
+  const renderTimeline = () => {
+    const timeline = creds.timeline;
+    if (timeline.length === 0) {
+      return <div className="text-sm text-gray-400">No login attempts yet.</div>;
+    }
+    const max = Math.max(...timeline.map((d) => d.count), 1);
+    const barWidth = 100 / timeline.length;
+
+    return (
+      <svg
+        viewBox={`0 0 100 ${CREDENTIAL_CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-20"
+      >
+        {timeline.map((day, i) => {
+          let y = CREDENTIAL_CHART_HEIGHT;
+          return (
+            <g key={day.date}>
+              {Object.entries(day.protocols).map(([protocol, count]) => {
+                const height = (count / max) * (CREDENTIAL_CHART_HEIGHT - 2);
+                y -= height;
+                return (
+                  <rect
+                    key={protocol}
+                    x={i * barWidth + barWidth * 0.1}
+                    y={y}
+                    width={barWidth * 0.8}
+                    height={height}
+                    fill={getProtocolColor(protocol)}
+                  />
+                );
+              })}
+              <title>{`${day.date}: ${day.count} attempts`}</title>
+            </g>
           );
         })}
-        <circle cx="100" cy="100" r="40" fill="white" />
-        <text
-          x="100"
-          y="105"
-          textAnchor="middle"
-          className="text-2xl font-semibold fill-gray-700"
-        >
-          {total}
-        </text>
       </svg>
     );
   };
 
-  if (loading) {
-    return (
-      <div className="flex items-center justify-center h-screen">
-        <RefreshCw className="w-8 h-8 animate-spin text-gray-400" />
+  return (
+    <div className="bg-white p-6 rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-800 flex items-center">
+          <Shield className="w-5 h-5 mr-2 text-gray-600" />
+          Credentials
+        </h3>
+        <div className="flex items-center space-x-3 text-sm">
+          {canExport && <span className="text-gray-500">Wordlist:</span>}
+          {canExport && ['usernames', 'passwords', 'pairs'].map((kind) => (
+            <a
+              key={kind}
+              href={wordlistUrl(kind)}
+              className="flex items-center text-gray-600 hover:text-gray-800 capitalize"
+            >
+              <Download className="w-3 h-3 mr-1" />
+              {kind}
+            </a>
+          ))}
+          <button
+            onClick={fetchCredentials}
+            className="text-gray-400 hover:text-gray-600"
+            title="Reload credentials"
+          >
+            <RefreshCw className="w-4 h-4" />
+          </button>
+        </div>
       </div>
-    );
-  }
 
-  return (
-    <div className="space-y-6">
-      {/* Header Stats */}
-      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
-        <div className="bg-white p-4 rounded-lg border border-gray-200">
-          <div className="flex items-center justify-between">
+      {error && <div className="text-sm text-red-500 mb-3">{error}</div>}
+      {!creds ? (
+        <div className="text-sm text-gray-400">Loading...</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4 text-sm">
             <div>
-              <p className="text-sm text-gray-500">Total Events</p>
-              <p className="text-2xl font-semibold text-gray-800">
-                {stats.totalAttacks || 0}
-              </p>
+              <div className="text-gray-500">Attempts</div>
+              <div className="text-xl font-semibold text-gray-800">{creds.totalAttempts}</div>
             </div>
-            <Shield className="w-8 h-8 text-gray-400" />
-          </div>
-        </div>
-        <div className="bg-white p-4 rounded-lg border border-gray-200">
-          <div className="flex items-center justify-between">
             <div>
-              <p className="text-sm text-gray-500">Unique IPs</p>
-              <p className="text-2xl font-semibold text-gray-800">
-                {stats.uniqueIPs || 0}
-              </p>
+              <div className="text-gray-500">Usernames</div>
+              <div className="text-xl font-semibold text-gray-800">{creds.uniqueUsernames}</div>
             </div>
-            <MapPin className="w-8 h-8 text-gray-400" />
-          </div>
-        </div>
-        <div className="bg-white p-4 rounded-lg border border-gray-200">
-          <div className="flex items-center justify-between">
             <div>
-              <p className="text-sm text-gray-500">Active Honeypots</p>
-              <p className="text-2xl font-semibold text-gray-800">
-                {stats.activeHoneypots || 0}
-              </p>
+              <div className="text-gray-500">Passwords</div>
+              <div className="text-xl font-semibold text-gray-800">{creds.uniquePasswords}</div>
             </div>
-            <Activity className="w-8 h-8 text-gray-400" />
-          </div>
-        </div>
-        <div className="bg-white p-4 rounded-lg border border-gray-200">
-          <div className="flex items-center justify-between">
             <div>
-              <p className="text-sm text-gray-500">Commands Logged</p>
-              <p className="text-2xl font-semibold text-gray-800">
-                {stats.commandsLogged || 0}
-              </p>
+              <div className="text-gray-500">Pairs</div>
+              <div className="text-xl font-semibold text-gray-800">{creds.uniquePairs}</div>
             </div>
-            <Terminal className="w-8 h-8 text-gray-400" />
           </div>
-        </div>
-      </div>
 
-      {/* Main Dashboard Grid */}
-      <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
-        {/* World Map */}
-        <div className="xl:col-span-2 bg-white p-6 rounded-lg border border-gray-200">
-          <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
-            <Globe className="w-5 h-5 mr-2 text-gray-600" />
-            Attack Origin Map
-          </h3>
-          <div className="h-80 flex items-center justify-center bg-gray-50 rounded">
-            {renderWorldMap()}
+          <div className="mb-6">
+            <div className="text-xs text-gray-500 mb-1">Attempts per day</div>
+            {renderTimeline()}
           </div>
-        </div>
 
-        {/* Protocol Distribution */}
-        <div className="bg-white p-6 rounded-lg border border-gray-200">
-          <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
-            <PieChart className="w-5 h-5 mr-2 text-gray-600" />
-            Protocol Distribution
-          </h3>
-          <div className="h-80 flex items-center justify-center">
-            {renderDonutChart()}
-          </div>
-          <div className="mt-4 space-y-2">
-            {getProtocolData().map((item, i) => (
-              <div key={i} className="flex items-center justify-between text-sm">
-                <div className="flex items-center">
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <RankedList title="Top usernames" items={creds.usernames} />
+            <RankedList title="Top passwords" items={creds.passwords} />
+            <div>
+              <div className="text-xs text-gray-500 mb-2">Top pairs</div>
+              {creds.pairs.length === 0 && (
+                <div className="text-sm text-gray-400">None seen.</div>
+              )}
+              <div className="space-y-1 max-h-72 overflow-y-auto">
+                {creds.pairs.map((pair, i) => (
                   <div
-                    className="w-3 h-3 rounded-full mr-2"
-                    style={{ backgroundColor: item.color }}
-                  />
-                  <span className="text-gray-700 capitalize">{item.name}</span>
-                </div>
-                <span className="text-gray-600 font-medium">{item.value}</span>
+                    key={i}
+                    className={`flex justify-between text-sm px-2 py-0.5 rounded ${
+                      pair.validFor.length > 0 ? 'bg-red-50' : ''
+                    }`}
+                    title={
+                      pair.validFor.length > 0
+                        ? `Accepted by the ${pair.validFor.join(', ')} honeypot config`
+                        : pair.protocols.join(', ')
+                    }
+                  >
+                    <span className="font-mono text-gray-800 truncate">
+                      {pair.username ?? ''}:{pair.password ?? ''}
+                    </span>
+                    <span className="flex items-center ml-2">
+                      {pair.validFor.length > 0 && (
+                        <span className="text-xs px-1.5 py-0.5 rounded bg-red-100 text-red-700 mr-2">
+                          valid
+                        </span>
+                      )}
+                      <span className="text-gray-600">{pair.count}</span>
+                    </span>
+                  </div>
+                ))}
               </div>
-            ))}
-          </div>
-        </div>
-      </div>
-
-      {/* Timeline + Raw Logs */}
-      <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
-        {/* Timeline */}
-        <div className="xl:col-span-2 bg-white p-6 rounded-lg border border-gray-200">
-          <div className="flex items-center justify-between mb-4">
-            <h3 className="text-lg font-semibold text-gray-800 flex items-center">
-              <Clock className="w-5 h-5 mr-2 text-gray-600" />
-              Attack / Event Timeline
-            </h3>
-            <div className="flex items-center space-x-2">
-              {Object.keys(filters).length > 0 && (
-                <span className="text-xs text-gray-500">
-                  {getFilteredLogs().length} of {logs.length} events
-                </span>
-              )}
-              <button
-                onClick={() => setShowFilters(!showFilters)}
-                className={`flex items-center px-3 py-1.5 text-sm rounded-lg border transition-colors ${
-                  showFilters || Object.keys(filters).length > 0
-                    ? 'bg-gray-100 border-gray-300 text-gray-800'
-                    : 'border-gray-200 text-gray-600 hover:bg-gray-50'
-                }`}
-              >
-                <Filter className="w-4 h-4 mr-1.5" />
-                Filters
-                {Object.keys(filters).length > 0 && (
-                  <span className="ml-1.5 px-1.5 py-0.5 bg-gray-300 rounded text-xs">
-                    {Object.keys(filters).length}
-                  </span>
-                )}
-              </button>
-              {Object.keys(filters).length > 0 && (
-                <button
-                  onClick={clearFilters}
-                  className="flex items-center px-3 py-1.5 text-sm rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50"
-                  title="Clear all filters"
-                >
-                  <X className="w-4 h-4" />
-                </button>
-              )}
             </div>
           </div>
+        </>
+      )}
+    </div>
+  );
+};
 
-          {/* Filter Panel - MODIFIED SECTION */}
-          {showFilters && (
-            <div className="mb-4 p-4 bg-gray-50 rounded-lg border border-gray-200">
-              <div className="flex items-center justify-between mb-3">
-                <h4 className="text-sm font-semibold text-gray-700">Filter Events</h4>
-                <button
-                  onClick={() => setShowFilters(false)}
-                  className="text-gray-400 hover:text-gray-600"
-                >
-                  <X className="w-4 h-4" />
-                </button>
-              </div>
-              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3 max-h-64 overflow-y-auto">
-                {availableFields.map((field) => {
-                  // Generate protocol tags
-                  const protos = fieldProtocols[field] ? Array.from(fieldProtocols[field]) : [];
-                  const protoLabel = protos.length > 0 && protos.length <= 4
-                    ? `(${protos.join(', ')})` 
-                    : protos.length > 4 ? '(General)' : '';
+// ---------- TOPIC / RESOURCE EXPLORER ----------
 
-                  return (
-                    <div key={field} className="flex flex-col">
-                      <div className="flex items-baseline mb-1">
-                        <label className="text-xs font-medium text-gray-600 mr-2" title={field}>
-                          {formatFilterLabel(field)}
-                        </label>
-                        {protoLabel && (
-                          <span className="text-[10px] text-gray-400 font-mono uppercase tracking-tight">
-                            {protoLabel}
-                          </span>
-                        )}
-                      </div>
-                      <input
-                        type="text"
-                        value={filters[field] || ''}
-                        onChange={(e) => handleFilterChange(field, e.target.value)}
-                        placeholder="Filter..."
-                        className="px-2 py-1.5 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-gray-400 focus:border-transparent"
-                      />
-                    </div>
-                  );
-                })}
-              </div>
-              {availableFields.length === 0 && (
-                <div className="text-sm text-gray-400 text-center py-4">
-                  No events available to extract fields from
-                </div>
-              )}
-            </div>
+const quoteQueryValue = (value) => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+
+// Timeline query matching a tree node and everything below it
+const buildTopicNodeQuery = (tree, node) => {
+  if (tree === 'mqtt') {
+    if (!node.path) {
+      return 'protocol:mqtt';
+    }
+    const exact = quoteQueryValue(node.path);
+    const below = quoteQueryValue(`${node.path}/*`);
+    return `protocol:mqtt AND (data.topic=${exact} OR data.topic:${below} OR data.topics=${exact} OR data.topics:${below})`;
+  }
+  if (node.path === '/') {
+    return 'protocol:coap AND data.path:*';
+  }
+  return `protocol:coap AND (data.path=${quoteQueryValue(node.path)} OR data.path:${quoteQueryValue(`${node.path}/*`)})`;
+};
+
+const TopicTreeNode = ({ node, depth, selectedPath, onSelect }) => {
+  const [expanded, setExpanded] = useState(depth < 1);
+  const hasChildren = node.children.length > 0;
+  const tampered = node.totalWrites > 0;
+
+  return (
+    <div>
+      <div
+        className={`flex items-center justify-between py-1 pr-2 rounded cursor-pointer text-sm ${
+          selectedPath === node.path ? 'bg-gray-100' : 'hover:bg-gray-50'
+        }`}
+        style={{ paddingLeft: `${depth * 16 + 4}px` }}
+        onClick={() => onSelect(node)}
+      >
+        <span className="flex items-center min-w-0">
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              setExpanded(!expanded);
+            }}
+            className={`w-4 text-gray-400 ${hasChildren ? '' : 'invisible'}`}
+          >
+            {expanded ? '▾' : '▸'}
+          </button>
+          <span className={`font-mono truncate ${tampered ? 'text-red-700' : 'text-gray-700'}`}>
+            {node.name || node.path || '(root)'}
+          </span>
+          {node.wildcards.length > 0 && (
+            <span className="ml-2 text-xs px-1.5 rounded bg-yellow-50 text-yellow-700">
+              {node.wildcards.map((w) => w.filter.slice(node.path.length) || w.filter).join(' ')}
+            </span>
           )}
+        </span>
+        <span className="text-xs text-gray-500 whitespace-nowrap ml-2">
+          <span title="Reads / subscribes">{node.totalReads} r</span>
+          {' · '}
+          <span title="Writes / publishes" className={tampered ? 'text-red-600' : ''}>
+            {node.totalWrites} w
+          </span>
+        </span>
+      </div>
+      {expanded &&
+        node.children.map((child) => (
+          <TopicTreeNode
+            key={child.path}
+            node={child}
+            depth={depth + 1}
+            selectedPath={selectedPath}
+            onSelect={onSelect}
+          />
+        ))}
+    </div>
+  );
+};
 
-          <div className="space-y-2 max-h-96 overflow-y-auto">
-            {logs.length === 0 && (
+const TopicExplorer = ({ queryString, onFilter }) => {
+  const [trees, setTrees] = useState(null);
+  const [tree, setTree] = useState('mqtt');
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchTrees = async () => {
+    try {
+      const res = await apiFetch(`${API_BASE}/topics${queryString ? `?${queryString}` : ''}`);
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      setTrees(data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching topic trees:', err);
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    const timer = setTimeout(fetchTrees, FILTER_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [queryString]);
+
+  const selectNode = (node) => {
+    setSelected(node);
+    onFilter(buildTopicNodeQuery(tree, node));
+  };
+
+  const root = trees ? trees[tree] : null;
+
+  return (
+    <div className="bg-white p-6 rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-800 flex items-center">
+          <Radio className="w-5 h-5 mr-2 text-gray-600" />
+          {tree === 'mqtt' ? 'MQTT Topics' : 'CoAP Resources'}
+        </h3>
+        <div className="flex items-center space-x-2">
+          {['mqtt', 'coap'].map((name) => (
+            <button
+              key={name}
+              onClick={() => {
+                setTree(name);
+                setSelected(null);
+              }}
+              className={`px-3 py-1 text-sm rounded uppercase ${
+                tree === name ? 'bg-gray-100 text-gray-900' : 'text-gray-500 hover:bg-gray-50'
+              }`}
+            >
+              {name}
+            </button>
+          ))}
+          <button
+            onClick={fetchTrees}
+            className="text-gray-400 hover:text-gray-600"
+            title="Reload"
+          >
+            <RefreshCw className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="text-sm text-red-500 mb-3">{error}</div>}
+      {!root ? (
+        <div className="text-sm text-gray-400">Loading...</div>
+      ) : root.children.length === 0 ? (
+        <div className="text-sm text-gray-400">
+          No {tree === 'mqtt' ? 'topics' : 'resources'} touched yet.
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="max-h-96 overflow-y-auto">
+            {root.children.map((child) => (
+              <TopicTreeNode
+                key={child.path}
+                node={child}
+                depth={0}
+                selectedPath={selected ? selected.path : null}
+                onSelect={selectNode}
+              />
+            ))}
+          </div>
+          <div>
+            {!selected ? (
               <div className="text-sm text-gray-400">
-                No events yet. Once honeypots receive traffic, they&apos;ll show
-                up here.
+                Click a node to filter the timeline to it.
               </div>
-            )}
-            {getFilteredLogs().slice(0, 100).map((log, i) => (
-              <div
-                key={log.id || `${log.ip}-${log.timestamp}-${i}`}
-                onClick={() => setSelectedAttack(log)}
-                className="flex items-center justify-between p-3 hover:bg-gray-50 rounded cursor-pointer border border-gray-100"
-              >
-                <div className="flex items-center space-x-4">
-                  <div className="text-xs text-gray-500 w-40">
-                    {log.timestamp
-                      ? new Date(log.timestamp).toLocaleString()
-                      : '-'}
+            ) : (
+              <div className="space-y-3">
+                <div className="font-mono text-sm text-gray-800 break-all">
+                  {selected.path || '(root)'}
+                </div>
+                <div className="text-sm text-gray-600">
+                  {selected.reads} {tree === 'mqtt' ? 'subscribes' : 'reads'} ·{' '}
+                  {selected.writes} {tree === 'mqtt' ? 'publishes' : 'writes'} on this node
+                </div>
+                {selected.wildcards.length > 0 && (
+                  <div>
+                    <div className="text-xs text-gray-500 mb-1">Wildcard subscriptions</div>
+                    {selected.wildcards.map((w) => (
+                      <div key={w.filter} className="flex justify-between text-sm font-mono">
+                        <span>{w.filter}</span>
+                        <span className="text-gray-500">{w.count}</span>
+                      </div>
+                    ))}
                   </div>
-                  <div className="flex items-center space-x-2">
-                    <MapPin className="w-4 h-4 text-gray-400" />
-                    <span className="text-sm font-mono text-gray-700">
-                      {log.ip || 'unknown'}
-                    </span>
+                )}
+                <div>
+                  <div className="text-xs text-gray-500 mb-1">Payloads pushed</div>
+                  {selected.payloads.length === 0 && (
+                    <div className="text-sm text-gray-400">None.</div>
+                  )}
+                  <div className="bg-gray-900 text-gray-100 p-3 rounded font-mono text-xs space-y-1 max-h-64 overflow-y-auto">
+                    {selected.payloads
+                      .slice()
+                      .reverse()
+                      .map((p, i) => (
+                        <div key={i}>
+                          <span className="text-gray-500">
+                            {new Date(p.timestamp).toLocaleString()} {p.ip}:{' '}
+                          </span>
+                          <span className="whitespace-pre-wrap break-all">
+                            {typeof p.payload === 'string'
+                              ? p.payload
+                              : JSON.stringify(p.payload)}
+                          </span>
+                        </div>
+                      ))}
                   </div>
-                  <span className="text-xs px-2 py-1 rounded bg-gray-100 text-gray-600 capitalize">
-                    {log.protocol || 'unknown'}
-                  </span>
-                  <span className="text-xs px-2 py-1 rounded bg-gray-50 text-gray-500">
-                    {log.type || 'event'}
-                  </span>
                 </div>
-                <Terminal className="w-4 h-4 text-gray-400" />
               </div>
-            ))}
+            )}
           </div>
         </div>
+      )}
+    </div>
+  );
+};
 
-        {/* Raw Log Viewer */}
-        <div className="bg-white p-6 rounded-lg border border-gray-200">
-          <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
-            <FileText className="w-5 h-5 mr-2 text-gray-600" />
-            Raw Log Viewer
-          </h3>
+// ---------- EXPORT ----------
+
+const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV' },
+  { id: 'ndjson', label: 'NDJSON' },
+  { id: 'stix', label: 'STIX 2.1 bundle' },
+  { id: 'misp', label: 'MISP event' }
+];
+
+// Download links for /api/export; `params` holds the /api/logs filters
+// plus an optional session or ip
+const ExportMenu = ({ params }) => {
+  const [open, setOpen] = useState(false);
+
+  const exportUrl = (format) => {
+    const query = new URLSearchParams(params);
+    query.set('format', format);
+    return withAuthParams(`${API_BASE}/export?${query}`);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className={`flex items-center px-3 py-1.5 text-sm rounded-lg border transition-colors ${
+          open ? 'bg-gray-100 border-gray-300 text-gray-800' : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+        }`}
+        title="Export these events"
+      >
+        <Download className="w-4 h-4 mr-1.5" />
+        Export
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-44 bg-white border border-gray-200 rounded-lg shadow-sm z-40 py-1">
+          {EXPORT_FORMATS.map((format) => (
+            <a
+              key={format.id}
+              href={exportUrl(format.id)}
+              onClick={() => setOpen(false)}
+              className="block px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50"
+            >
+              {format.label}
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ---------- GEOIP ----------
+
+// Locations come from the GeoIP databases uploaded under Settings; whatever
+// they don't cover is null (or 'Unknown' for city/country)
+const describeLocation = (location) => {
+  if (!location) return 'Unknown location';
+  const place = [location.city, location.country]
+    .filter((part) => part && part !== 'Unknown')
+    .join(', ');
+  if (place) return location.countryCode ? `${place} (${location.countryCode})` : place;
+  return location.private ? 'Private / reserved range' : 'Unknown location';
+};
+
+const describeNetwork = (location) => {
+  if (!location || !location.asn) return null;
+  return location.org ? `AS${location.asn} ${location.org}` : `AS${location.asn}`;
+};
+
+const GEOIP_KIND_LABELS = {
+  city: 'City / country (MMDB)',
+  asn: 'ASN (MMDB)',
+  csv: 'Ranges (CSV)'
+};
+
+// Operators upload the databases; one of each kind is kept
+const GeoIpPanel = () => {
+  const [databases, setDatabases] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+  const fileRef = useRef(null);
+
+  const fetchDatabases = async () => {
+    try {
+      const res = await apiFetch(`${API_BASE}/geoip`);
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || `HTTP ${res.status}`);
+        return;
+      }
+      setDatabases(data);
+    } catch (err) {
+      console.error('Error fetching GeoIP databases:', err);
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchDatabases();
+  }, []);
+
+  const uploadDatabase = async (file) => {
+    const body = new FormData();
+    body.append('file', file);
+    setUploading(true);
+    try {
+      const res = await apiFetch(`${API_BASE}/geoip`, { method: 'POST', body });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || `HTTP ${res.status}`);
+        return;
+      }
+      setError(null);
+      setDatabases(data);
+    } catch (err) {
+      console.error('Error uploading GeoIP database:', err);
+      setError(err.message);
+    } finally {
+      setUploading(false);
+      fileRef.current.value = '';
+    }
+  };
+
+  const deleteDatabase = async (kind) => {
+    try {
+      const res = await apiFetch(`${API_BASE}/geoip/${kind}`, { method: 'DELETE' });
+      const data = await res.json();
+      setError(res.ok ? null : data.error);
+      fetchDatabases();
+    } catch (err) {
+      console.error('Error deleting GeoIP database:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg border border-gray-200">
+      <h2 className="text-xl font-semibold text-gray-800 mb-1 flex items-center">
+        <Database className="w-5 h-5 mr-2" />
+        GeoIP Databases
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Events are located offline. Upload a City or Country .mmdb (GeoLite2, DB-IP Lite), an
+        ASN .mmdb, and/or a .csv of ranges with a network (or start and end) column plus any of
+        country_code, country, city, latitude, longitude, asn and org.
+      </p>
+
+      {databases.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          No databases yet: events show an unknown location and no ASN.
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {databases.map((database) => (
+            <div
+              key={database.kind}
+              className="flex items-center justify-between p-3 rounded border border-gray-200 text-sm"
+            >
+              <div>
+                <span className="font-medium text-gray-800">{GEOIP_KIND_LABELS[database.kind]}</span>
+                <span className="ml-2 font-mono text-xs text-gray-500">{database.filename}</span>
+                {!database.loaded && <span className="ml-2 text-xs text-red-500">failed to open</span>}
+                <div className="text-xs text-gray-500 mt-0.5">
+                  {(database.size / 1048576).toFixed(1)} MB · uploaded{' '}
+                  {new Date(database.uploaded).toLocaleString()} by {database.uploadedBy}
+                </div>
+              </div>
+              <button
+                onClick={() => deleteDatabase(database.kind)}
+                title="Remove database"
+                className="p-1 text-gray-400 hover:text-red-500"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center space-x-2 mt-4">
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".mmdb,.csv"
+          disabled={uploading}
+          onChange={(e) => e.target.files[0] && uploadDatabase(e.target.files[0])}
+          className="hidden"
+        />
+        <button
+          onClick={() => fileRef.current.click()}
+          disabled={uploading}
+          className="flex items-center px-3 py-1 rounded text-sm bg-gray-700 text-white hover:bg-gray-800 disabled:opacity-50"
+        >
+          <Upload className="w-4 h-4 mr-1.5" />
+          {uploading ? 'Uploading...' : 'Upload database'}
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-500 mt-2">{error}</p>}
+    </div>
+  );
+};
+
+// ---------- TIME SERIES ----------
+
+const TIMESERIES_RANGES = ['1h', '24h', '7d', '30d'];
+const TIMESERIES_POLL_MS = 60000;
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 120;
+// Event types have no fixed colours; they take these in order
+const SERIES_COLORS = ['#D4A574', '#8B6F47', '#64654C', '#C4B5A0', '#9C8560', '#AFA090', '#807556', '#B8956A'];
+const OTHER_SERIES_COLOR = '#D1D5DB';
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const formatBucket = (iso, bucketSeconds) => {
+  const date = new Date(iso);
+  // Hourly-or-finer buckets (1h, 24h) only need the time of day
+  return bucketSeconds < 3600 * 3
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit' });
+};
+
+// Bars per bucket, one stacked segment per series ({name, counts, color})
+const StackedBarChart = ({ buckets, bucketSeconds, series }) => {
+  const totals = buckets.map((_, i) => series.reduce((sum, s) => sum + s.counts[i], 0));
+  const max = Math.max(...totals, 1);
+  const barWidth = CHART_WIDTH / buckets.length;
+  const tickEvery = Math.ceil(buckets.length / 6);
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-28"
+      >
+        {buckets.map((bucket, i) => {
+          let y = CHART_HEIGHT;
+          return (
+            <g key={bucket}>
+              {series.map((s) => {
+                const height = (s.counts[i] / max) * (CHART_HEIGHT - 2);
+                y -= height;
+                return height > 0 ? (
+                  <rect
+                    key={s.name}
+                    x={i * barWidth + barWidth * 0.1}
+                    y={y}
+                    width={barWidth * 0.8}
+                    height={height}
+                    fill={s.color}
+                  >
+                    <title>{`${formatBucket(bucket, bucketSeconds)} · ${s.name}: ${s.counts[i]}`}</title>
+                  </rect>
+                ) : null;
+              })}
+            </g>
+          );
+        })}
+      </svg>
+      <div className="flex justify-between text-xs text-gray-400 mt-1">
+        {buckets
+          .filter((_, i) => i % tickEvery === 0)
+          .map((bucket) => (
+            <span key={bucket}>{formatBucket(bucket, bucketSeconds)}</span>
+          ))}
+      </div>
+      <div className="flex flex-wrap gap-3 mt-2 text-xs text-gray-600">
+        {series.map((s) => (
+          <span key={s.name} className="flex items-center">
+            <span className="w-2.5 h-2.5 rounded-full mr-1" style={{ backgroundColor: s.color }} />
+            {s.name} · {s.counts.reduce((sum, c) => sum + c, 0)}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Hour-of-day x day-of-week counts; heatmap[0] is Monday
+const ActivityHeatmap = ({ heatmap }) => {
+  const max = Math.max(...heatmap.flat(), 1);
+  return (
+    <div className="text-xs text-gray-500">
+      <div className="flex ml-10">
+        {Array.from({ length: 24 }, (_, hour) => (
+          <span key={hour} className="flex-1 text-center">
+            {hour % 3 === 0 ? hour : ''}
+          </span>
+        ))}
+      </div>
+      {heatmap.map((hours, day) => (
+        <div key={WEEKDAYS[day]} className="flex items-center mt-0.5">
+          <span className="w-10">{WEEKDAYS[day]}</span>
+          {hours.map((count, hour) => (
+            <div
+              key={hour}
+              className="flex-1 h-4 mx-px rounded-sm"
+              style={{
+                backgroundColor: count ? `rgba(139, 111, 71, ${0.15 + (0.85 * count) / max})` : '#F3F4F6'
+              }}
+              title={`${WEEKDAYS[day]} ${String(hour).padStart(2, '0')}:00 · ${count} events`}
+            />
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Event-rate charts for the Dashboard; `params` holds the /api/logs filters
+const EventRatePanel = ({ params }) => {
+  const [range, setRange] = useState('24h');
+  const [series, setSeries] = useState(null);
+  const [error, setError] = useState(null);
+  const query = params.toString();
+
+  useEffect(() => {
+    const fetchSeries = async () => {
+      const search = new URLSearchParams(query);
+      search.set('range', range);
+      try {
+        const res = await apiFetch(`${API_BASE}/timeseries?${search}`);
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data.error || `HTTP ${res.status}`);
+        }
+        setSeries(data);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching time series:', err);
+        setError(err.message);
+      }
+    };
+
+    fetchSeries();
+    const interval = setInterval(fetchSeries, TIMESERIES_POLL_MS);
+    return () => clearInterval(interval);
+  }, [query, range]);
+
+  const colorSeries = (list, colorFor) =>
+    list.map((s, i) => ({ ...s, color: s.name === 'other' ? OTHER_SERIES_COLOR : colorFor(s.name, i) }));
+
+  return (
+    <div className="bg-white p-6 rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-800 flex items-center">
+          <ChartColumn className="w-5 h-5 mr-2 text-gray-600" />
+          Event Rate
+          {series && (
+            <span className="ml-2 text-sm font-normal text-gray-500">
+              {series.total} events in the last {series.range}
+            </span>
+          )}
+        </h3>
+        <div className="flex items-center space-x-1">
+          {TIMESERIES_RANGES.map((id) => (
+            <button
+              key={id}
+              onClick={() => setRange(id)}
+              className={`px-2 py-1 text-xs rounded border ${
+                range === id
+                  ? 'bg-gray-700 border-gray-700 text-white'
+                  : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              {id}
+            </button>
+          ))}
+        </div>
+      </div>
+      {error && <p className="text-sm text-red-500 mb-2">{error}</p>}
+      {series && (
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+          <div>
+            <div className="text-xs text-gray-500 mb-1">By protocol</div>
+            <StackedBarChart
+              buckets={series.buckets}
+              bucketSeconds={series.bucketSeconds}
+              series={colorSeries(series.protocols, (name) => getProtocolColor(name))}
+            />
+          </div>
+          <div>
+            <div className="text-xs text-gray-500 mb-1">By event type</div>
+            <StackedBarChart
+              buckets={series.buckets}
+              bucketSeconds={series.bucketSeconds}
+              series={colorSeries(series.types, (_, i) => SERIES_COLORS[i % SERIES_COLORS.length])}
+            />
+          </div>
+          <div>
+            <div className="text-xs text-gray-500 mb-1">New vs returning source IPs</div>
+            <StackedBarChart
+              buckets={series.buckets}
+              bucketSeconds={series.bucketSeconds}
+              series={[
+                { name: 'new', counts: series.ips.new, color: '#D4A574' },
+                { name: 'returning', counts: series.ips.returning, color: '#64654C' }
+              ]}
+            />
+          </div>
+          <div>
+            <div className="text-xs text-gray-500 mb-1">Hour of day × day of week</div>
+            <ActivityHeatmap heatmap={series.heatmap} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ---------- TOOLKITS ----------
+
+const TOOLKIT_POLL_MS = 60000;
+// Query term the dashboard's "Hide research scanners" toggle adds
+const HIDE_RESEARCH_TERM = 'toolkit.kind!=research';
+const TOOLKIT_KIND_STYLES = {
+  research: 'bg-green-50 text-green-700',
+  scanner: 'bg-blue-50 text-blue-700',
+  botnet: 'bg-red-50 text-red-700',
+  tool: 'bg-gray-100 text-gray-700',
+  unlabeled: 'bg-gray-50 text-gray-400'
+};
+const TOOLKIT_KIND_BARS = {
+  research: 'bg-green-500',
+  scanner: 'bg-blue-500',
+  botnet: 'bg-red-500',
+  tool: 'bg-gray-500',
+  unlabeled: 'bg-gray-300'
+};
+
+const ToolkitBadge = ({ toolkit, onClick }) =>
+  toolkit ? (
+    <span
+      onClick={onClick}
+      className={`text-xs px-2 py-0.5 rounded whitespace-nowrap ${TOOLKIT_KIND_STYLES[toolkit.kind]} ${
+        onClick ? 'cursor-pointer hover:underline' : ''
+      }`}
+      title={`Fingerprinted as ${toolkit.name} (${toolkit.kind})`}
+    >
+      {toolkit.name}
+    </span>
+  ) : null;
+
+// Breakdown of the dashboard's filtered events by fingerprinted toolkit
+const ToolkitPanel = ({ params, onFilter, hidingResearch, onHideResearch }) => {
+  const [breakdown, setBreakdown] = useState(null);
+  const [error, setError] = useState(null);
+  const query = params.toString();
+
+  useEffect(() => {
+    const fetchBreakdown = async () => {
+      try {
+        const res = await apiFetch(`${API_BASE}/toolkits?${query}`);
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data.error || `HTTP ${res.status}`);
+        }
+        setBreakdown(data);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching toolkits:', err);
+        setError(err.message);
+      }
+    };
+
+    fetchBreakdown();
+    const interval = setInterval(fetchBreakdown, TOOLKIT_POLL_MS);
+    return () => clearInterval(interval);
+  }, [query]);
+
+  const kinds = breakdown ? Object.entries(breakdown.kinds) : [];
+  const totalEvents = kinds.reduce((sum, [, counts]) => sum + counts.events, 0);
+
+  return (
+    <div className="bg-white p-6 rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-800 flex items-center">
+          <FingerprintPattern className="w-5 h-5 mr-2 text-gray-600" />
+          Toolkits
+          {breakdown && (
+            <span className="ml-2 text-sm font-normal text-gray-500">
+              {breakdown.library.length} fingerprints
+            </span>
+          )}
+        </h3>
+        <button
+          onClick={onHideResearch}
+          className={`px-3 py-1 text-sm rounded-lg border border-gray-200 ${
+            hidingResearch ? 'bg-gray-100 text-gray-900' : 'bg-white text-gray-600 hover:bg-gray-50'
+          }`}
+          title="Leave research scanners out of the timeline and charts"
+        >
+          {hidingResearch ? 'Show research scanners' : 'Hide research scanners'}
+        </button>
+      </div>
+
+      {error && <div className="text-sm text-red-500 mb-2">{error}</div>}
+
+      {breakdown && totalEvents === 0 && <p className="text-sm text-gray-500">No events.</p>}
+
+      {breakdown && totalEvents > 0 && (
+        <>
+          {/* Share of events per kind */}
+          <div className="flex h-3 rounded overflow-hidden mb-3">
+            {kinds.map(([kind, counts]) =>
+              counts.events > 0 ? (
+                <div
+                  key={kind}
+                  className={TOOLKIT_KIND_BARS[kind]}
+                  style={{ width: `${(counts.events / totalEvents) * 100}%` }}
+                  title={`${kind}: ${counts.events} events`}
+                />
+              ) : null
+            )}
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-2 mb-4">
+            {kinds.map(([kind, counts]) => (
+              <button
+                key={kind}
+                onClick={() => kind !== 'unlabeled' && onFilter('toolkit.kind', kind)}
+                className={`text-left px-3 py-2 rounded ${TOOLKIT_KIND_STYLES[kind]} ${
+                  kind === 'unlabeled' ? 'cursor-default' : 'hover:opacity-80'
+                }`}
+                title={breakdown.kindLabels[kind] || 'No fingerprint matched'}
+              >
+                <div className="text-sm font-medium capitalize">{kind}</div>
+                <div className="text-xs">
+                  {counts.attackers} IP{counts.attackers === 1 ? '' : 's'} · {counts.events} events
+                </div>
+              </button>
+            ))}
+          </div>
+          <div className="space-y-2">
+            {breakdown.tools.map((tool) => (
+              <button
+                key={tool.id}
+                onClick={() => onFilter('toolkit.id', tool.id)}
+                className="w-full flex items-center text-sm text-left hover:bg-gray-50 rounded px-1"
+                title="Filter the timeline to this toolkit"
+              >
+                <span className="w-48 truncate text-gray-700">{tool.name}</span>
+                <span className={`w-20 text-xs text-center rounded ${TOOLKIT_KIND_STYLES[tool.kind]}`}>
+                  {tool.kind}
+                </span>
+                <div className="flex-1 mx-3 h-2 bg-gray-100 rounded">
+                  <div
+                    className={`h-2 rounded ${TOOLKIT_KIND_BARS[tool.kind]}`}
+                    style={{ width: `${(tool.events / breakdown.tools[0].events) * 100}%` }}
+                  />
+                </div>
+                <span className="w-20 text-right text-gray-500">
+                  {tool.attackers} IP{tool.attackers === 1 ? '' : 's'}
+                </span>
+                <span className="w-24 text-right text-gray-600 font-medium">{tool.events} events</span>
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// ---------- CASES ----------
+
+const INCIDENT_STATUSES = ['open', 'investigating', 'contained', 'closed'];
+const INCIDENT_STATUS_STYLES = {
+  open: 'bg-red-100 text-red-700',
+  investigating: 'bg-yellow-50 text-yellow-700',
+  contained: 'bg-blue-50 text-blue-700',
+  closed: 'bg-green-100 text-green-700'
+};
+const ANNOTATION_SCOPE_LABELS = { event: 'this event', session: 'this session', ip: 'this IP' };
+
+// The body that points an incident request at an event, session or IP
+const incidentTarget = (scope, targetKey) =>
+  scope === 'event' ? { events: [targetKey] } : { [scope]: targetKey };
+
+const TagChips = ({ tags, onClick, onRemove }) => (
+  <>
+    {(tags || []).map((tag) => (
+      <span
+        key={tag}
+        onClick={onClick ? (e) => onClick(e, tag) : undefined}
+        className={`inline-flex items-center text-xs px-2 py-0.5 rounded bg-purple-50 text-purple-700 whitespace-nowrap ${
+          onClick ? 'cursor-pointer hover:bg-purple-100' : ''
+        }`}
+      >
+        <Tag className="w-3 h-3 mr-1" />
+        {tag}
+        {onRemove && (
+          <button onClick={() => onRemove(tag)} className="ml-1 hover:text-purple-900" title="Remove tag">
+            ×
+          </button>
+        )}
+      </span>
+    ))}
+  </>
+);
+
+const IncidentStatusBadge = ({ status }) => (
+  <span className={`text-xs px-2 py-0.5 rounded capitalize ${INCIDENT_STATUS_STYLES[status]}`}>{status}</span>
+);
+
+// Tags, notes and incident membership of one event, session or IP
+const CasePanel = ({ scope, targetKey, user, onChanged, onOpenIncident }) => {
+  const [annotation, setAnnotation] = useState(null);
+  const [tagInput, setTagInput] = useState('');
+  const [noteText, setNoteText] = useState('');
+  const [incidents, setIncidents] = useState([]);
+  const [incidentId, setIncidentId] = useState('');
+  const [newTitle, setNewTitle] = useState('');
+  const [added, setAdded] = useState(null);
+  const [error, setError] = useState(null);
+  const canEdit = hasRole(user, 'analyst');
+
+  const request = async (url, options = {}) => {
+    const res = await apiFetch(url, {
+      ...options,
+      headers: options.body ? { 'Content-Type': 'application/json' } : undefined
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || `HTTP ${res.status}`);
+    }
+    return data;
+  };
+
+  useEffect(() => {
+    const params = new URLSearchParams({ scope, key: targetKey });
+    request(`${API_BASE}/annotations?${params}`)
+      .then((data) => {
+        setAnnotation(data);
+        setError(null);
+      })
+      .catch((err) => setError(err.message));
+    if (canEdit) {
+      request(`${API_BASE}/incidents?status=open,investigating,contained`)
+        .then((data) => setIncidents(data.incidents))
+        .catch((err) => console.error('Error fetching incidents:', err));
+    }
+    setAdded(null);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [scope, targetKey]);
+
+  const save = async (action) => {
+    try {
+      setAnnotation(await action());
+      setError(null);
+      if (onChanged) onChanged();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const saveTags = (tags) =>
+    save(() =>
+      request(`${API_BASE}/annotations`, {
+        method: 'PUT',
+        body: JSON.stringify({ scope, key: targetKey, tags })
+      })
+    );
+
+  const addTag = async () => {
+    const tag = tagInput.trim().toLowerCase();
+    if (!tag || annotation.tags.includes(tag)) {
+      setTagInput('');
+      return;
+    }
+    if (await saveTags([...annotation.tags, tag])) {
+      setTagInput('');
+    }
+  };
+
+  const addNote = async () => {
+    const saved = await save(() =>
+      request(`${API_BASE}/annotations/notes`, {
+        method: 'POST',
+        body: JSON.stringify({ scope, key: targetKey, text: noteText })
+      })
+    );
+    if (saved) {
+      setNoteText('');
+    }
+  };
+
+  const deleteNote = (noteId) =>
+    save(() => request(`${API_BASE}/annotations/notes/${noteId}`, { method: 'DELETE' }));
+
+  const addToIncident = async () => {
+    try {
+      const body = JSON.stringify(incidentTarget(scope, targetKey));
+      const incident = incidentId
+        ? await request(`${API_BASE}/incidents/${incidentId}/events`, { method: 'POST', body })
+        : await request(`${API_BASE}/incidents`, {
+            method: 'POST',
+            body: JSON.stringify({ ...incidentTarget(scope, targetKey), title: newTitle })
+          });
+      setAdded(incident);
+      setNewTitle('');
+      setError(null);
+      if (onChanged) onChanged();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!annotation) {
+    return error ? <div className="text-sm text-red-500 mt-4">{error}</div> : null;
+  }
+
+  return (
+    <div className="mt-4 border border-gray-200 rounded-lg p-4 space-y-3 text-sm">
+      <div className="text-xs text-gray-500">Tags and notes on {ANNOTATION_SCOPE_LABELS[scope]}</div>
+      <div className="flex flex-wrap items-center gap-2">
+        <TagChips
+          tags={annotation.tags}
+          onRemove={canEdit ? (tag) => saveTags(annotation.tags.filter((t) => t !== tag)) : null}
+        />
+        {annotation.tags.length === 0 && !canEdit && <span className="text-gray-400">No tags</span>}
+        {canEdit && (
+          <input
+            value={tagInput}
+            onChange={(e) => setTagInput(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && addTag()}
+            placeholder="Add tag…"
+            className="px-2 py-0.5 border border-gray-300 rounded text-xs w-28 focus:ring-2 focus:ring-gray-400 focus:border-transparent"
+          />
+        )}
+      </div>
+
+      {annotation.notes.map((note) => (
+        <div key={note.id} className="bg-gray-50 rounded p-2">
+          <div className="flex items-center justify-between text-xs text-gray-500">
+            <span>
+              {note.user} · {new Date(note.timestamp).toLocaleString()}
+            </span>
+            {canEdit && (note.user === user.username || hasRole(user, 'admin')) && (
+              <button
+                onClick={() => deleteNote(note.id)}
+                className="text-gray-400 hover:text-red-600"
+                title="Delete note"
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+            )}
+          </div>
+          <div className="text-gray-700 whitespace-pre-wrap mt-1">{note.text}</div>
+        </div>
+      ))}
+      {canEdit && (
+        <div className="flex items-start space-x-2">
+          <textarea
+            value={noteText}
+            onChange={(e) => setNoteText(e.target.value)}
+            placeholder="Add a note…"
+            rows={2}
+            className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-gray-400 focus:border-transparent"
+          />
+          <button
+            onClick={addNote}
+            disabled={!noteText.trim()}
+            className="px-3 py-1.5 text-sm rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Add note
+          </button>
+        </div>
+      )}
+
+      {canEdit && (
+        <div className="flex flex-wrap items-center gap-2 pt-2 border-t border-gray-100">
+          <Briefcase className="w-4 h-4 text-gray-400" />
+          <select
+            value={incidentId}
+            onChange={(e) => setIncidentId(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-gray-400 focus:border-transparent"
+          >
+            <option value="">New incident…</option>
+            {incidents.map((incident) => (
+              <option key={incident.id} value={incident.id}>
+                {incident.ref} {incident.title}
+              </option>
+            ))}
+          </select>
+          {!incidentId && (
+            <input
+              value={newTitle}
+              onChange={(e) => setNewTitle(e.target.value)}
+              placeholder="Incident title"
+              className="flex-1 min-w-[10rem] px-2 py-1 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-gray-400 focus:border-transparent"
+            />
+          )}
+          <button
+            onClick={addToIncident}
+            disabled={!incidentId && !newTitle.trim()}
+            className="px-3 py-1.5 text-sm rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+          >
+            {incidentId ? 'Add to incident' : 'Create incident'}
+          </button>
+          {added && (
+            <span className="text-xs text-green-600">
+              Added to{' '}
+              {onOpenIncident ? (
+                <button onClick={() => onOpenIncident(added.id)} className="hover:underline">
+                  {added.ref}
+                </button>
+              ) : (
+                added.ref
+              )}
+            </span>
+          )}
+        </div>
+      )}
+
+      {error && <div className="text-sm text-red-500">{error}</div>}
+    </div>
+  );
+};
+
+// ---------- DASHBOARD PAGE ----------
+
+const Dashboard = ({ user, onOpenSession, onOpenAttacker, onOpenIoc, onOpenCommands, onOpenIncident }) => {
+  // Filter state starts from the URL (bookmarks, shared links, saved views)
+  const [initialView] = useState(readUrlState);
+  const [logs, setLogs] = useState([]);
+  const [stats, setStats] = useState({});
+  // Map and protocol chart data over every matching event, not just the page
+  const [logSummary, setLogSummary] = useState({ markers: [], unplaced: 0, protocolCounts: {} });
+  const summaryTimerRef = useRef(null);
+  const [selectedAttack, setSelectedAttack] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  // raw log viewer state
+  const [rawProtocol, setRawProtocol] = useState(initialView.rawProtocol);
+  const [rawLogs, setRawLogs] = useState('');
+  const [rawLoading, setRawLoading] = useState(false);
+  const [rawError, setRawError] = useState(null);
+
+  // filter state
+  const [filters, setFilters] = useState(initialView.filters);
+  const [showFilters, setShowFilters] = useState(initialView.showFilters);
+  const [availableFields, setAvailableFields] = useState([]);
+  const [fieldProtocols, setFieldProtocols] = useState({}); // New state to track protocols per field
+  const [timeRange, setTimeRange] = useState(initialView.timeRange);
+
+  // query bar state: the raw text, and the last expression that parsed
+  const [queryText, setQueryText] = useState(initialView.query);
+  const [query, setQuery] = useState(() => {
+    try {
+      parseQuery(initialView.query);
+      return initialView.query;
+    } catch (error) {
+      return '';
+    }
+  });
+  const [queryError, setQueryError] = useState(null);
+
+  // timeline paging state (events are queried server-side)
+  const [totalMatching, setTotalMatching] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const queryRef = useRef({
+    filters: initialView.filters,
+    timeRange: initialView.timeRange,
+    query: '',
+    queryAst: null
+  });
+  const firstQueryRef = useRef(true);
+
+  // live stream state
+  const [streamStatus, setStreamStatus] = useState('connecting');
+  const [streamPaused, setStreamPaused] = useState(false);
+  const [pendingCount, setPendingCount] = useState(0);
+  const logsRef = useRef([]);
+  const pausedRef = useRef(false);
+  const pendingEventsRef = useRef([]);
+
+  // --- MAP STATE ---
+  const mapImgRef = useRef(null);
+  const [mapSize, setMapSize] = useState({ width: 800, height: 400 });
+
+  // --- LIVE STREAM ---
+  // Load the history once, then subscribe to /api/stream for new events.
+  // On a dropped connection we back off exponentially and resync on reopen.
+  useEffect(() => {
+    if (typeof EventSource === 'undefined') {
+      setStreamStatus('polling');
+      fetchDashboardData();
+      const interval = setInterval(fetchDashboardData, POLL_INTERVAL_MS);
+      return () => clearInterval(interval);
+    }
+
+    let source = null;
+    let retryTimer = null;
+    let attempt = 0;
+    let closed = false;
+
+    const connect = () => {
+      source = new EventSource(withAuthParams(`${API_BASE}/stream`));
+
+      source.onopen = () => {
+        // The stream only carries events written after it opened, so
+        // (re)load the history to cover anything missed while offline
+        fetchDashboardData();
+        attempt = 0;
+        setStreamStatus('live');
+      };
+
+      source.addEventListener('logs', (e) => {
+        try {
+          const payload = JSON.parse(e.data);
+          handleStreamPayload(payload);
+        } catch (err) {
+          console.error('Error parsing stream event:', err);
+        }
+      });
+
+      source.onerror = () => {
+        source.close();
+        if (closed) {
+          return;
+        }
+        const delay = Math.min(
+          STREAM_BACKOFF_BASE_MS * 2 ** attempt,
+          STREAM_BACKOFF_MAX_MS
+        );
+        attempt += 1;
+        setStreamStatus('reconnecting');
+        setLoading(false);
+        retryTimer = setTimeout(connect, delay);
+      };
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      clearTimeout(summaryTimerRef.current);
+      if (source) {
+        source.close();
+      }
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // --- MAP RESIZE LISTENER ---
+  useEffect(() => {
+    const updateSize = () => {
+      try {
+        const img = mapImgRef.current;
+        if (img) {
+          const rect = img.getBoundingClientRect();
+          if (rect.width && rect.height) {
+            setMapSize({ width: rect.width, height: rect.height });
+          }
+        }
+      } catch (e) {
+        // ignore errors if ref is not yet available
+      }
+    };
+    
+    window.addEventListener('resize', updateSize);
+    // Initial check
+    updateSize();
+    
+    return () => window.removeEventListener('resize', updateSize);
+  }, []);
+
+  // Mirror the view into the URL so it can be bookmarked or shared
+  useEffect(() => {
+    writeUrlState({
+      page: 'dashboard',
+      query,
+      timeRange,
+      filters,
+      showFilters,
+      rawProtocol,
+      event: selectedAttack ? getEventKey(selectedAttack) : null
+    });
+  }, [query, timeRange, filters, showFilters, rawProtocol, selectedAttack]);
+
+  // Open the event a shared link points at, looking it up by its timestamp
+  useEffect(() => {
+    if (!initialView.event) {
+      return;
+    }
+    const [timestamp] = initialView.event.split('|');
+    const params = new URLSearchParams({
+      since: timestamp,
+      until: timestamp,
+      limit: String(LOG_PAGE_SIZE)
+    });
+    apiFetch(`${API_BASE}/logs?${params.toString()}`)
+      .then((res) => res.json())
+      .then((data) => {
+        const events = Array.isArray(data.events) ? data.events : [];
+        const match = events.find((log) => getEventKey(log) === initialView.event);
+        if (match) {
+          setSelectedAttack(match);
+        }
+      })
+      .catch((error) => console.error('Error loading linked event:', error));
+  }, [initialView]);
+
+  // Re-run the timeline query when the filters or time range change
+  useEffect(() => {
+    queryRef.current = { filters, timeRange, query, queryAst: parseQuery(query) };
+    if (firstQueryRef.current) {
+      // The stream's onopen performs the initial load
+      firstQueryRef.current = false;
+      return undefined;
+    }
+    const timer = setTimeout(fetchLogsPage, FILTER_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filters, timeRange, query]);
+
+  const fetchDashboardData = async () => {
+    try {
+      const [statsRes, fieldsRes] = await Promise.all([
+        apiFetch(`${API_BASE}/stats`),
+        apiFetch(`${API_BASE}/logs/fields`),
+        fetchLogsPage()
+      ]);
+
+      const statsData = await statsRes.json();
+      const fieldsData = await fieldsRes.json();
+
+      setStats(statsData || {});
+      setAvailableFields(Object.keys(fieldsData || {}).sort());
+      setFieldProtocols(fieldsData || {});
+      setLoading(false);
+    } catch (error) {
+      console.error('Error fetching dashboard data:', error);
+      setLoading(false);
+    }
+  };
+
+  // Load a page of timeline events for the current query. Without a
+  // cursor the timeline is replaced; with one the page is appended.
+  const fetchLogsPage = async (cursor = null) => {
+    const current = queryRef.current;
+    const params = buildLogQuery(current.filters, current.timeRange, current.query);
+    params.set('limit', String(LOG_PAGE_SIZE));
+    if (cursor) {
+      params.set('cursor', cursor);
+    } else {
+      fetchLogSummary();
+    }
+
+    try {
+      const res = await apiFetch(`${API_BASE}/logs?${params.toString()}`);
+      if (!res.ok) {
+        throw new Error(`HTTP ${res.status}`);
+      }
+      const data = await res.json();
+
+      // Ignore responses for a query the user has since changed
+      if (queryRef.current !== current) {
+        return;
+      }
+
+      const events = Array.isArray(data.events) ? data.events : [];
+      const nextLogs = cursor ? [...logsRef.current, ...events] : events;
+      logsRef.current = nextLogs;
+      setLogs(nextLogs);
+      setTotalMatching(data.total || 0);
+      setNextCursor(data.nextCursor || null);
+    } catch (error) {
+      console.error('Error fetching logs:', error);
+    }
+  };
+
+  const fetchLogSummary = async () => {
+    const current = queryRef.current;
+    const params = buildLogQuery(current.filters, current.timeRange, current.query);
+    try {
+      const res = await apiFetch(`${API_BASE}/logs/summary?${params.toString()}`);
+      if (!res.ok) {
+        throw new Error(`HTTP ${res.status}`);
+      }
+      const data = await res.json();
+      if (queryRef.current === current) {
+        setLogSummary(data);
+      }
+    } catch (error) {
+      console.error('Error fetching log summary:', error);
+    }
+  };
+
+  const scheduleLogSummary = () => {
+    if (!summaryTimerRef.current) {
+      summaryTimerRef.current = setTimeout(() => {
+        summaryTimerRef.current = null;
+        fetchLogSummary();
+      }, SUMMARY_REFRESH_MS);
+    }
+  };
+
+  const loadMoreLogs = async () => {
+    if (!nextCursor || loadingMore) {
+      return;
+    }
+    setLoadingMore(true);
+    await fetchLogsPage(nextCursor);
+    setLoadingMore(false);
+  };
+
+  const handleTimelineScroll = (e) => {
+    const el = e.currentTarget;
+    if (el.scrollTop + el.clientHeight >= el.scrollHeight - 40) {
+      loadMoreLogs();
+    }
+  };
+
+  const applyStreamEvents = (events) => {
+    const [merged, added] = mergeStreamEvents(
+      logsRef.current,
+      events.filter(matchesQuery)
+    );
+    if (added.length > 0) {
+      logsRef.current = merged;
+      setLogs(merged);
+      setTotalMatching((prev) => prev + added.length);
+      scheduleLogSummary();
+    }
+  };
+
+  const handleStreamPayload = (payload) => {
+    const events = Array.isArray(payload.events) ? payload.events : [];
+    if (payload.stats) {
+      setStats(payload.stats);
+    }
+    if (pausedRef.current) {
+      // Hold events while paused; they are applied on resume
+      pendingEventsRef.current = [...events, ...pendingEventsRef.current];
+      setPendingCount(pendingEventsRef.current.length);
+      return;
+    }
+    applyStreamEvents(events);
+  };
+
+  const toggleStreamPaused = () => {
+    if (pausedRef.current) {
+      pausedRef.current = false;
+      const pending = pendingEventsRef.current;
+      pendingEventsRef.current = [];
+      setPendingCount(0);
+      applyStreamEvents(pending);
+    } else {
+      pausedRef.current = true;
+    }
+    setStreamPaused(pausedRef.current);
+  };
+
+  // ---- Raw log viewer ----
+  const fetchRawLogs = async (protocol = rawProtocol) => {
+    try {
+      setRawLoading(true);
+      setRawError(null);
+      setRawLogs('');
+
+      const res = await apiFetch(
+        `${API_BASE}/raw-logs?protocol=${encodeURIComponent(protocol)}`
+      );
+      if (!res.ok) {
+        throw new Error(`HTTP ${res.status}`);
+      }
+
+      const text = await res.text();
+      setRawLogs(text || '(No log data yet)');
+    } catch (err) {
+      console.error('Error fetching raw logs:', err);
+      setRawError('Failed to load raw logs');
+    } finally {
+      setRawLoading(false);
+    }
+  };
+
+  // Client-side mirror of the /api/logs query, used to decide whether a
+  // streamed event belongs in the currently displayed timeline
+  const matchesQuery = (log) => {
+    const {
+      filters: currentFilters,
+      timeRange: currentRange,
+      queryAst
+    } = queryRef.current;
+    const time = toMillis(log.timestamp);
+    if (currentRange.since && (time === null || time < toMillis(currentRange.since))) {
+      return false;
+    }
+    if (currentRange.until && (time === null || time > toMillis(currentRange.until))) {
+      return false;
+    }
+    if (queryAst && !evaluateQuery(queryAst, log)) {
+      return false;
+    }
+
+    return Object.entries(currentFilters).every(([field, filterValue]) => {
+      if (!filterValue || filterValue.trim() === '') {
+        return true;
+      }
+
+      const value = getNestedValue(log, field);
+      
+      if (value === undefined || value === null) {
+        return false;
+      }
+
+      const valueStr = typeof value === 'object' 
+        ? JSON.stringify(value).toLowerCase()
+        : String(value).toLowerCase();
+      
+      const filterStr = filterValue.toLowerCase();
+      
+      return valueStr.includes(filterStr);
+    });
+  };
+
+  const handleFilterChange = (field, value) => {
+    setFilters((prev) => {
+      const newFilters = { ...prev };
+      if (value && value.trim() !== '') {
+        newFilters[field] = value;
+      } else {
+        delete newFilters[field];
+      }
+      return newFilters;
+    });
+  };
+
+  const clearFilters = () => {
+    setFilters({});
+  };
+
+  const hidingResearch = queryText.split(/\s+/).includes(HIDE_RESEARCH_TERM);
+  const toggleResearch = () =>
+    handleQueryChange(
+      hidingResearch
+        ? queryText.split(/\s+/).filter((term) => term !== HIDE_RESEARCH_TERM).join(' ')
+        : `${queryText} ${HIDE_RESEARCH_TERM}`.trim()
+    );
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+    } catch (error) {
+      console.error('Error copying link:', error);
+    }
+  };
+
+  // Only a query that parses is sent to the server; errors show inline
+  const handleQueryChange = (text) => {
+    setQueryText(text);
+    try {
+      parseQuery(text);
+      setQueryError(null);
+      setQuery(text.trim());
+    } catch (error) {
+      setQueryError(error.message);
+    }
+  };
+
+  // Known values offered by the query bar once a field is typed
+  const getQueryFieldValues = () => ({
+    protocol: PROTOCOLS,
+    type: Array.from(new Set(logs.map((log) => log.type).filter(Boolean))).sort()
+  });
+
+  const applyTimePreset = (ms) => {
+    setTimeRange({ since: toLocalInputValue(new Date(Date.now() - ms)), until: '' });
+  };
+
+  const getProtocolData = () =>
+    Object.entries(logSummary.protocolCounts).map(([name, value]) => ({
+      name,
+      value,
+      color: getProtocolColor(name)
+    }));
+
+  // Helper to map Lat/Lon to X/Y on an Equirectangular map image
+  const latLonToXY = (lat, lon, width, height) => {
+    const x = ((lon + 180) / 360) * width;
+    const y = ((90 - lat) / 180) * height;
+    return { x, y };
+  };
+
+  const renderWorldMap = () => {
+    const { markers, unplaced } = logSummary;
+    const imgSrc = '/world-map.svg';
+
+    const containerStyle = {
+      position: 'relative',
+      width: '100%',
+      height: 'auto',
+      minHeight: '240px',
+      backgroundColor: '#f8f8f8',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center'
+    };
+
+    const imgStyle = {
+      display: 'block',
+      width: '100%',
+      height: 'auto',
+      userSelect: 'none',
+    };
+
+    const overlayStyle = {
+      position: 'absolute',
+      top: 0,
+      left: 0,
+      width: '100%',
+      height: '100%',
+      pointerEvents: 'none'
+    };
+
+    const onImgLoad = (e) => {
+      try {
+        const img = e.target;
+        const rect = img.getBoundingClientRect();
+        if (rect.width && rect.height) {
+          setMapSize({ width: rect.width, height: rect.height });
+        }
+      } catch (err) {
+        // Fallback size if something goes wrong
+        setMapSize({ width: 800, height: 400 });
+      }
+    };
+
+    return (
+      <div style={containerStyle} className="rounded-lg overflow-hidden border border-gray-200">
+        <img
+          ref={mapImgRef}
+          src={imgSrc}
+          alt="World Map"
+          style={imgStyle}
+          onLoad={onImgLoad}
+          onError={(e) => {
+            console.error("Failed to load map image");
+            e.target.style.display = 'none'; // Hide broken image icon
+          }}
+        />
+        
+        {/* SVG Overlay for attack dots */}
+        <svg style={overlayStyle} viewBox={`0 0 ${mapSize.width} ${mapSize.height}`} preserveAspectRatio="none">
+          {markers.map((marker, i) => {
+            const { x, y } = latLonToXY(marker.lat, marker.lon, mapSize.width, mapSize.height);
+            const r = Math.min(marker.count * 2 + 5, 18);
+
+            return (
+              <g
+                key={marker.ip || i}
+                transform={`translate(${x}, ${y})`}
+                onClick={() => onOpenAttacker && onOpenAttacker(marker.ip)}
+                style={{ cursor: 'pointer', pointerEvents: 'all' }}
+              >
+                <circle r={r} fill="#D4A574" opacity="0.6" />
+                <circle r={Math.max(2, Math.floor(r / 3))} fill="#8B6F47" />
+                <title>{`${marker.ip}: ${marker.count} events`}</title>
+              </g>
+            );
+          })}
+        </svg>
+        
+        <div className="absolute bottom-2 left-2 text-xs text-gray-500 bg-white/80 px-2 py-1 rounded shadow-sm">
+          <Globe className="w-3 h-3 inline mr-1" />
+          Attack Origin Map
+          {unplaced > 0 && ` · ${unplaced} IP${unplaced === 1 ? '' : 's'} without a known location`}
+        </div>
+      </div>
+    );
+  };
+
+  const renderDonutChart = () => {
+    const data = getProtocolData();
+    const total = data.reduce((sum, d) => sum + d.value, 0);
+    if (total === 0) {
+      return <div className="text-sm text-gray-400">No attack data yet.</div>;
+    }
+
+    let currentAngle = 0;
+
+    return (
+      <svg viewBox="0 0 200 200" className="w-full h-full">
+        <circle
+          cx="100"
+          cy="100"
+          r="80"
+          fill="none"
+          stroke="#F5F5F0"
+          strokeWidth="40"
+        />
+        {data.map((item, i) => {
+          const percentage = item.value / total;
+          const angle = percentage * 360;
+          const startAngle = currentAngle;
+          currentAngle += angle;
+
+          const x1 = 100 + 60 * Math.cos(((startAngle - 90) * Math.PI) / 180);
+          const y1 = 100 + 60 * Math.sin(((startAngle - 90) * Math.PI) / 180);
+          const x2 = 100 + 60 * Math.cos(((currentAngle - 90) * Math.PI) / 180);
+          const y2 = 100 + 60 * Math.sin(((currentAngle - 90) * Math.PI) / 180);
+          const largeArc = angle > 180 ? 1 : 0;
+
+          return (
+            <path
+              key={i}
+              d={`M 100 100 L ${x1} ${y1} A 60 60 0 ${largeArc} 1 ${x2} ${y2} Z`}
+              fill={item.color}
+              opacity="0.9"
+            />
+          );
+        })}
+        <circle cx="100" cy="100" r="40" fill="white" />
+        <text
+          x="100"
+          y="105"
+          textAnchor="middle"
+          className="text-2xl font-semibold fill-gray-700"
+        >
+          {total}
+        </text>
+      </svg>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-screen">
+        <RefreshCw className="w-8 h-8 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  const streamStyle =
+    STREAM_STATUS_STYLES[
+      streamPaused && streamStatus === 'live' ? 'paused' : streamStatus
+    ];
+
+  return (
+    <div className="space-y-6">
+      {/* Live Stream Indicator */}
+      <div className="flex items-center justify-end space-x-2">
+        <span className="flex items-center px-3 py-1.5 text-sm rounded-lg border border-gray-200 bg-white text-gray-600">
+          <span className={`w-2 h-2 rounded-full mr-2 ${streamStyle.dot}`} />
+          {streamStyle.label}
+          {pendingCount > 0 && (
+            <span className="ml-1.5 px-1.5 py-0.5 bg-gray-200 rounded text-xs">
+              {pendingCount} new
+            </span>
+          )}
+        </span>
+        {streamStatus !== 'polling' && (
+          <button
+            onClick={toggleStreamPaused}
+            className="flex items-center px-3 py-1.5 text-sm rounded-lg border border-gray-200 bg-white text-gray-600 hover:bg-gray-50"
+            title={streamPaused ? 'Resume live updates' : 'Pause live updates'}
+          >
+            {streamPaused ? (
+              <>
+                <Radio className="w-4 h-4 mr-1.5" />
+                Resume
+              </>
+            ) : (
+              <>
+                <Pause className="w-4 h-4 mr-1.5" />
+                Pause
+              </>
+            )}
+          </button>
+        )}
+      </div>
+
+      {/* Header Stats */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="bg-white p-4 rounded-lg border border-gray-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-500">Total Events</p>
+              <p className="text-2xl font-semibold text-gray-800">
+                {stats.totalAttacks || 0}
+              </p>
+            </div>
+            <Shield className="w-8 h-8 text-gray-400" />
+          </div>
+        </div>
+        <div className="bg-white p-4 rounded-lg border border-gray-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-500">Unique IPs</p>
+              <p className="text-2xl font-semibold text-gray-800">
+                {stats.uniqueIPs || 0}
+              </p>
+            </div>
+            <MapPin className="w-8 h-8 text-gray-400" />
+          </div>
+        </div>
+        <div className="bg-white p-4 rounded-lg border border-gray-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-500">Active Honeypots</p>
+              <p className="text-2xl font-semibold text-gray-800">
+                {stats.activeHoneypots || 0}
+              </p>
+            </div>
+            <Activity className="w-8 h-8 text-gray-400" />
+          </div>
+        </div>
+        <div
+          onClick={onOpenCommands}
+          className="bg-white p-4 rounded-lg border border-gray-200 cursor-pointer hover:bg-gray-50"
+          title="Open the Commands view"
+        >
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-500">Commands Logged</p>
+              <p className="text-2xl font-semibold text-gray-800">
+                {stats.commandsLogged || 0}
+              </p>
+            </div>
+            <Terminal className="w-8 h-8 text-gray-400" />
+          </div>
+        </div>
+      </div>
+
+      {/* Main Dashboard Grid */}
+      <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+        {/* World Map */}
+        <div className="xl:col-span-2 bg-white p-6 rounded-lg border border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
+            <Globe className="w-5 h-5 mr-2 text-gray-600" />
+            Attack Origin Map
+          </h3>
+          <div className="h-80 flex items-center justify-center bg-gray-50 rounded">
+            {renderWorldMap()}
+          </div>
+        </div>
+
+        {/* Protocol Distribution */}
+        <div className="bg-white p-6 rounded-lg border border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
+            <PieChart className="w-5 h-5 mr-2 text-gray-600" />
+            Protocol Distribution
+          </h3>
+          <div className="h-80 flex items-center justify-center">
+            {renderDonutChart()}
+          </div>
+          <div className="mt-4 space-y-2">
+            {getProtocolData().map((item, i) => (
+              <div key={i} className="flex items-center justify-between text-sm">
+                <div className="flex items-center">
+                  <div
+                    className="w-3 h-3 rounded-full mr-2"
+                    style={{ backgroundColor: item.color }}
+                  />
+                  <span className="text-gray-700 capitalize">{item.name}</span>
+                </div>
+                <span className="text-gray-600 font-medium">{item.value}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* Event rate over time */}
+      <EventRatePanel params={buildLogQuery(filters, {}, query)} />
+
+      {/* Fingerprinted scanners, bots and clients */}
+      <ToolkitPanel
+        params={buildLogQuery(filters, {}, query)}
+        onFilter={handleFilterChange}
+        hidingResearch={hidingResearch}
+        onHideResearch={toggleResearch}
+      />
+
+      {/* Per-ASN breakdown */}
+      <div className="bg-white p-6 rounded-lg border border-gray-200">
+        <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
+          <Network className="w-5 h-5 mr-2 text-gray-600" />
+          Top Networks (ASN)
+        </h3>
+        {(stats.asnCounts || []).length === 0 ? (
+          <p className="text-sm text-gray-500">
+            No ASN data. An operator can upload an ASN database under Settings.
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {stats.asnCounts.map((network) => (
+              <button
+                key={network.asn}
+                onClick={() => handleFilterChange('location.asn', String(network.asn))}
+                className="w-full flex items-center text-sm text-left hover:bg-gray-50 rounded px-1"
+                title="Filter the timeline to this network"
+              >
+                <span className="w-24 font-mono text-gray-700">AS{network.asn}</span>
+                <span className="flex-1 truncate text-gray-700">{network.org || 'Unknown owner'}</span>
+                <div className="w-40 mx-3 h-2 bg-gray-100 rounded">
+                  <div
+                    className="h-2 rounded bg-gray-500"
+                    style={{ width: `${(network.events / stats.asnCounts[0].events) * 100}%` }}
+                  />
+                </div>
+                <span className="w-20 text-right text-gray-500">
+                  {network.ips} IP{network.ips === 1 ? '' : 's'}
+                </span>
+                <span className="w-24 text-right text-gray-600 font-medium">
+                  {network.events} events
+                </span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Timeline + Raw Logs */}
+      <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+        {/* Timeline */}
+        <div className="xl:col-span-2 bg-white p-6 rounded-lg border border-gray-200">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-800 flex items-center">
+              <Clock className="w-5 h-5 mr-2 text-gray-600" />
+              Attack / Event Timeline
+            </h3>
+            <div className="flex items-center space-x-2">
+              <span className="text-xs text-gray-500">
+                {logs.length} of {totalMatching} events
+              </span>
+              {hasRole(user, 'analyst') && (
+                <ExportMenu params={buildLogQuery(filters, timeRange, query)} />
+              )}
+              <button
+                onClick={() => setShowFilters(!showFilters)}
+                className={`flex items-center px-3 py-1.5 text-sm rounded-lg border transition-colors ${
+                  showFilters || Object.keys(filters).length > 0
+                    ? 'bg-gray-100 border-gray-300 text-gray-800'
+                    : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                <Filter className="w-4 h-4 mr-1.5" />
+                Filters
+                {Object.keys(filters).length > 0 && (
+                  <span className="ml-1.5 px-1.5 py-0.5 bg-gray-300 rounded text-xs">
+                    {Object.keys(filters).length}
+                  </span>
+                )}
+              </button>
+              {Object.keys(filters).length > 0 && (
+                <button
+                  onClick={clearFilters}
+                  className="flex items-center px-3 py-1.5 text-sm rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50"
+                  title="Clear all filters"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          </div>
+
+          {/* Query Bar */}
+          <QueryBar
+            value={queryText}
+            onChange={handleQueryChange}
+            error={queryError}
+            fields={availableFields}
+            fieldValues={getQueryFieldValues()}
+          />
+
+          {/* Time Range */}
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            <Calendar className="w-4 h-4 text-gray-400" />
+            <input
+              type="datetime-local"
+              value={timeRange.since}
+              onChange={(e) =>
+                setTimeRange((prev) => ({ ...prev, since: e.target.value }))
+              }
+              className="px-2 py-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-gray-400 focus:border-transparent"
+              title="From"
+            />
+            <span className="text-xs text-gray-400">to</span>
+            <input
+              type="datetime-local"
+              value={timeRange.until}
+              onChange={(e) =>
+                setTimeRange((prev) => ({ ...prev, until: e.target.value }))
+              }
+              className="px-2 py-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-gray-400 focus:border-transparent"
+              title="To"
+            />
+            {TIME_RANGE_PRESETS.map((preset) => (
+              <button
+                key={preset.label}
+                onClick={() => applyTimePreset(preset.ms)}
+                className="px-2 py-1 text-xs rounded border border-gray-200 text-gray-600 hover:bg-gray-50"
+              >
+                {preset.label}
+              </button>
+            ))}
+            {(timeRange.since || timeRange.until) && (
+              <button
+                onClick={() => setTimeRange({ since: '', until: '' })}
+                className="px-2 py-1 text-xs rounded border border-gray-200 text-gray-600 hover:bg-gray-50"
+              >
+                All time
+              </button>
+            )}
+          </div>
+
+          {/* Filter Panel - MODIFIED SECTION */}
+          {showFilters && (
+            <div className="mb-4 p-4 bg-gray-50 rounded-lg border border-gray-200">
+              <div className="flex items-center justify-between mb-3">
+                <h4 className="text-sm font-semibold text-gray-700">Filter Events</h4>
+                <button
+                  onClick={() => setShowFilters(false)}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3 max-h-64 overflow-y-auto">
+                {availableFields.map((field) => {
+                  // Generate protocol tags
+                  const protos = fieldProtocols[field] ? Array.from(fieldProtocols[field]) : [];
+                  const protoLabel = protos.length > 0 && protos.length <= 4
+                    ? `(${protos.join(', ')})` 
+                    : protos.length > 4 ? '(General)' : '';
+
+                  return (
+                    <div key={field} className="flex flex-col">
+                      <div className="flex items-baseline mb-1">
+                        <label className="text-xs font-medium text-gray-600 mr-2" title={field}>
+                          {formatFilterLabel(field)}
+                        </label>
+                        {protoLabel && (
+                          <span className="text-[10px] text-gray-400 font-mono uppercase tracking-tight">
+                            {protoLabel}
+                          </span>
+                        )}
+                      </div>
+                      <input
+                        type="text"
+                        value={filters[field] || ''}
+                        onChange={(e) => handleFilterChange(field, e.target.value)}
+                        placeholder="Filter..."
+                        className="px-2 py-1.5 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-gray-400 focus:border-transparent"
+                      />
+                    </div>
+                  );
+                })}
+              </div>
+              {availableFields.length === 0 && (
+                <div className="text-sm text-gray-400 text-center py-4">
+                  No events available to extract fields from
+                </div>
+              )}
+            </div>
+          )}
+
+          <div
+            className="space-y-2 max-h-96 overflow-y-auto"
+            onScroll={handleTimelineScroll}
+          >
+            {logs.length === 0 && (
+              <div className="text-sm text-gray-400">
+                No events yet. Once honeypots receive traffic, they&apos;ll show
+                up here.
+              </div>
+            )}
+            {logs.map((log, i) => (
+              <div
+                key={log.id || `${log.ip}-${log.timestamp}-${i}`}
+                onClick={() => setSelectedAttack(log)}
+                className="flex items-center justify-between p-3 hover:bg-gray-50 rounded cursor-pointer border border-gray-100"
+              >
+                <div className="flex items-center space-x-4">
+                  <div className="text-xs text-gray-500 w-40">
+                    {log.timestamp
+                      ? new Date(log.timestamp).toLocaleString()
+                      : '-'}
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <MapPin className="w-4 h-4 text-gray-400" />
+                    {log.ip && onOpenAttacker ? (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          onOpenAttacker(log.ip);
+                        }}
+                        className="text-sm font-mono text-gray-700 hover:underline"
+                        title="Open attacker profile"
+                      >
+                        {log.ip}
+                      </button>
+                    ) : (
+                      <span className="text-sm font-mono text-gray-700">
+                        {log.ip || 'unknown'}
+                      </span>
+                    )}
+                    {log.location && (log.location.countryCode || log.location.asn) && (
+                      <span
+                        className="text-xs text-gray-400"
+                        title={[describeLocation(log.location), describeNetwork(log.location)]
+                          .filter(Boolean)
+                          .join(' · ')}
+                      >
+                        {[log.location.countryCode, log.location.asn && `AS${log.location.asn}`]
+                          .filter(Boolean)
+                          .join(' · ')}
+                      </span>
+                    )}
+                  </div>
+                  <span className="text-xs px-2 py-1 rounded bg-gray-100 text-gray-600 capitalize">
+                    {log.protocol || 'unknown'}
+                  </span>
+                  <span className="text-xs px-2 py-1 rounded bg-gray-50 text-gray-500">
+                    {log.type || 'event'}
+                  </span>
+                  <ToolkitBadge
+                    toolkit={log.toolkit}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleFilterChange('toolkit.id', log.toolkit.id);
+                    }}
+                  />
+                  <TagChips
+                    tags={log.tags}
+                    onClick={(e, tag) => {
+                      e.stopPropagation();
+                      handleFilterChange('tags', tag);
+                    }}
+                  />
+                  {(log.incidents || []).map((ref) => (
+                    <button
+                      key={ref}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleFilterChange('incidents', ref);
+                      }}
+                      className="text-xs px-2 py-0.5 rounded bg-gray-100 text-gray-600 font-mono hover:bg-gray-200"
+                      title="Show this incident's events"
+                    >
+                      {ref}
+                    </button>
+                  ))}
+                </div>
+                <Terminal className="w-4 h-4 text-gray-400" />
+              </div>
+            ))}
+            {nextCursor && (
+              <button
+                onClick={loadMoreLogs}
+                disabled={loadingMore}
+                className="w-full py-2 text-sm text-gray-600 rounded border border-gray-100 hover:bg-gray-50 disabled:opacity-50"
+              >
+                {loadingMore ? 'Loading...' : 'Load more'}
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Raw Log Viewer */}
+        <div className="bg-white p-6 rounded-lg border border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
+            <FileText className="w-5 h-5 mr-2 text-gray-600" />
+            Raw Log Viewer
+          </h3>
+
+          <div className="flex items-center mb-3 space-x-2">
+            <select
+              value={rawProtocol}
+              onChange={(e) => {
+                const value = e.target.value;
+                setRawProtocol(value);
+                fetchRawLogs(value);
+              }}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-gray-400 focus:border-transparent"
+            >
+              {PROTOCOLS.map((p) => (
+                <option key={p} value={p}>
+                  {p.toUpperCase()}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => fetchRawLogs()}
+              className="px-4 py-2 text-sm bg-gray-800 text-white rounded-lg hover:bg-gray-900 flex items-center"
+            >
+              {rawLoading ? (
+                <>
+                  <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
+                  Loading
+                </>
+              ) : (
+                <>
+                  <FileText className="w-4 h-4 mr-2" />
+                  Load
+                </>
+              )}
+            </button>
+          </div>
+
+          {rawError && (
+            <div className="text-xs text-red-500 mb-2">{rawError}</div>
+          )}
+
+          <div className="h-64 border border-gray-200 rounded-lg bg-black text-green-300 text-xs overflow-auto p-3 font-mono">
+            {rawLogs ? (
+              <pre className="whitespace-pre-wrap">{rawLogs}</pre>
+            ) : rawLoading ? (
+              <div className="text-gray-400">Loading logs...</div>
+            ) : (
+              <div className="text-gray-500">
+                Click &quot;Load&quot; to view contents of{' '}
+                <span className="font-semibold">
+                  logs/{rawProtocol}.logs
+                </span>{' '}
+                on the server.
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* MQTT / CoAP Explorer */}
+      <TopicExplorer
+        queryString={buildLogQuery({}, timeRange, '').toString()}
+        onFilter={handleQueryChange}
+      />
+
+      {/* Credential Analytics */}
+      <CredentialsPanel
+        queryString={buildLogQuery(filters, timeRange, query).toString()}
+        canExport={hasRole(user, 'analyst')}
+      />
+
+      {/* Attack Details Modal */}
+      {selectedAttack && (
+        <div
+          className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center p-4 z-50"
+          onClick={() => setSelectedAttack(null)}
+        >
+          <div
+            className="bg-white rounded-lg p-6 max-w-3xl w-full max-h-[80vh] overflow-y-auto"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h3 className="text-xl font-semibold text-gray-800">
+                  Event / Attack Details
+                </h3>
+                <p className="text-sm text-gray-500 mt-1">
+                  {selectedAttack.ip || 'unknown'} —{' '}
+                  {selectedAttack.timestamp
+                    ? new Date(selectedAttack.timestamp).toLocaleString()
+                    : '-'}
+                </p>
+              </div>
+              <button
+                onClick={() => setSelectedAttack(null)}
+                className="text-gray-400 hover:text-gray-600 text-2xl leading-none"
+              >
+                ×
+              </button>
+            </div>
+            <div className="flex items-center space-x-2 mb-4">
+              <button
+                onClick={copyLink}
+                className="flex items-center px-3 py-1.5 text-sm rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50"
+              >
+                <Link className="w-4 h-4 mr-1.5" />
+                Copy Link
+              </button>
+              {selectedAttack.session && onOpenSession && (
+                <button
+                  onClick={() =>
+                    onOpenSession(getSessionKey(selectedAttack.session))
+                  }
+                  className="flex items-center px-3 py-1.5 text-sm rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50"
+                >
+                  <History className="w-4 h-4 mr-1.5" />
+                  Replay Session
+                </button>
+              )}
+              {selectedAttack.ip && onOpenAttacker && (
+                <button
+                  onClick={() => onOpenAttacker(selectedAttack.ip)}
+                  className="flex items-center px-3 py-1.5 text-sm rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50"
+                >
+                  <User className="w-4 h-4 mr-1.5" />
+                  Attacker Profile
+                </button>
+              )}
+            </div>
+            <div className="bg-gray-900 text-gray-100 p-4 rounded font-mono text-sm space-y-2">
+              <div>
+                <span className="text-gray-400">Type: </span>
+                {selectedAttack.type || 'event'}
+              </div>
+              <div>
+                <span className="text-gray-400">Protocol: </span>
+                {selectedAttack.protocol || 'unknown'}
+              </div>
+              {selectedAttack.location && (
+                <div>
+                  <span className="text-gray-400">Location: </span>
+                  {describeLocation(selectedAttack.location)}
+                  {selectedAttack.location.private && selectedAttack.location.countryCode && ' (private range)'}
+                </div>
+              )}
+              {describeNetwork(selectedAttack.location) && (
+                <div>
+                  <span className="text-gray-400">Network: </span>
+                  {describeNetwork(selectedAttack.location)}
+                </div>
+              )}
+              {selectedAttack.toolkit && (
+                <div>
+                  <span className="text-gray-400">Toolkit: </span>
+                  {selectedAttack.toolkit.name} ({selectedAttack.toolkit.kind})
+                </div>
+              )}
+              {selectedAttack.command && (
+                <div>
+                  <span className="text-gray-400">Command: </span>
+                  {selectedAttack.command}
+                </div>
+              )}
+              {selectedAttack.data && (
+                <div>
+                  <span className="text-gray-400">Data:</span>
+                  <pre className="mt-2 text-xs whitespace-pre-wrap">
+                    {typeof selectedAttack.data === 'string'
+                      ? selectedAttack.data
+                      : JSON.stringify(selectedAttack.data, null, 2)}
+                  </pre>
+                </div>
+              )}
+              {selectedAttack.raw && (
+                <div>
+                  <span className="text-gray-400">Raw Log:</span>
+                  <pre className="mt-2 text-xs whitespace-pre-wrap">
+                    {selectedAttack.raw}
+                  </pre>
+                </div>
+              )}
+            </div>
+            {onOpenIoc && <EventIocs event={selectedAttack} onOpenIoc={onOpenIoc} />}
+            <CasePanel
+              scope="event"
+              targetKey={getEventKey(selectedAttack)}
+              user={user}
+              onChanged={() => fetchLogsPage()}
+              onOpenIncident={onOpenIncident}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ---------- SESSION REPLAY PAGE ----------
+
+const REPLAY_SPEEDS = [1, 2, 5, 10, 50];
+const REPLAY_TICK_MS = 100;
+
+const formatDuration = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
+
+// Sessions are keyed on the session_info block (ip, start, end) the
+// honeypots write into logs/session_*.json
+const getSessionKey = (session) =>
+  `${session.ip || 'unknown'}|${session.start || ''}|${session.end || ''}`;
+
+const buildSessions = (logs) => {
+  const sessions = {};
+
+  logs.forEach((log) => {
+    const session = log.session;
+    if (!session || typeof session !== 'object') {
+      return;
+    }
+
+    const key = getSessionKey(session);
+    if (!sessions[key]) {
+      sessions[key] = {
+        key,
+        ip: session.ip || log.ip || 'unknown',
+        protocol: session.protocol || log.protocol || 'unknown',
+        username: session.username || null,
+        events: []
+      };
+    }
+    if (!sessions[key].username && log.username) {
+      sessions[key].username = log.username;
+    }
+    sessions[key].events.push(log);
+  });
+
+  return Object.values(sessions)
+    .map((session) => {
+      const events = session.events
+        .filter((event) => toMillis(event.timestamp) !== null)
+        .sort((a, b) => toMillis(a.timestamp) - toMillis(b.timestamp));
+      const startMs = events.length ? toMillis(events[0].timestamp) : 0;
+      const endMs = events.length
+        ? toMillis(events[events.length - 1].timestamp)
+        : startMs;
+      return { ...session, events, startMs, endMs };
+    })
+    .filter((session) => session.events.length > 0)
+    .sort((a, b) => b.startMs - a.startMs);
+};
+
+// Render one session event as terminal transcript lines
+const getTranscriptLines = (event, session) => {
+  const data = event.data;
+  const user = event.username || session.username || 'user';
+  const prompt = `${user}@${session.ip}${user === 'root' ? '#' : '$'} `;
+  const dataText =
+    data === undefined || data === null
+      ? ''
+      : typeof data === 'string'
+      ? data
+      : JSON.stringify(data);
+
+  switch (event.type) {
+    case 'connection':
+      return [
+        {
+          kind: 'system',
+          text: `*** Connected from ${event.ip || session.ip}${
+            event.port ? `:${event.port}` : ''
+          }${dataText ? ` (${dataText})` : ''}`
+        }
+      ];
+    case 'auth':
+      return event.auth_type === 'publickey'
+        ? [
+            { kind: 'auth', text: `login as: ${event.username || ''}` },
+            { kind: 'auth', text: `publickey: ${event.key_fingerprint || ''}` }
+          ]
+        : [
+            { kind: 'auth', text: `login as: ${event.username || ''}` },
+            { kind: 'auth', text: `password: ${event.password || ''}` }
+          ];
+    case 'username_attempt':
+      return [{ kind: 'auth', text: `login: ${dataText}` }];
+    case 'password_attempt':
+      return [{ kind: 'auth', text: `Password: ${dataText}` }];
+    case 'auth_success':
+    case 'auth_failed':
+      return [{ kind: 'auth', text: `*** ${dataText || event.type}` }];
+    case 'command':
+      return [{ kind: 'input', text: `${prompt}${dataText}` }];
+    case 'shell_command':
+      return [
+        {
+          kind: 'input',
+          text: `${prompt}${(data && data.command) || event.command || dataText}`
+        }
+      ];
+    case 'disconnect':
+      return [
+        {
+          kind: 'system',
+          text: `*** Connection closed${dataText ? ` (${dataText})` : ''}`
+        }
+      ];
+    default:
+      return [
+        {
+          kind: 'event',
+          text: `[${event.type || 'event'}]${dataText ? ` ${dataText}` : ''}`
+        }
+      ];
+  }
+};
+
+const TRANSCRIPT_COLORS = {
+  system: 'text-gray-400',
+  auth: 'text-yellow-300',
+  input: 'text-green-300',
+  event: 'text-blue-300'
+};
+
+const SessionReplayPage = ({ initialSessionKey, user, canExport, onOpenIncident }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedKey, setSelectedKey] = useState(initialSessionKey || null);
+  const [search, setSearch] = useState('');
+
+  // playback state (cursor is ms since the first event of the session)
+  const [cursor, setCursor] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const terminalRef = useRef(null);
+
+  useEffect(() => {
+    fetchSessions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const res = await apiFetch(`${API_BASE}/logs`);
+      const data = await res.json();
+      const built = buildSessions(Array.isArray(data) ? data : []);
+      setSessions(built);
+      if (!selectedKey && built.length > 0) {
+        setSelectedKey(built[0].key);
+      }
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectedSession = sessions.find((s) => s.key === selectedKey) || null;
+  const duration = selectedSession
+    ? selectedSession.endMs - selectedSession.startMs
+    : 0;
+
+  // Reset playback whenever another session is picked
+  useEffect(() => {
+    setCursor(0);
+    setPlaying(false);
+    writeUrlState({ page: 'sessions', session: selectedKey });
+  }, [selectedKey]);
+
+  useEffect(() => {
+    if (!playing) {
+      return undefined;
+    }
+    const interval = setInterval(() => {
+      setCursor((prev) => Math.min(prev + REPLAY_TICK_MS * speed, duration));
+    }, REPLAY_TICK_MS);
+    return () => clearInterval(interval);
+  }, [playing, speed, duration]);
+
+  useEffect(() => {
+    if (playing && cursor >= duration) {
+      setPlaying(false);
+    }
+  }, [playing, cursor, duration]);
+
+  const visibleEvents = selectedSession
+    ? selectedSession.events.filter(
+        (event) =>
+          toMillis(event.timestamp) - selectedSession.startMs <= cursor
+      )
+    : [];
+
+  useEffect(() => {
+    if (terminalRef.current) {
+      terminalRef.current.scrollTop = terminalRef.current.scrollHeight;
+    }
+  }, [visibleEvents.length]);
+
+  const togglePlay = () => {
+    if (!playing && cursor >= duration) {
+      setCursor(0);
+    }
+    setPlaying(!playing);
+  };
+
+  const copyTranscript = async () => {
+    if (!selectedSession) {
+      return;
+    }
+    const text = selectedSession.events
+      .map((event) => {
+        const time = new Date(event.timestamp).toLocaleString();
+        return getTranscriptLines(event, selectedSession)
+          .map((line) => `[${time}] ${line.text}`)
+          .join('\n');
+      })
+      .join('\n');
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (error) {
+      console.error('Error copying transcript:', error);
+    }
+  };
+
+  const filteredSessions = sessions.filter((session) => {
+    const term = search.trim().toLowerCase();
+    if (!term) {
+      return true;
+    }
+    return [session.ip, session.protocol, session.username]
+      .filter(Boolean)
+      .some((value) => String(value).toLowerCase().includes(term));
+  });
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-screen">
+        <RefreshCw className="w-8 h-8 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+      {/* Session List */}
+      <div className="bg-white p-6 rounded-lg border border-gray-200">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-800 flex items-center">
+            <History className="w-5 h-5 mr-2 text-gray-600" />
+            Sessions
+          </h3>
+          <button
+            onClick={fetchSessions}
+            className="text-gray-400 hover:text-gray-600"
+            title="Reload sessions"
+          >
+            <RefreshCw className="w-4 h-4" />
+          </button>
+        </div>
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search IP, protocol, user..."
+          className="w-full mb-3 px-2 py-1.5 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-gray-400 focus:border-transparent"
+        />
+        <div className="space-y-2 max-h-[32rem] overflow-y-auto">
+          {filteredSessions.length === 0 && (
+            <div className="text-sm text-gray-400">
+              No sessions recorded yet.
+            </div>
+          )}
+          {filteredSessions.map((session) => (
+            <div
+              key={session.key}
+              onClick={() => setSelectedKey(session.key)}
+              className={`p-3 rounded cursor-pointer border ${
+                session.key === selectedKey
+                  ? 'bg-gray-100 border-gray-300'
+                  : 'border-gray-100 hover:bg-gray-50'
+              }`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-mono text-gray-700">
+                  {session.ip}
+                </span>
+                <span className="text-xs px-2 py-1 rounded bg-gray-100 text-gray-600 capitalize">
+                  {session.protocol}
+                </span>
+              </div>
+              <div className="flex items-center justify-between mt-1 text-xs text-gray-500">
+                <span>{new Date(session.startMs).toLocaleString()}</span>
+                <span>
+                  {session.events.length} events ·{' '}
+                  {formatDuration(session.endMs - session.startMs)}
+                </span>
+              </div>
+              {session.username && (
+                <div className="text-xs text-gray-400 mt-1">
+                  user: {session.username}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Replay Player */}
+      <div className="xl:col-span-2 bg-white p-6 rounded-lg border border-gray-200">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-800 flex items-center">
+            <Terminal className="w-5 h-5 mr-2 text-gray-600" />
+            Session Replay
+          </h3>
+          {selectedSession && (
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={copyTranscript}
+                className="flex items-center px-3 py-1.5 text-sm rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50"
+                title="Copy full transcript"
+              >
+                <Copy className="w-4 h-4 mr-1.5" />
+                Copy Transcript
+              </button>
+              {canExport && <ExportMenu params={{ session: selectedSession.key }} />}
+            </div>
+          )}
+        </div>
+
+        {!selectedSession ? (
+          <div className="text-sm text-gray-400">
+            Select a session to replay it.
+          </div>
+        ) : (
+          <>
+            <p className="text-sm text-gray-500 mb-3">
+              {selectedSession.ip} — {selectedSession.protocol.toUpperCase()} —{' '}
+              {new Date(selectedSession.startMs).toLocaleString()}
+            </p>
+
+            <div
+              ref={terminalRef}
+              className="h-96 border border-gray-200 rounded-lg bg-black text-xs overflow-auto p-3 font-mono"
+            >
+              {visibleEvents.map((event, i) =>
+                getTranscriptLines(event, selectedSession).map((line, j) => (
+                  <div
+                    key={`${i}-${j}`}
+                    className={`whitespace-pre-wrap ${TRANSCRIPT_COLORS[line.kind]}`}
+                  >
+                    {line.text}
+                  </div>
+                ))
+              )}
+              {playing && <span className="text-green-300 animate-pulse">▌</span>}
+            </div>
+
+            {/* Playback Controls */}
+            <div className="flex items-center mt-4 space-x-3">
+              <button
+                onClick={() => {
+                  setCursor(0);
+                  setPlaying(false);
+                }}
+                className="p-2 rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50"
+                title="Restart"
+              >
+                <SkipBack className="w-4 h-4" />
+              </button>
+              <button
+                onClick={togglePlay}
+                className="p-2 rounded-lg bg-gray-800 text-white hover:bg-gray-900"
+                title={playing ? 'Pause' : 'Play'}
+              >
+                {playing ? (
+                  <Pause className="w-4 h-4" />
+                ) : (
+                  <Play className="w-4 h-4" />
+                )}
+              </button>
+              <input
+                type="range"
+                min={0}
+                max={duration}
+                step={Math.max(1, Math.floor(duration / 1000))}
+                value={Math.min(cursor, duration)}
+                onChange={(e) => setCursor(Number(e.target.value))}
+                className="flex-1"
+              />
+              <span className="text-xs font-mono text-gray-500 w-24 text-right">
+                {formatDuration(cursor)} / {formatDuration(duration)}
+              </span>
+              <select
+                value={speed}
+                onChange={(e) => setSpeed(Number(e.target.value))}
+                className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-gray-400 focus:border-transparent"
+              >
+                {REPLAY_SPEEDS.map((s) => (
+                  <option key={s} value={s}>
+                    {s}x
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="text-xs text-gray-400 mt-2">
+              {visibleEvents.length} of {selectedSession.events.length} events
+              {' · '}
+              {new Date(selectedSession.startMs + Math.min(cursor, duration)).toLocaleString()}
+            </div>
+
+            <div className="mt-6">
+              <div className="text-xs text-gray-500 mb-2">ATT&CK tactic flow</div>
+              <AttackFlow params={{ session: selectedSession.key }} />
+            </div>
+            <CasePanel
+              scope="session"
+              targetKey={selectedSession.key}
+              user={user}
+              onOpenIncident={onOpenIncident}
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ---------- ATTACKER PROFILE PAGE ----------
+
+const SPARKLINE_WIDTH = 600;
+const SPARKLINE_HEIGHT = 60;
+
+const ActivitySparkline = ({ activity }) => {
+  if (!activity || activity.length === 0) {
+    return <div className="text-sm text-gray-400">No activity.</div>;
+  }
+  const max = Math.max(...activity.map((d) => d.count), 1);
+  const barWidth = SPARKLINE_WIDTH / activity.length;
+
+  return (
+    <svg
+      viewBox={`0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`}
+      preserveAspectRatio="none"
+      className="w-full h-16"
+    >
+      {activity.map((day, i) => {
+        const height = (day.count / max) * (SPARKLINE_HEIGHT - 2);
+        return (
+          <rect
+            key={day.date}
+            x={i * barWidth + barWidth * 0.1}
+            y={SPARKLINE_HEIGHT - height}
+            width={barWidth * 0.8}
+            height={height}
+            fill="#D4A574"
+          >
+            <title>{`${day.date}: ${day.count} events`}</title>
+          </rect>
+        );
+      })}
+    </svg>
+  );
+};
+
+const ProfileSection = ({ title, icon: Icon, empty, children }) => (
+  <div className="bg-white p-6 rounded-lg border border-gray-200">
+    <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
+      <Icon className="w-5 h-5 mr-2 text-gray-600" />
+      {title}
+    </h3>
+    {empty ? <div className="text-sm text-gray-400">None seen.</div> : children}
+  </div>
+);
+
+const AttackerProfilePage = ({ ip, onOpenSession, user, canExport, onOpenIncident }) => {
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchProfile();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [ip]);
+
+  const fetchProfile = async () => {
+    if (!ip) {
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    try {
+      const res = await apiFetch(`${API_BASE}/attackers/${encodeURIComponent(ip)}`);
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      setProfile(data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching attacker profile:', err);
+      setProfile(null);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-screen">
+        <RefreshCw className="w-8 h-8 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  if (!profile) {
+    return (
+      <div className="bg-white p-6 rounded-lg border border-gray-200 text-sm text-gray-500">
+        {error || 'Pick an IP on the map or in the timeline to see its profile.'}
+      </div>
+    );
+  }
+
+  const network = describeNetwork(profile.location);
+
+  return (
+    <div className="space-y-6">
+      {/* Summary */}
+      <div className="bg-white p-6 rounded-lg border border-gray-200">
+        <div className="flex items-start justify-between">
+          <div>
+            <h2 className="text-2xl font-semibold text-gray-800 font-mono flex items-center">
+              <User className="w-6 h-6 mr-2 text-gray-600" />
+              {profile.ip}
+            </h2>
+            <p className="text-sm text-gray-500 mt-1 flex items-center gap-2">
+              <span>
+                {describeLocation(profile.location)}
+                {network && ` · ${network}`}
+              </span>
+              <ToolkitBadge toolkit={profile.toolkit} />
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            {canExport && <ExportMenu params={{ ip: profile.ip }} />}
+            <button
+              onClick={fetchProfile}
+              className="text-gray-400 hover:text-gray-600"
+              title="Reload profile"
+            >
+              <RefreshCw className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-6 text-sm">
+          <div>
+            <div className="text-gray-500">First seen</div>
+            <div className="text-gray-800">
+              {new Date(profile.firstSeen).toLocaleString()}
+            </div>
+          </div>
+          <div>
+            <div className="text-gray-500">Last seen</div>
+            <div className="text-gray-800">
+              {new Date(profile.lastSeen).toLocaleString()}
+            </div>
+          </div>
+          <div>
+            <div className="text-gray-500">Events</div>
+            <div className="text-gray-800">{profile.totalEvents}</div>
+          </div>
+          <div>
+            <div className="text-gray-500">Protocols</div>
+            <div className="flex flex-wrap gap-1 mt-0.5">
+              {Object.entries(profile.protocols).map(([protocol, count]) => (
+                <span
+                  key={protocol}
+                  className="text-xs px-2 py-0.5 rounded bg-gray-100 text-gray-600 capitalize"
+                >
+                  {protocol} · {count}
+                </span>
+              ))}
+            </div>
+          </div>
+        </div>
+        <div className="mt-6">
+          <div className="text-xs text-gray-500 mb-1">
+            Activity per day
+            {profile.activity.length > 0 &&
+              ` (${profile.activity[0].date} – ${
+                profile.activity[profile.activity.length - 1].date
+              })`}
+          </div>
+          <ActivitySparkline activity={profile.activity} />
+        </div>
+        <div className="mt-6">
+          <div className="text-xs text-gray-500 mb-2">ATT&CK tactic flow</div>
+          <AttackFlow params={{ ip: profile.ip }} />
+        </div>
+        <CasePanel scope="ip" targetKey={profile.ip} user={user} onOpenIncident={onOpenIncident} />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <ProfileSection
+          title="Credentials Tried"
+          icon={Shield}
+          empty={profile.credentials.length === 0}
+        >
+          <div className="max-h-72 overflow-y-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500">
+                  <th className="pb-2">Protocol</th>
+                  <th className="pb-2">Username</th>
+                  <th className="pb-2">Password</th>
+                  <th className="pb-2 text-right">Tries</th>
+                </tr>
+              </thead>
+              <tbody>
+                {profile.credentials.map((cred, i) => (
+                  <tr key={i} className="border-t border-gray-100">
+                    <td className="py-1.5 capitalize text-gray-600">{cred.protocol}</td>
+                    <td className="py-1.5 font-mono text-gray-800">{cred.username ?? '-'}</td>
+                    <td className="py-1.5 font-mono text-gray-800">{cred.password ?? '-'}</td>
+                    <td className="py-1.5 text-right text-gray-600">{cred.count}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </ProfileSection>
+
+        <ProfileSection
+          title="Commands Run"
+          icon={Terminal}
+          empty={profile.commands.length === 0}
+        >
+          <div className="bg-gray-900 text-gray-100 p-3 rounded font-mono text-xs space-y-1 max-h-72 overflow-y-auto">
+            {profile.commands.map((cmd, i) => (
+              <div key={i} className="flex justify-between">
+                <span className="whitespace-pre-wrap break-all">
+                  <span className="text-gray-500">{cmd.protocol} $ </span>
+                  {cmd.command}
+                </span>
+                {cmd.count > 1 && (
+                  <span className="text-gray-500 ml-2">×{cmd.count}</span>
+                )}
+              </div>
+            ))}
+          </div>
+        </ProfileSection>
+
+        <ProfileSection
+          title="Files Requested"
+          icon={FileText}
+          empty={profile.files.length === 0}
+        >
+          <div className="space-y-1 max-h-72 overflow-y-auto">
+            {profile.files.map((file, i) => (
+              <div key={i} className="flex justify-between text-sm">
+                <span className="font-mono text-gray-800 break-all">{file.path}</span>
+                <span className="text-gray-500 ml-2 capitalize">
+                  {file.protocol} · {file.count}
+                </span>
+              </div>
+            ))}
+          </div>
+        </ProfileSection>
+
+        <ProfileSection
+          title="Download Attempts"
+          icon={Globe}
+          empty={profile.downloads.length === 0}
+        >
+          <div className="space-y-1 max-h-72 overflow-y-auto">
+            {profile.downloads.map((download, i) => (
+              <div key={i} className="text-sm">
+                <span className="text-xs text-gray-500 mr-2">
+                  {new Date(download.timestamp).toLocaleString()}
+                </span>
+                <span className="text-gray-600 mr-2">{download.tool}</span>
+                <span className="font-mono text-gray-800 break-all">{download.url}</span>
+              </div>
+            ))}
+          </div>
+        </ProfileSection>
+
+        <ProfileSection
+          title="Modbus / DNP3 Writes"
+          icon={Activity}
+          empty={profile.icsWrites.length === 0}
+        >
+          <div className="space-y-1 max-h-72 overflow-y-auto">
+            {profile.icsWrites.map((write, i) => (
+              <div key={i} className="text-sm">
+                <span className="text-xs text-gray-500 mr-2">
+                  {new Date(write.timestamp).toLocaleString()}
+                </span>
+                <span className="text-xs px-2 py-0.5 rounded bg-gray-100 text-gray-600 mr-2">
+                  {write.protocol} {write.type}
+                </span>
+                <span className="mr-2">
+                  <SeverityBadge severity={write.severity} />
+                </span>
+                <span className="font-mono text-xs text-gray-700 break-all">
+                  {JSON.stringify(write.data)}
+                </span>
+              </div>
+            ))}
+          </div>
+        </ProfileSection>
+
+        <ProfileSection
+          title="Sessions"
+          icon={History}
+          empty={profile.sessions.length === 0}
+        >
+          <div className="space-y-2 max-h-72 overflow-y-auto">
+            {profile.sessions.map((session) => (
+              <div
+                key={`${session.start}|${session.end}`}
+                onClick={() =>
+                  onOpenSession &&
+                  onOpenSession(getSessionKey({ ...session, ip: profile.ip }))
+                }
+                className="flex items-center justify-between p-2 rounded cursor-pointer border border-gray-100 hover:bg-gray-50 text-sm"
+              >
+                <span className="text-gray-700">
+                  {new Date(session.start).toLocaleString()}
+                </span>
+                <span className="text-xs text-gray-500">
+                  <span className="capitalize">{session.protocol}</span> ·{' '}
+                  {session.events} events
+                </span>
+              </div>
+            ))}
+          </div>
+        </ProfileSection>
+      </div>
+    </div>
+  );
+};
+
+// ---------- ICS VIEW ----------
+
+const SEVERITY_LEVELS = ['info', 'low', 'medium', 'high', 'critical'];
+
+const SEVERITY_STYLES = {
+  info: { badge: 'bg-gray-100 text-gray-600', bar: '#C4B5A0' },
+  low: { badge: 'bg-yellow-50 text-yellow-700', bar: '#D4A574' },
+  medium: { badge: 'bg-orange-100 text-orange-700', bar: '#D9822B' },
+  high: { badge: 'bg-red-100 text-red-700', bar: '#C2452D' },
+  critical: { badge: 'bg-red-600 text-white', bar: '#8B1E1E' }
+};
+
+const SeverityBadge = ({ severity }) => (
+  <span
+    className={`text-xs px-2 py-0.5 rounded uppercase ${
+      (SEVERITY_STYLES[severity] || SEVERITY_STYLES.info).badge
+    }`}
+  >
+    {severity}
+  </span>
+);
+
+const IcsPage = ({ onOpenAttacker }) => {
+  const [analysis, setAnalysis] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [rangeMs, setRangeMs] = useState(null);
+
+  useEffect(() => {
+    fetchAnalysis();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [rangeMs]);
+
+  const fetchAnalysis = async () => {
+    const params = new URLSearchParams({ protocol: 'modbus,dnp3' });
+    if (rangeMs) {
+      params.set('since', new Date(Date.now() - rangeMs).toISOString());
+    }
+    try {
+      const res = await apiFetch(`${API_BASE}/ics?${params}`);
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      setAnalysis(data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching ICS analysis:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-screen">
+        <RefreshCw className="w-8 h-8 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  const renderHistogram = () => {
+    const functions = analysis.functions;
+    if (functions.length === 0) {
+      return <div className="text-sm text-gray-400">No Modbus or DNP3 traffic yet.</div>;
+    }
+    const max = Math.max(...functions.map((f) => f.count), 1);
+    return (
+      <div className="space-y-1.5">
+        {functions.map((fn) => (
+          <div key={`${fn.protocol}-${fn.code}-${fn.label}`} className="flex items-center text-sm">
+            <span className="w-16 text-xs text-gray-500 uppercase">{fn.protocol}</span>
+            <span className="w-12 text-xs font-mono text-gray-500">
+              {typeof fn.code === 'number' ? `0x${fn.code.toString(16).padStart(2, '0')}` : '-'}
+            </span>
+            <span className="w-56 text-gray-700 truncate">{fn.label}</span>
+            <div className="flex-1 h-4 bg-gray-50 rounded mr-2">
+              <div
+                className="h-4 rounded"
+                style={{
+                  width: `${(fn.count / max) * 100}%`,
+                  backgroundColor: SEVERITY_STYLES[fn.severity].bar
+                }}
+              />
+            </div>
+            <span className="w-12 text-right text-gray-600">{fn.count}</span>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const renderHeatmap = () => {
+    const rows = {};
+    analysis.heatmap.forEach((cell) => {
+      const key = `${cell.protocol} ${cell.table}`;
+      (rows[key] = rows[key] || []).push(cell);
+    });
+    if (Object.keys(rows).length === 0) {
+      return <div className="text-sm text-gray-400">No addressed reads or writes yet.</div>;
+    }
+    const maxReads = Math.max(...analysis.heatmap.map((c) => c.reads), 1);
+    const maxWrites = Math.max(...analysis.heatmap.map((c) => c.writes), 1);
+
+    return (
+      <div className="space-y-3">
+        {Object.entries(rows).map(([key, cells]) => (
+          <div key={key}>
+            <div className="text-xs text-gray-500 mb-1">{formatFilterLabel(key)}</div>
+            <div className="flex flex-wrap gap-1">
+              {cells.map((cell) => {
+                const end = cell.start + analysis.bucketSize - 1;
+                const style =
+                  cell.writes > 0
+                    ? {
+                        backgroundColor: SEVERITY_STYLES.high.bar,
+                        opacity: 0.35 + 0.65 * (cell.writes / maxWrites)
+                      }
+                    : {
+                        backgroundColor: SEVERITY_STYLES.info.bar,
+                        opacity: 0.35 + 0.65 * (cell.reads / maxReads)
+                      };
+                return (
+                  <div
+                    key={cell.start}
+                    className="w-12 h-8 rounded text-[10px] text-white font-mono flex items-center justify-center"
+                    style={style}
+                    title={`${cell.start}–${end}: ${cell.reads} reads, ${cell.writes} writes`}
+                  >
+                    {cell.start}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+        <div className="flex items-center space-x-4 text-xs text-gray-500 pt-1">
+          <span className="flex items-center">
+            <span
+              className="w-3 h-3 rounded mr-1"
+              style={{ backgroundColor: SEVERITY_STYLES.info.bar }}
+            />
+            Reads only
+          </span>
+          <span className="flex items-center">
+            <span
+              className="w-3 h-3 rounded mr-1"
+              style={{ backgroundColor: SEVERITY_STYLES.high.bar }}
+            />
+            Written
+          </span>
+          <span>Blocks of {analysis.bucketSize} addresses</span>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-end space-x-2">
+        {[{ label: 'All time', ms: null }, ...TIME_RANGE_PRESETS].map((preset) => (
+          <button
+            key={preset.label}
+            onClick={() => setRangeMs(preset.ms)}
+            className={`px-3 py-1.5 text-sm rounded-lg border border-gray-200 ${
+              rangeMs === preset.ms
+                ? 'bg-gray-100 text-gray-900'
+                : 'bg-white text-gray-600 hover:bg-gray-50'
+            }`}
+          >
+            {preset.label}
+          </button>
+        ))}
+        <button
+          onClick={fetchAnalysis}
+          className="px-3 py-1.5 rounded-lg border border-gray-200 bg-white text-gray-400 hover:text-gray-600"
+          title="Reload"
+        >
+          <RefreshCw className="w-4 h-4" />
+        </button>
+      </div>
+
+      {error && <div className="text-sm text-red-500">{error}</div>}
+
+      {analysis && (
+        <>
+          {/* Severity Summary */}
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            {SEVERITY_LEVELS.map((severity) => (
+              <div key={severity} className="bg-white p-4 rounded-lg border border-gray-200">
+                <SeverityBadge severity={severity} />
+                <p className="text-2xl font-semibold text-gray-800 mt-2">
+                  {analysis.severityCounts[severity] || 0}
+                </p>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+            {/* Function Codes */}
+            <div className="bg-white p-6 rounded-lg border border-gray-200">
+              <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
+                <Cpu className="w-5 h-5 mr-2 text-gray-600" />
+                Function Codes
+              </h3>
+              {renderHistogram()}
+            </div>
+
+            {/* Address Heatmap */}
+            <div className="bg-white p-6 rounded-lg border border-gray-200">
+              <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
+                <MapPin className="w-5 h-5 mr-2 text-gray-600" />
+                Register / Coil Addresses
+              </h3>
+              {renderHeatmap()}
+            </div>
+          </div>
+
+          {/* State-changing Operations */}
+          <div className="bg-white p-6 rounded-lg border border-gray-200">
+            <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
+              <Clock className="w-5 h-5 mr-2 text-gray-600" />
+              State-changing Operations
+            </h3>
+            {analysis.operations.length === 0 && (
+              <div className="text-sm text-gray-400">
+                No writes, operates or restarts seen.
+              </div>
+            )}
+            <div className="space-y-2 max-h-[32rem] overflow-y-auto">
+              {analysis.operations.map((op, i) => (
+                <div
+                  key={`${op.timestamp}-${i}`}
+                  className="flex items-start justify-between p-3 rounded border border-gray-100"
+                >
+                  <div className="flex items-center space-x-4">
+                    <div className="text-xs text-gray-500 w-40">
+                      {new Date(op.timestamp).toLocaleString()}
+                    </div>
+                    <SeverityBadge severity={op.severity} />
+                    <span className="text-xs px-2 py-1 rounded bg-gray-100 text-gray-600 uppercase">
+                      {op.protocol}
+                    </span>
+                    <span className="text-sm text-gray-800">{op.label}</span>
+                    <button
+                      onClick={() => onOpenAttacker && onOpenAttacker(op.ip)}
+                      className="text-sm font-mono text-gray-700 hover:underline"
+                      title="Open attacker profile"
+                    >
+                      {op.ip}
+                    </button>
+                  </div>
+                  <span className="font-mono text-xs text-gray-500 ml-4 break-all max-w-md">
+                    {JSON.stringify(op.data)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// ---------- ATT&CK PAGE ----------
+
+const ATTACK_MATRICES = [
+  { id: 'enterprise', label: 'Enterprise', domain: 'enterprise-attack' },
+  { id: 'ics', label: 'ICS', domain: 'ics-attack' }
+];
+const ATTACK_RANGE_PRESETS = [
+  { label: 'All time', ms: null },
+  ...TIME_RANGE_PRESETS,
+  { label: '90d', ms: 90 * 24 * 60 * 60 * 1000 }
+];
+const EMPTY_ATTACK_RULE = {
+  technique: '',
+  name: '',
+  matrix: 'enterprise',
+  tactic: 'execution',
+  types: '',
+  protocols: '',
+  command: ''
+};
+
+// 'command-and-control' -> 'Command and Control'
+const formatTactic = (tactic) =>
+  tactic
+    .split('-')
+    .map((word, i) => (i > 0 && ['and', 'of'].includes(word) ? word : word[0].toUpperCase() + word.slice(1)))
+    .join(' ');
+
+// Tactics a session or attacker went through, in the order first seen;
+// `params` is {session} or {ip}
+const AttackFlow = ({ params }) => {
+  const [flow, setFlow] = useState(null);
+  const [error, setError] = useState(null);
+  const query = new URLSearchParams(params).toString();
+
+  useEffect(() => {
+    const fetchFlow = async () => {
+      try {
+        const res = await apiFetch(`${API_BASE}/attack/flow?${query}`);
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data.error || `HTTP ${res.status}`);
+        }
+        setFlow(data);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching ATT&CK flow:', err);
+        setError(err.message);
+      }
+    };
+    fetchFlow();
+  }, [query]);
+
+  if (error) return <div className="text-sm text-red-500">{error}</div>;
+  if (!flow) return null;
+  if (flow.length === 0) {
+    return <div className="text-sm text-gray-400">No events mapped to ATT&CK techniques.</div>;
+  }
+
+  return (
+    <div className="flex flex-wrap items-stretch gap-y-3">
+      {flow.map((phase, i) => (
+        <div key={`${phase.matrix}-${phase.tactic}`} className="flex items-center">
+          {i > 0 && <ArrowRight className="w-4 h-4 mx-1 text-gray-400 flex-shrink-0" />}
+          <div
+            className={`h-full p-2 rounded border text-xs w-44 ${
+              phase.matrix === 'ics' ? 'border-yellow-300 bg-yellow-50' : 'border-gray-200 bg-gray-50'
+            }`}
+          >
+            <div className="font-semibold text-gray-800">
+              {formatTactic(phase.tactic)}
+              {phase.matrix === 'ics' && <span className="ml-1 text-yellow-700">(ICS)</span>}
+            </div>
+            <div className="text-gray-400 mb-1">
+              {phase.firstSeen ? new Date(phase.firstSeen).toLocaleTimeString() : '-'}
+            </div>
+            {phase.techniques.map((technique) => (
+              <div key={technique.technique} className="text-gray-700" title={technique.name}>
+                <span className="font-mono">{technique.technique}</span> {technique.name}
+                {technique.count > 1 && <span className="text-gray-400"> ×{technique.count}</span>}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const AttackRuleForm = ({ initial, tactics, onSave, onCancel }) => {
+  const [rule, setRule] = useState(initial);
+  const update = (key, value) => setRule({ ...rule, [key]: value });
+
+  return (
+    <div className="p-4 mb-4 rounded-lg border border-gray-200 bg-gray-50 grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+      <input
+        value={rule.technique}
+        onChange={(e) => update('technique', e.target.value)}
+        placeholder="Technique id (T1059.004)"
+        className="px-2 py-1 border border-gray-300 rounded font-mono"
+      />
+      <input
+        value={rule.name}
+        onChange={(e) => update('name', e.target.value)}
+        placeholder="Technique name"
+        className="px-2 py-1 border border-gray-300 rounded md:col-span-2"
+      />
+      <select
+        value={rule.matrix}
+        onChange={(e) =>
+          setRule({ ...rule, matrix: e.target.value, tactic: tactics[e.target.value][0] })
+        }
+        className="px-2 py-1 border border-gray-300 rounded"
+      >
+        {ATTACK_MATRICES.map((matrix) => (
+          <option key={matrix.id} value={matrix.id}>{matrix.label}</option>
+        ))}
+      </select>
+      <select
+        value={rule.tactic}
+        onChange={(e) => update('tactic', e.target.value)}
+        className="px-2 py-1 border border-gray-300 rounded md:col-span-2"
+      >
+        {tactics[rule.matrix].map((tactic) => (
+          <option key={tactic} value={tactic}>{formatTactic(tactic)}</option>
+        ))}
+      </select>
+      <input
+        value={rule.types}
+        onChange={(e) => update('types', e.target.value)}
+        placeholder="Event types, comma-separated (* wildcards)"
+        className="px-2 py-1 border border-gray-300 rounded font-mono"
+      />
+      <input
+        value={rule.protocols}
+        onChange={(e) => update('protocols', e.target.value)}
+        placeholder="Protocols (any if empty)"
+        className="px-2 py-1 border border-gray-300 rounded font-mono"
+      />
+      <input
+        value={rule.command}
+        onChange={(e) => update('command', e.target.value)}
+        placeholder="Command regex (optional)"
+        className="px-2 py-1 border border-gray-300 rounded font-mono"
+      />
+      <div className="md:col-span-3 flex justify-end space-x-2">
+        <button onClick={onCancel} className="px-3 py-1 rounded border border-gray-200 text-gray-600 hover:bg-white">
+          Cancel
+        </button>
+        <button
+          onClick={() => onSave(rule)}
+          className="px-3 py-1 rounded bg-gray-700 text-white hover:bg-gray-800"
+        >
+          Save rule
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const splitList = (value) =>
+  value
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Admins edit the tenant's mapping; every change saves the whole list
+const AttackRulesPanel = ({ onChanged }) => {
+  const [rules, setRules] = useState([]);
+  const [builtin, setBuiltin] = useState(true);
+  const [tactics, setTactics] = useState(null);
+  const [editing, setEditing] = useState(null); // {index, rule}; index null for a new rule
+  const [error, setError] = useState(null);
+
+  const applyResponse = async (res) => {
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || `HTTP ${res.status}`);
+    }
+    setRules(data.rules);
+    setBuiltin(data.builtin);
+    setTactics(data.tactics);
+    setError(null);
+  };
+
+  useEffect(() => {
+    const fetchRules = async () => {
+      try {
+        await applyResponse(await apiFetch(`${API_BASE}/attack/rules`));
+      } catch (err) {
+        console.error('Error fetching ATT&CK rules:', err);
+        setError(err.message);
+      }
+    };
+    fetchRules();
+  }, []);
+
+  const saveRules = async (next) => {
+    try {
+      await applyResponse(
+        await apiFetch(`${API_BASE}/attack/rules`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ rules: next })
+        })
+      );
+      setEditing(null);
+      onChanged();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const resetRules = async () => {
+    try {
+      await applyResponse(await apiFetch(`${API_BASE}/attack/rules`, { method: 'DELETE' }));
+      setEditing(null);
+      onChanged();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const saveRule = (form) => {
+    const rule = {
+      ...(editing.index === null ? {} : rules[editing.index]),
+      technique: form.technique,
+      name: form.name,
+      matrix: form.matrix,
+      tactic: form.tactic,
+      types: splitList(form.types),
+      protocols: splitList(form.protocols),
+      command: form.command
+    };
+    const next = [...rules];
+    if (editing.index === null) {
+      next.push(rule);
+    } else {
+      next[editing.index] = rule;
+    }
+    saveRules(next);
+  };
+
+  const toForm = (rule) => ({
+    ...EMPTY_ATTACK_RULE,
+    ...rule,
+    types: (rule.types || []).join(', '),
+    protocols: (rule.protocols || []).join(', '),
+    command: rule.command || ''
+  });
+
+  return (
+    <div className="bg-white p-6 rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-800 flex items-center">
+          <Settings className="w-5 h-5 mr-2 text-gray-600" />
+          Mapping Rules
+          <span className="ml-2 text-sm font-normal text-gray-500">
+            {builtin ? 'built-in' : 'customised'} · {rules.length} rules
+          </span>
+        </h3>
+        <div className="flex items-center space-x-2">
+          {!builtin && (
+            <button
+              onClick={resetRules}
+              className="px-3 py-1.5 text-sm rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50"
+            >
+              Restore built-in rules
+            </button>
+          )}
+          <button
+            onClick={() => setEditing({ index: null, rule: EMPTY_ATTACK_RULE })}
+            disabled={!tactics}
+            className="flex items-center px-3 py-1.5 text-sm rounded-lg bg-gray-700 text-white hover:bg-gray-800 disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4 mr-1.5" />
+            Add rule
+          </button>
+        </div>
+      </div>
+      {error && <p className="text-sm text-red-500 mb-2">{error}</p>}
+      {editing && tactics && (
+        <AttackRuleForm
+          key={editing.index === null ? 'new' : editing.index}
+          initial={editing.rule}
+          tactics={tactics}
+          onSave={saveRule}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+      <div className="max-h-96 overflow-y-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+              <th className="py-2 pr-2">Technique</th>
+              <th className="py-2 pr-2">Tactic</th>
+              <th className="py-2 pr-2">Matches</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {rules.map((rule, i) => (
+              <tr key={rule.id || i} className="border-b border-gray-100 align-top">
+                <td className="py-2 pr-2">
+                  <span className="font-mono text-gray-700">{rule.technique}</span>{' '}
+                  <span className="text-gray-600">{rule.name}</span>
+                </td>
+                <td className="py-2 pr-2 text-gray-600">
+                  {formatTactic(rule.tactic)}
+                  {rule.matrix === 'ics' && <span className="ml-1 text-xs text-yellow-700">ICS</span>}
+                </td>
+                <td className="py-2 pr-2 text-xs font-mono text-gray-500">
+                  {rule.types && <div>type: {rule.types.join(', ')}</div>}
+                  {rule.protocols && <div>protocol: {rule.protocols.join(', ')}</div>}
+                  {rule.command && <div>command: /{rule.command}/</div>}
+                </td>
+                <td className="py-2 text-right whitespace-nowrap">
+                  <button
+                    onClick={() => setEditing({ index: i, rule: toForm(rule) })}
+                    className="px-2 text-xs text-gray-500 hover:text-gray-800 underline"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => saveRules(rules.filter((_, j) => j !== i))}
+                    title="Delete rule"
+                    className="p-1 text-gray-400 hover:text-red-500"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// ATT&CK Navigator layer (4.5) with each technique scored by its event count
+const buildNavigatorLayer = (matrix, techniques, rangeLabel) => ({
+  name: `Honeypot activity (${rangeLabel})`,
+  versions: { layer: '4.5', navigator: '5.1.0' },
+  domain: matrix.domain,
+  description: `Techniques observed by the honeypots, ${rangeLabel.toLowerCase()}`,
+  techniques: techniques
+    .filter((technique) => technique.count > 0)
+    .map((technique) => ({
+      techniqueID: technique.technique,
+      tactic: technique.tactic,
+      score: technique.count,
+      comment: `${technique.count} events from ${technique.ips} IPs`
+    })),
+  gradient: { colors: ['#F3E8D8', '#8B6F47'], minValue: 0, maxValue: Math.max(...techniques.map((t) => t.count), 1) }
+});
+
+const AttackPage = ({ user }) => {
+  const [matrix, setMatrix] = useState(null);
+  const [matrixId, setMatrixId] = useState('enterprise');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [rangeMs, setRangeMs] = useState(null);
+
+  useEffect(() => {
+    fetchMatrix();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [rangeMs]);
+
+  const fetchMatrix = async () => {
+    const params = new URLSearchParams();
+    if (rangeMs) {
+      params.set('since', new Date(Date.now() - rangeMs).toISOString());
+    }
+    try {
+      const res = await apiFetch(`${API_BASE}/attack?${params}`);
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      setMatrix(data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching ATT&CK matrix:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-screen">
+        <RefreshCw className="w-8 h-8 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  const selected = ATTACK_MATRICES.find((m) => m.id === matrixId);
+  const rangeLabel = ATTACK_RANGE_PRESETS.find((p) => p.ms === rangeMs).label;
+  const techniques = matrix ? matrix.techniques.filter((t) => t.matrix === matrixId) : [];
+  const maxCount = Math.max(...techniques.map((t) => t.count), 1);
+  const observed = techniques.filter((t) => t.count > 0).length;
+
+  const downloadLayer = () => {
+    const layer = buildNavigatorLayer(selected, techniques, rangeLabel);
+    const blob = new Blob([JSON.stringify(layer, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `honeypot-${selected.domain}-layer.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          {ATTACK_MATRICES.map((m) => (
+            <button
+              key={m.id}
+              onClick={() => setMatrixId(m.id)}
+              className={`px-3 py-1.5 text-sm rounded-lg border border-gray-200 ${
+                matrixId === m.id ? 'bg-gray-100 text-gray-900' : 'bg-white text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              ATT&CK {m.label}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center space-x-2">
+          {ATTACK_RANGE_PRESETS.map((preset) => (
+            <button
+              key={preset.label}
+              onClick={() => setRangeMs(preset.ms)}
+              className={`px-3 py-1.5 text-sm rounded-lg border border-gray-200 ${
+                rangeMs === preset.ms
+                  ? 'bg-gray-100 text-gray-900'
+                  : 'bg-white text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              {preset.label}
+            </button>
+          ))}
+          <button
+            onClick={fetchMatrix}
+            className="px-3 py-1.5 rounded-lg border border-gray-200 bg-white text-gray-400 hover:text-gray-600"
+            title="Reload"
+          >
+            <RefreshCw className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="text-sm text-red-500">{error}</div>}
+
+      {matrix && (
+        <div className="bg-white p-6 rounded-lg border border-gray-200">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-800 flex items-center">
+              <Crosshair className="w-5 h-5 mr-2 text-gray-600" />
+              Technique Coverage
+              <span className="ml-2 text-sm font-normal text-gray-500">
+                {observed} of {techniques.length} mapped techniques seen · {matrix.mappedEvents} of{' '}
+                {matrix.events} events mapped
+              </span>
+            </h3>
+            <button
+              onClick={downloadLayer}
+              disabled={observed === 0}
+              className="flex items-center px-3 py-1.5 text-sm rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+              title="Download an ATT&CK Navigator layer"
+            >
+              <Download className="w-4 h-4 mr-1.5" />
+              Navigator layer
+            </button>
+          </div>
+          <div className="overflow-x-auto">
+            <div className="flex space-x-2 min-w-max">
+              {matrix.tactics[matrixId].map((tactic) => {
+                const cells = techniques.filter((t) => t.tactic === tactic);
+                return (
+                  <div key={tactic} className="w-36">
+                    <div className="text-xs font-semibold text-gray-700 pb-1 mb-1 border-b border-gray-200 h-10">
+                      {formatTactic(tactic)}
+                    </div>
+                    {cells.length === 0 && <div className="text-xs text-gray-300">-</div>}
+                    {cells.map((technique) => (
+                      <div
+                        key={technique.technique}
+                        className="p-1.5 mb-1 rounded text-xs"
+                        style={{
+                          backgroundColor: technique.count
+                            ? `rgba(139, 111, 71, ${0.15 + (0.6 * technique.count) / maxCount})`
+                            : '#F9FAFB'
+                        }}
+                        title={
+                          technique.count
+                            ? `${technique.count} events from ${technique.ips} IPs, last ${new Date(
+                                technique.lastSeen
+                              ).toLocaleString()}`
+                            : 'Not seen in this range'
+                        }
+                      >
+                        <div className={technique.count ? 'text-gray-900' : 'text-gray-400'}>
+                          <span className="font-mono">{technique.technique}</span>
+                          {technique.count > 0 && <span className="float-right font-medium">{technique.count}</span>}
+                        </div>
+                        <div className={technique.count ? 'text-gray-700' : 'text-gray-400'}>{technique.name}</div>
+                      </div>
+                    ))}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {isOperator(user) && <AttackRulesPanel onChanged={fetchMatrix} />}
+    </div>
+  );
+};
+
+// ---------- SENSORS PAGE ----------
+//
+// Remote sensors are client.py forwarders in managed mode. They check in
+// with config_server.py about once a minute and forward the port map set
+// here; events arriving from a sensor's address carry a `sensor` field.
+
+const SENSOR_POLL_MS = 15000;
+// client.py forwards TCP only, so CoAP (UDP) can't go through a sensor
+const FORWARDABLE_PROTOCOLS = PROTOCOLS.filter((p) => p !== 'coap');
+
+const SensorEditor = ({ sensor, onSaved, onCancel }) => {
+  const [name, setName] = useState(sensor.name);
+  // Start from the saved map, or from what the sensor forwards by default
+  const [ports, setPorts] = useState(() => {
+    const current = sensor.portMap || Object.fromEntries(
+      Object.entries(sensor.forwarding).map(([protocol, f]) => [protocol, f.listen])
+    );
+    return Object.fromEntries(
+      FORWARDABLE_PROTOCOLS.map((p) => [p, current[p] != null ? String(current[p]) : ''])
+    );
+  });
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const save = async (portMap) => {
+    setSaving(true);
+    try {
+      const res = await apiFetch(`${API_BASE}/sensors/${sensor.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: name.trim(), portMap })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      onSaved();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveCustom = () => {
+    const portMap = {};
+    const seen = {};
+    for (const protocol of FORWARDABLE_PROTOCOLS) {
+      const value = ports[protocol].trim();
+      if (!value) continue;
+      const port = Number(value);
+      if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        setError(`${protocol.toUpperCase()}: port must be an integer from 1 to 65535`);
+        return;
+      }
+      if (seen[port]) {
+        setError(`${protocol.toUpperCase()}: port ${port} is already used by ${seen[port].toUpperCase()}`);
+        return;
+      }
+      seen[port] = protocol;
+      portMap[protocol] = port;
+    }
+    save(portMap);
+  };
+
+  return (
+    <div className="mt-3 p-3 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+      <label className="block text-sm">
+        <span className="text-gray-600">Name</span>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={sensor.hostname || sensor.id}
+          className="mt-1 w-full px-2 py-1 border border-gray-300 rounded text-sm"
+        />
+      </label>
+      <div>
+        <div className="text-sm text-gray-600 mb-1">
+          Listen ports (leave empty to not forward a protocol)
+        </div>
+        <div className="grid grid-cols-3 gap-2">
+          {FORWARDABLE_PROTOCOLS.map((protocol) => (
+            <label key={protocol} className="flex items-center text-sm">
+              <span className="w-16 text-gray-500 uppercase">{protocol}</span>
+              <input
+                value={ports[protocol]}
+                onChange={(e) => setPorts({ ...ports, [protocol]: e.target.value })}
+                inputMode="numeric"
+                className="w-24 px-2 py-1 border border-gray-300 rounded font-mono"
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+      {error && <div className="text-sm text-red-500">{error}</div>}
+      <div className="flex items-center space-x-2">
+        <button
+          onClick={saveCustom}
+          disabled={saving}
+          className="flex items-center px-3 py-1.5 text-sm bg-gray-800 text-white rounded-lg hover:bg-gray-700 disabled:opacity-50"
+        >
+          <Save className="w-4 h-4 mr-1" />
+          Save
+        </button>
+        <button
+          onClick={() => save(null)}
+          disabled={saving}
+          className="px-3 py-1.5 text-sm border border-gray-200 rounded-lg text-gray-600 hover:bg-white disabled:opacity-50"
+          title="Forward the workspace's default port map"
+        >
+          Use default ports
+        </button>
+        <button
+          onClick={onCancel}
+          className="px-3 py-1.5 text-sm text-gray-500 hover:text-gray-800"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const SensorsPage = ({ user, tenant, onOpenEvents }) => {
+  const [sensors, setSensors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const isAdmin = hasRole(user, 'admin');
+
+  const fetchSensors = async () => {
+    try {
+      const res = await apiFetch(`${API_BASE}/sensors`);
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      setSensors(data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching sensors:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSensors();
+    const interval = setInterval(fetchSensors, SENSOR_POLL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const forgetSensor = async (sensorId) => {
+    try {
+      const res = await apiFetch(`${API_BASE}/sensors/${sensorId}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      fetchSensors();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-screen">
+        <RefreshCw className="w-8 h-8 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  // The default workspace's sensors use config_server.py's shared secret
+  const secret = (tenant && tenant.secret) || '<shared secret>';
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-800">Sensors</h2>
+        <button
+          onClick={fetchSensors}
+          className="px-3 py-1.5 rounded-lg border border-gray-200 bg-white text-gray-400 hover:text-gray-600"
+          title="Reload"
+        >
+          <RefreshCw className="w-4 h-4" />
+        </button>
+      </div>
+
+      {error && <div className="text-sm text-red-500">{error}</div>}
+
+      {sensors.length === 0 && (
+        <div className="bg-white p-6 rounded-lg border border-gray-200 text-gray-500">
+          No sensors have checked in yet.
+        </div>
+      )}
+
+      {sensors.map((sensor) => (
+        <div key={sensor.id} className="bg-white p-4 rounded-lg border border-gray-200">
+          <div className="flex items-start justify-between">
+            <div>
+              <div className="flex items-center">
+                <span
+                  className={`w-2.5 h-2.5 rounded-full mr-2 ${
+                    sensor.online ? 'bg-green-500' : 'bg-gray-300'
+                  }`}
+                  title={sensor.online ? 'Online' : 'Offline'}
+                />
+                <span className="font-medium text-gray-800">{sensor.name}</span>
+                <span className="ml-2 text-xs text-gray-400 font-mono">{sensor.id}</span>
+              </div>
+              <div className="mt-1 text-sm text-gray-500">
+                {sensor.address}
+                {sensor.hostname && sensor.hostname !== sensor.name && ` · ${sensor.hostname}`}
+                {' · last check-in '}
+                {sensor.lastCheckin ? new Date(sensor.lastCheckin).toLocaleString() : 'never'}
+              </div>
+            </div>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => onOpenEvents(`sensor:${sensor.id}`)}
+                className="px-3 py-1.5 text-sm border border-gray-200 rounded-lg text-gray-600 hover:bg-gray-50"
+                title={sensor.lastEvent ? `Last event ${new Date(sensor.lastEvent).toLocaleString()}` : undefined}
+              >
+                {sensor.events} events
+              </button>
+              {isAdmin && (
+                <>
+                  <button
+                    onClick={() => setEditing(editing === sensor.id ? null : sensor.id)}
+                    className="p-2 rounded-lg text-gray-500 hover:bg-gray-50 hover:text-gray-800"
+                    title="Edit name and ports"
+                  >
+                    <Settings className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => forgetSensor(sensor.id)}
+                    className="p-2 rounded-lg text-gray-500 hover:bg-gray-50 hover:text-red-600"
+                    title="Forget until it checks in again"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+
+          <div className="mt-3 flex flex-wrap gap-2">
+            {Object.entries(sensor.forwarding).map(([protocol, f]) => (
+              <span
+                key={protocol}
+                className="flex items-center px-2 py-1 text-xs rounded border border-gray-200 font-mono text-gray-700"
+                title={sensor.honeypots[protocol] ? 'Honeypot running' : 'Honeypot not running'}
+              >
+                <span
+                  className="w-2 h-2 rounded-full mr-1.5"
+                  style={{ backgroundColor: getProtocolColor(protocol) }}
+                />
+                {protocol.toUpperCase()} :{f.listen} → :{f.target}
+                {!sensor.honeypots[protocol] && <span className="ml-1 text-amber-600">(stopped)</span>}
+              </span>
+            ))}
+            {Object.keys(sensor.forwarding).length === 0 && (
+              <span className="text-sm text-gray-400">Not forwarding any ports.</span>
+            )}
+            {sensor.portMap === null && Object.keys(sensor.forwarding).length > 0 && (
+              <span className="text-xs text-gray-400 self-center">default ports</span>
+            )}
+          </div>
+
+          {Object.entries(sensor.errors).map(([protocol, message]) => (
+            <div key={protocol} className="mt-1 text-xs text-red-500">
+              {protocol.toUpperCase()}: {message}
+            </div>
+          ))}
+
+          {editing === sensor.id && (
+            <SensorEditor
+              sensor={sensor}
+              onSaved={() => {
+                setEditing(null);
+                fetchSensors();
+              }}
+              onCancel={() => setEditing(null)}
+            />
+          )}
+        </div>
+      ))}
+
+      {isAdmin && (
+        <div className="bg-white p-4 rounded-lg border border-gray-200 text-sm text-gray-600">
+          <div className="font-medium text-gray-800 mb-1">Deploy a sensor</div>
+          Run the forwarder on the remote host; it registers itself on its first check-in:
+          <pre className="mt-2 p-2 bg-gray-50 rounded font-mono text-xs overflow-x-auto">
+            python client.py {window.location.hostname} {secret}
+          </pre>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ---------- ALERTS PAGE ----------
+//
+// The alert inbox plus, for admins, the rules that fill it. Rules are
+// evaluated server-side against newly logged events (see ALERTS in
+// app.py), so the inbox fills whether or not anyone has the page open.
+
+const ALERT_POLL_MS = 15000;
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+const ALERT_STATUS_STYLES = {
+  open: 'bg-red-100 text-red-700',
+  acknowledged: 'bg-yellow-50 text-yellow-700',
+  resolved: 'bg-green-100 text-green-700'
+};
+
+const ALERT_CHANNEL_DEFAULTS = {
+  webhook: { type: 'webhook', url: '' },
+  syslog: { type: 'syslog', host: '', port: 514 },
+  email: { type: 'email', to: '' }
+};
+
+const EMPTY_ALERT_RULE = {
+  name: '',
+  query: '',
+  kind: 'threshold',
+  threshold: 1,
+  window: 60,
+  groupBy: '',
+  cooldown: 300,
+  severity: 'medium',
+  enabled: true,
+  channels: []
+};
+
+const describeAlertRule = (rule) => {
+  if (rule.kind === 'new_ip') {
+    return 'first match from a new IP';
+  }
+  const scope = rule.groupBy ? ` per ${rule.groupBy}` : '';
+  return `${rule.threshold} match${rule.threshold === 1 ? '' : 'es'} within ${rule.window}s${scope}`;
+};
+
+const AlertRuleForm = ({ rule, onSaved, onCancel }) => {
+  const [form, setForm] = useState(() => ({ ...EMPTY_ALERT_RULE, ...rule }));
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const update = (changes) => setForm({ ...form, ...changes });
+
+  const updateChannel = (index, changes) => {
+    update({
+      channels: form.channels.map((c, i) => (i === index ? { ...c, ...changes } : c))
+    });
+  };
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const res = await apiFetch(
+        rule.id ? `${API_BASE}/alert-rules/${rule.id}` : `${API_BASE}/alert-rules`,
+        {
+          method: rule.id ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            ...form,
+            threshold: Number(form.threshold),
+            window: Number(form.window),
+            cooldown: Number(form.cooldown),
+            channels: form.channels.map((c) =>
+              c.type === 'syslog' ? { ...c, port: Number(c.port) } : c
+            )
+          })
+        }
+      );
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      onSaved();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'mt-1 w-full px-2 py-1 border border-gray-300 rounded text-sm';
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+      <div className="grid grid-cols-2 gap-3">
+        <label className="block text-sm">
+          <span className="text-gray-600">Name</span>
+          <input
+            value={form.name}
+            onChange={(e) => update({ name: e.target.value })}
+            placeholder="Modbus register write"
+            className={inputClass}
+          />
+        </label>
+        <label className="block text-sm">
+          <span className="text-gray-600">Severity</span>
+          <select
+            value={form.severity}
+            onChange={(e) => update({ severity: e.target.value })}
+            className={inputClass}
+          >
+            {SEVERITY_LEVELS.map((level) => (
+              <option key={level} value={level}>{level}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <label className="block text-sm">
+        <span className="text-gray-600">Match events (query language; empty matches all)</span>
+        <input
+          value={form.query}
+          onChange={(e) => update({ query: e.target.value })}
+          placeholder="protocol:modbus AND type:write_multiple_registers"
+          className={`${inputClass} font-mono`}
+        />
+      </label>
+      <div className="grid grid-cols-5 gap-3">
+        <label className="block text-sm">
+          <span className="text-gray-600">Condition</span>
+          <select
+            value={form.kind}
+            onChange={(e) => update({ kind: e.target.value })}
+            className={inputClass}
+          >
+            <option value="threshold">Threshold</option>
+            <option value="new_ip">New IP</option>
+          </select>
+        </label>
+        {form.kind === 'threshold' && (
+          <>
+            <label className="block text-sm">
+              <span className="text-gray-600">Events</span>
+              <input
+                type="number"
+                min="1"
+                value={form.threshold}
+                onChange={(e) => update({ threshold: e.target.value })}
+                className={inputClass}
+              />
+            </label>
+            <label className="block text-sm">
+              <span className="text-gray-600">Within (s)</span>
+              <input
+                type="number"
+                min="1"
+                value={form.window}
+                onChange={(e) => update({ window: e.target.value })}
+                className={inputClass}
+              />
+            </label>
+            <label className="block text-sm">
+              <span className="text-gray-600">Per field</span>
+              <input
+                value={form.groupBy}
+                onChange={(e) => update({ groupBy: e.target.value })}
+                placeholder="ip"
+                className={`${inputClass} font-mono`}
+              />
+            </label>
+          </>
+        )}
+        <label className="block text-sm">
+          <span className="text-gray-600">Cooldown (s)</span>
+          <input
+            type="number"
+            min="0"
+            value={form.cooldown}
+            onChange={(e) => update({ cooldown: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+      </div>
+
+      <div>
+        <div className="text-sm text-gray-600 mb-1">Deliver to</div>
+        <div className="space-y-2">
+          {form.channels.map((channel, index) => (
+            <div key={index} className="flex items-center space-x-2 text-sm">
+              <select
+                value={channel.type}
+                onChange={(e) =>
+                  update({
+                    channels: form.channels.map((c, i) =>
+                      i === index ? { ...ALERT_CHANNEL_DEFAULTS[e.target.value] } : c
+                    )
+                  })
+                }
+                className="px-2 py-1 border border-gray-300 rounded"
+              >
+                <option value="webhook">Webhook</option>
+                <option value="syslog">Syslog</option>
+                <option value="email">Email (spool)</option>
+              </select>
+              {channel.type === 'webhook' && (
+                <input
+                  value={channel.url}
+                  onChange={(e) => updateChannel(index, { url: e.target.value })}
+                  placeholder="https://hooks.example.com/..."
+                  className="flex-1 px-2 py-1 border border-gray-300 rounded font-mono"
+                />
+              )}
+              {channel.type === 'syslog' && (
+                <>
+                  <input
+                    value={channel.host}
+                    onChange={(e) => updateChannel(index, { host: e.target.value })}
+                    placeholder="syslog host"
+                    className="flex-1 px-2 py-1 border border-gray-300 rounded font-mono"
+                  />
+                  <input
+                    type="number"
+                    value={channel.port}
+                    onChange={(e) => updateChannel(index, { port: e.target.value })}
+                    className="w-24 px-2 py-1 border border-gray-300 rounded font-mono"
+                  />
+                </>
+              )}
+              {channel.type === 'email' && (
+                <input
+                  value={channel.to}
+                  onChange={(e) => updateChannel(index, { to: e.target.value })}
+                  placeholder="soc@example.com"
+                  className="flex-1 px-2 py-1 border border-gray-300 rounded font-mono"
+                />
+              )}
+              <button
+                onClick={() => update({ channels: form.channels.filter((_, i) => i !== index) })}
+                className="p-1 text-gray-400 hover:text-red-600"
+                title="Remove channel"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+          <button
+            onClick={() => update({ channels: [...form.channels, { ...ALERT_CHANNEL_DEFAULTS.webhook }] })}
+            className="text-sm text-gray-600 hover:text-gray-900"
+          >
+            + Add channel
+          </button>
+        </div>
+      </div>
+
+      <label className="flex items-center text-sm text-gray-600">
+        <input
+          type="checkbox"
+          checked={form.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+          className="mr-2"
+        />
+        Enabled
+      </label>
+
+      {error && <div className="text-sm text-red-500">{error}</div>}
+      <div className="flex items-center space-x-2">
+        <button
+          onClick={save}
+          disabled={saving}
+          className="flex items-center px-3 py-1.5 text-sm bg-gray-800 text-white rounded-lg hover:bg-gray-700 disabled:opacity-50"
+        >
+          <Save className="w-4 h-4 mr-1" />
+          Save rule
+        </button>
+        <button
+          onClick={onCancel}
+          className="px-3 py-1.5 text-sm text-gray-500 hover:text-gray-800"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const AlertRulesPanel = () => {
+  const [rules, setRules] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+  const [testResults, setTestResults] = useState({});
+
+  const fetchRules = async () => {
+    try {
+      const res = await apiFetch(`${API_BASE}/alert-rules`);
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      setRules(data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching alert rules:', err);
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  const ruleRequest = async (url, options) => {
+    const res = await apiFetch(url, options);
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || `HTTP ${res.status}`);
+    }
+    return data;
+  };
+
+  const toggleRule = async (rule) => {
+    try {
+      await ruleRequest(`${API_BASE}/alert-rules/${rule.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...rule, enabled: !rule.enabled })
+      });
+      fetchRules();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const deleteRule = async (ruleId) => {
+    try {
+      await ruleRequest(`${API_BASE}/alert-rules/${ruleId}`, { method: 'DELETE' });
+      fetchRules();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const testRule = async (ruleId) => {
+    try {
+      const deliveries = await ruleRequest(`${API_BASE}/alert-rules/${ruleId}/test`, { method: 'POST' });
+      setTestResults({ ...testResults, [ruleId]: deliveries });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg border border-gray-200 space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold text-gray-800">Rules</h3>
+        {editing === null && (
+          <button
+            onClick={() => setEditing('new')}
+            className="px-3 py-1.5 text-sm border border-gray-200 rounded-lg text-gray-600 hover:bg-gray-50"
+          >
+            New rule
+          </button>
+        )}
+      </div>
+
+      {error && <div className="text-sm text-red-500">{error}</div>}
+
+      {editing === 'new' && (
+        <AlertRuleForm
+          rule={EMPTY_ALERT_RULE}
+          onSaved={() => {
+            setEditing(null);
+            fetchRules();
+          }}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {rules.length === 0 && editing !== 'new' && (
+        <div className="text-sm text-gray-400">No alert rules yet.</div>
+      )}
+
+      {rules.map((rule) =>
+        editing === rule.id ? (
+          <AlertRuleForm
+            key={rule.id}
+            rule={rule}
+            onSaved={() => {
+              setEditing(null);
+              fetchRules();
+            }}
+            onCancel={() => setEditing(null)}
+          />
+        ) : (
+          <div key={rule.id} className="flex items-start justify-between py-2 border-t border-gray-100">
+            <div className={rule.enabled ? '' : 'opacity-50'}>
+              <div className="flex items-center space-x-2">
+                <SeverityBadge severity={rule.severity} />
+                <span className="font-medium text-gray-800">{rule.name}</span>
+              </div>
+              <div className="mt-1 text-xs text-gray-500">
+                <span className="font-mono">{rule.query || '(all events)'}</span>
+                {' · '}
+                {describeAlertRule(rule)}
+                {' · cooldown '}
+                {rule.cooldown}s
+                {' · '}
+                {rule.channels.length > 0
+                  ? rule.channels.map((c) => c.type).join(', ')
+                  : 'inbox only'}
+              </div>
+              {(testResults[rule.id] || []).map((d, i) => (
+                <div key={i} className={`mt-1 text-xs ${d.ok ? 'text-green-600' : 'text-red-500'}`}>
+                  Test {d.type}: {d.ok ? 'delivered' : d.error}
+                </div>
+              ))}
+            </div>
+            <div className="flex items-center space-x-1">
+              <button
+                onClick={() => toggleRule(rule)}
+                className="px-2 py-1 text-xs border border-gray-200 rounded text-gray-600 hover:bg-gray-50"
+              >
+                {rule.enabled ? 'Disable' : 'Enable'}
+              </button>
+              {rule.channels.length > 0 && (
+                <button
+                  onClick={() => testRule(rule.id)}
+                  className="p-2 rounded-lg text-gray-500 hover:bg-gray-50 hover:text-gray-800"
+                  title="Send a test alert"
+                >
+                  <Send className="w-4 h-4" />
+                </button>
+              )}
+              <button
+                onClick={() => setEditing(rule.id)}
+                className="p-2 rounded-lg text-gray-500 hover:bg-gray-50 hover:text-gray-800"
+                title="Edit rule"
+              >
+                <Settings className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => deleteRule(rule.id)}
+                className="p-2 rounded-lg text-gray-500 hover:bg-gray-50 hover:text-red-600"
+                title="Delete rule"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+const AlertsPage = ({ user, onOpenAttacker, onAlertsChanged }) => {
+  const [status, setStatus] = useState('open');
+  const [alerts, setAlerts] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const canAct = hasRole(user, 'analyst');
+
+  const fetchAlerts = async () => {
+    try {
+      const res = await apiFetch(`${API_BASE}/alerts?status=${status}`);
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      setAlerts(data.alerts);
+      setCounts(data.counts);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching alerts:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchAlerts();
+    const interval = setInterval(fetchAlerts, ALERT_POLL_MS);
+    return () => clearInterval(interval);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [status]);
+
+  const setAlertStatus = async (alertId, nextStatus) => {
+    try {
+      const res = await apiFetch(`${API_BASE}/alerts/${alertId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status: nextStatus })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      fetchAlerts();
+      onAlertsChanged();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-screen">
+        <RefreshCw className="w-8 h-8 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex space-x-2">
+          {ALERT_STATUSES.map((s) => (
+            <button
+              key={s}
+              onClick={() => setStatus(s)}
+              className={`px-3 py-1.5 text-sm rounded-lg border border-gray-200 capitalize ${
+                status === s ? 'bg-gray-100 text-gray-900' : 'bg-white text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              {s} ({counts[s] || 0})
+            </button>
+          ))}
+        </div>
+        <button
+          onClick={fetchAlerts}
+          className="px-3 py-1.5 rounded-lg border border-gray-200 bg-white text-gray-400 hover:text-gray-600"
+          title="Reload"
+        >
+          <RefreshCw className="w-4 h-4" />
+        </button>
+      </div>
+
+      {error && <div className="text-sm text-red-500">{error}</div>}
+
+      <div className="bg-white rounded-lg border border-gray-200 divide-y divide-gray-100">
+        {alerts.length === 0 && (
+          <div className="p-6 text-sm text-gray-400">No {status} alerts.</div>
+        )}
+        {alerts.map((alert) => {
+          const history = alert.history || [];
+          const last = history[history.length - 1];
+          return (
+            <div key={alert.id} className="p-4 flex items-start justify-between">
+              <div>
+                <div className="flex items-center space-x-2">
+                  <SeverityBadge severity={alert.severity} />
+                  <span className={`text-xs px-2 py-0.5 rounded ${ALERT_STATUS_STYLES[alert.status]}`}>
+                    {alert.status}
+                  </span>
+                  <span className="text-gray-800">{alert.message}</span>
+                </div>
+                <div className="mt-1 text-xs text-gray-500">
+                  {new Date(alert.created).toLocaleString()}
+                  {alert.event && alert.event.ip && (
+                    <>
+                      {' · '}
+                      <button
+                        onClick={() => onOpenAttacker(alert.event.ip)}
+                        className="font-mono text-gray-700 hover:underline"
+                      >
+                        {alert.event.ip}
+                      </button>
+                    </>
+                  )}
+                  {alert.event && alert.event.protocol && ` · ${alert.event.protocol.toUpperCase()} ${alert.event.type || ''}`}
+                  {last && ` · ${last.status} by ${last.user} ${new Date(last.timestamp).toLocaleString()}`}
+                </div>
+                {alert.deliveries.length > 0 && (
+                  <div className="mt-1 flex flex-wrap gap-2 text-xs">
+                    {alert.deliveries.map((d, i) => (
+                      <span
+                        key={i}
+                        className={d.ok ? 'text-green-600' : 'text-red-500'}
+                        title={d.error || 'Delivered'}
+                      >
+                        {d.type} {d.ok ? '✓' : '✗'}
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+              {canAct && (
+                <div className="flex items-center space-x-2">
+                  {alert.status === 'open' && (
+                    <button
+                      onClick={() => setAlertStatus(alert.id, 'acknowledged')}
+                      className="px-3 py-1.5 text-sm border border-gray-200 rounded-lg text-gray-600 hover:bg-gray-50"
+                    >
+                      Acknowledge
+                    </button>
+                  )}
+                  {alert.status !== 'resolved' ? (
+                    <button
+                      onClick={() => setAlertStatus(alert.id, 'resolved')}
+                      className="px-3 py-1.5 text-sm border border-gray-200 rounded-lg text-gray-600 hover:bg-gray-50"
+                    >
+                      Resolve
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => setAlertStatus(alert.id, 'open')}
+                      className="px-3 py-1.5 text-sm border border-gray-200 rounded-lg text-gray-600 hover:bg-gray-50"
+                    >
+                      Reopen
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {hasRole(user, 'admin') && <AlertRulesPanel />}
+    </div>
+  );
+};
+
+// ---------- INDICATORS PAGE ----------
+//
+// IOCs the backend pulls out of event payloads (see INDICATORS in
+// app.py), including ones that were only visible after decoding.
+
+const IOC_TYPE_LABELS = {
+  url: 'URL',
+  domain: 'Domain',
+  ipv4: 'IPv4',
+  md5: 'MD5',
+  sha1: 'SHA-1',
+  sha256: 'SHA-256',
+  btc: 'Bitcoin',
+  eth: 'Ethereum',
+  xmr: 'Monero'
+};
+
+const IocTypeBadge = ({ type }) => (
+  <span className="text-xs px-2 py-0.5 rounded bg-gray-100 text-gray-600 whitespace-nowrap">
+    {IOC_TYPE_LABELS[type] || type}
+  </span>
+);
+
+// The indicators of a single event, for the event detail modal
+const EventIocs = ({ event, onOpenIoc }) => {
+  const [iocs, setIocs] = useState([]);
+
+  useEffect(() => {
+    const params = new URLSearchParams({ event: getEventKey(event) });
+    if (event.timestamp) {
+      params.set('since', event.timestamp);
+      params.set('until', event.timestamp);
+    }
+    apiFetch(`${API_BASE}/iocs?${params}`)
+      .then((res) => res.json())
+      .then((data) => setIocs(Array.isArray(data.iocs) ? data.iocs : []))
+      .catch((err) => console.error('Error fetching event indicators:', err));
+  }, [event]);
+
+  if (iocs.length === 0) {
+    return null;
+  }
+  return (
+    <div className="mt-4">
+      <div className="text-sm font-medium text-gray-700 mb-2">Indicators</div>
+      <div className="flex flex-wrap gap-2">
+        {iocs.map((ioc) => (
+          <button
+            key={`${ioc.type}|${ioc.value}`}
+            onClick={() => onOpenIoc(ioc.value)}
+            className="flex items-center space-x-1.5 px-2 py-1 text-xs rounded border border-gray-200 hover:bg-gray-50"
+            title={ioc.decoded ? 'Found after decoding' : 'Show in indicator table'}
+          >
+            <IocTypeBadge type={ioc.type} />
+            <span className="font-mono text-gray-700 break-all text-left">{ioc.value}</span>
+            {ioc.decoded && <span className="text-amber-600">decoded</span>}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const IocPage = ({ initialSearch, onOpenAttacker, onOpenEvent }) => {
+  const [search, setSearch] = useState(initialSearch || '');
+  const [kind, setKind] = useState('');
+  const [rangeMs, setRangeMs] = useState(null);
+  const [result, setResult] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchIocs = async () => {
+    const params = new URLSearchParams();
+    if (search.trim()) {
+      params.set('search', search.trim());
+    }
+    if (kind) {
+      params.set('kind', kind);
+    }
+    if (rangeMs) {
+      params.set('since', new Date(Date.now() - rangeMs).toISOString());
+    }
+    try {
+      const res = await apiFetch(`${API_BASE}/iocs?${params}`);
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      setResult(data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching indicators:', err);
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    writeUrlState({ page: 'iocs', ioc: search.trim() || null });
+    const timer = setTimeout(fetchIocs, FILTER_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [search, kind, rangeMs]);
+
+  const copyValue = async (value) => {
+    try {
+      await navigator.clipboard.writeText(value);
+    } catch (err) {
+      console.error('Error copying indicator:', err);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="flex items-center flex-1 min-w-[16rem] px-3 py-1.5 bg-white border border-gray-200 rounded-lg">
+          <Search className="w-4 h-4 mr-2 text-gray-400" />
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search indicators..."
+            className="flex-1 text-sm outline-none"
+          />
+        </div>
+        {[{ label: 'All time', ms: null }, ...TIME_RANGE_PRESETS].map((preset) => (
+          <button
+            key={preset.label}
+            onClick={() => setRangeMs(preset.ms)}
+            className={`px-3 py-1.5 text-sm rounded-lg border border-gray-200 ${
+              rangeMs === preset.ms
+                ? 'bg-gray-100 text-gray-900'
+                : 'bg-white text-gray-600 hover:bg-gray-50'
+            }`}
+          >
+            {preset.label}
+          </button>
+        ))}
+        <button
+          onClick={fetchIocs}
+          className="px-3 py-1.5 rounded-lg border border-gray-200 bg-white text-gray-400 hover:text-gray-600"
+          title="Reload"
+        >
+          <RefreshCw className="w-4 h-4" />
+        </button>
+      </div>
+
+      {result && (
+        <div className="flex flex-wrap gap-2">
+          {['', ...Object.keys(IOC_TYPE_LABELS)].map((type) => (
+            <button
+              key={type || 'all'}
+              onClick={() => setKind(type)}
+              className={`px-3 py-1 text-sm rounded-lg border border-gray-200 ${
+                kind === type ? 'bg-gray-100 text-gray-900' : 'bg-white text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              {type ? IOC_TYPE_LABELS[type] : 'All'}
+              {type && ` (${result.counts[type] || 0})`}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && <div className="text-sm text-red-500">{error}</div>}
+
+      {result && (
+        <div className="bg-white rounded-lg border border-gray-200 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                <th className="px-4 py-2">Type</th>
+                <th className="px-4 py-2">Value</th>
+                <th className="px-4 py-2">First seen</th>
+                <th className="px-4 py-2">Last seen</th>
+                <th className="px-4 py-2 text-right">Events</th>
+                <th className="px-4 py-2">Sources</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.iocs.length === 0 && (
+                <tr>
+                  <td colSpan={6} className="px-4 py-6 text-gray-400">No indicators found.</td>
+                </tr>
+              )}
+              {result.iocs.map((ioc) => {
+                const rowKey = `${ioc.type}|${ioc.value}`;
+                return (
+                  <React.Fragment key={rowKey}>
+                    <tr
+                      className="border-b border-gray-100 hover:bg-gray-50 cursor-pointer align-top"
+                      onClick={() => setExpanded(expanded === rowKey ? null : rowKey)}
+                    >
+                      <td className="px-4 py-2"><IocTypeBadge type={ioc.type} /></td>
+                      <td className="px-4 py-2 font-mono text-gray-800 break-all">
+                        {ioc.value}
+                        {ioc.decoded && (
+                          <span className="ml-2 text-xs text-amber-600 font-sans">decoded</span>
+                        )}
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            copyValue(ioc.value);
+                          }}
+                          className="ml-2 text-gray-300 hover:text-gray-600 align-middle"
+                          title="Copy"
+                        >
+                          <Copy className="w-3.5 h-3.5" />
+                        </button>
+                      </td>
+                      <td className="px-4 py-2 text-gray-600 whitespace-nowrap">
+                        {new Date(ioc.firstSeen).toLocaleString()}
+                      </td>
+                      <td className="px-4 py-2 text-gray-600 whitespace-nowrap">
+                        {new Date(ioc.lastSeen).toLocaleString()}
+                      </td>
+                      <td className="px-4 py-2 text-right text-gray-700">{ioc.count}</td>
+                      <td className="px-4 py-2">
+                        {ioc.sources.slice(0, 3).map((ip) => (
+                          <button
+                            key={ip}
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              onOpenAttacker(ip);
+                            }}
+                            className="block font-mono text-xs text-gray-700 hover:underline"
+                          >
+                            {ip}
+                          </button>
+                        ))}
+                        {ioc.sources.length > 3 && (
+                          <span className="text-xs text-gray-400">+{ioc.sources.length - 3} more</span>
+                        )}
+                      </td>
+                    </tr>
+                    {expanded === rowKey && (
+                      <tr className="border-b border-gray-100 bg-gray-50">
+                        <td />
+                        <td colSpan={5} className="px-4 py-2">
+                          <div className="text-xs text-gray-500 mb-1">
+                            Related events ({ioc.protocols.map((p) => p.toUpperCase()).join(', ')})
+                            {ioc.count > ioc.events.length && `, latest ${ioc.events.length} of ${ioc.count}`}
+                          </div>
+                          {ioc.events.map((eventKey) => {
+                            const [timestamp, ip, protocol, type] = eventKey.split('|');
+                            return (
+                              <button
+                                key={eventKey}
+                                onClick={() => onOpenEvent(eventKey)}
+                                className="block text-xs text-gray-700 hover:underline"
+                              >
+                                {new Date(timestamp).toLocaleString()} · {ip} · {protocol.toUpperCase()} {type}
+                              </button>
+                            );
+                          })}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+          {result.total > result.iocs.length && (
+            <div className="px-4 py-2 text-xs text-gray-400">
+              Showing {result.iocs.length} of {result.total}; narrow the search to see the rest.
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ---------- COMMANDS PAGE ----------
+
+const COMMAND_INTENTS = ['recon', 'persistence', 'download-and-execute', 'miner', 'wiper'];
+const COMMAND_INTENT_STYLES = {
+  recon: 'bg-blue-50 text-blue-700',
+  persistence: 'bg-purple-50 text-purple-700',
+  'download-and-execute': 'bg-orange-50 text-orange-700',
+  miner: 'bg-yellow-50 text-yellow-700',
+  wiper: 'bg-red-50 text-red-700'
+};
+
+const CommandIntentBadge = ({ intent }) => (
+  <span className={`text-xs px-2 py-0.5 rounded whitespace-nowrap ${COMMAND_INTENT_STYLES[intent]}`}>
+    {intent}
+  </span>
+);
+
+const CommandsPage = ({ onOpenAttacker }) => {
+  const [result, setResult] = useState(null);
+  const [rangeMs, setRangeMs] = useState(null);
+  const [intent, setIntent] = useState('');
+  const [newOnly, setNewOnly] = useState(false);
+  const [search, setSearch] = useState('');
+  const [expanded, setExpanded] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchCommands = async () => {
+    const params = new URLSearchParams();
+    if (rangeMs) {
+      params.set('since', new Date(Date.now() - rangeMs).toISOString());
+    }
+    try {
+      const res = await apiFetch(`${API_BASE}/commands?${params}`);
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      setResult(data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching command families:', err);
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchCommands();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [rangeMs]);
+
+  const needle = search.trim().toLowerCase();
+  const families = result
+    ? result.families.filter(
+        (family) =>
+          (!intent || family.intents.includes(intent)) &&
+          (!newOnly || family.new) &&
+          (!needle ||
+            family.variants.some(
+              (v) => v.normalized.toLowerCase().includes(needle) || v.example.toLowerCase().includes(needle)
+            ))
+      )
+    : [];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="flex items-center flex-1 min-w-[16rem] px-3 py-1.5 bg-white border border-gray-200 rounded-lg">
+          <Search className="w-4 h-4 mr-2 text-gray-400" />
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search commands..."
+            className="flex-1 text-sm outline-none"
+          />
+        </div>
+        <button
+          onClick={() => setNewOnly(!newOnly)}
+          className={`px-3 py-1.5 text-sm rounded-lg border border-gray-200 ${
+            newOnly ? 'bg-gray-100 text-gray-900' : 'bg-white text-gray-600 hover:bg-gray-50'
+          }`}
+          title="Families first seen in the last 24 hours"
+        >
+          New only{result && ` (${result.newFamilies})`}
+        </button>
+        {[{ label: 'All time', ms: null }, ...TIME_RANGE_PRESETS].map((preset) => (
+          <button
+            key={preset.label}
+            onClick={() => setRangeMs(preset.ms)}
+            className={`px-3 py-1.5 text-sm rounded-lg border border-gray-200 ${
+              rangeMs === preset.ms
+                ? 'bg-gray-100 text-gray-900'
+                : 'bg-white text-gray-600 hover:bg-gray-50'
+            }`}
+          >
+            {preset.label}
+          </button>
+        ))}
+        <button
+          onClick={fetchCommands}
+          className="px-3 py-1.5 rounded-lg border border-gray-200 bg-white text-gray-400 hover:text-gray-600"
+          title="Reload"
+        >
+          <RefreshCw className="w-4 h-4" />
+        </button>
+      </div>
+
+      {result && (
+        <div className="flex flex-wrap gap-2">
+          {['', ...COMMAND_INTENTS].map((name) => (
+            <button
+              key={name || 'all'}
+              onClick={() => setIntent(name)}
+              className={`px-3 py-1 text-sm rounded-lg border border-gray-200 ${
+                intent === name ? 'bg-gray-100 text-gray-900' : 'bg-white text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              {name || `All (${result.total})`}
+              {name && ` (${result.intents[name] || 0})`}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && <div className="text-sm text-red-500">{error}</div>}
+
+      {result && (
+        <div className="bg-white rounded-lg border border-gray-200 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                <th className="px-4 py-2 text-right">#</th>
+                <th className="px-4 py-2">Family</th>
+                <th className="px-4 py-2">Intent</th>
+                <th className="px-4 py-2 text-right">Runs</th>
+                <th className="px-4 py-2 text-right">IPs</th>
+                <th className="px-4 py-2">First seen</th>
+                <th className="px-4 py-2">Last seen</th>
+              </tr>
+            </thead>
+            <tbody>
+              {families.length === 0 && (
+                <tr>
+                  <td colSpan={7} className="px-4 py-6 text-gray-400">No commands found.</td>
+                </tr>
+              )}
+              {families.map((family) => (
+                <React.Fragment key={family.id}>
+                  <tr
+                    className="border-b border-gray-100 hover:bg-gray-50 cursor-pointer align-top"
+                    onClick={() => setExpanded(expanded === family.id ? null : family.id)}
+                  >
+                    <td className="px-4 py-2 text-right text-gray-400">
+                      {result.families.indexOf(family) + 1}
+                    </td>
+                    <td className="px-4 py-2 font-mono text-xs text-gray-800 break-all">
+                      {family.representative}
+                      {family.new && (
+                        <span className="ml-2 px-1.5 rounded bg-green-50 text-green-700 font-sans">new</span>
+                      )}
+                      {family.variantCount > 1 && (
+                        <span className="ml-2 text-gray-400 font-sans">{family.variantCount} variants</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2">
+                      <div className="flex flex-wrap gap-1">
+                        {family.intents.map((name) => (
+                          <CommandIntentBadge key={name} intent={name} />
+                        ))}
+                      </div>
+                    </td>
+                    <td className="px-4 py-2 text-right text-gray-700">{family.count}</td>
+                    <td className="px-4 py-2 text-right text-gray-700">{family.ipCount}</td>
+                    <td className="px-4 py-2 text-gray-600 whitespace-nowrap">
+                      {new Date(family.firstSeen).toLocaleString()}
+                    </td>
+                    <td className="px-4 py-2 text-gray-600 whitespace-nowrap">
+                      {new Date(family.lastSeen).toLocaleString()}
+                    </td>
+                  </tr>
+                  {expanded === family.id && (
+                    <tr className="border-b border-gray-100 bg-gray-50">
+                      <td />
+                      <td colSpan={6} className="px-4 py-2 space-y-3">
+                        <div>
+                          <div className="text-xs text-gray-500 mb-1">Latest command as run</div>
+                          <pre className="text-xs font-mono whitespace-pre-wrap break-all text-gray-800">
+                            {family.example}
+                          </pre>
+                        </div>
+                        <div>
+                          <div className="text-xs text-gray-500 mb-1">
+                            Variants
+                            {family.variantCount > family.variants.length &&
+                              ` (top ${family.variants.length} of ${family.variantCount})`}
+                          </div>
+                          {family.variants.map((variant) => (
+                            <div key={variant.normalized} className="flex text-xs font-mono" title={variant.example}>
+                              <span className="w-12 text-right pr-3 text-gray-500">{variant.count}</span>
+                              <span className="flex-1 break-all text-gray-700">{variant.normalized}</span>
+                            </div>
+                          ))}
+                        </div>
+                        <div className="text-xs text-gray-500">
+                          {family.protocols.map((p) => p.toUpperCase()).join(', ')} · {family.sessions} sessions ·
+                          top sources:{' '}
+                          {family.topIps.map((ip) => (
+                            <button
+                              key={ip}
+                              onClick={() => onOpenAttacker(ip)}
+                              className="mr-2 font-mono text-gray-700 hover:underline"
+                            >
+                              {ip}
+                            </button>
+                          ))}
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ---------- INCIDENTS PAGE ----------
+
+// One line per incident timeline entry, besides comments
+const describeIncidentEntry = (entry) => {
+  switch (entry.type) {
+    case 'created':
+      return `opened the incident with ${entry.events} event${entry.events === 1 ? '' : 's'}`;
+    case 'status':
+      return `changed status from ${entry.previous} to ${entry.status}`;
+    case 'severity':
+      return `changed severity from ${entry.previous} to ${entry.severity}`;
+    case 'assignee':
+      return entry.assignee ? `assigned ${entry.assignee}` : `unassigned ${entry.previous}`;
+    case 'events':
+      return entry.added !== undefined
+        ? `added ${entry.added} event${entry.added === 1 ? '' : 's'}`
+        : `removed ${entry.removed} event${entry.removed === 1 ? '' : 's'}`;
+    default:
+      return entry.type;
+  }
+};
+
+const IncidentDetail = ({ incidentId, user, onBack, onOpenAttacker, onOpenEvent }) => {
+  const [incident, setIncident] = useState(null);
+  const [comment, setComment] = useState('');
+  const [error, setError] = useState(null);
+  const canEdit = hasRole(user, 'analyst');
+
+  const request = async (url, options = {}) => {
+    const res = await apiFetch(url, {
+      ...options,
+      headers: options.body ? { 'Content-Type': 'application/json' } : undefined
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || `HTTP ${res.status}`);
+    }
+    return data;
+  };
+
+  const fetchIncident = async () => {
+    try {
+      setIncident(await request(`${API_BASE}/incidents/${incidentId}`));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchIncident();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [incidentId]);
+
+  const run = async (action) => {
+    try {
+      await action();
+      await fetchIncident();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const update = (fields) =>
+    run(() =>
+      request(`${API_BASE}/incidents/${incidentId}`, { method: 'PUT', body: JSON.stringify(fields) })
+    );
+
+  const addComment = async () => {
+    const added = await run(() =>
+      request(`${API_BASE}/incidents/${incidentId}/comments`, {
+        method: 'POST',
+        body: JSON.stringify({ text: comment })
+      })
+    );
+    if (added) {
+      setComment('');
+    }
+  };
+
+  const removeEvent = (log) =>
+    run(() =>
+      request(`${API_BASE}/incidents/${incidentId}/events?key=${encodeURIComponent(getEventKey(log))}`, {
+        method: 'DELETE'
+      })
+    );
+
+  const deleteIncident = async () => {
+    try {
+      await request(`${API_BASE}/incidents/${incidentId}`, { method: 'DELETE' });
+      onBack();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const selectClass =
+    'px-2 py-1 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-gray-400 focus:border-transparent';
+
+  if (!incident) {
+    return error ? (
+      <div className="space-y-4">
+        <button onClick={onBack} className="text-sm text-gray-600 hover:underline">
+          ← All incidents
+        </button>
+        <div className="text-sm text-red-500">{error}</div>
+      </div>
+    ) : (
+      <div className="flex items-center justify-center h-screen">
+        <RefreshCw className="w-8 h-8 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <button onClick={onBack} className="text-sm text-gray-600 hover:underline">
+        ← All incidents
+      </button>
+
+      <div className="bg-white p-6 rounded-lg border border-gray-200">
+        <div className="flex items-start justify-between">
+          <div>
+            <div className="flex items-center space-x-2">
+              <span className="font-mono text-sm text-gray-500">{incident.ref}</span>
+              <SeverityBadge severity={incident.severity} />
+              <IncidentStatusBadge status={incident.status} />
+            </div>
+            <h2 className="mt-1 text-xl font-semibold text-gray-800">{incident.title}</h2>
+            <div className="mt-1 text-xs text-gray-500">
+              Opened by {incident.createdBy} {new Date(incident.created).toLocaleString()}
+              {' · '}
+              {incident.assignee ? `assigned to ${incident.assignee}` : 'unassigned'}
+            </div>
+          </div>
+          {hasRole(user, 'admin') && (
+            <button
+              onClick={deleteIncident}
+              className="px-3 py-1.5 text-sm border border-gray-200 rounded-lg text-gray-600 hover:bg-gray-50 flex items-center"
+            >
+              <Trash2 className="w-4 h-4 mr-1" />
+              Delete
+            </button>
+          )}
+        </div>
+
+        {canEdit && (
+          <div className="mt-4 flex flex-wrap items-center gap-3 text-sm text-gray-600">
+            <label className="flex items-center space-x-2">
+              <span>Status</span>
+              <select
+                value={incident.status}
+                onChange={(e) => update({ status: e.target.value })}
+                className={selectClass}
+              >
+                {INCIDENT_STATUSES.map((s) => (
+                  <option key={s} value={s}>
+                    {s}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center space-x-2">
+              <span>Severity</span>
+              <select
+                value={incident.severity}
+                onChange={(e) => update({ severity: e.target.value })}
+                className={selectClass}
+              >
+                {SEVERITY_LEVELS.map((s) => (
+                  <option key={s} value={s}>
+                    {s}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center space-x-2">
+              <span>Assignee</span>
+              <select
+                value={incident.assignee || ''}
+                onChange={(e) => update({ assignee: e.target.value || null })}
+                className={selectClass}
+              >
+                <option value="">Unassigned</option>
+                {incident.assignees.map((username) => (
+                  <option key={username} value={username}>
+                    {username}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+        )}
+
+        {incident.description && (
+          <p className="mt-4 text-sm text-gray-700 whitespace-pre-wrap">{incident.description}</p>
+        )}
+        {error && <div className="mt-4 text-sm text-red-500">{error}</div>}
+      </div>
+
+      <div className="bg-white p-6 rounded-lg border border-gray-200">
+        <h3 className="text-lg font-semibold text-gray-800 mb-4">Events ({incident.eventDetails.length})</h3>
+        {incident.eventDetails.length === 0 ? (
+          <div className="text-sm text-gray-400">No events in this incident yet.</div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                <th className="px-4 py-2 font-medium">Time</th>
+                <th className="px-4 py-2 font-medium">Source</th>
+                <th className="px-4 py-2 font-medium">Event</th>
+                <th className="px-4 py-2 font-medium">Tags</th>
+                <th className="px-4 py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {incident.eventDetails.map((log) => (
+                <tr key={getEventKey(log)} className="border-b border-gray-100">
+                  <td className="px-4 py-2 text-gray-600 whitespace-nowrap">
+                    <button onClick={() => onOpenEvent(getEventKey(log))} className="hover:underline">
+                      {new Date(log.timestamp).toLocaleString()}
+                    </button>
+                  </td>
+                  <td className="px-4 py-2">
+                    <button
+                      onClick={() => onOpenAttacker(log.ip)}
+                      className="font-mono text-gray-700 hover:underline"
+                    >
+                      {log.ip}
+                    </button>
+                  </td>
+                  <td className="px-4 py-2 text-gray-700">
+                    {(log.protocol || 'unknown').toUpperCase()} {log.type || 'event'}
+                  </td>
+                  <td className="px-4 py-2">
+                    <div className="flex flex-wrap gap-1">
+                      <TagChips tags={log.tags} />
+                    </div>
+                  </td>
+                  <td className="px-4 py-2 text-right">
+                    {canEdit && (
+                      <button
+                        onClick={() => removeEvent(log)}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Remove from incident"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="bg-white p-6 rounded-lg border border-gray-200">
+        <h3 className="text-lg font-semibold text-gray-800 mb-4">Timeline</h3>
+        <div className="space-y-3">
+          {[...incident.timeline].reverse().map((entry) =>
+            entry.type === 'comment' ? (
+              <div key={entry.id} className="bg-gray-50 rounded p-3 text-sm">
+                <div className="flex items-center text-xs text-gray-500">
+                  <MessageSquare className="w-3 h-3 mr-1" />
+                  {entry.user} · {new Date(entry.timestamp).toLocaleString()}
+                </div>
+                <div className="mt-1 text-gray-700 whitespace-pre-wrap">{entry.text}</div>
+              </div>
+            ) : (
+              <div key={entry.id} className="text-xs text-gray-500 px-3">
+                {entry.user} {describeIncidentEntry(entry)} · {new Date(entry.timestamp).toLocaleString()}
+              </div>
+            )
+          )}
+        </div>
+        {canEdit && (
+          <div className="mt-4 flex items-start space-x-2">
+            <textarea
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              placeholder="Add a comment…"
+              rows={3}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-gray-400 focus:border-transparent"
+            />
+            <button
+              onClick={addComment}
+              disabled={!comment.trim()}
+              className="px-3 py-1.5 text-sm rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Comment
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const IncidentsPage = ({ user, initialIncident, onOpenAttacker, onOpenEvent }) => {
+  const [status, setStatus] = useState('');
+  const [incidents, setIncidents] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [assignees, setAssignees] = useState([]);
+  const [selectedId, setSelectedId] = useState(initialIncident || null);
+  const [draft, setDraft] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const canEdit = hasRole(user, 'analyst');
+
+  const fetchIncidents = async () => {
+    try {
+      const res = await apiFetch(`${API_BASE}/incidents${status ? `?status=${status}` : ''}`);
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      setIncidents(data.incidents);
+      setCounts(data.counts);
+      setAssignees(data.assignees);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching incidents:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!selectedId) {
+      fetchIncidents();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [status, selectedId]);
+
+  const selectIncident = (incidentId) => {
+    setSelectedId(incidentId);
+    writeUrlState({ page: 'incidents', incident: incidentId }, true);
+  };
+
+  const createIncident = async () => {
+    try {
+      const res = await apiFetch(`${API_BASE}/incidents`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(draft)
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      setDraft(null);
+      selectIncident(data.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (selectedId) {
+    return (
+      <IncidentDetail
+        incidentId={selectedId}
+        user={user}
+        onBack={() => selectIncident(null)}
+        onOpenAttacker={onOpenAttacker}
+        onOpenEvent={onOpenEvent}
+      />
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-screen">
+        <RefreshCw className="w-8 h-8 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  const inputClass =
+    'px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-gray-400 focus:border-transparent';
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex space-x-2">
+          {['', ...INCIDENT_STATUSES].map((s) => (
+            <button
+              key={s || 'all'}
+              onClick={() => setStatus(s)}
+              className={`px-3 py-1.5 text-sm rounded-lg border border-gray-200 capitalize ${
+                status === s ? 'bg-gray-100 text-gray-900' : 'bg-white text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              {s || 'all'} ({s ? counts[s] || 0 : total})
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center space-x-2">
+          {canEdit && !draft && (
+            <button
+              onClick={() => setDraft({ title: '', description: '', severity: 'medium', assignee: '' })}
+              className="px-3 py-1.5 text-sm rounded-lg border border-gray-200 bg-white text-gray-600 hover:bg-gray-50 flex items-center"
+            >
+              <Plus className="w-4 h-4 mr-1" />
+              New incident
+            </button>
+          )}
+          <button
+            onClick={fetchIncidents}
+            className="px-3 py-1.5 rounded-lg border border-gray-200 bg-white text-gray-400 hover:text-gray-600"
+            title="Reload"
+          >
+            <RefreshCw className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {draft && (
+        <div className="bg-white p-6 rounded-lg border border-gray-200 space-y-3">
+          <input
+            value={draft.title}
+            onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+            placeholder="Title"
+            className={`w-full ${inputClass}`}
+          />
+          <textarea
+            value={draft.description}
+            onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+            placeholder="Description"
+            rows={3}
+            className={`w-full ${inputClass}`}
+          />
+          <div className="flex items-center space-x-2">
+            <select
+              value={draft.severity}
+              onChange={(e) => setDraft({ ...draft, severity: e.target.value })}
+              className={inputClass}
+            >
+              {SEVERITY_LEVELS.map((s) => (
+                <option key={s} value={s}>
+                  {s}
+                </option>
+              ))}
+            </select>
+            <select
+              value={draft.assignee}
+              onChange={(e) => setDraft({ ...draft, assignee: e.target.value })}
+              className={inputClass}
+            >
+              <option value="">Unassigned</option>
+              {assignees.map((username) => (
+                <option key={username} value={username}>
+                  {username}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={createIncident}
+              disabled={!draft.title.trim()}
+              className="px-4 py-2 bg-gray-800 text-white rounded-lg text-sm hover:bg-gray-700 disabled:opacity-50"
+            >
+              Create
+            </button>
+            <button
+              onClick={() => setDraft(null)}
+              className="px-4 py-2 text-sm text-gray-600 hover:underline"
+            >
+              Cancel
+            </button>
+          </div>
+          <div className="text-xs text-gray-400">
+            Add events from the event details, a session replay or an attacker profile.
+          </div>
+        </div>
+      )}
+
+      {error && <div className="text-sm text-red-500">{error}</div>}
+
+      <div className="bg-white rounded-lg border border-gray-200 divide-y divide-gray-100">
+        {incidents.length === 0 && (
+          <div className="p-6 text-sm text-gray-400">No {status ? `${status} ` : ''}incidents.</div>
+        )}
+        {incidents.map((incident) => (
+          <div
+            key={incident.id}
+            onClick={() => selectIncident(incident.id)}
+            className="p-4 flex items-start justify-between hover:bg-gray-50 cursor-pointer"
+          >
+            <div>
+              <div className="flex items-center space-x-2">
+                <span className="font-mono text-sm text-gray-500">{incident.ref}</span>
+                <SeverityBadge severity={incident.severity} />
+                <IncidentStatusBadge status={incident.status} />
+                <span className="text-gray-800">{incident.title}</span>
+              </div>
+              <div className="mt-1 text-xs text-gray-500">
+                {incident.assignee || 'Unassigned'}
+                {` · ${incident.eventCount} event${incident.eventCount === 1 ? '' : 's'}`}
+                {` · ${incident.commentCount} comment${incident.commentCount === 1 ? '' : 's'}`}
+                {` · updated ${new Date(incident.updated).toLocaleString()}`}
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// ---------- FILESYSTEM BUILDER ----------
+//
+// Tree editor over the two config keys the shell honeypots read:
+//   filesystem: { "/dir": ["entry", ...] }   (directory listings)
+//   files:      { "/dir/entry": "content" }  (file contents)
+// An entry is a directory when it has its own listing in `filesystem`.
+
+const joinFsPath = (dir, name) => (dir === '/' ? `/${name}` : `${dir}/${name}`);
+
+const parentFsPath = (path) => {
+  const index = path.lastIndexOf('/');
+  return index <= 0 ? '/' : path.slice(0, index);
+};
+
+const baseFsName = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+const isWithinFsPath = (path, dir) => path === dir || path.startsWith(dir === '/' ? '/' : `${dir}/`);
+
+const addFsListing = (filesystem, dir, name) => {
+  const listing = filesystem[dir] || [];
+  return listing.includes(name) ? filesystem : { ...filesystem, [dir]: [...listing, name] };
+};
+
+// Create a directory (and any missing ancestors) in a filesystem map
+const ensureFsDirectory = (filesystem, dir) => {
+  let next = filesystem[dir] ? filesystem : { ...filesystem, [dir]: [] };
+  if (dir !== '/') {
+    next = ensureFsDirectory(next, parentFsPath(dir));
+    next = addFsListing(next, parentFsPath(dir), baseFsName(dir));
+  }
+  return next;
+};
+
+const createFsEntry = (fs, dir, name, isDir) => {
+  const path = joinFsPath(dir, name);
+  let filesystem = addFsListing(ensureFsDirectory(fs.filesystem, dir), dir, name);
+  let files = fs.files;
+  if (isDir) {
+    filesystem = { ...filesystem, [path]: filesystem[path] || [] };
+  } else if (!(path in files)) {
+    files = { ...files, [path]: '' };
+  }
+  return { filesystem, files };
+};
+
+const deleteFsEntry = (fs, path) => {
+  const parent = parentFsPath(path);
+  const filesystem = {};
+  Object.entries(fs.filesystem).forEach(([dir, names]) => {
+    if (!isWithinFsPath(dir, path)) {
+      filesystem[dir] = dir === parent ? names.filter((n) => n !== baseFsName(path)) : names;
+    }
+  });
+  const files = {};
+  Object.entries(fs.files).forEach(([file, content]) => {
+    if (!isWithinFsPath(file, path)) {
+      files[file] = content;
+    }
+  });
+  return { filesystem, files };
+};
+
+const moveFsEntry = (fs, path, destDir) => {
+  const name = baseFsName(path);
+  const target = joinFsPath(destDir, name);
+  const rebase = (p) => (isWithinFsPath(p, path) ? target + p.slice(path.length) : p);
+
+  const filesystem = {};
+  Object.entries(fs.filesystem).forEach(([dir, names]) => {
+    filesystem[rebase(dir)] =
+      dir === parentFsPath(path) ? names.filter((n) => n !== name) : names;
+  });
+  const files = {};
+  Object.entries(fs.files).forEach(([file, content]) => {
+    files[rebase(file)] = content;
+  });
+  return {
+    filesystem: addFsListing(ensureFsDirectory(filesystem, destDir), destDir, name),
+    files
+  };
+};
+
+// Tarball-style manifest: [{"path": "/etc/passwd", "type": "file",
+// "content": "..."}, {"path": "/var/www", "type": "dir"}, ...], either
+// bare or under an "entries" key
+const importFsManifest = (fs, manifest) => {
+  const entries = Array.isArray(manifest) ? manifest : manifest && manifest.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error('Manifest must be a list of entries or {"entries": [...]}');
+  }
+  let next = fs;
+  entries.forEach((entry, i) => {
+    if (!entry || typeof entry.path !== 'string' || !entry.path.startsWith('/')) {
+      throw new Error(`Entry ${i + 1} needs an absolute "path"`);
+    }
+    const path = entry.path.length > 1 ? entry.path.replace(/\/+$/, '') : '/';
+    const isDir = entry.type === 'dir' || entry.type === 'directory';
+    if (isDir) {
+      next = { ...next, filesystem: ensureFsDirectory(next.filesystem, path) };
+    } else if (path !== '/') {
+      next = createFsEntry(next, parentFsPath(path), baseFsName(path), false);
+      next = { ...next, files: { ...next.files, [path]: String(entry.content ?? '') } };
+    }
+  });
+  return next;
+};
+
+// Listings and contents that disagree with each other
+const checkFsConsistency = (fs) => {
+  const issues = [];
+  Object.entries(fs.filesystem).forEach(([dir, names]) => {
+    if (dir !== '/' && !(fs.filesystem[parentFsPath(dir)] || []).includes(baseFsName(dir))) {
+      issues.push({ path: dir, message: `Directory is not listed in ${parentFsPath(dir)}` });
+    }
+    names.forEach((name) => {
+      const path = joinFsPath(dir, name);
+      if (!(path in fs.filesystem) && !(path in fs.files)) {
+        issues.push({ path, message: 'Listed, but has no content and is not a directory' });
+      }
+    });
+  });
+  Object.keys(fs.files).forEach((path) => {
+    if (path in fs.filesystem) {
+      issues.push({ path, message: 'Is both a file and a directory' });
+    } else if (!(fs.filesystem[parentFsPath(path)] || []).includes(baseFsName(path))) {
+      issues.push({ path, message: `Has content, but is not listed in ${parentFsPath(path)}` });
+    }
+  });
+  return issues;
+};
+
+// Resolve every issue by adding the missing listing or empty content
+const fixFsConsistency = (fs) => {
+  let next = fs;
+  Object.keys(fs.filesystem).forEach((dir) => {
+    next = { ...next, filesystem: ensureFsDirectory(next.filesystem, dir) };
+  });
+  Object.entries(fs.filesystem).forEach(([dir, names]) => {
+    names.forEach((name) => {
+      const path = joinFsPath(dir, name);
+      if (!(path in next.filesystem) && !(path in next.files)) {
+        next = { ...next, files: { ...next.files, [path]: '' } };
+      }
+    });
+  });
+  Object.keys(fs.files).forEach((path) => {
+    if (!(path in next.filesystem)) {
+      const dir = parentFsPath(path);
+      const filesystem = ensureFsDirectory(next.filesystem, dir);
+      next = { ...next, filesystem: addFsListing(filesystem, dir, baseFsName(path)) };
+    }
+  });
+  return next;
+};
+
+const FsTreeNode = ({ fs, path, depth, selected, onSelect, onMove }) => {
+  const [expanded, setExpanded] = useState(depth < 2);
+  const [dropping, setDropping] = useState(false);
+  const isDir = path in fs.filesystem;
+  const children = isDir ? [...fs.filesystem[path]].sort() : [];
+
+  return (
+    <div>
+      <div
+        draggable={path !== '/'}
+        onDragStart={(e) => e.dataTransfer.setData('text/plain', path)}
+        onDragOver={(e) => {
+          if (isDir) {
+            e.preventDefault();
+            setDropping(true);
+          }
+        }}
+        onDragLeave={() => setDropping(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setDropping(false);
+          const source = e.dataTransfer.getData('text/plain');
+          if (source && isDir) {
+            onMove(source, path);
+          }
+        }}
+        onClick={() => onSelect(path)}
+        className={`flex items-center py-0.5 pr-2 rounded cursor-pointer text-sm font-mono ${
+          dropping ? 'bg-yellow-50' : selected === path ? 'bg-gray-100' : 'hover:bg-gray-50'
+        }`}
+        style={{ paddingLeft: `${depth * 16 + 4}px` }}
+      >
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            setExpanded(!expanded);
+          }}
+          className={`w-4 text-gray-400 ${isDir && children.length > 0 ? '' : 'invisible'}`}
+        >
+          {expanded ? '▾' : '▸'}
+        </button>
+        <span className={isDir ? 'text-gray-800' : 'text-gray-600'}>
+          {path === '/' ? '/' : baseFsName(path)}
+          {isDir && path !== '/' ? '/' : ''}
+        </span>
+      </div>
+      {isDir &&
+        expanded &&
+        children.map((name) => (
+          <FsTreeNode
+            key={name}
+            fs={fs}
+            path={joinFsPath(path, name)}
+            depth={depth + 1}
+            selected={selected}
+            onSelect={onSelect}
+            onMove={onMove}
+          />
+        ))}
+    </div>
+  );
+};
+
+const FilesystemBuilder = ({ filesystem, files, onChange }) => {
+  const fs = { filesystem: filesystem || {}, files: files || {} };
+  const [selected, setSelected] = useState('/');
+  const [newName, setNewName] = useState('');
+  const [error, setError] = useState(null);
+  const [manifestText, setManifestText] = useState(null);
+
+  const apply = (next) => {
+    setError(null);
+    onChange(next);
+  };
+
+  const selectedIsDir = selected in fs.filesystem;
+  const targetDir = selectedIsDir ? selected : parentFsPath(selected);
+  const issues = checkFsConsistency(fs);
+
+  const create = (isDir) => {
+    const name = newName.trim();
+    if (!name || name.includes('/')) {
+      setError('Enter a name without "/"');
+      return;
+    }
+    const path = joinFsPath(targetDir, name);
+    if (path in fs.filesystem || path in fs.files) {
+      setError(`${path} already exists`);
+      return;
+    }
+    apply(createFsEntry(fs, targetDir, name, isDir));
+    setNewName('');
+    setSelected(path);
+  };
+
+  const move = (source, destDir) => {
+    if (source === destDir || parentFsPath(source) === destDir) {
+      return;
+    }
+    if (isWithinFsPath(destDir, source)) {
+      setError("Can't move a folder into itself");
+      return;
+    }
+    const target = joinFsPath(destDir, baseFsName(source));
+    if (target in fs.files || target in fs.filesystem) {
+      setError(`${destDir} already has a ${baseFsName(source)}`);
+      return;
+    }
+    apply(moveFsEntry(fs, source, destDir));
+    setSelected(target);
+  };
+
+  const remove = () => {
+    if (selected === '/') {
+      return;
+    }
+    apply(deleteFsEntry(fs, selected));
+    setSelected(parentFsPath(selected));
+  };
+
+  const importManifest = () => {
+    try {
+      apply(importFsManifest(fs, JSON.parse(manifestText)));
+      setManifestText(null);
+    } catch (err) {
+      setError(`Import failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-800 flex items-center">
+          <FolderTree className="w-5 h-5 mr-2 text-gray-600" />
+          Decoy Filesystem
+        </h3>
+        <button
+          onClick={() => setManifestText(manifestText === null ? '' : null)}
+          className="flex items-center px-3 py-1 text-sm rounded border border-gray-200 text-gray-600 hover:bg-gray-50"
+        >
+          <Upload className="w-4 h-4 mr-1.5" />
+          Import manifest
+        </button>
+      </div>
+
+      {manifestText !== null && (
+        <div className="space-y-2">
+          <textarea
+            value={manifestText}
+            onChange={(e) => setManifestText(e.target.value)}
+            rows={5}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-gray-400 focus:border-transparent"
+            placeholder='[{"path": "/var/www/html/index.html", "type": "file", "content": "<html>..."}, {"path": "/srv/backup", "type": "dir"}]'
+          />
+          <div className="flex items-center space-x-2">
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={async (e) => {
+                const file = e.target.files && e.target.files[0];
+                if (file) {
+                  setManifestText(await file.text());
+                }
+              }}
+              className="text-xs text-gray-500"
+            />
+            <button
+              onClick={importManifest}
+              className="px-3 py-1 text-sm bg-gray-700 text-white rounded hover:bg-gray-800"
+            >
+              Import
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && <div className="text-sm text-red-500">{error}</div>}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="border border-gray-200 rounded-lg p-2 max-h-96 overflow-y-auto">
+          {'/' in fs.filesystem ? (
+            <FsTreeNode
+              fs={fs}
+              path="/"
+              depth={0}
+              selected={selected}
+              onSelect={setSelected}
+              onMove={move}
+            />
+          ) : (
+            <button
+              onClick={() => apply({ ...fs, filesystem: { ...fs.filesystem, '/': [] } })}
+              className="text-sm text-gray-500 hover:text-gray-700"
+            >
+              Create root directory
+            </button>
+          )}
+          <p className="text-xs text-gray-400 mt-2 px-1">Drag entries onto a folder to move them.</p>
+        </div>
+
+        <div className="space-y-3">
+          <div className="flex items-center justify-between">
+            <span className="font-mono text-sm text-gray-800 break-all">{selected}</span>
+            {selected !== '/' && (
+              <button
+                onClick={remove}
+                className="text-gray-300 hover:text-red-500"
+                title="Delete"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+
+          {selectedIsDir || !(selected in fs.files) ? null : (
+            <textarea
+              value={fs.files[selected]}
+              onChange={(e) =>
+                apply({ ...fs, files: { ...fs.files, [selected]: e.target.value } })
+              }
+              rows={8}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-gray-400 focus:border-transparent"
+            />
+          )}
+
+          <div className="flex items-center space-x-2">
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder={`New entry in ${targetDir}`}
+              className="flex-1 px-2 py-1.5 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-gray-400 focus:border-transparent"
+            />
+            <button
+              onClick={() => create(true)}
+              className="px-2 py-1.5 text-xs rounded bg-gray-100 text-gray-700 hover:bg-gray-200"
+            >
+              + Folder
+            </button>
+            <button
+              onClick={() => create(false)}
+              className="px-2 py-1.5 text-xs rounded bg-gray-100 text-gray-700 hover:bg-gray-200"
+            >
+              + File
+            </button>
+          </div>
+
+          <div className="border-t border-gray-200 pt-3">
+            <div className="flex items-center justify-between mb-1">
+              <span className="text-xs text-gray-500">
+                Consistency check: {issues.length === 0 ? 'no issues' : `${issues.length} issue(s)`}
+              </span>
+              {issues.length > 0 && (
+                <button
+                  onClick={() => apply(fixFsConsistency(fs))}
+                  className="text-xs text-gray-600 hover:text-gray-800 underline"
+                >
+                  Fix all
+                </button>
+              )}
+            </div>
+            <div className="space-y-1 max-h-40 overflow-y-auto">
+              {issues.map((issue, i) => (
+                <div
+                  key={i}
+                  onClick={() => setSelected(issue.path)}
+                  className="text-xs cursor-pointer hover:bg-gray-50 rounded px-1"
+                >
+                  <span className="font-mono text-yellow-700">{issue.path}</span>{' '}
+                  <span className="text-gray-500">{issue.message}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ---------- SETTINGS PAGE ----------
+
+// Client-side twin of validate_config_value in app.py, so errors show
+// before the PUT; the server re-checks on save
+const HOSTNAME_RE = /^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?(\.[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*$/;
+const WILDCARD_HOSTS = ['0.0.0.0', '::', ''];
+const JSON_FIELD_TYPES = ['string_map', 'filesystem', 'register_map', 'coil_map', 'point_map', 'object'];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isConfigIndex = (key) => /^\d+$/.test(key) && Number(key) <= 65535;
+
+const validateConfigValue = (field, value) => {
+  switch (field.type) {
+    case 'string':
+    case 'text':
+      return typeof value === 'string' ? null : 'Must be a string';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'Must be true or false';
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        return 'Must be a whole number';
+      }
+      if (value < field.min || value > field.max) {
+        return `Must be between ${field.min} and ${field.max}`;
+      }
+      return null;
+    case 'host':
+      if (typeof value !== 'string') {
+        return 'Must be a string';
+      }
+      return parseIpAddress(value) !== null || HOSTNAME_RE.test(value)
+        ? null
+        : 'Must be an IP address or hostname';
+    default:
+      break;
+  }
+
+  if (!isPlainObject(value)) {
+    return 'Must be a JSON object';
+  }
+  const entries = Object.entries(value);
+  if (field.type === 'string_map') {
+    const bad = entries.find(([, v]) => typeof v !== 'string');
+    return bad ? `"${bad[0]}" must map to a string` : null;
+  }
+  if (field.type === 'filesystem') {
+    for (const [dir, names] of entries) {
+      if (!dir.startsWith('/')) {
+        return `"${dir}" must be an absolute path`;
+      }
+      if (!Array.isArray(names) || !names.every((n) => typeof n === 'string')) {
+        return `"${dir}" must map to a list of names`;
+      }
+    }
+    return null;
+  }
+  if (['register_map', 'coil_map', 'point_map'].includes(field.type)) {
+    for (const [key, entry] of entries) {
+      if (!isConfigIndex(key)) {
+        return `"${key}" is not an address between 0 and 65535`;
+      }
+      if (field.type === 'register_map' && !(Number.isInteger(entry) && entry >= 0 && entry <= 65535)) {
+        return `Register ${key} must hold 0-65535`;
+      }
+      if (field.type === 'coil_map' && typeof entry !== 'boolean') {
+        return `Coil ${key} must be true or false`;
+      }
+      if (field.type === 'point_map' && !(isPlainObject(entry) && 'value' in entry)) {
+        return `Point ${key} must be an object with a "value"`;
+      }
+    }
+  }
+  return null;
+};
+
+// {field: message} for a protocol's config, including port conflicts
+// with the other honeypots' (unsaved) configs
+const validateConfig = (protocol, config, schema, configs) => {
+  const errors = {};
+  schema.forEach((field) => {
+    if (!(field.key in config)) {
+      if (field.required) {
+        errors[field.key] = 'Required';
+      }
+      return;
+    }
+    const error = validateConfigValue(field, config[field.key]);
+    if (error) {
+      errors[field.key] = error;
+    }
+  });
+
+  if (!errors.port && !errors.host) {
+    const clash = PROTOCOLS.find((other) => {
+      const otherConfig = configs[other] || {};
+      if (other === protocol || otherConfig.port !== config.port) {
+        return false;
+      }
+      const otherHost = otherConfig.host ?? '0.0.0.0';
+      return (
+        otherHost === config.host ||
+        WILDCARD_HOSTS.includes(otherHost) ||
+        WILDCARD_HOSTS.includes(config.host)
+      );
+    });
+    if (clash) {
+      errors.port = `Port ${config.port} is already used by the ${clash} honeypot`;
+    }
+  }
+  return errors;
+};
+
+const CONFIG_INPUT_CLASS =
+  'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-gray-400 focus:border-transparent';
+
+const ConfigField = ({ field, value, draft, error, onChange, onDraftChange }) => {
+  const border = error ? 'border-red-400' : 'border-gray-300';
+
+  if (field.type === 'boolean') {
+    return (
+      <div>
+        <div className="flex items-center">
+          <input
+            type="checkbox"
+            checked={Boolean(value)}
+            onChange={(e) => onChange(e.target.checked)}
+            className="w-4 h-4 text-gray-600 border-gray-300 rounded focus:ring-gray-400"
+          />
+          <label className="ml-2 text-sm text-gray-700">{field.label}</label>
+        </div>
+        {error && <p className="text-xs text-red-500 mt-1">{error}</p>}
+      </div>
+    );
+  }
+
+  let input;
+  if (field.type === 'integer') {
+    input = (
+      <input
+        type="number"
+        value={value ?? ''}
+        min={field.min}
+        max={field.max}
+        onChange={(e) =>
+          onChange(e.target.value === '' ? undefined : Number(e.target.value))
+        }
+        className={`${CONFIG_INPUT_CLASS} ${border}`}
+      />
+    );
+  } else if (field.type === 'text') {
+    input = (
+      <textarea
+        value={value ?? ''}
+        onChange={(e) => onChange(e.target.value)}
+        rows={3}
+        className={`${CONFIG_INPUT_CLASS} ${border} font-mono text-sm`}
+      />
+    );
+  } else if (JSON_FIELD_TYPES.includes(field.type)) {
+    input = (
+      <textarea
+        value={draft ?? JSON.stringify(value ?? {}, null, 2)}
+        onChange={(e) => onDraftChange(e.target.value)}
+        rows={6}
+        className={`${CONFIG_INPUT_CLASS} ${border} font-mono text-sm`}
+        placeholder={
+          field.keyLabel ? `{"${field.keyLabel.toLowerCase()}": "${field.valueLabel.toLowerCase()}"}` : '{}'
+        }
+      />
+    );
+  } else {
+    input = (
+      <input
+        type="text"
+        value={value ?? ''}
+        onChange={(e) => onChange(e.target.value)}
+        className={`${CONFIG_INPUT_CLASS} ${border}`}
+      />
+    );
+  }
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        {field.label}
+        {field.required && <span className="text-red-400 ml-0.5">*</span>}
+      </label>
+      {input}
+      {field.help && !error && <p className="text-xs text-gray-400 mt-1">{field.help}</p>}
+      {error && <p className="text-xs text-red-500 mt-1">{error}</p>}
+    </div>
+  );
+};
+
+const STATUS_POLL_MS = 5000;
+
+const PROCESS_STATE_STYLES = {
+  running: { dot: 'bg-green-500', label: 'Running' },
+  crashed: { dot: 'bg-red-500', label: 'Crashed' },
+  stopping: { dot: 'bg-yellow-500', label: 'Stopping' },
+  stopped: { dot: 'bg-gray-300', label: 'Stopped' }
+};
+
+const isHoneypotRunning = (status) => Boolean(status && status.state === 'running');
+
+const ProcessPanel = ({ protocol, status, onChanged }) => {
+  const [stream, setStream] = useState('stderr');
+  const [logText, setLogText] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const fetchProcessLogs = async () => {
+    try {
+      const res = await apiFetch(`${API_BASE}/honeypot/${protocol}/logs?stream=${stream}`);
+      const data = await res.json();
+      setLogText(res.ok ? data.content : data.error || '');
+    } catch (err) {
+      console.error('Error fetching process logs:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchProcessLogs();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [protocol, stream, status && status.pid, status && status.state]);
+
+  const restart = async () => {
+    setBusy(true);
+    try {
+      const res = await apiFetch(`${API_BASE}/honeypot/${protocol}/restart`, { method: 'POST' });
+      const data = await res.json();
+      setError(res.ok ? null : data.error);
+    } catch (err) {
+      console.error('Error restarting honeypot:', err);
+      setError(err.message);
+    }
+    setBusy(false);
+    onChanged();
+  };
+
+  const setAutoRestart = async (enabled) => {
+    try {
+      await apiFetch(`${API_BASE}/honeypot/${protocol}/auto-restart`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled })
+      });
+    } catch (err) {
+      console.error('Error updating auto-restart:', err);
+    }
+    onChanged();
+  };
+
+  const state = PROCESS_STATE_STYLES[status ? status.state : 'stopped'];
+
+  return (
+    <div className="mb-6 p-4 rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-medium text-gray-700 flex items-center capitalize">
+          <span className={`w-2 h-2 rounded-full mr-2 ${state.dot}`} />
+          {protocol} process · {state.label}
+        </h3>
+        <div className="flex items-center space-x-3">
+          {status && (
+            <label className="flex items-center text-xs text-gray-600">
+              <input
+                type="checkbox"
+                checked={status.autoRestart}
+                onChange={(e) => setAutoRestart(e.target.checked)}
+                className="w-3 h-3 mr-1 text-gray-600 border-gray-300 rounded focus:ring-gray-400"
+              />
+              Auto-restart on crash
+            </label>
+          )}
+          <button
+            onClick={restart}
+            disabled={busy}
+            className="flex items-center px-3 py-1 rounded text-xs bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+          >
+            <RefreshCw className={`w-3 h-3 mr-1 ${busy ? 'animate-spin' : ''}`} />
+            Restart
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 text-sm mb-3">
+        <div>
+          <div className="text-xs text-gray-500">PID</div>
+          <div className="font-mono text-gray-800">{status ? status.pid : '-'}</div>
+        </div>
+        <div>
+          <div className="text-xs text-gray-500">Uptime</div>
+          <div className="text-gray-800">
+            {status && status.uptime !== null ? formatDuration(status.uptime * 1000) : '-'}
+          </div>
+        </div>
+        <div>
+          <div className="text-xs text-gray-500">Exit code</div>
+          <div className="font-mono text-gray-800">
+            {status && status.exitCode !== null ? status.exitCode : '-'}
+          </div>
+        </div>
+        <div>
+          <div className="text-xs text-gray-500">Restarts</div>
+          <div className="text-gray-800">{status ? status.restarts : 0}</div>
+        </div>
+        <div>
+          <div className="text-xs text-gray-500">Last crash</div>
+          <div className="text-gray-800 text-xs">
+            {status && status.lastExit
+              ? `${new Date(status.lastExit.exitedAt * 1000).toLocaleString()} (exit ${
+                  status.lastExit.exitCode
+                })`
+              : '-'}
+          </div>
+        </div>
+      </div>
+
+      {error && <div className="text-xs text-red-500 mb-2">{error}</div>}
+
+      <div className="flex items-center space-x-2 mb-2">
+        {['stderr', 'stdout'].map((name) => (
+          <button
+            key={name}
+            onClick={() => setStream(name)}
+            className={`px-2 py-0.5 text-xs rounded font-mono ${
+              stream === name ? 'bg-gray-100 text-gray-900' : 'text-gray-500 hover:bg-gray-50'
+            }`}
+          >
+            {name}
+          </button>
+        ))}
+        <button
+          onClick={fetchProcessLogs}
+          className="text-gray-400 hover:text-gray-600"
+          title="Reload log"
+        >
+          <RefreshCw className="w-3 h-3" />
+        </button>
+      </div>
+      <pre className="bg-gray-900 text-gray-100 p-3 rounded font-mono text-xs max-h-48 overflow-y-auto whitespace-pre-wrap">
+        {logText || `No ${stream} output yet.`}
+      </pre>
+    </div>
+  );
+};
+
+const PersonaPanel = ({ configs, onApplied }) => {
+  const [personas, setPersonas] = useState([]);
+  const [name, setName] = useState('');
+  const [importText, setImportText] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    fetchPersonas();
+  }, []);
+
+  const fetchPersonas = async () => {
+    try {
+      const res = await apiFetch(`${API_BASE}/personas`);
+      const data = await res.json();
+      setPersonas(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error('Error fetching personas:', err);
+    }
+  };
+
+  // Field errors come back keyed "protocol.field"; show the first few
+  const describeErrors = (data, status) => {
+    const details = Object.entries(data.errors || {})
+      .slice(0, 3)
+      .map(([key, error]) => `${key}: ${error}`);
+    return [data.error || `HTTP ${status}`, ...details].join(' · ');
+  };
+
+  const applyPersona = async (persona) => {
+    setBusy(true);
+    try {
+      const res = await apiFetch(`${API_BASE}/personas/${persona.id}/apply`, { method: 'POST' });
+      const data = await res.json();
+      if (res.ok) {
+        setMessage({
+          ok: true,
+          text: `Applied "${persona.name}" to ${data.applied.join(', ')}. ` +
+            'Restart running honeypots to pick it up.'
+        });
+        onApplied();
+      } else {
+        setMessage({ ok: false, text: describeErrors(data, res.status) });
+      }
+    } catch (err) {
+      console.error('Error applying persona:', err);
+      setMessage({ ok: false, text: err.message });
+    }
+    setBusy(false);
+  };
+
+  const createPersona = async (persona) => {
+    try {
+      const res = await apiFetch(`${API_BASE}/personas`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(persona)
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setMessage({ ok: false, text: describeErrors(data, res.status) });
+        return false;
+      }
+      setMessage({ ok: true, text: `Saved persona "${data.name}".` });
+      fetchPersonas();
+      return true;
+    } catch (err) {
+      console.error('Error saving persona:', err);
+      setMessage({ ok: false, text: err.message });
+      return false;
+    }
+  };
+
+  // The server drops host, port and log paths, so the persona only
+  // carries what the device looks like
+  const saveCurrent = async () => {
+    if (await createPersona({ name: name.trim(), configs })) {
+      setName('');
+    }
+  };
+
+  const importPersona = async () => {
+    let persona;
+    try {
+      persona = JSON.parse(importText);
+    } catch (err) {
+      setMessage({ ok: false, text: `Invalid JSON: ${err.message}` });
+      return;
+    }
+    if (await createPersona(persona)) {
+      setImportText(null);
+    }
+  };
+
+  const exportPersona = async (persona) => {
+    try {
+      const res = await apiFetch(`${API_BASE}/personas/${persona.id}`);
+      const data = await res.json();
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `persona-${persona.id}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting persona:', err);
+      setMessage({ ok: false, text: err.message });
+    }
+  };
+
+  const deletePersona = async (persona) => {
+    try {
+      const res = await apiFetch(`${API_BASE}/personas/${persona.id}`, { method: 'DELETE' });
+      if (!res.ok) {
+        const data = await res.json();
+        setMessage({ ok: false, text: data.error || `HTTP ${res.status}` });
+      }
+      fetchPersonas();
+    } catch (err) {
+      console.error('Error deleting persona:', err);
+    }
+  };
+
+  return (
+    <div className="mb-6 p-4 rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-medium text-gray-700 flex items-center">
+          <Layers className="w-4 h-4 mr-2" />
+          Device Personas
+        </h3>
+        <button
+          onClick={() => setImportText(importText === null ? '' : null)}
+          className="flex items-center px-3 py-1 rounded text-xs bg-gray-100 text-gray-700 hover:bg-gray-200"
+        >
+          <Upload className="w-3 h-3 mr-1" />
+          Import
+        </button>
+      </div>
 
-          <div className="flex items-center mb-3 space-x-2">
-            <select
-              value={rawProtocol}
-              onChange={(e) => {
-                const value = e.target.value;
-                setRawProtocol(value);
-                fetchRawLogs(value);
+      {importText !== null && (
+        <div className="space-y-2 mb-3">
+          <textarea
+            value={importText}
+            onChange={(e) => setImportText(e.target.value)}
+            rows={5}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-gray-400 focus:border-transparent"
+            placeholder='{"name": "My camera", "description": "...", "configs": {"telnet": {"hostname": "cam01"}}}'
+          />
+          <div className="flex items-center space-x-2">
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={async (e) => {
+                const file = e.target.files && e.target.files[0];
+                if (file) {
+                  setImportText(await file.text());
+                }
               }}
-              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-gray-400 focus:border-transparent"
-            >
-              {PROTOCOLS.map((p) => (
-                <option key={p} value={p}>
-                  {p.toUpperCase()}
-                </option>
-              ))}
-            </select>
+              className="text-xs text-gray-500"
+            />
             <button
-              onClick={() => fetchRawLogs()}
-              className="px-4 py-2 text-sm bg-gray-800 text-white rounded-lg hover:bg-gray-900 flex items-center"
+              onClick={importPersona}
+              className="px-3 py-1 text-sm bg-gray-700 text-white rounded hover:bg-gray-800"
             >
-              {rawLoading ? (
-                <>
-                  <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
-                  Loading
-                </>
-              ) : (
-                <>
-                  <FileText className="w-4 h-4 mr-2" />
-                  Load
-                </>
-              )}
+              Import
             </button>
           </div>
-
-          {rawError && (
-            <div className="text-xs text-red-500 mb-2">{rawError}</div>
-          )}
-
-          <div className="h-64 border border-gray-200 rounded-lg bg-black text-green-300 text-xs overflow-auto p-3 font-mono">
-            {rawLogs ? (
-              <pre className="whitespace-pre-wrap">{rawLogs}</pre>
-            ) : rawLoading ? (
-              <div className="text-gray-400">Loading logs...</div>
-            ) : (
-              <div className="text-gray-500">
-                Click &quot;Load&quot; to view contents of{' '}
-                <span className="font-semibold">
-                  logs/{rawProtocol}.logs
-                </span>{' '}
-                on the server.
-              </div>
-            )}
-          </div>
         </div>
-      </div>
+      )}
 
-      {/* Attack Details Modal */}
-      {selectedAttack && (
-        <div
-          className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center p-4 z-50"
-          onClick={() => setSelectedAttack(null)}
-        >
-          <div
-            className="bg-white rounded-lg p-6 max-w-3xl w-full max-h-[80vh] overflow-y-auto"
-            onClick={(e) => e.stopPropagation()}
-          >
-            <div className="flex justify-between items-start mb-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+        {personas.map((persona) => (
+          <div key={persona.id} className="p-3 rounded border border-gray-200">
+            <div className="flex items-start justify-between">
               <div>
-                <h3 className="text-xl font-semibold text-gray-800">
-                  Event / Attack Details
-                </h3>
-                <p className="text-sm text-gray-500 mt-1">
-                  {selectedAttack.ip || 'unknown'} —{' '}
-                  {selectedAttack.timestamp
-                    ? new Date(selectedAttack.timestamp).toLocaleString()
-                    : '-'}
-                </p>
+                <div className="text-sm font-medium text-gray-800">
+                  {persona.name}
+                  {persona.builtin && (
+                    <span className="ml-2 text-xs text-gray-400">built-in</span>
+                  )}
+                </div>
+                {persona.description && (
+                  <div className="text-xs text-gray-500">{persona.description}</div>
+                )}
+              </div>
+              <div className="flex items-center space-x-1 ml-2">
+                <button
+                  onClick={() => exportPersona(persona)}
+                  title="Export"
+                  className="p-1 text-gray-400 hover:text-gray-700"
+                >
+                  <Download className="w-3 h-3" />
+                </button>
+                {!persona.builtin && (
+                  <button
+                    onClick={() => deletePersona(persona)}
+                    title="Delete"
+                    className="p-1 text-gray-400 hover:text-red-500"
+                  >
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                )}
+              </div>
+            </div>
+            <div className="flex items-center justify-between mt-2">
+              <div className="flex flex-wrap gap-1">
+                {Object.keys(persona.configs).map((protocol) => (
+                  <span
+                    key={protocol}
+                    className="px-2 py-0.5 rounded text-xs text-white"
+                    style={{ backgroundColor: getProtocolColor(protocol) }}
+                  >
+                    {protocol}
+                  </span>
+                ))}
               </div>
               <button
-                onClick={() => setSelectedAttack(null)}
-                className="text-gray-400 hover:text-gray-600 text-2xl leading-none"
+                onClick={() => applyPersona(persona)}
+                disabled={busy}
+                className="px-3 py-1 rounded text-xs bg-gray-700 text-white hover:bg-gray-800 disabled:opacity-50"
               >
-                ×
+                Apply
               </button>
             </div>
-            <div className="bg-gray-900 text-gray-100 p-4 rounded font-mono text-sm space-y-2">
-              <div>
-                <span className="text-gray-400">Type: </span>
-                {selectedAttack.type || 'event'}
-              </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center space-x-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Persona name"
+          className="flex-1 px-3 py-1 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-gray-400 focus:border-transparent"
+        />
+        <button
+          onClick={saveCurrent}
+          disabled={!name.trim()}
+          className="flex items-center px-3 py-1 rounded text-sm bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+        >
+          <Save className="w-3 h-3 mr-1" />
+          Save current configs
+        </button>
+      </div>
+
+      {message && (
+        <p className={`text-sm mt-2 ${message.ok ? 'text-green-600' : 'text-red-500'}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const AUDIT_PAGE = 100;
+
+const describeAuditDetails = (details) =>
+  Object.entries(details || {})
+    .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : String(value)}`)
+    .join(' · ');
+
+// Each workspace's sensors fetch its port map from config_server.py
+// with the workspace secret
+const TenantsPanel = ({ currentUser, tenants, currentTenant, onChanged }) => {
+  const [name, setName] = useState('');
+  const [revealed, setRevealed] = useState({});
+  const [error, setError] = useState(null);
+  const operator = isOperator(currentUser);
+  const shown = operator ? tenants : tenants.filter((t) => t.id === currentTenant);
+
+  const createTenant = async () => {
+    try {
+      const res = await apiFetch(`${API_BASE}/tenants`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: name.trim() })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || `HTTP ${res.status}`);
+        return;
+      }
+      setError(null);
+      setName('');
+      onChanged();
+    } catch (err) {
+      console.error('Error creating workspace:', err);
+      setError(err.message);
+    }
+  };
+
+  const deleteTenant = async (tenant) => {
+    try {
+      const res = await apiFetch(`${API_BASE}/tenants/${tenant.id}`, { method: 'DELETE' });
+      const data = await res.json();
+      setError(res.ok ? null : data.error);
+      onChanged();
+    } catch (err) {
+      console.error('Error deleting workspace:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg border border-gray-200">
+      <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
+        <Building2 className="w-5 h-5 mr-2" />
+        {operator ? 'Workspaces' : 'Workspace'}
+      </h2>
+
+      <div className="space-y-3">
+        {shown.map((tenant) => (
+          <div key={tenant.id} className="p-3 rounded border border-gray-200 text-sm">
+            <div className="flex items-center justify-between">
               <div>
-                <span className="text-gray-400">Protocol: </span>
-                {selectedAttack.protocol || 'unknown'}
+                <span className="font-medium text-gray-800">{tenant.name}</span>
+                <span className="ml-2 font-mono text-xs text-gray-400">{tenant.id}</span>
+                {tenant.id === currentTenant && (
+                  <span className="ml-2 text-xs text-green-600">current</span>
+                )}
               </div>
-              {selectedAttack.command && (
-                <div>
-                  <span className="text-gray-400">Command: </span>
-                  {selectedAttack.command}
-                </div>
-              )}
-              {selectedAttack.data && (
-                <div>
-                  <span className="text-gray-400">Data:</span>
-                  <pre className="mt-2 text-xs whitespace-pre-wrap">
-                    {typeof selectedAttack.data === 'string'
-                      ? selectedAttack.data
-                      : JSON.stringify(selectedAttack.data, null, 2)}
-                  </pre>
-                </div>
+              {operator && tenant.id !== 'default' && (
+                <button
+                  onClick={() => deleteTenant(tenant)}
+                  title="Delete workspace (its files are kept)"
+                  className="p-1 text-gray-400 hover:text-red-500"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
               )}
-              {selectedAttack.raw && (
-                <div>
-                  <span className="text-gray-400">Raw Log:</span>
-                  <pre className="mt-2 text-xs whitespace-pre-wrap">
-                    {selectedAttack.raw}
-                  </pre>
-                </div>
+            </div>
+            <div className="mt-2 text-xs text-gray-600">
+              <span className="text-gray-500">Sensor secret: </span>
+              {tenant.secret ? (
+                <>
+                  <span className="font-mono">
+                    {revealed[tenant.id] ? tenant.secret : '•'.repeat(12)}
+                  </span>
+                  <button
+                    onClick={() => setRevealed({ ...revealed, [tenant.id]: !revealed[tenant.id] })}
+                    className="ml-2 text-gray-500 hover:text-gray-800 underline"
+                  >
+                    {revealed[tenant.id] ? 'Hide' : 'Show'}
+                  </button>
+                </>
+              ) : (
+                <span>config_server.py shared secret</span>
               )}
             </div>
+            {tenant.portMap && (
+              <div className="mt-1 flex flex-wrap gap-2 text-xs">
+                {Object.entries(tenant.portMap).map(([protocol, port]) => (
+                  <span key={protocol} className="px-2 py-0.5 rounded bg-gray-100 text-gray-700">
+                    {protocol}: <span className="font-mono">{port}</span>
+                  </span>
+                ))}
+              </div>
+            )}
           </div>
+        ))}
+      </div>
+
+      {operator && (
+        <div className="flex items-center space-x-2 mt-4">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && name.trim() && createTenant()}
+            placeholder="New workspace name"
+            className="flex-1 px-3 py-1 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-gray-400 focus:border-transparent"
+          />
+          <button
+            onClick={createTenant}
+            disabled={!name.trim()}
+            className="px-3 py-1 rounded text-sm bg-gray-700 text-white hover:bg-gray-800 disabled:opacity-50"
+          >
+            Create
+          </button>
         </div>
       )}
+      {error && <p className="text-sm text-red-500 mt-2">{error}</p>}
     </div>
   );
 };
 
-// ---------- SETTINGS PAGE ----------
+const EMPTY_USER_FORM = { username: '', password: '', role: 'viewer', tenants: [] };
+
+// Users are managed by admins of every workspace; other admins only get
+// the current workspace's audit log
+const AccessPanel = ({ currentUser, tenants }) => {
+  const [users, setUsers] = useState([]);
+  const [audit, setAudit] = useState([]);
+  const [form, setForm] = useState(EMPTY_USER_FORM);
+  const [error, setError] = useState(null);
+  const operator = isOperator(currentUser);
+
+  useEffect(() => {
+    if (operator) {
+      fetchUsers();
+    }
+    fetchAudit();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const fetchUsers = async () => {
+    try {
+      const res = await apiFetch(`${API_BASE}/users`);
+      const data = await res.json();
+      setUsers(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error('Error fetching users:', err);
+    }
+  };
+
+  const fetchAudit = async () => {
+    try {
+      const res = await apiFetch(`${API_BASE}/audit?limit=${AUDIT_PAGE}`);
+      const data = await res.json();
+      setAudit(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error('Error fetching audit log:', err);
+    }
+  };
+
+  // Creates the user, or updates the role (and password, if given) of
+  // an existing one
+  const saveUser = async (user) => {
+    try {
+      const res = await apiFetch(`${API_BASE}/users`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(user)
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || `HTTP ${res.status}`);
+        return false;
+      }
+      setError(null);
+      fetchUsers();
+      fetchAudit();
+      return true;
+    } catch (err) {
+      console.error('Error saving user:', err);
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const deleteUser = async (username) => {
+    try {
+      const res = await apiFetch(`${API_BASE}/users/${encodeURIComponent(username)}`, {
+        method: 'DELETE'
+      });
+      const data = await res.json();
+      setError(res.ok ? null : data.error);
+      fetchUsers();
+      fetchAudit();
+    } catch (err) {
+      console.error('Error deleting user:', err);
+      setError(err.message);
+    }
+  };
+
+  const submit = async () => {
+    if (await saveUser({ ...form, username: form.username.trim() })) {
+      setForm(EMPTY_USER_FORM);
+    }
+  };
+
+  const toggleFormTenant = (tenantId) => {
+    const selected = form.tenants.includes(tenantId)
+      ? form.tenants.filter((t) => t !== tenantId)
+      : [...form.tenants, tenantId];
+    setForm({ ...form, tenants: selected });
+  };
+
+  const describeTenants = (ids) =>
+    ids.includes('*')
+      ? 'All workspaces'
+      : ids.map((id) => (tenants.find((t) => t.id === id) || { name: id }).name).join(', ');
+
+  return (
+    <div className="bg-white p-6 rounded-lg border border-gray-200">
+      <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
+        <Users className="w-5 h-5 mr-2" />
+        {operator ? 'Users & Audit Log' : 'Audit Log'}
+      </h2>
+
+      <div className={`grid grid-cols-1 gap-6 ${operator ? 'lg:grid-cols-2' : ''}`}>
+        {operator && (
+          <div>
+            <table className="w-full text-sm mb-4">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                  <th className="py-2">User</th>
+                  <th className="py-2">Role</th>
+                  <th className="py-2">Workspaces</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {users.map((user) => (
+                  <tr key={user.username} className="border-b border-gray-100">
+                    <td className="py-2 text-gray-800">{user.username}</td>
+                    <td className="py-2">
+                      <select
+                        value={user.role}
+                        disabled={user.username === currentUser.username}
+                        onChange={(e) =>
+                          saveUser({ username: user.username, role: e.target.value, tenants: user.tenants })
+                        }
+                        className="px-2 py-1 border border-gray-300 rounded text-sm disabled:opacity-50"
+                      >
+                        {ROLES.map((role) => (
+                          <option key={role} value={role}>{role}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="py-2 text-xs text-gray-600">{describeTenants(user.tenants)}</td>
+                    <td className="py-2 text-right">
+                      {user.username !== currentUser.username && (
+                        <button
+                          onClick={() => deleteUser(user.username)}
+                          title="Delete user"
+                          className="p-1 text-gray-400 hover:text-red-500"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="flex items-center space-x-2">
+              <input
+                type="text"
+                value={form.username}
+                onChange={(e) => setForm({ ...form, username: e.target.value })}
+                placeholder="Username"
+                className="flex-1 min-w-0 px-3 py-1 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-gray-400 focus:border-transparent"
+              />
+              <input
+                type="password"
+                value={form.password}
+                onChange={(e) => setForm({ ...form, password: e.target.value })}
+                placeholder="Password"
+                autoComplete="new-password"
+                className="flex-1 min-w-0 px-3 py-1 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-gray-400 focus:border-transparent"
+              />
+              <select
+                value={form.role}
+                onChange={(e) => setForm({ ...form, role: e.target.value })}
+                className="px-2 py-1 border border-gray-300 rounded text-sm"
+              >
+                {ROLES.map((role) => (
+                  <option key={role} value={role}>{role}</option>
+                ))}
+              </select>
+              <button
+                onClick={submit}
+                disabled={!form.username.trim()}
+                className="px-3 py-1 rounded text-sm bg-gray-700 text-white hover:bg-gray-800 disabled:opacity-50"
+              >
+                Save
+              </button>
+            </div>
+            <div className="flex flex-wrap gap-3 mt-2 text-xs text-gray-600">
+              {[{ id: '*', name: 'All workspaces' }, ...tenants].map((tenant) => (
+                <label key={tenant.id} className="flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={form.tenants.includes(tenant.id)}
+                    onChange={() => toggleFormTenant(tenant.id)}
+                    className="w-3 h-3 mr-1 text-gray-600 border-gray-300 rounded focus:ring-gray-400"
+                  />
+                  {tenant.name}
+                </label>
+              ))}
+            </div>
+            <p className="text-xs text-gray-400 mt-1">
+              Saving an existing username updates its role and workspaces, and its password if one is given.
+            </p>
+            {error && <p className="text-sm text-red-500 mt-2">{error}</p>}
+          </div>
+        )}
+
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-xs text-gray-500">Latest {AUDIT_PAGE} entries</span>
+            <button
+              onClick={fetchAudit}
+              className="text-gray-400 hover:text-gray-600"
+              title="Reload audit log"
+            >
+              <RefreshCw className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="max-h-80 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded">
+            {audit.length === 0 && (
+              <div className="text-sm text-gray-400 p-3">No audit entries yet.</div>
+            )}
+            {audit.map((entry, i) => (
+              <div key={`${entry.timestamp}-${i}`} className="px-3 py-2 text-xs">
+                <div className="flex justify-between">
+                  <span className="font-medium text-gray-800">
+                    {entry.action.replace(/_/g, ' ')}
+                    {entry.target && <span className="text-gray-500"> · {entry.target}</span>}
+                  </span>
+                  <span className="text-gray-400">{new Date(entry.timestamp).toLocaleString()}</span>
+                </div>
+                <div className="text-gray-500">
+                  {entry.user || 'anonymous'} from {entry.ip}
+                  {describeAuditDetails(entry.details) && ` · ${describeAuditDetails(entry.details)}`}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
 
-const SettingsPage = () => {
+const SettingsPage = ({ user, tenants, currentTenant, onTenantsChanged }) => {
   const [configs, setConfigs] = useState({});
   const [selectedProtocol, setSelectedProtocol] = useState('telnet');
   const [honeypotStatus, setHoneypotStatus] = useState({});
   const [saving, setSaving] = useState(false);
+  const [actionError, setActionError] = useState(null);
+  const [schemas, setSchemas] = useState({});
+  // Raw text of JSON fields while it doesn't parse, keyed by field
+  const [drafts, setDrafts] = useState({});
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [saveMessage, setSaveMessage] = useState(null);
 
   useEffect(() => {
     fetchConfigs();
+    fetchSchemas();
     fetchHoneypotStatus();
+    const timer = setInterval(fetchHoneypotStatus, STATUS_POLL_MS);
+    return () => clearInterval(timer);
   }, []);
 
   const fetchConfigs = async () => {
     try {
-      const response = await fetch(`${API_BASE}/configs`);
+      const response = await apiFetch(`${API_BASE}/configs`);
       const data = await response.json();
       setConfigs(data || {});
     } catch (error) {
@@ -835,9 +8392,19 @@ const SettingsPage = () => {
     }
   };
 
+  const fetchSchemas = async () => {
+    try {
+      const response = await apiFetch(`${API_BASE}/configs/schema`);
+      const data = await response.json();
+      setSchemas(data || {});
+    } catch (error) {
+      console.error('Error fetching config schemas:', error);
+    }
+  };
+
   const fetchHoneypotStatus = async () => {
     try {
-      const response = await fetch(`${API_BASE}/status`);
+      const response = await apiFetch(`${API_BASE}/status`);
       const data = await response.json();
       setHoneypotStatus(data || {});
     } catch (error) {
@@ -845,45 +8412,99 @@ const SettingsPage = () => {
     }
   };
 
+  const selectProtocol = (protocol) => {
+    setSelectedProtocol(protocol);
+    setDrafts({});
+    setFieldErrors({});
+    setSaveMessage(null);
+  };
+
   const handleConfigChange = (field, value) => {
-    setConfigs((prev) => ({
-      ...prev,
-      [selectedProtocol]: {
-        ...prev[selectedProtocol],
-        [field]: value
+    setConfigs((prev) => {
+      const next = { ...prev[selectedProtocol] };
+      if (value === undefined) {
+        delete next[field.key];
+      } else {
+        next[field.key] = value;
       }
+      return { ...prev, [selectedProtocol]: next };
+    });
+    setFieldErrors((prev) => ({
+      ...prev,
+      [field.key]: value === undefined ? null : validateConfigValue(field, value)
     }));
+    setSaveMessage(null);
+  };
+
+  // JSON fields keep their text until it parses; parse errors show inline
+  const handleDraftChange = (field, text) => {
+    try {
+      const value = JSON.parse(text);
+      setDrafts((prev) => ({ ...prev, [field.key]: undefined }));
+      handleConfigChange(field, value);
+    } catch (error) {
+      setDrafts((prev) => ({ ...prev, [field.key]: text }));
+      setFieldErrors((prev) => ({ ...prev, [field.key]: `Invalid JSON: ${error.message}` }));
+      setSaveMessage(null);
+    }
   };
 
   const saveConfig = async () => {
+    const schema = schemas[selectedProtocol] || [];
+    const errors = validateConfig(selectedProtocol, currentConfig, schema, configs);
+    Object.entries(drafts).forEach(([key, text]) => {
+      if (text !== undefined) {
+        errors[key] = 'Fix the JSON before saving';
+      }
+    });
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      setSaveMessage({ ok: false, text: 'Fix the highlighted fields before saving.' });
+      return;
+    }
+
     setSaving(true);
     try {
-      await fetch(`${API_BASE}/configs/${selectedProtocol}`, {
+      const res = await apiFetch(`${API_BASE}/configs/${selectedProtocol}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(configs[selectedProtocol] || {})
+        body: JSON.stringify(currentConfig)
       });
-      alert('Configuration saved successfully!');
+      const data = await res.json();
+      if (res.ok) {
+        setSaveMessage({ ok: true, text: 'Configuration saved.' });
+      } else {
+        setFieldErrors(data.errors || {});
+        setSaveMessage({ ok: false, text: data.error || `HTTP ${res.status}` });
+      }
     } catch (error) {
       console.error('Error saving config:', error);
-      alert('Error saving configuration');
+      setSaveMessage({ ok: false, text: `Error saving configuration: ${error.message}` });
     }
     setSaving(false);
   };
 
   const toggleHoneypot = async (protocol) => {
     try {
-      const action = honeypotStatus[protocol] ? 'stop' : 'start';
-      await fetch(`${API_BASE}/honeypot/${protocol}/${action}`, {
+      const action = isHoneypotRunning(honeypotStatus[protocol]) ? 'stop' : 'start';
+      const res = await apiFetch(`${API_BASE}/honeypot/${protocol}/${action}`, {
         method: 'POST'
       });
+      const data = await res.json();
+      setActionError(res.ok ? null : `${protocol}: ${data.error}`);
       fetchHoneypotStatus();
     } catch (error) {
       console.error('Error toggling honeypot:', error);
+      setActionError(`${protocol}: ${error.message}`);
     }
   };
 
   const currentConfig = configs[selectedProtocol] || {};
+  const currentSchema = schemas[selectedProtocol] || [];
+  const fieldByKey = Object.fromEntries(currentSchema.map((field) => [field.key, field]));
+  // Protocols with a decoy filesystem get the tree builder instead of
+  // the two raw JSON fields
+  const hasFilesystem = Boolean(fieldByKey.filesystem && fieldByKey.files);
 
   return (
     <div className="space-y-6">
@@ -901,7 +8522,7 @@ const SettingsPage = () => {
             {PROTOCOLS.map((protocol) => (
               <button
                 key={protocol}
-                onClick={() => setSelectedProtocol(protocol)}
+                onClick={() => selectProtocol(protocol)}
                 className={`p-3 rounded-lg border-2 transition-all capitalize ${
                   selectedProtocol === protocol
                     ? 'border-gray-400 bg-gray-50'
@@ -914,9 +8535,9 @@ const SettingsPage = () => {
                   </span>
                   <div
                     className={`w-2 h-2 rounded-full ${
-                      honeypotStatus[protocol]
-                        ? 'bg-green-500'
-                        : 'bg-gray-300'
+                      PROCESS_STATE_STYLES[
+                        honeypotStatus[protocol] ? honeypotStatus[protocol].state : 'stopped'
+                      ].dot
                     }`}
                   />
                 </div>
@@ -927,12 +8548,12 @@ const SettingsPage = () => {
                     toggleHoneypot(protocol);
                   }}
                   className={`w-full py-1 px-2 rounded text-xs ${
-                    honeypotStatus[protocol]
+                    isHoneypotRunning(honeypotStatus[protocol])
                       ? 'bg-red-100 text-red-700 hover:bg-red-200'
                       : 'bg-green-100 text-green-700 hover:bg-green-200'
                   }`}
                 >
-                  {honeypotStatus[protocol] ? (
+                  {isHoneypotRunning(honeypotStatus[protocol]) ? (
                     <>
                       <Square className="w-3 h-3 inline mr-1" />
                       Stop
@@ -947,157 +8568,82 @@ const SettingsPage = () => {
               </button>
             ))}
           </div>
+          {actionError && (
+            <div className="text-sm text-red-500 mt-2">{actionError}</div>
+          )}
         </div>
 
-        {/* Configuration Form */}
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-          {/* Basic Settings */}
-          <div className="space-y-4">
-            <h3 className="text-lg font-semibold text-gray-800 border-b border-gray-200 pb-2">
-              Basic Settings
-            </h3>
-
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Host
-              </label>
-              <input
-                type="text"
-                value={currentConfig.host || '0.0.0.0'}
-                onChange={(e) => handleConfigChange('host', e.target.value)}
-                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-gray-400 focus:border-transparent"
-              />
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Port
-              </label>
-              <input
-                type="number"
-                value={currentConfig.port || ''}
-                onChange={(e) =>
-                  handleConfigChange(
-                    'port',
-                    parseInt(e.target.value, 10) || 0
-                  )
-                }
-                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-gray-400 focus:border-transparent"
-              />
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Hostname
-              </label>
-              <input
-                type="text"
-                value={currentConfig.hostname || ''}
-                onChange={(e) => handleConfigChange('hostname', e.target.value)}
-                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-gray-400 focus:border-transparent"
-              />
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Banner
-              </label>
-              <textarea
-                value={currentConfig.banner || ''}
-                onChange={(e) => handleConfigChange('banner', e.target.value)}
-                rows={3}
-                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-gray-400 focus:border-transparent"
-              />
-            </div>
-
-            <div className="flex items-center">
-              <input
-                type="checkbox"
-                checked={currentConfig.allow_all_logins || false}
-                onChange={(e) =>
-                  handleConfigChange('allow_all_logins', e.target.checked)
-                }
-                className="w-4 h-4 text-gray-600 border-gray-300 rounded focus:ring-gray-400"
-              />
-              <label className="ml-2 text-sm text-gray-700">
-                Allow All Logins
-              </label>
-            </div>
-          </div>
-
-          {/* Advanced Settings */}
-          <div className="space-y-4">
-            <h3 className="text-lg font-semibold text-gray-800 border-b border-gray-200 pb-2">
-              Advanced Settings
-            </h3>
+        {/* Device Personas */}
+        <PersonaPanel
+          configs={configs}
+          onApplied={() => {
+            fetchConfigs();
+            setDrafts({});
+            setFieldErrors({});
+            setSaveMessage(null);
+          }}
+        />
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Valid Credentials
-              </label>
-              <textarea
-                value={JSON.stringify(
-                  currentConfig.valid_credentials || {},
-                  null,
-                  2
-                )}
-                onChange={(e) => {
-                  try {
-                    handleConfigChange(
-                      'valid_credentials',
-                      JSON.parse(e.target.value)
-                    );
-                  } catch {
-                    // ignore JSON errors for now
-                  }
-                }}
-                rows={5}
-                className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-gray-400 focus:border-transparent"
-                placeholder='{"username": "password"}'
-              />
-            </div>
+        {/* Process Supervision */}
+        <ProcessPanel
+          protocol={selectedProtocol}
+          status={honeypotStatus[selectedProtocol]}
+          onChanged={fetchHoneypotStatus}
+        />
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Filesystem Structure
-              </label>
-              <textarea
-                value={JSON.stringify(currentConfig.filesystem || {}, null, 2)}
-                onChange={(e) => {
-                  try {
-                    handleConfigChange('filesystem', JSON.parse(e.target.value));
-                  } catch {
-                    // ignore
-                  }
-                }}
-                rows={6}
-                className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-gray-400 focus:border-transparent"
-                placeholder='{"/": ["bin", "etc"]}'
-              />
+        {/* Configuration Form */}
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {[
+            ['basic', 'Basic Settings'],
+            ['advanced', 'Advanced Settings']
+          ].map(([section, title]) => (
+            <div key={section} className="space-y-4">
+              <h3 className="text-lg font-semibold text-gray-800 border-b border-gray-200 pb-2">
+                {title}
+              </h3>
+              {currentSchema
+                .filter((field) => field.section === section)
+                .filter((field) => !(hasFilesystem && ['filesystem', 'files'].includes(field.key)))
+                .map((field) => (
+                  <ConfigField
+                    key={`${selectedProtocol}-${field.key}`}
+                    field={field}
+                    value={currentConfig[field.key]}
+                    draft={drafts[field.key]}
+                    error={fieldErrors[field.key]}
+                    onChange={(value) => handleConfigChange(field, value)}
+                    onDraftChange={(text) => handleDraftChange(field, text)}
+                  />
+                ))}
             </div>
+          ))}
+        </div>
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Custom Files
-              </label>
-              <textarea
-                value={JSON.stringify(currentConfig.files || {}, null, 2)}
-                onChange={(e) => {
-                  try {
-                    handleConfigChange('files', JSON.parse(e.target.value));
-                  } catch {
-                    // ignore
-                  }
-                }}
-                rows={5}
-                className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-gray-400 focus:border-transparent"
-                placeholder='{"/etc/passwd": "content"}'
-              />
-            </div>
+        {hasFilesystem && (
+          <div className="mt-6 pt-6 border-t border-gray-200">
+            <FilesystemBuilder
+              key={selectedProtocol}
+              filesystem={currentConfig.filesystem}
+              files={currentConfig.files}
+              onChange={(next) => {
+                handleConfigChange(fieldByKey.filesystem, next.filesystem);
+                handleConfigChange(fieldByKey.files, next.files);
+              }}
+            />
+            {(fieldErrors.filesystem || fieldErrors.files) && (
+              <p className="text-xs text-red-500 mt-2">
+                {fieldErrors.filesystem || fieldErrors.files}
+              </p>
+            )}
           </div>
-        </div>
+        )}
 
-        <div className="mt-6 flex justify_end">
+        <div className="mt-6 flex items-center justify-end space-x-4">
+          {saveMessage && (
+            <span className={`text-sm ${saveMessage.ok ? 'text-green-600' : 'text-red-500'}`}>
+              {saveMessage.text}
+            </span>
+          )}
           <button
             onClick={saveConfig}
             disabled={saving}
@@ -1108,6 +8654,159 @@ const SettingsPage = () => {
           </button>
         </div>
       </div>
+
+      <TenantsPanel
+        currentUser={user}
+        tenants={tenants}
+        currentTenant={currentTenant}
+        onChanged={onTenantsChanged}
+      />
+
+      <AccessPanel currentUser={user} tenants={tenants} />
+
+      {isOperator(user) && <GeoIpPanel />}
+    </div>
+  );
+};
+
+// ---------- SAVED VIEWS ----------
+
+const ViewsMenu = ({ onApply, canEdit }) => {
+  const [open, setOpen] = useState(false);
+  const [views, setViews] = useState([]);
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchViews();
+  }, []);
+
+  const fetchViews = async () => {
+    try {
+      const res = await apiFetch(`${API_BASE}/views`);
+      const data = await res.json();
+      setViews(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error('Error fetching views:', err);
+    }
+  };
+
+  // A view is the current URL query string under a name
+  const saveView = async () => {
+    if (!name.trim()) {
+      setError('Enter a name for this view');
+      return;
+    }
+    try {
+      const res = await apiFetch(`${API_BASE}/views`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: name.trim(), search: window.location.search })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      setViews((prev) => [...prev, data]);
+      setName('');
+      setError(null);
+    } catch (err) {
+      console.error('Error saving view:', err);
+      setError(err.message);
+    }
+  };
+
+  const deleteView = async (viewId) => {
+    try {
+      await apiFetch(`${API_BASE}/views/${viewId}`, { method: 'DELETE' });
+      setViews((prev) => prev.filter((v) => v.id !== viewId));
+    } catch (err) {
+      console.error('Error deleting view:', err);
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+    } catch (err) {
+      console.error('Error copying link:', err);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className={`flex items-center px-4 py-2 rounded-lg transition-colors ${
+          open ? 'bg-gray-100 text-gray-900' : 'text-gray-600 hover:bg-gray-50'
+        }`}
+      >
+        <Bookmark className="w-4 h-4 mr-2" />
+        Views
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-72 bg-white border border-gray-200 rounded-lg shadow-sm z-40 p-3">
+          <div className="space-y-1 max-h-64 overflow-y-auto">
+            {views.length === 0 && (
+              <div className="text-sm text-gray-400 py-2">No saved views yet.</div>
+            )}
+            {views.map((view) => (
+              <div
+                key={view.id}
+                className="flex items-center justify-between px-2 py-1.5 rounded hover:bg-gray-50"
+              >
+                <button
+                  onClick={() => {
+                    onApply(view.search);
+                    setOpen(false);
+                  }}
+                  className="text-sm text-gray-700 text-left flex-1 truncate"
+                  title={view.search || '(default view)'}
+                >
+                  {view.name}
+                </button>
+                {canEdit && (
+                  <button
+                    onClick={() => deleteView(view.id)}
+                    className="text-gray-300 hover:text-red-500 ml-2"
+                    title="Delete view"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+          <div className="border-t border-gray-200 mt-2 pt-3 space-y-2">
+            {canEdit && (
+              <div className="flex space-x-2">
+                <input
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && saveView()}
+                  placeholder="Save current view as..."
+                  className="flex-1 px-2 py-1.5 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-gray-400 focus:border-transparent"
+                />
+                <button
+                  onClick={saveView}
+                  className="px-3 py-1.5 text-sm bg-gray-800 text-white rounded hover:bg-gray-900"
+                >
+                  <Save className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+            {error && <div className="text-xs text-red-500">{error}</div>}
+            <button
+              onClick={copyLink}
+              className="flex items-center text-xs text-gray-500 hover:text-gray-700"
+            >
+              <Link className="w-3 h-3 mr-1" />
+              Copy link to current view
+            </button>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -1115,7 +8814,173 @@ const SettingsPage = () => {
 // ---------- MAIN APP ----------
 
 const App = () => {
-  const [currentPage, setCurrentPage] = useState('dashboard');
+  const [currentPage, setCurrentPage] = useState(() => readUrlState().page);
+  const [replaySessionKey, setReplaySessionKey] = useState(
+    () => readUrlState().session
+  );
+  const [attackerIp, setAttackerIp] = useState(() => readUrlState().ip);
+  const [iocSearch, setIocSearch] = useState(() => readUrlState().ioc);
+  const [incidentId, setIncidentId] = useState(() => readUrlState().incident);
+  // Bumped when the URL changes underneath the pages (back/forward, saved
+  // views) so they remount and re-read their state from it
+  const [urlVersion, setUrlVersion] = useState(0);
+  const [user, setUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
+  // Workspaces the user can open; null until loaded
+  const [tenants, setTenants] = useState(null);
+  const [currentTenant, setCurrentTenant] = useState(getTenant);
+  const [openAlerts, setOpenAlerts] = useState(0);
+
+  // Resume a stored session; any 401 later sends us back to the login page
+  useEffect(() => {
+    const checkSession = async () => {
+      if (getAuthToken()) {
+        try {
+          const res = await apiFetch(`${API_BASE}/auth/me`);
+          if (res.ok) {
+            setUser(await res.json());
+          }
+        } catch (err) {
+          console.error('Error checking session:', err);
+        }
+      }
+      setAuthChecked(true);
+    };
+    checkSession();
+
+    const handleExpired = () => setUser(null);
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+  }, []);
+
+  const fetchTenants = async () => {
+    try {
+      const res = await apiFetch(`${API_BASE}/tenants`);
+      const data = await res.json();
+      if (!res.ok) return;
+      setTenants(data);
+      if (!data.some((t) => t.id === getTenant())) {
+        const first = data.length > 0 ? data[0].id : null;
+        setTenant(first);
+        setCurrentTenant(first);
+      }
+    } catch (err) {
+      console.error('Error fetching workspaces:', err);
+    }
+  };
+
+  useEffect(() => {
+    if (user) {
+      fetchTenants();
+    } else {
+      setTenants(null);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user]);
+
+  const fetchOpenAlerts = async () => {
+    try {
+      const res = await apiFetch(`${API_BASE}/alerts?status=open&limit=0`);
+      const data = await res.json();
+      if (res.ok) {
+        setOpenAlerts(data.counts.open);
+      }
+    } catch (err) {
+      console.error('Error fetching alert counts:', err);
+    }
+  };
+
+  // Open alert count for the nav badge, in the current workspace
+  useEffect(() => {
+    if (!user || !currentTenant) {
+      setOpenAlerts(0);
+      return undefined;
+    }
+    fetchOpenAlerts();
+    const interval = setInterval(fetchOpenAlerts, ALERT_POLL_MS);
+    return () => clearInterval(interval);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user, currentTenant]);
+
+  // Pages remount (main is keyed by tenant) and refetch in the new scope
+  const switchTenant = (tenantId) => {
+    setTenant(tenantId);
+    setCurrentTenant(tenantId);
+  };
+
+  const syncFromUrl = () => {
+    const state = readUrlState();
+    setCurrentPage(state.page);
+    setReplaySessionKey(state.session);
+    setAttackerIp(state.ip);
+    setIocSearch(state.ioc);
+    setIncidentId(state.incident);
+    setUrlVersion((v) => v + 1);
+  };
+
+  useEffect(() => {
+    window.addEventListener('popstate', syncFromUrl);
+    return () => window.removeEventListener('popstate', syncFromUrl);
+  }, []);
+
+  const navigate = (page) => {
+    writeUrlState({ page }, true);
+    setCurrentPage(page);
+  };
+
+  const openSession = (sessionKey) => {
+    writeUrlState({ page: 'sessions', session: sessionKey }, true);
+    setReplaySessionKey(sessionKey);
+    setCurrentPage('sessions');
+  };
+
+  const openAttacker = (ip) => {
+    writeUrlState({ page: 'attacker', ip }, true);
+    setAttackerIp(ip);
+    setCurrentPage('attacker');
+  };
+
+  const openIoc = (value) => {
+    writeUrlState({ page: 'iocs', ioc: value }, true);
+    setIocSearch(value);
+    setUrlVersion((v) => v + 1);
+    setCurrentPage('iocs');
+  };
+
+  const openIncident = (id) => {
+    writeUrlState({ page: 'incidents', incident: id }, true);
+    setIncidentId(id);
+    setUrlVersion((v) => v + 1);
+    setCurrentPage('incidents');
+  };
+
+  const applyView = (search) => {
+    window.history.pushState(null, '', `${window.location.pathname}${search}`);
+    syncFromUrl();
+  };
+
+  const logout = async () => {
+    try {
+      await apiFetch(`${API_BASE}/auth/logout`, { method: 'POST' });
+    } catch (err) {
+      console.error('Error logging out:', err);
+    }
+    setAuthToken(null);
+    setTenant(null);
+    setUser(null);
+  };
+
+  if (!authChecked) {
+    return <div className="min-h-screen bg-gray-50" />;
+  }
+  if (!user) {
+    return <LoginPage onLogin={setUser} />;
+  }
+  if (tenants === null) {
+    return <div className="min-h-screen bg-gray-50" />;
+  }
+
+  const isAdmin = hasRole(user, 'admin');
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -1131,7 +8996,7 @@ const App = () => {
             </div>
             <nav className="flex space-x-1">
               <button
-                onClick={() => setCurrentPage('dashboard')}
+                onClick={() => navigate('dashboard')}
                 className={`flex items-center px-4 py-2 rounded-lg transition-colors ${
                   currentPage === 'dashboard'
                     ? 'bg-gray-100 text-gray-900'
@@ -1142,27 +9007,235 @@ const App = () => {
                 Dashboard
               </button>
               <button
-                onClick={() => setCurrentPage('settings')}
+                onClick={() => navigate('sessions')}
+                className={`flex items-center px-4 py-2 rounded-lg transition-colors ${
+                  currentPage === 'sessions'
+                    ? 'bg-gray-100 text-gray-900'
+                    : 'text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                <History className="w-4 h-4 mr-2" />
+                Sessions
+              </button>
+              <button
+                onClick={() => navigate('ics')}
+                className={`flex items-center px-4 py-2 rounded-lg transition-colors ${
+                  currentPage === 'ics'
+                    ? 'bg-gray-100 text-gray-900'
+                    : 'text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                <Cpu className="w-4 h-4 mr-2" />
+                ICS
+              </button>
+              <button
+                onClick={() => navigate('iocs')}
+                className={`flex items-center px-4 py-2 rounded-lg transition-colors ${
+                  currentPage === 'iocs'
+                    ? 'bg-gray-100 text-gray-900'
+                    : 'text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                <ScanSearch className="w-4 h-4 mr-2" />
+                Indicators
+              </button>
+              <button
+                onClick={() => navigate('commands')}
+                className={`flex items-center px-4 py-2 rounded-lg transition-colors ${
+                  currentPage === 'commands'
+                    ? 'bg-gray-100 text-gray-900'
+                    : 'text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                <SquareTerminal className="w-4 h-4 mr-2" />
+                Commands
+              </button>
+              <button
+                onClick={() => navigate('attack')}
+                className={`flex items-center px-4 py-2 rounded-lg transition-colors ${
+                  currentPage === 'attack'
+                    ? 'bg-gray-100 text-gray-900'
+                    : 'text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                <Crosshair className="w-4 h-4 mr-2" />
+                ATT&CK
+              </button>
+              <button
+                onClick={() => navigate('sensors')}
+                className={`flex items-center px-4 py-2 rounded-lg transition-colors ${
+                  currentPage === 'sensors'
+                    ? 'bg-gray-100 text-gray-900'
+                    : 'text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                <Router className="w-4 h-4 mr-2" />
+                Sensors
+              </button>
+              <button
+                onClick={() => navigate('alerts')}
+                className={`flex items-center px-4 py-2 rounded-lg transition-colors ${
+                  currentPage === 'alerts'
+                    ? 'bg-gray-100 text-gray-900'
+                    : 'text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                <Bell className="w-4 h-4 mr-2" />
+                Alerts
+                {openAlerts > 0 && (
+                  <span className="ml-1.5 px-1.5 text-xs rounded-full bg-red-600 text-white">
+                    {openAlerts}
+                  </span>
+                )}
+              </button>
+              <button
+                onClick={() => navigate('incidents')}
                 className={`flex items-center px-4 py-2 rounded-lg transition-colors ${
-                  currentPage === 'settings'
+                  currentPage === 'incidents'
                     ? 'bg-gray-100 text-gray-900'
                     : 'text-gray-600 hover:bg-gray-50'
                 }`}
               >
-                <Settings className="w-4 h-4 mr-2" />
-                Settings
+                <Briefcase className="w-4 h-4 mr-2" />
+                Incidents
               </button>
+              {isAdmin && (
+                <button
+                  onClick={() => navigate('settings')}
+                  className={`flex items-center px-4 py-2 rounded-lg transition-colors ${
+                    currentPage === 'settings'
+                      ? 'bg-gray-100 text-gray-900'
+                      : 'text-gray-600 hover:bg-gray-50'
+                  }`}
+                >
+                  <Settings className="w-4 h-4 mr-2" />
+                  Settings
+                </button>
+              )}
+              <ViewsMenu
+                key={currentTenant}
+                onApply={applyView}
+                canEdit={hasRole(user, 'analyst')}
+              />
+              {tenants.length > 1 && (
+                <div className="flex items-center pl-3 ml-2 border-l border-gray-200">
+                  <Building2 className="w-4 h-4 mr-1 text-gray-500" />
+                  <select
+                    value={currentTenant || ''}
+                    onChange={(e) => switchTenant(e.target.value)}
+                    title="Workspace"
+                    className="px-2 py-1 border border-gray-300 rounded text-sm text-gray-700"
+                  >
+                    {tenants.map((tenant) => (
+                      <option key={tenant.id} value={tenant.id}>{tenant.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div className="flex items-center pl-3 ml-2 border-l border-gray-200 text-sm text-gray-600">
+                <User className="w-4 h-4 mr-1" />
+                {user.username}
+                <span className="ml-1 text-xs text-gray-400">({user.role})</span>
+                <button
+                  onClick={logout}
+                  className="ml-3 p-2 rounded-lg text-gray-500 hover:bg-gray-50 hover:text-gray-800"
+                  title="Sign out"
+                >
+                  <LogOut className="w-4 h-4" />
+                </button>
+              </div>
             </nav>
           </div>
         </div>
       </header>
 
       {/* Main Content */}
-      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        {currentPage === 'dashboard' ? <Dashboard /> : <SettingsPage />}
+      <main key={currentTenant} className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {tenants.length === 0 && (
+          <div className="bg-white p-6 rounded-lg border border-gray-200 text-gray-500">
+            Your account has no workspaces. Ask an admin for access.
+          </div>
+        )}
+        {tenants.length > 0 && currentPage === 'dashboard' && (
+          <Dashboard
+            key={urlVersion}
+            user={user}
+            onOpenSession={openSession}
+            onOpenAttacker={openAttacker}
+            onOpenIoc={openIoc}
+            onOpenCommands={() => navigate('commands')}
+            onOpenIncident={openIncident}
+          />
+        )}
+        {tenants.length > 0 && currentPage === 'sessions' && (
+          <SessionReplayPage
+            key={`${urlVersion}-${replaySessionKey || 'sessions'}`}
+            initialSessionKey={replaySessionKey}
+            user={user}
+            canExport={hasRole(user, 'analyst')}
+            onOpenIncident={openIncident}
+          />
+        )}
+        {tenants.length > 0 && currentPage === 'ics' && <IcsPage onOpenAttacker={openAttacker} />}
+        {tenants.length > 0 && currentPage === 'iocs' && (
+          <IocPage
+            key={urlVersion}
+            initialSearch={iocSearch}
+            onOpenAttacker={openAttacker}
+            onOpenEvent={(eventKey) => applyView(buildUrlSearch({ event: eventKey }))}
+          />
+        )}
+        {tenants.length > 0 && currentPage === 'commands' && <CommandsPage onOpenAttacker={openAttacker} />}
+        {tenants.length > 0 && currentPage === 'attack' && <AttackPage user={user} />}
+        {tenants.length > 0 && currentPage === 'sensors' && (
+          <SensorsPage
+            user={user}
+            tenant={tenants.find((t) => t.id === currentTenant)}
+            onOpenEvents={(query) => applyView(buildUrlSearch({ query }))}
+          />
+        )}
+        {tenants.length > 0 && currentPage === 'alerts' && (
+          <AlertsPage
+            user={user}
+            onOpenAttacker={openAttacker}
+            onAlertsChanged={fetchOpenAlerts}
+          />
+        )}
+        {tenants.length > 0 && currentPage === 'incidents' && (
+          <IncidentsPage
+            key={urlVersion}
+            user={user}
+            initialIncident={incidentId}
+            onOpenAttacker={openAttacker}
+            onOpenEvent={(eventKey) => applyView(buildUrlSearch({ event: eventKey }))}
+          />
+        )}
+        {tenants.length > 0 && currentPage === 'attacker' && (
+          <AttackerProfilePage
+            key={`${urlVersion}-${attackerIp}`}
+            ip={attackerIp}
+            onOpenSession={openSession}
+            user={user}
+            canExport={hasRole(user, 'analyst')}
+            onOpenIncident={openIncident}
+          />
+        )}
+        {tenants.length > 0 && currentPage === 'settings' && (isAdmin ? (
+          <SettingsPage
+            user={user}
+            tenants={tenants}
+            currentTenant={currentTenant}
+            onTenantsChanged={fetchTenants}
+          />
+        ) : (
+          <div className="bg-white p-6 rounded-lg border border-gray-200 text-gray-500">
+            Settings are only available to admins.
+          </div>
+        ))}
       </main>
     </div>
   );
 };
 
+export { parseQuery, evaluateQuery };
 export default App;
@@ -1,8 +1,29 @@
 import { render, screen } from '@testing-library/react';
-import App from './App';
+import App, { parseQuery, evaluateQuery } from './App';
+import cases from '../../tests/query_cases.json';
 
-test('renders learn react link', () => {
+test('shows the login form when signed out', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByRole('button', { name: /sign in/i })).toBeDisabled();
+  expect(screen.getByText('Username')).toBeInTheDocument();
+  expect(screen.getByText('Password')).toBeInTheDocument();
+});
+
+// The same cases run against the server's parser (tests/test_query.py)
+describe('query language', () => {
+  test.each(cases.matches)('$query', ({ query, events }) => {
+    const ast = parseQuery(query);
+    const matched = Object.entries(cases.events)
+      .filter(([, event]) => evaluateQuery(ast, event))
+      .map(([name]) => name);
+    expect(matched).toEqual(events);
+  });
+
+  test.each(cases.errors)('rejects %s', (query) => {
+    expect(() => parseQuery(query)).toThrow();
+  });
+
+  test('treats an empty query as no query', () => {
+    expect(parseQuery('  ')).toBeNull();
+  });
 });
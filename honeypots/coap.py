@@ -3,6 +3,7 @@ import threading
 import logging
 import json
 import os
+import sys
 import struct
 import time
 from datetime import datetime
@@ -616,5 +617,7 @@ class CoAPHoneypot:
             sock.close()
 
 if __name__ == "__main__":
-    honeypot = CoAPHoneypot("../configs/coap.json")
+    # The dashboard passes each tenant's config path
+    config_file = sys.argv[1] if len(sys.argv) > 1 else "../configs/coap.json"
+    honeypot = CoAPHoneypot(config_file)
     honeypot.start()
@@ -3,6 +3,7 @@ import threading
 import logging
 import json
 import os
+import sys
 import struct
 import time
 from datetime import datetime
@@ -168,13 +169,17 @@ class DNP3Packet:
         
         return header + bytes(data_with_crc)
 
+def int_keys(mapping):
+    """JSON object keys are strings; addresses are looked up as ints"""
+    return {int(key): value for key, value in mapping.items()}
+
 class UtilityDevice:
     """Simulates utility/SCADA device with DNP3 points"""
     def __init__(self, config):
         self.config = config
         
         # Binary inputs (status points)
-        self.binary_inputs = config.get("binary_inputs", {
+        self.binary_inputs = int_keys(config.get("binary_inputs", {
             0: {"value": True, "name": "Breaker_CB1_Closed"},
             1: {"value": True, "name": "Breaker_CB2_Closed"},
             2: {"value": False, "name": "Breaker_CB3_Closed"},
@@ -185,19 +190,19 @@ class UtilityDevice:
             7: {"value": True, "name": "SCADA_Connected"},
             8: {"value": False, "name": "Generator_Running"},
             9: {"value": True, "name": "Grid_Connected"},
-        })
+        }))
         
         # Binary outputs (control points)
-        self.binary_outputs = config.get("binary_outputs", {
+        self.binary_outputs = int_keys(config.get("binary_outputs", {
             0: {"value": False, "name": "Trip_CB1"},
             1: {"value": False, "name": "Trip_CB2"},
             2: {"value": False, "name": "Close_CB3"},
             3: {"value": False, "name": "Start_Generator"},
             4: {"value": False, "name": "Alarm_Reset"},
-        })
+        }))
         
         # Analog inputs (measurements)
-        self.analog_inputs = config.get("analog_inputs", {
+        self.analog_inputs = int_keys(config.get("analog_inputs", {
             0: {"value": 13800, "name": "Voltage_L1", "unit": "V"},
             1: {"value": 13750, "name": "Voltage_L2", "unit": "V"},
             2: {"value": 13820, "name": "Voltage_L3", "unit": "V"},
@@ -208,21 +213,21 @@ class UtilityDevice:
             7: {"value": 1250, "name": "Reactive_Power", "unit": "kVAR"},
             8: {"value": 6000, "name": "Frequency", "unit": "mHz"},  # 60.00 Hz
             9: {"value": 95, "name": "Power_Factor", "unit": "%"},
-        })
+        }))
         
         # Analog outputs (setpoints)
-        self.analog_outputs = config.get("analog_outputs", {
+        self.analog_outputs = int_keys(config.get("analog_outputs", {
             0: {"value": 13800, "name": "Voltage_Setpoint", "unit": "V"},
             1: {"value": 6000, "name": "Frequency_Setpoint", "unit": "mHz"},
             2: {"value": 5000, "name": "Power_Setpoint", "unit": "kW"},
-        })
+        }))
         
         # Counters (energy meters, pulse counters)
-        self.counters = config.get("counters", {
+        self.counters = int_keys(config.get("counters", {
             0: {"value": 123456, "name": "Energy_Import", "unit": "kWh"},
             1: {"value": 45678, "name": "Energy_Export", "unit": "kWh"},
             2: {"value": 9876, "name": "Event_Counter"},
-        })
+        }))
         
         self.device_attributes = {
             "vendor": "Electric Utility Systems",
@@ -861,5 +866,7 @@ class DNP3Honeypot:
             server.close()
 
 if __name__ == "__main__":
-    honeypot = DNP3Honeypot("../configs/dnp3.json")
+    # The dashboard passes each tenant's config path
+    config_file = sys.argv[1] if len(sys.argv) > 1 else "../configs/dnp3.json"
+    honeypot = DNP3Honeypot(config_file)
     honeypot.start()
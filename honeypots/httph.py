@@ -2,6 +2,7 @@ from flask import Flask, request, render_template_string, jsonify, make_response
 import logging
 import json
 import os
+import sys
 from datetime import datetime
 from pathlib import Path
 import hashlib
@@ -618,5 +619,7 @@ UPLOAD_TEMPLATE = """
 if __name__ == "__main__":
     # Note: Requires Flask library
     # Install with: pip install flask
-    honeypot = HTTPHoneypot("../configs/http.json")
+    # The dashboard passes each tenant's config path
+    config_file = sys.argv[1] if len(sys.argv) > 1 else "../configs/http.json"
+    honeypot = HTTPHoneypot(config_file)
     honeypot.start()
@@ -3,6 +3,7 @@ import threading
 import logging
 import json
 import os
+import sys
 import struct
 import time
 from datetime import datetime
@@ -73,13 +74,17 @@ class ModbusPacket:
         data = struct.pack('!BB', function_code, exception_code)
         return self.build_response(data)
 
+def int_keys(mapping):
+    """JSON object keys are strings; addresses are looked up as ints"""
+    return {int(key): value for key, value in mapping.items()}
+
 class SCADADevice:
     """Simulates SCADA/ICS device with registers and coils"""
     def __init__(self, config):
         self.config = config
         
         # Initialize registers (holding registers)
-        self.holding_registers = config.get("holding_registers", {
+        self.holding_registers = int_keys(config.get("holding_registers", {
             0: 0,      # System status
             1: 2250,   # Temperature (22.5°C * 100)
             2: 4500,   # Pressure (45.0 PSI * 100)
@@ -90,18 +95,18 @@ class SCADADevice:
             11: 200,   # Setpoint 2
             100: 0x1234,  # Device ID
             101: 0x0100,  # Firmware version
-        })
+        }))
         
         # Input registers (read-only sensors)
-        self.input_registers = config.get("input_registers", {
+        self.input_registers = int_keys(config.get("input_registers", {
             0: 2250,   # Temperature sensor
             1: 4500,   # Pressure sensor
             2: 1500,   # Flow sensor
             3: 8000,   # Voltage sensor
-        })
+        }))
         
         # Coils (digital outputs)
-        self.coils = config.get("coils", {
+        self.coils = int_keys(config.get("coils", {
             0: False,  # Pump 1
             1: False,  # Pump 2
             2: False,  # Valve 1
@@ -110,15 +115,15 @@ class SCADADevice:
             5: False,  # Alarm
             10: False, # Motor 1
             11: False, # Motor 2
-        })
+        }))
         
         # Discrete inputs (digital inputs)
-        self.discrete_inputs = config.get("discrete_inputs", {
+        self.discrete_inputs = int_keys(config.get("discrete_inputs", {
             0: False,  # Sensor 1
             1: True,   # Sensor 2
             2: False,  # Door open
             3: True,   # System ready
-        })
+        }))
         
         self.device_info = config.get("device_info", {
             "vendor": "SCADA Systems Inc.",
@@ -735,5 +740,7 @@ class ModbusHoneypot:
             server.close()
 
 if __name__ == "__main__":
-    honeypot = ModbusHoneypot("../configs/modbus.json")
+    # The dashboard passes each tenant's config path
+    config_file = sys.argv[1] if len(sys.argv) > 1 else "../configs/modbus.json"
+    honeypot = ModbusHoneypot(config_file)
     honeypot.start()
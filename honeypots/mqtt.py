@@ -3,6 +3,7 @@ import threading
 import logging
 import json
 import os
+import sys
 import struct
 import time
 from datetime import datetime
@@ -687,5 +688,7 @@ class MQTTHoneypot:
             server.close()
 
 if __name__ == "__main__":
-    honeypot = MQTTHoneypot("../configs/mqtt.json")
+    # The dashboard passes each tenant's config path
+    config_file = sys.argv[1] if len(sys.argv) > 1 else "../configs/mqtt.json"
+    honeypot = MQTTHoneypot(config_file)
     honeypot.start()
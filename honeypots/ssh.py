@@ -3,6 +3,7 @@ import threading
 import logging
 import json
 import os
+import sys
 import paramiko
 from datetime import datetime
 from pathlib import Path
@@ -73,14 +74,20 @@ class FakeFilesystem:
 
 class SSHServer(paramiko.ServerInterface):
     """SSH server interface for authentication"""
-    def __init__(self, config, logger, client_addr):
+    def __init__(self, config, logger, client_addr, transport=None):
         self.config = config
         self.logger = logger
         self.client_addr = client_addr
+        self.transport = transport
         self.event = threading.Event()
         self.username = None
         self.auth_attempts = []
     
+    @property
+    def client_version(self):
+        """The client's SSH banner (e.g. SSH-2.0-libssh_0.9.6), used to fingerprint tools"""
+        return self.transport.remote_version if self.transport else None
+    
     def check_auth_password(self, username, password):
         """Check password authentication"""
         self.username = username
@@ -89,7 +96,8 @@ class SSHServer(paramiko.ServerInterface):
             "ip": self.client_addr[0],
             "username": username,
             "password": password,
-            "auth_type": "password"
+            "auth_type": "password",
+            "client_version": self.client_version
         }
         self.auth_attempts.append(auth_log)
         self.logger.info(f"Auth attempt: {json.dumps(auth_log)}")
@@ -116,7 +124,8 @@ class SSHServer(paramiko.ServerInterface):
             "ip": self.client_addr[0],
             "username": username,
             "key_fingerprint": key_hash,
-            "auth_type": "publickey"
+            "auth_type": "publickey",
+            "client_version": self.client_version
         }
         self.auth_attempts.append(auth_log)
         self.logger.info(f"Pubkey auth attempt: {json.dumps(auth_log)}")
@@ -206,6 +215,7 @@ class SSHSession:
             "ip": self.addr[0],
             "port": self.addr[1],
             "username": self.username,
+            "client_version": self.ssh_server.client_version,
             "type": activity_type,
             "data": data
         }
@@ -466,7 +476,8 @@ class SSHSession:
                     "username": self.username,
                     "start": self.session_log[0]["timestamp"] if self.session_log else None,
                     "end": self.session_log[-1]["timestamp"] if self.session_log else None,
-                    "protocol": "ssh"
+                    "protocol": "ssh",
+                    "client_version": self.ssh_server.client_version
                 },
                 "auth_attempts": self.ssh_server.auth_attempts,
                 "activity": self.session_log
@@ -568,7 +579,7 @@ class SSHHoneypot:
             transport = paramiko.Transport(client_socket)
             transport.add_server_key(self.host_key)
             
-            ssh_server = SSHServer(self.config, self.logger, addr)
+            ssh_server = SSHServer(self.config, self.logger, addr, transport)
             transport.start_server(server=ssh_server)
             
             # Wait for authentication
@@ -631,5 +642,7 @@ class SSHHoneypot:
 if __name__ == "__main__":
     # Note: Requires paramiko library
     # Install with: pip install paramiko
-    honeypot = SSHHoneypot("../configs/ssh.json")
+    # The dashboard passes each tenant's config path
+    config_file = sys.argv[1] if len(sys.argv) > 1 else "../configs/ssh.json"
+    honeypot = SSHHoneypot(config_file)
     honeypot.start()
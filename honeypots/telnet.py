@@ -3,6 +3,7 @@ import threading
 import logging
 import json
 import os
+import sys
 from datetime import datetime
 from pathlib import Path
 
@@ -360,5 +361,7 @@ class TelnetHoneypot:
             server.close()
 
 if __name__ == "__main__":
-    honeypot = TelnetHoneypot("../configs/telnet.json")
+    # The dashboard passes each tenant's config path
+    config_file = sys.argv[1] if len(sys.argv) > 1 else "../configs/telnet.json"
+    honeypot = TelnetHoneypot(config_file)
     honeypot.start()
@@ -0,0 +1,110 @@
+"""
+Alert rules (see ALERTS in app.py): threshold windows follow the events'
+timestamps, and deliveries only go to public addresses.
+"""
+import os
+import socket
+import sys
+import unittest
+from datetime import datetime, timedelta
+from unittest import mock
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+import app  # noqa: E402
+
+START = datetime(2024, 5, 1, 12, 0, 0)
+PUBLIC = '93.184.216.34'
+
+
+def make_events(*seconds):
+  """Events from one IP at these offsets from START, oldest first."""
+  return [
+    {'timestamp': (START + timedelta(seconds=s)).isoformat(), 'ip': '203.0.113.5', 'protocol': 'ssh', 'type': 'auth'}
+    for s in seconds
+  ]
+
+
+def resolving_to(*addresses):
+  return [(socket.AF_INET6 if ':' in a else socket.AF_INET, socket.SOCK_STREAM, 6, '', (a, 0)) for a in addresses]
+
+
+class ThresholdWindowTest(unittest.TestCase):
+  def setUp(self):
+    patcher = mock.patch.dict(app.alert_rule_state, clear=True)
+    patcher.start()
+    self.addCleanup(patcher.stop)
+    self.rule = {
+      'id': 'r1', 'updated': 'v1', 'name': 'Brute force', 'query': '', 'kind': 'threshold',
+      'severity': 'high', 'threshold': 3, 'window': 60, 'cooldown': 300, 'groupBy': 'ip', 'channels': []
+    }
+    # The worker reads a backlog long after it was logged
+    self.now = (START + timedelta(hours=3)).timestamp()
+
+  def evaluate(self, events):
+    return app.evaluate_alert_rule(self.rule, events, app.DEFAULT_TENANT, self.now)
+
+  def test_burst_fires(self):
+    alerts = self.evaluate(make_events(0, 20, 40))
+    self.assertEqual([a['count'] for a in alerts], [3])
+
+  def test_backlog_spread_over_hours_does_not_fire(self):
+    self.assertEqual(self.evaluate(make_events(0, 1800, 3600, 5400, 7200)), [])
+
+  def test_window_spans_passes(self):
+    self.assertEqual(self.evaluate(make_events(0, 30)), [])
+    self.assertEqual(len(self.evaluate(make_events(50))), 1)
+
+  def test_window_expires_between_passes(self):
+    self.assertEqual(self.evaluate(make_events(0, 30)), [])
+    self.assertEqual(self.evaluate(make_events(120)), [])
+
+  def test_cooldown_follows_event_time(self):
+    self.assertEqual(len(self.evaluate(make_events(0, 10, 20, 30, 40))), 1)
+    self.assertEqual(len(self.evaluate(make_events(400, 410, 420))), 1)
+
+
+class DeliveryDestinationTest(unittest.TestCase):
+  def test_private_destinations_are_refused(self):
+    for address in ['127.0.0.1', '10.1.2.3', '192.168.0.10', '169.254.169.254', '::1', 'fe80::1', '::ffff:127.0.0.1']:
+      with self.subTest(address=address):
+        with mock.patch.object(app.socket, 'getaddrinfo', return_value=resolving_to(address)):
+          with self.assertRaises(app.AlertDeliveryError):
+            app.resolve_public_address('hooks.example.com', 'Webhook')
+
+  def test_any_private_address_is_refused(self):
+    with mock.patch.object(app.socket, 'getaddrinfo', return_value=resolving_to(PUBLIC, '10.0.0.1')):
+      with self.assertRaises(app.AlertDeliveryError):
+        app.resolve_public_address('hooks.example.com', 'Webhook')
+
+  def test_unresolvable_host(self):
+    with mock.patch.object(app.socket, 'getaddrinfo', side_effect=socket.gaierror('no such host')):
+      with self.assertRaisesRegex(app.AlertDeliveryError, 'could not be resolved'):
+        app.resolve_public_address('nowhere.example.com', 'Webhook')
+
+  def test_webhook_connects_to_the_checked_address(self):
+    # A rebinding name answers the check with a public address, then loopback
+    lookups = mock.Mock(side_effect=[resolving_to(PUBLIC), resolving_to('127.0.0.1')])
+    session = mock.MagicMock()
+    session.__enter__.return_value = session
+    session.post.return_value.status_code = 200
+    with mock.patch.object(app.socket, 'getaddrinfo', lookups), \
+         mock.patch.object(app.requests, 'Session', return_value=session):
+      app.deliver_webhook({'type': 'webhook', 'url': 'https://hooks.example.com:8443/in?x=1'}, {'id': 'a'})
+    self.assertEqual(lookups.call_count, 1)
+    url = session.post.call_args.args[0]
+    self.assertEqual(url, f'https://{PUBLIC}:8443/in?x=1')
+    self.assertEqual(session.post.call_args.kwargs['headers'], {'Host': 'hooks.example.com:8443'})
+    self.assertFalse(session.post.call_args.kwargs['allow_redirects'])
+
+  def test_syslog_to_private_address_is_refused(self):
+    with mock.patch.object(app.socket, 'getaddrinfo', return_value=resolving_to('10.0.0.5')), \
+         mock.patch.object(app.socket, 'socket') as sockets:
+      with self.assertRaises(app.AlertDeliveryError):
+        app.deliver_syslog({'type': 'syslog', 'host': 'logs.internal', 'port': 514}, {'severity': 'high', 'message': 'x'})
+    sockets.assert_not_called()
+
+
+if __name__ == '__main__':
+  unittest.main()
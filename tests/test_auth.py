@@ -0,0 +1,78 @@
+"""
+Dashboard sign-in (see AUTH in app.py): repeated failures from one IP
+back off exponentially, and roles nest viewer < analyst < admin.
+"""
+import os
+import sys
+import unittest
+from unittest import mock
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+import app  # noqa: E402
+
+
+class LoginBackoffTest(unittest.TestCase):
+  def setUp(self):
+    patcher = mock.patch.object(app, 'login_failures', {})
+    patcher.start()
+    self.addCleanup(patcher.stop)
+    self.now = 1_000_000.0
+    clock = mock.patch.object(app.time, 'time', lambda: self.now)
+    clock.start()
+    self.addCleanup(clock.stop)
+
+  def fail(self, times, ip='198.51.100.4'):
+    for _ in range(times):
+      app.record_login_failure(ip)
+
+  def test_free_attempts_do_not_lock(self):
+    self.fail(app.LOGIN_FREE_ATTEMPTS)
+    self.assertEqual(app.get_login_lockout('198.51.100.4'), 0)
+
+  def test_backoff_doubles(self):
+    self.fail(app.LOGIN_FREE_ATTEMPTS + 1)
+    self.assertEqual(app.get_login_lockout('198.51.100.4'), app.LOGIN_BACKOFF_BASE)
+    self.fail(2)
+    self.assertEqual(app.get_login_lockout('198.51.100.4'), app.LOGIN_BACKOFF_BASE * 4)
+
+  def test_backoff_is_capped(self):
+    self.fail(app.LOGIN_FREE_ATTEMPTS + 40)
+    self.assertEqual(app.get_login_lockout('198.51.100.4'), app.LOGIN_BACKOFF_MAX)
+
+  def test_lockout_runs_out(self):
+    self.fail(app.LOGIN_FREE_ATTEMPTS + 1)
+    self.now += app.LOGIN_BACKOFF_BASE
+    self.assertEqual(app.get_login_lockout('198.51.100.4'), 0)
+
+  def test_other_ips_are_not_locked(self):
+    self.fail(app.LOGIN_FREE_ATTEMPTS + 1)
+    self.assertEqual(app.get_login_lockout('198.51.100.5'), 0)
+
+  def test_failures_are_forgotten_after_the_window(self):
+    self.fail(app.LOGIN_FREE_ATTEMPTS)
+    self.now += app.LOGIN_FAILURE_WINDOW + 1
+    self.fail(1)
+    self.assertEqual(app.get_login_lockout('198.51.100.4'), 0)
+
+
+class RoleTest(unittest.TestCase):
+  def user(self, role, tenants=('*',)):
+    return {'username': role, 'role': role, 'tenants': list(tenants)}
+
+  def test_roles_nest(self):
+    self.assertTrue(app.has_role(self.user('admin'), 'analyst'))
+    self.assertTrue(app.has_role(self.user('analyst'), 'viewer'))
+    self.assertFalse(app.has_role(self.user('viewer'), 'analyst'))
+    self.assertFalse(app.has_role(self.user('analyst'), 'admin'))
+    self.assertFalse(app.has_role(None, 'viewer'))
+
+  def test_operator_needs_every_tenant(self):
+    self.assertTrue(app.is_operator(self.user('admin')))
+    self.assertFalse(app.is_operator(self.user('admin', [app.DEFAULT_TENANT])))
+    self.assertFalse(app.is_operator(self.user('analyst')))
+
+
+if __name__ == '__main__':
+  unittest.main()
@@ -0,0 +1,94 @@
+"""
+Case tagging (see CASES in app.py): analysts' tags and incident references
+reach the events they cover, and the case index is rebuilt only when a
+tenant's cases change. Runs against scratch annotation and incident files.
+"""
+import os
+import sys
+import tempfile
+import unittest
+from pathlib import Path
+from unittest import mock
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+import app  # noqa: E402
+
+EVENT = {
+  'timestamp': '2024-05-01T12:00:00',
+  'ip': '203.0.113.7',
+  'protocol': 'ssh',
+  'type': 'auth',
+  'session': {'ip': '203.0.113.7', 'start': '2024-05-01T11:59:00', 'end': '2024-05-01T12:01:00'}
+}
+
+
+class CaseIndexTest(unittest.TestCase):
+  def setUp(self):
+    scratch = tempfile.TemporaryDirectory()
+    self.addCleanup(scratch.cleanup)
+    base = Path(scratch.name)
+    for name, value in {
+      'ANNOTATIONS_FILE': base / 'annotations.json',
+      'INCIDENTS_FILE': base / 'incidents.json',
+      'case_indexes': {}
+    }.items():
+      patcher = mock.patch.object(app, name, value)
+      patcher.start()
+      self.addCleanup(patcher.stop)
+    self.event_key = app.get_case_event_key(app.get_event_key(EVENT))
+
+  def annotate(self, *annotations):
+    app.save_json_file(app.ANNOTATIONS_FILE, [
+      {'tenant': tenant, 'scope': scope, 'key': key, 'tags': tags}
+      for tenant, scope, key, tags in annotations
+    ])
+
+  def test_tags_from_every_scope_are_merged(self):
+    self.annotate(
+      (app.DEFAULT_TENANT, 'event', self.event_key, ['brute-force']),
+      (app.DEFAULT_TENANT, 'session', app.get_session_key(EVENT), ['mirai']),
+      (app.DEFAULT_TENANT, 'ip', EVENT['ip'], ['brute-force', 'botnet'])
+    )
+    app.save_json_file(app.INCIDENTS_FILE, [
+      {'tenant': app.DEFAULT_TENANT, 'number': 3, 'events': [self.event_key]}
+    ])
+    event = dict(EVENT)
+    app.tag_case_events([event], app.get_case_index(app.DEFAULT_TENANT))
+    self.assertEqual(event['tags'], ['botnet', 'brute-force', 'mirai'])
+    self.assertEqual(event['incidents'], ['INC-3'])
+
+  def test_cleared_tags_are_removed(self):
+    event = dict(EVENT, tags=['old'], incidents=['INC-1'])
+    app.tag_case_events([event], app.get_case_index(app.DEFAULT_TENANT))
+    self.assertNotIn('tags', event)
+    self.assertNotIn('incidents', event)
+
+  def test_other_tenants_cases_are_not_applied(self):
+    self.annotate(('acme', 'ip', EVENT['ip'], ['acme-only']))
+    event = dict(EVENT)
+    app.tag_case_events([event], app.get_case_index(app.DEFAULT_TENANT))
+    self.assertNotIn('tags', event)
+
+  def test_index_is_kept_until_cases_change(self):
+    self.annotate((app.DEFAULT_TENANT, 'ip', EVENT['ip'], ['botnet']))
+    index = app.get_case_index(app.DEFAULT_TENANT)
+    self.assertIs(app.get_case_index(app.DEFAULT_TENANT), index)
+
+    # Another tenant's edit rewrites the file but changes nothing here
+    self.annotate(
+      (app.DEFAULT_TENANT, 'ip', EVENT['ip'], ['botnet']),
+      ('acme', 'ip', EVENT['ip'], ['acme-only'])
+    )
+    self.assertIs(app.get_case_index(app.DEFAULT_TENANT), index)
+
+    self.annotate((app.DEFAULT_TENANT, 'ip', EVENT['ip'], ['scanner']))
+    changed = app.get_case_index(app.DEFAULT_TENANT)
+    self.assertIsNot(changed, index)
+    self.assertEqual(changed['tags']['ip'][EVENT['ip']], ['scanner'])
+    self.assertEqual(index['tags']['ip'][EVENT['ip']], ['botnet'])
+
+
+if __name__ == '__main__':
+  unittest.main()
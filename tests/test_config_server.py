@@ -0,0 +1,114 @@
+"""
+config_server.py's answers to sensors: JSON check-ins from managed
+client.py sensors and bare secrets from legacy ones. Runs against a
+scratch copy of the data files.
+"""
+import json
+import os
+import socket
+import sys
+import tempfile
+import threading
+import time
+import unittest
+from unittest import mock
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+import config_server  # noqa: E402
+
+TENANT_SECRET = 'tenant-secret'
+
+
+class ConfigServerTest(unittest.TestCase):
+  def setUp(self):
+    scratch = tempfile.TemporaryDirectory()
+    self.addCleanup(scratch.cleanup)
+    base = scratch.name
+    for name, path in {
+      'CONFIG_FILE': os.path.join(base, 'customer_config_settings.txt'),
+      'TENANTS_FILE': os.path.join(base, 'data', 'tenants.json'),
+      'TENANTS_DIR': os.path.join(base, 'tenants'),
+      'SENSOR_CHECKINS_FILE': os.path.join(base, 'data', 'sensor_checkins.json'),
+      'SENSORS_FILE': os.path.join(base, 'data', 'sensors.json'),
+      'READ_TIMEOUT': 0.5
+    }.items():
+      patcher = mock.patch.object(config_server, name, path)
+      patcher.start()
+      self.addCleanup(patcher.stop)
+    quiet = mock.patch('builtins.print')
+    quiet.start()
+    self.addCleanup(quiet.stop)
+
+    os.makedirs(os.path.join(base, 'data'))
+    os.makedirs(os.path.join(base, 'tenants', 'acme', 'configs'))
+    with open(config_server.TENANTS_FILE, 'w') as f:
+      json.dump({'acme': {'name': 'Acme', 'secret': TENANT_SECRET}}, f)
+    with open(os.path.join(base, 'tenants', 'acme', 'configs', 'ssh.json'), 'w') as f:
+      json.dump({'port': 2300}, f)
+    with open(config_server.CONFIG_FILE, 'w') as f:
+      f.write('{"ssh": 22}\n')
+
+  def exchange(self, *parts):
+    """Send `parts` with a pause between them and return the server's reply."""
+    client, server = socket.socketpair()
+    self.addCleanup(client.close)
+
+    def send():
+      for part in parts:
+        client.sendall(part)
+        time.sleep(0.05)
+
+    sender = threading.Thread(target=send)
+    sender.start()
+    config_server.handle_client(server, ('192.0.2.10', 50000))
+    sender.join()
+    chunks = []
+    while True:
+      data = client.recv(4096)
+      if not data:
+        return b''.join(chunks).decode()
+      chunks.append(data)
+
+  def checkin(self, **fields):
+    return json.dumps(dict({'secret': TENANT_SECRET, 'hostname': 'edge-1'}, **fields)).encode() + b'\n'
+
+  def test_checkin(self):
+    reply = json.loads(self.exchange(self.checkin()))
+    self.assertEqual(reply['ports']['ssh'], {'listen': 2300, 'target': 2300})
+    with open(config_server.SENSOR_CHECKINS_FILE) as f:
+      record = json.load(f)[reply['sensor']]
+    self.assertEqual((record['tenant'], record['address']), ('acme', '192.0.2.10'))
+
+  def test_checkin_split_across_segments(self):
+    hello = self.checkin()
+    reply = json.loads(self.exchange(hello[:10], hello[10:]))
+    self.assertIn('sensor', reply)
+
+  def test_checkin_without_newline(self):
+    reply = json.loads(self.exchange(self.checkin().strip()))
+    self.assertIn('sensor', reply)
+
+  def test_malformed_checkins(self):
+    for hello in [b'{"secret": ', b'{}\n', b'{"secret": 1}\n', b'{"secret": "x", "errors": []}\n']:
+      with self.subTest(hello=hello):
+        self.assertEqual(self.exchange(hello), 'ERROR: Malformed check-in\n')
+
+  def test_checkin_with_wrong_secret(self):
+    self.assertEqual(self.exchange(self.checkin(secret='nope')), 'ERROR: Invalid shared secret\n')
+
+  def test_legacy_shared_secret_gets_config_file(self):
+    self.assertEqual(self.exchange(config_server.SHARED_SECRET.encode()), '{"ssh": 22}\n')
+
+  def test_legacy_tenant_secret_gets_port_map(self):
+    ports = json.loads(self.exchange(TENANT_SECRET.encode()))
+    self.assertEqual(ports['ssh'], 2300)
+    self.assertEqual(ports['telnet'], config_server.DEFAULT_HONEYPOT_PORTS['telnet'])
+
+  def test_legacy_wrong_secret(self):
+    self.assertEqual(self.exchange(b'nope'), 'ERROR: Invalid shared secret\n')
+
+
+if __name__ == '__main__':
+  unittest.main()
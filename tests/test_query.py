@@ -0,0 +1,42 @@
+"""
+Query language cases shared with the dashboard (App.test.js runs the same
+file against the JavaScript parser). Run from the repository root with
+`python -m unittest discover tests`.
+"""
+import json
+import os
+import sys
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+import app  # noqa: E402
+
+with open(os.path.join(ROOT, 'tests', 'query_cases.json'), encoding='utf-8') as f:
+  CASES = json.load(f)
+
+
+class QueryLanguageTest(unittest.TestCase):
+  def test_matches(self):
+    for case in CASES['matches']:
+      with self.subTest(query=case['query']):
+        ast = app.parse_query(case['query'])
+        matched = [
+          name for name, event in CASES['events'].items()
+          if app.evaluate_query(ast, event)
+        ]
+        self.assertEqual(matched, case['events'])
+
+  def test_errors(self):
+    for query in CASES['errors']:
+      with self.subTest(query=query):
+        with self.assertRaises(app.QueryError):
+          app.parse_query(query)
+
+  def test_empty(self):
+    self.assertIsNone(app.parse_query('  '))
+
+
+if __name__ == '__main__':
+  unittest.main()
@@ -0,0 +1,81 @@
+"""
+Tenant isolation of honeypot configs (see TENANTS in app.py): file paths
+stay inside a tenant's own directory, and only operators move the default
+tenant's. Runs against a scratch copy of the data directories.
+"""
+import os
+import sys
+import tempfile
+import unittest
+from pathlib import Path
+from unittest import mock
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+import app  # noqa: E402
+
+TENANT = 'acme'
+
+
+class TenantPathTest(unittest.TestCase):
+  def setUp(self):
+    scratch = tempfile.TemporaryDirectory()
+    self.addCleanup(scratch.cleanup)
+    base = Path(scratch.name)
+    (base / 'honeypots').mkdir()
+    for name, path in {
+      'HONEYPOTS_DIR': base / 'honeypots',
+      'TENANTS_DIR': base / 'tenants',
+      'CONFIGS_DIR': base / 'configs',
+      'LOGS_DIR': base / 'logs',
+      'TENANTS_FILE': base / 'data' / 'tenants.json'
+    }.items():
+      patcher = mock.patch.object(app, name, path)
+      patcher.start()
+      self.addCleanup(patcher.stop)
+
+  def http_config(self, tenant, **overrides):
+    config = app.get_tenant_default_config(tenant, 'http')
+    if tenant != app.DEFAULT_TENANT:
+      # Clear of the default tenant's honeypot
+      config['port'] += 1
+    return dict(config, **overrides)
+
+  def test_tenant_defaults_live_in_tenant_dir(self):
+    config = app.get_tenant_default_config(TENANT, 'ssh')
+    self.assertEqual(config['host_key_file'], os.path.join('..', 'tenants', TENANT, 'ssh_host_key'))
+    self.assertEqual(config['log_directory'], os.path.join('..', 'tenants', TENANT, 'logs'))
+
+  def test_tenant_key_paths_are_confined(self):
+    self.assertEqual(app.validate_config('http', self.http_config(TENANT), TENANT), {})
+    for path in ['/etc/passwd', 'cert.pem', '../../cert.pem', f'../tenants/{TENANT}/../other/cert.pem']:
+      with self.subTest(path=path):
+        errors = app.validate_config('http', self.http_config(TENANT, ssl_cert=path), TENANT)
+        self.assertIn('ssl_cert', errors)
+
+  def test_save_forces_tenant_log_and_key_paths(self):
+    config = dict(
+      app.get_tenant_default_config(TENANT, 'ssh'),
+      log_directory='../data',
+      log_file='../../data/users.json',
+      host_key_file='/etc/ssh/ssh_host_rsa_key'
+    )
+    app.save_protocol_config(TENANT, 'ssh', config)
+    saved = app.load_protocol_config('ssh', TENANT)
+    self.assertEqual(saved['log_directory'], app.get_tenant_log_directory(TENANT))
+    self.assertEqual(saved['log_file'], 'ssh.logs')
+    self.assertEqual(saved['host_key_file'], app.get_tenant_file_path(TENANT, 'ssh_host_key'))
+
+  def test_default_tenant_paths_need_an_operator(self):
+    unchanged = self.http_config(app.DEFAULT_TENANT)
+    self.assertEqual(app.validate_config('http', unchanged, app.DEFAULT_TENANT), {})
+    for key, value in [('log_directory', '../data'), ('log_file', 'users.json'), ('ssl_key', '/etc/shadow')]:
+      with self.subTest(key=key):
+        config = self.http_config(app.DEFAULT_TENANT, **{key: value})
+        self.assertIn(key, app.validate_config('http', config, app.DEFAULT_TENANT))
+        self.assertEqual(app.validate_config('http', config, app.DEFAULT_TENANT, operator=True), {})
+
+
+if __name__ == '__main__':
+  unittest.main()
@@ -0,0 +1,80 @@
+"""
+Toolkit labelling (see TOOLKIT FINGERPRINTS in app.py), fed in batches the
+way get_cached_logs reads new events.
+"""
+import os
+import sys
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+import app  # noqa: E402
+
+IP = '198.51.100.20'
+
+
+def make_event(second, protocol, **fields):
+  return dict({
+    'timestamp': f'2024-05-01T12:{second // 60:02d}:{second % 60:02d}',
+    'ip': IP,
+    'protocol': protocol,
+    'type': 'connection'
+  }, **fields)
+
+
+def label_batches(batches):
+  """Feed each batch (in arrival order) as new events; return IP's label id."""
+  logs, attackers = [], {}
+  for batch in batches:
+    logs = sorted(batch + logs, key=lambda x: x['timestamp'], reverse=True)
+    logs, _ = app.label_toolkit_events(logs, batch, attackers)
+  label = attackers[IP]['label']
+  return label and label['id'], logs
+
+
+class PortSweepTest(unittest.TestCase):
+  def test_sweep_within_window(self):
+    label, logs = label_batches([
+      [make_event(100, 'ssh')],
+      [make_event(101, 'telnet'), make_event(103, 'mqtt')]
+    ])
+    self.assertEqual(label, 'port-sweep')
+    self.assertTrue(all(log['toolkit']['id'] == 'port-sweep' for log in logs))
+
+  def test_late_event_outside_window_does_not_count(self):
+    # The telnet event is logged long before the others but read between them
+    label, logs = label_batches([
+      [make_event(100, 'ssh')],
+      [make_event(50, 'telnet')],
+      [make_event(101, 'mqtt')]
+    ])
+    self.assertIsNone(label)
+    self.assertFalse(any('toolkit' in log for log in logs))
+
+  def test_late_event_inside_window_counts(self):
+    label, _ = label_batches([
+      [make_event(100, 'ssh')],
+      [make_event(104, 'mqtt')],
+      [make_event(97, 'telnet')]
+    ])
+    self.assertEqual(label, 'port-sweep')
+
+  def test_spread_out_protocols(self):
+    label, _ = label_batches([
+      [make_event(0, 'ssh'), make_event(30, 'telnet'), make_event(60, 'mqtt')]
+    ])
+    self.assertIsNone(label)
+
+
+class CommandToolkitTest(unittest.TestCase):
+  def test_commands_across_batches(self):
+    label, _ = label_batches([
+      [make_event(0, 'telnet', type='command', data='enable')],
+      [make_event(1, 'telnet', type='command', data='sh')]
+    ])
+    self.assertEqual(label, 'mirai')
+
+
+if __name__ == '__main__':
+  unittest.main()